@@ -1,6 +1,7 @@
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { AppProvider } from './context/AppContext';
 import { AuthProvider } from './context/AuthContext';
+import { SyncProvider } from './context/SyncContext';
 import Layout from './components/layout/Layout';
 import Dashboard from './components/dashboard/Dashboard';
 import MedicineManager from './components/medicines/MedicineManager';
@@ -11,6 +12,17 @@ import LoginPage from './components/auth/LoginPage';
 import ProtectedRoute from './components/auth/ProtectedRoute';
 import AdminRoute from './components/auth/AdminRoute';
 import SupplierList from './components/suppliers/SupplierList';
+import SaleConflicts from './components/sync/SaleConflicts';
+import PurchaseOrders from './components/purchasing/PurchaseOrders';
+import Returns from './components/returns/Returns';
+import VoidedSales from './components/sales/VoidedSales';
+import Promotions from './components/promotions/Promotions';
+import Shifts from './components/shifts/Shifts';
+import Customers from './components/customers/Customers';
+import CustomerDetail from './components/customers/CustomerDetail';
+import Prescriptions from './components/prescriptions/Prescriptions';
+import ControlledRegister from './components/controlled/ControlledRegister';
+import Receivables from './components/customers/Receivables';
 import ErrorBoundary from './components/common/ErrorBoundary';
 import './index.css';
 
@@ -20,27 +32,40 @@ function App() {
       <BrowserRouter>
         <AppProvider>
           <AuthProvider>
-            <Routes>
-              <Route path="/login" element={<LoginPage />} />
+            <SyncProvider>
+              <Routes>
+                <Route path="/login" element={<LoginPage />} />
 
-              <Route element={<ProtectedRoute />}>
-                <Route element={<Layout />}>
-                  <Route path="/" element={<Navigate to="/dashboard" replace />} />
-                  <Route path="/dashboard" element={<Dashboard />} />
-                  <Route path="/medicines" element={<MedicineManager />} />
-                  <Route path="/sales" element={<POSSystem />} />
+                <Route element={<ProtectedRoute />}>
+                  <Route element={<Layout />}>
+                    <Route path="/" element={<Navigate to="/dashboard" replace />} />
+                    <Route path="/dashboard" element={<Dashboard />} />
+                    <Route path="/medicines" element={<MedicineManager />} />
+                    <Route path="/sales" element={<POSSystem />} />
+                    <Route path="/customers" element={<Customers />} />
+                    <Route path="/customers/:customerId" element={<CustomerDetail />} />
+                    <Route path="/prescriptions" element={<Prescriptions />} />
+                    <Route path="/controlled-register" element={<ControlledRegister />} />
 
-                  {/* Admin Only Routes */}
-                  <Route element={<AdminRoute />}>
-                    <Route path="/reports" element={<Reports />} />
-                    <Route path="/suppliers" element={<SupplierList />} />
-                    <Route path="/settings" element={<SettingsPage />} />
+                    {/* Admin Only Routes */}
+                    <Route element={<AdminRoute />}>
+                      <Route path="/reports" element={<Reports />} />
+                      <Route path="/suppliers" element={<SupplierList />} />
+                      <Route path="/purchase-orders" element={<PurchaseOrders />} />
+                      <Route path="/settings" element={<SettingsPage />} />
+                      <Route path="/sync-conflicts" element={<SaleConflicts />} />
+                      <Route path="/returns" element={<Returns />} />
+                      <Route path="/voided-sales" element={<VoidedSales />} />
+                      <Route path="/promotions" element={<Promotions />} />
+                      <Route path="/shifts" element={<Shifts />} />
+                      <Route path="/receivables" element={<Receivables />} />
+                    </Route>
                   </Route>
                 </Route>
-              </Route>
 
-              <Route path="*" element={<Navigate to="/" replace />} />
-            </Routes>
+                <Route path="*" element={<Navigate to="/" replace />} />
+              </Routes>
+            </SyncProvider>
           </AuthProvider>
         </AppProvider>
       </BrowserRouter>
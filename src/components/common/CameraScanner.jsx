@@ -0,0 +1,96 @@
+import { useEffect, useRef, useState } from 'react';
+import { Camera, X, AlertCircle } from 'lucide-react';
+
+const BARCODE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'code_39', 'qr_code'];
+
+/**
+ * Camera Scanner
+ * Uses the browser BarcodeDetector API (Chrome/Edge on Android, Safari 17+).
+ * Calls onDetected(code) once and expects the parent to close it.
+ */
+export default function CameraScanner({ onDetected, onClose }) {
+    const videoRef = useRef(null);
+    const onDetectedRef = useRef(onDetected);
+    const isSupported = 'BarcodeDetector' in window && !!navigator.mediaDevices?.getUserMedia;
+    const [error, setError] = useState(isSupported ? null : 'Camera scanning is not supported on this browser. Use a handheld scanner instead.');
+
+    useEffect(() => {
+        onDetectedRef.current = onDetected;
+    }, [onDetected]);
+
+    useEffect(() => {
+        if (!isSupported) return;
+
+        let stream = null;
+        let timer = null;
+        let stopped = false;
+
+        const start = async () => {
+            try {
+                stream = await navigator.mediaDevices.getUserMedia({
+                    video: { facingMode: 'environment' }
+                });
+                if (stopped) return;
+
+                videoRef.current.srcObject = stream;
+                await videoRef.current.play();
+
+                const detector = new window.BarcodeDetector({ formats: BARCODE_FORMATS });
+                timer = setInterval(async () => {
+                    if (!videoRef.current || videoRef.current.readyState < 2) return;
+                    try {
+                        const codes = await detector.detect(videoRef.current);
+                        if (codes.length > 0 && !stopped) {
+                            stopped = true;
+                            clearInterval(timer);
+                            onDetectedRef.current(codes[0].rawValue);
+                        }
+                    } catch (e) {
+                        console.error('Barcode detection failed:', e);
+                    }
+                }, 300);
+            } catch (e) {
+                console.error('Camera error:', e);
+                setError('Could not access the camera. Check browser permissions.');
+            }
+        };
+
+        start();
+
+        return () => {
+            stopped = true;
+            clearInterval(timer);
+            stream?.getTracks().forEach(track => track.stop());
+        };
+    }, [isSupported]);
+
+    return (
+        <div className="fixed inset-0 bg-black/70 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <Camera className="w-5 h-5 text-pharmacy-600" />
+                        Scan Barcode
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                {error ? (
+                    <div className="flex items-start gap-3 p-4 bg-amber-50 border border-amber-200 rounded-xl text-amber-800 text-sm">
+                        <AlertCircle className="w-5 h-5 shrink-0" />
+                        <p>{error}</p>
+                    </div>
+                ) : (
+                    <div className="relative rounded-xl overflow-hidden bg-black aspect-video">
+                        <video ref={videoRef} className="w-full h-full object-cover" muted playsInline />
+                        <div className="absolute inset-x-8 top-1/2 h-0.5 bg-red-500/80" />
+                    </div>
+                )}
+
+                <p className="text-sm text-slate-500 mt-4 text-center">Point the camera at the product barcode</p>
+            </div>
+        </div>
+    );
+}
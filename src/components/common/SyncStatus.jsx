@@ -0,0 +1,48 @@
+import { useState } from 'react';
+import { Wifi, WifiOff, RefreshCw } from 'lucide-react';
+import { useSync } from '../../context/SyncContext';
+import FailedSales from '../sync/FailedSales';
+
+const STATUS_STYLES = {
+    online: { label: 'Online', icon: Wifi, className: 'bg-green-500/20 text-green-200' },
+    offline: { label: 'Offline', icon: WifiOff, className: 'bg-red-500/20 text-red-200' },
+    syncing: { label: 'Syncing', icon: RefreshCw, className: 'bg-amber-500/20 text-amber-200' }
+};
+
+/**
+ * Sync Status Indicator
+ * Online / offline / syncing pill with the number of queued sales. Click to sync now;
+ * click the failed count to retry or discard the sales that didn't go through.
+ */
+export default function SyncStatus() {
+    const { status, pendingCount, failedCount, syncNow } = useSync();
+    const [showFailed, setShowFailed] = useState(false);
+    const { label, icon: Icon, className } = STATUS_STYLES[status];
+
+    return (
+        <div className="flex items-center gap-2">
+            <button
+                onClick={syncNow}
+                disabled={status !== 'online'}
+                className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-xs font-semibold ${className}`}
+                title={pendingCount > 0 ? `${pendingCount} sale(s) waiting to sync` : label}
+            >
+                <Icon className={`w-3.5 h-3.5 ${status === 'syncing' ? 'animate-spin' : ''}`} />
+                <span>{label}</span>
+                {pendingCount > 0 && (
+                    <span className="bg-white/20 px-1.5 rounded-full">{pendingCount} queued</span>
+                )}
+            </button>
+            {failedCount > 0 && (
+                <button
+                    onClick={() => setShowFailed(true)}
+                    className="px-3 py-1.5 rounded-full text-xs font-semibold bg-red-500/40 text-red-100 hover:bg-red-500/60"
+                    title="Review sales that could not be synced"
+                >
+                    {failedCount} failed
+                </button>
+            )}
+            {showFailed && <FailedSales onClose={() => setShowFailed(false)} />}
+        </div>
+    );
+}
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { recordControlledCount } from '../../db/db';
+import { ClipboardCheck, X, Save } from 'lucide-react';
+
+/**
+ * Controlled Count Dialog
+ * Record a physical count of a controlled drug against its register balance
+ */
+export default function ControlledCountDialog({ medicine, onClose, onDone }) {
+    const { showToast } = useApp();
+    const [counted, setCounted] = useState('');
+    const [note, setNote] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (counted === '' || !(parseInt(counted) >= 0)) {
+            showToast('Enter the quantity counted', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await recordControlledCount(medicine.id, counted, note);
+        setIsSubmitting(false);
+
+        if (!result.success) {
+            showToast(result.error || 'Failed to record the count', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        const { balance, difference } = result.data;
+        if (difference === 0) {
+            showToast(`Count matches the register: ${balance} ${medicine.name}`, TOAST_TYPES.SUCCESS);
+        } else {
+            showToast(
+                `Discrepancy: counted ${result.data.counted} but the register shows ${balance} (${difference > 0 ? '+' : ''}${difference})`,
+                TOAST_TYPES.WARNING
+            );
+        }
+        onDone(result.data);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <ClipboardCheck className="w-5 h-5 text-pharmacy-600" />
+                            Physical Count
+                        </h2>
+                        <p className="text-sm text-slate-500">{medicine.name}</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Quantity counted *</label>
+                        <input
+                            type="number"
+                            min="0"
+                            value={counted}
+                            onChange={(e) => setCounted(e.target.value)}
+                            className="input-field"
+                            placeholder="0"
+                            autoFocus
+                        />
+                        <p className="text-slate-400 text-xs mt-1">Count what is on the shelf before looking at the register</p>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Note</label>
+                        <input
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            className="input-field"
+                            placeholder="Optional, e.g. Monthly check with witness"
+                        />
+                    </div>
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex-1 flex items-center justify-center gap-2 disabled:opacity-50"
+                        >
+                            <Save className="w-4 h-4" />
+                            Save Count
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
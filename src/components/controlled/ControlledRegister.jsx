@@ -0,0 +1,262 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import {
+    getAllMedicines,
+    getControlledRegister,
+    getControlledDiscrepancies,
+    getSettings,
+    REGISTER_ENTRY_TYPES
+} from '../../db/db';
+import { formatDateTime } from '../../lib/format';
+import ControlledCountDialog from './ControlledCountDialog';
+import { ShieldAlert, AlertTriangle, Printer, ClipboardCheck } from 'lucide-react';
+
+// YYYY-MM to the local month's bounds
+function monthRange(month) {
+    const [year, index] = month.split('-').map(Number);
+    return { start: new Date(year, index - 1, 1), end: new Date(year, index, 1) };
+}
+
+function formatMonth(month) {
+    return monthRange(month).start.toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+}
+
+/**
+ * Controlled Register Component
+ * Running-balance register of a controlled drug for a month, physical
+ * counts, and alerts where a count or the stock disagrees with the register
+ */
+export default function ControlledRegister() {
+    const { showToast } = useApp();
+    const [medicines, setMedicines] = useState(null); // Controlled medicines, null while loading
+    const [medicineId, setMedicineId] = useState('');
+    const [month, setMonth] = useState(() => new Date().toLocaleDateString('en-CA').slice(0, 7)); // YYYY-MM, local
+    const [version, setVersion] = useState(0); // Bumped after a count to reload
+    const [register, setRegister] = useState(null); // { key, opening, entries }
+    const [discrepancies, setDiscrepancies] = useState([]);
+    const [settings, setSettings] = useState(null);
+    const [showCount, setShowCount] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getAllMedicines(), getSettings()]).then(([medicineResult, settingsResult]) => {
+            if (cancelled) return;
+            if (!medicineResult.success) showToast(medicineResult.error || 'Failed to load medicines', TOAST_TYPES.ERROR);
+            setMedicines((medicineResult.data || []).filter(m => m.schedule === 'controlled'));
+            setSettings(settingsResult.data || null);
+        });
+        return () => { cancelled = true; };
+    }, [showToast]);
+
+    useEffect(() => {
+        let cancelled = false;
+        getControlledDiscrepancies().then(result => {
+            if (!cancelled) setDiscrepancies(result.data || []);
+        });
+        return () => { cancelled = true; };
+    }, [version]);
+
+    const selectedId = medicineId || medicines?.[0]?.id || '';
+    const medicine = medicines?.find(m => m.id === selectedId) || null;
+    const key = `${selectedId}|${month}|${version}`;
+
+    useEffect(() => {
+        if (!selectedId || !month) return;
+        let cancelled = false;
+        const { start, end } = monthRange(month);
+        getControlledRegister(selectedId, start, end).then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load the register', TOAST_TYPES.ERROR);
+            setRegister({ key, opening: result.data?.opening ?? 0, entries: result.data?.entries || [] });
+        });
+        return () => { cancelled = true; };
+    }, [selectedId, month, key, showToast]);
+
+    const loading = register?.key !== key;
+    const entries = useMemo(() => (register?.entries || []), [register]);
+    const opening = register?.opening ?? 0;
+    const closing = entries.length ? entries[entries.length - 1].balance : opening;
+    const totals = useMemo(() => entries.reduce((sum, e) => ({
+        in: sum.in + Math.max(e.quantity, 0),
+        out: sum.out + Math.max(-e.quantity, 0)
+    }), { in: 0, out: 0 }), [entries]);
+
+    return (
+        <div className="space-y-6">
+            <style>{'@media print { @page { size: A4 landscape; margin: 12mm; } }'}</style>
+
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 no-print">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <ShieldAlert className="w-8 h-8 text-pharmacy-600" />
+                        Controlled Register
+                    </h1>
+                    <p className="text-slate-500">Every receipt, sale and adjustment of controlled drugs, with running balances</p>
+                </div>
+                {medicine && (
+                    <div className="flex gap-3">
+                        <button onClick={() => setShowCount(true)} className="btn-secondary flex items-center gap-2">
+                            <ClipboardCheck className="w-4 h-4" />
+                            Record Count
+                        </button>
+                        <button onClick={() => window.print()} className="btn-primary flex items-center gap-2">
+                            <Printer className="w-4 h-4" />
+                            Print
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {discrepancies.length > 0 && (
+                <div className="p-4 rounded-2xl bg-red-50 border border-red-200 no-print">
+                    <p className="flex items-center gap-2 font-semibold text-red-800 mb-2">
+                        <AlertTriangle className="w-5 h-5" />
+                        Register discrepancies
+                    </p>
+                    <ul className="space-y-1 text-sm text-red-700">
+                        {discrepancies.map(d => (
+                            <li key={d.medicineId}>
+                                <button onClick={() => setMedicineId(d.medicineId)} className="font-medium hover:underline">
+                                    {d.name}
+                                </button>
+                                {d.counted !== null && d.counted !== d.countedAgainst && (
+                                    <span>: counted {d.counted} on {formatDateTime(d.countedAt)}, register showed {d.countedAgainst}</span>
+                                )}
+                                {d.stock !== d.balance && (
+                                    <span>: {d.stock} in stock, register shows {d.balance}</span>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                    <p className="text-xs text-red-600 mt-2">
+                        Investigate, adjust the stock with a witness if needed, then record a new count.
+                    </p>
+                </div>
+            )}
+
+            {medicines === null ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : medicines.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <ShieldAlert className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No controlled medicines</p>
+                    <p className="text-sm text-slate-400">Set a medicine's schedule to Controlled drug to start its register</p>
+                </div>
+            ) : (
+                <>
+                    <div className="flex flex-col md:flex-row gap-4 no-print">
+                        <select
+                            value={selectedId}
+                            onChange={(e) => setMedicineId(e.target.value)}
+                            className="input-field cursor-pointer flex-1"
+                        >
+                            {medicines.map(m => (
+                                <option key={m.id} value={m.id}>{m.name}{m.genericName ? ` (${m.genericName})` : ''}</option>
+                            ))}
+                        </select>
+                        <input
+                            type="month"
+                            value={month}
+                            onChange={(e) => setMonth(e.target.value)}
+                            className="input-field md:w-52"
+                        />
+                    </div>
+
+                    <div className={`print-area bg-white rounded-2xl shadow-sm border border-slate-100 p-6 text-sm transition-opacity ${loading ? 'opacity-50' : ''}`}>
+                        <div className="flex justify-between items-start mb-4">
+                            <div>
+                                <h2 className="text-lg font-bold text-slate-800">{settings?.pharmacyName || 'Pharmacy'}</h2>
+                                <p className="text-slate-500">Controlled Drugs Register · {formatMonth(month)}</p>
+                            </div>
+                            <div className="text-right">
+                                <p className="font-bold text-slate-800">{medicine?.name}</p>
+                                {medicine?.genericName && <p className="text-slate-500">{medicine.genericName}</p>}
+                                {medicine?.category && <p className="text-slate-500">{medicine.category}</p>}
+                            </div>
+                        </div>
+
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead>
+                                    <tr className="border-b border-slate-300 text-slate-600">
+                                        <th className="text-left py-2 pr-4">Date</th>
+                                        <th className="text-left py-2 pr-4">Entry</th>
+                                        <th className="text-left py-2 pr-4">Details</th>
+                                        <th className="text-right py-2 pr-4">In</th>
+                                        <th className="text-right py-2 pr-4">Out</th>
+                                        <th className="text-right py-2 pr-4">Balance</th>
+                                        <th className="text-left py-2">Recorded by</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    <tr className="font-medium">
+                                        <td className="py-2 pr-4" colSpan={5}>Brought forward</td>
+                                        <td className="py-2 pr-4 text-right">{opening}</td>
+                                        <td />
+                                    </tr>
+                                    {entries.map(entry => {
+                                        const isCount = entry.entryType === 'count';
+                                        const discrepancy = isCount && entry.countedQuantity !== entry.balance;
+                                        return (
+                                            <tr key={entry.id} className={`align-top ${discrepancy ? 'bg-red-50' : ''}`}>
+                                                <td className="py-2 pr-4 whitespace-nowrap">{formatDateTime(entry.createdAt)}</td>
+                                                <td className="py-2 pr-4">{REGISTER_ENTRY_TYPES[entry.entryType] || entry.entryType}</td>
+                                                <td className="py-2 pr-4 text-slate-600">
+                                                    {entry.reference}
+                                                    {isCount && (
+                                                        <p className={discrepancy ? 'font-semibold text-red-600' : 'text-green-600'}>
+                                                            Counted {entry.countedQuantity}
+                                                            {discrepancy && ` (${entry.countedQuantity - entry.balance > 0 ? '+' : ''}${entry.countedQuantity - entry.balance})`}
+                                                        </p>
+                                                    )}
+                                                </td>
+                                                <td className="py-2 pr-4 text-right">{entry.quantity > 0 ? entry.quantity : ''}</td>
+                                                <td className="py-2 pr-4 text-right">{entry.quantity < 0 ? -entry.quantity : ''}</td>
+                                                <td className="py-2 pr-4 text-right font-semibold">{entry.balance}</td>
+                                                <td className="py-2 text-slate-600">
+                                                    {entry.recordedByName || '—'}
+                                                    {entry.witnessedByName && <p className="text-xs">Witness: {entry.witnessedByName}</p>}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                                <tfoot>
+                                    <tr className="border-t border-slate-300 font-bold">
+                                        <td className="py-2 pr-4" colSpan={3}>Carried forward</td>
+                                        <td className="py-2 pr-4 text-right">{totals.in}</td>
+                                        <td className="py-2 pr-4 text-right">{totals.out}</td>
+                                        <td className="py-2 pr-4 text-right">{closing}</td>
+                                        <td />
+                                    </tr>
+                                </tfoot>
+                            </table>
+                        </div>
+
+                        {!loading && entries.length === 0 && (
+                            <p className="text-center text-slate-400 py-6">No entries this month</p>
+                        )}
+
+                        <div className="hidden print:flex justify-between mt-12 pt-4">
+                            <p className="border-t border-slate-400 w-64 pt-1">Pharmacist in charge</p>
+                            <p className="border-t border-slate-400 w-64 pt-1">Date</p>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {showCount && medicine && (
+                <ControlledCountDialog
+                    medicine={medicine}
+                    onClose={() => setShowCount(false)}
+                    onDone={() => {
+                        setShowCount(false);
+                        setVersion(v => v + 1);
+                    }}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,157 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { recordAccountPayment, adjustCustomerAccount } from '../../db/db';
+import { PAYMENT_METHODS } from '../../lib/payments';
+import { formatCurrency } from '../../lib/format';
+import { Wallet, X, Save } from 'lucide-react';
+
+/**
+ * Account Payment Dialog
+ * Take a (partial) payment against a customer's balance, or, for admins,
+ * post an adjustment such as an opening balance
+ */
+export default function AccountPaymentDialog({ customer, balance, mode = 'payment', onClose, onDone }) {
+    const { showToast } = useApp();
+    const isPayment = mode === 'payment';
+    const [amount, setAmount] = useState('');
+    const [method, setMethod] = useState('cash');
+    const [reference, setReference] = useState('');
+    const [note, setNote] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const value = parseFloat(amount);
+        if (isNaN(value) || (isPayment ? value <= 0 : value === 0)) {
+            showToast('Enter the amount', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (isPayment && value > balance + 0.005) {
+            showToast(`${customer.name} only owes ${formatCurrency(balance)}`, TOAST_TYPES.ERROR);
+            return;
+        }
+        if (!isPayment && !note.trim()) {
+            showToast('Enter a note explaining the adjustment', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = isPayment
+            ? await recordAccountPayment({ customerId: customer.id, amount: value, method, reference, note })
+            : await adjustCustomerAccount(customer.id, value, note.trim());
+        setIsSubmitting(false);
+
+        if (result.success) {
+            showToast(
+                `${isPayment ? 'Payment recorded' : 'Account adjusted'}. Balance now ${formatCurrency(result.data.balance)}`,
+                TOAST_TYPES.SUCCESS
+            );
+            onDone(result.data);
+        } else {
+            showToast(result.error || 'Failed to update the account', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6 max-h-[90vh] overflow-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <Wallet className="w-5 h-5 text-pharmacy-600" />
+                        {isPayment ? 'Record Payment' : 'Adjust Account'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex justify-between p-3 rounded-xl bg-slate-50 mb-4">
+                    <span className="text-slate-600">{customer.name} owes</span>
+                    <span className="font-bold text-slate-800">{formatCurrency(balance)}</span>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">
+                            {isPayment ? 'Amount received *' : 'Amount * (negative reduces the balance)'}
+                        </label>
+                        <div className="flex gap-2">
+                            <input
+                                type="number"
+                                step="0.01"
+                                min={isPayment ? '0.01' : undefined}
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                                className="input-field"
+                                autoFocus
+                            />
+                            {isPayment && balance > 0 && (
+                                <button
+                                    type="button"
+                                    onClick={() => setAmount(balance.toFixed(2))}
+                                    className="btn-secondary whitespace-nowrap"
+                                >
+                                    Full balance
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    {isPayment && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Method</label>
+                                <select
+                                    value={method}
+                                    onChange={(e) => setMethod(e.target.value)}
+                                    className="input-field cursor-pointer"
+                                >
+                                    {Object.entries(PAYMENT_METHODS).filter(([key]) => key !== 'credit').map(([key, label]) => (
+                                        <option key={key} value={key}>{label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Reference</label>
+                                <input
+                                    type="text"
+                                    value={reference}
+                                    onChange={(e) => setReference(e.target.value)}
+                                    className="input-field"
+                                    placeholder="Optional"
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">
+                            Note{isPayment ? '' : ' *'}
+                        </label>
+                        <input
+                            type="text"
+                            value={note}
+                            onChange={(e) => setNote(e.target.value)}
+                            className="input-field"
+                            placeholder={isPayment ? 'Optional' : 'e.g. Opening balance from the credit book'}
+                        />
+                    </div>
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex-1 flex items-center justify-center gap-2 disabled:opacity-50"
+                        >
+                            <Save className="w-4 h-4" />
+                            Save
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
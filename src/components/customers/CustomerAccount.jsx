@@ -0,0 +1,162 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getCustomerAccount, LEDGER_ENTRY_TYPES } from '../../db/db';
+import { PAYMENT_METHODS } from '../../lib/payments';
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import AccountPaymentDialog from './AccountPaymentDialog';
+import StatementModal from './StatementModal';
+import { Wallet, Plus, SlidersHorizontal, FileText } from 'lucide-react';
+
+function describe(entry) {
+    const parts = [LEDGER_ENTRY_TYPES[entry.entryType] || entry.entryType];
+    if (entry.invoiceNumber) parts.push(formatReceiptNumber(entry.invoiceNumber));
+    if (entry.method) parts.push(PAYMENT_METHODS[entry.method] || entry.method);
+    return parts.join(' · ');
+}
+
+/**
+ * Customer Account
+ * Credit balance and ledger on the customer page, with payments and statements
+ */
+export default function CustomerAccount({ customer, isAdmin }) {
+    const { showToast } = useApp();
+    const [account, setAccount] = useState(null); // { customerId, entries, balance }
+    const [reloadKey, setReloadKey] = useState(0);
+    const [dialog, setDialog] = useState(null); // 'payment' | 'adjustment'
+    const [showStatement, setShowStatement] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getCustomerAccount(customer.id).then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load account', TOAST_TYPES.ERROR);
+            setAccount({ customerId: customer.id, ...result.data });
+        });
+        return () => { cancelled = true; };
+    }, [customer.id, reloadKey, showToast]);
+
+    const loaded = account?.customerId === customer.id;
+    const balance = loaded ? account.balance : 0;
+    const entries = loaded ? account.entries : [];
+
+    // Nothing to show for a customer who has never had credit
+    if (loaded && entries.length === 0 && customer.creditLimit <= 0 && !isAdmin) return null;
+
+    const handleDone = () => {
+        setDialog(null);
+        setReloadKey(prev => prev + 1);
+    };
+
+    return (
+        <div className="glass-card p-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+                <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                    <Wallet className="w-5 h-5 text-pharmacy-600" />
+                    Account
+                </h2>
+                <div className="flex flex-wrap gap-2">
+                    <button
+                        onClick={() => setDialog('payment')}
+                        disabled={!loaded || balance <= 0}
+                        className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        <Plus className="w-4 h-4" />
+                        Record Payment
+                    </button>
+                    <button
+                        onClick={() => setShowStatement(true)}
+                        disabled={!loaded}
+                        className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                    >
+                        <FileText className="w-4 h-4" />
+                        Statement
+                    </button>
+                    {isAdmin && (
+                        <button
+                            onClick={() => setDialog('adjustment')}
+                            disabled={!loaded}
+                            className="btn-secondary flex items-center gap-2 disabled:opacity-50"
+                        >
+                            <SlidersHorizontal className="w-4 h-4" />
+                            Adjust
+                        </button>
+                    )}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Balance owed</p>
+                    <p className={`text-2xl font-bold ${balance > 0 ? 'text-red-600' : 'text-slate-800'}`}>
+                        {loaded ? formatCurrency(balance) : '…'}
+                    </p>
+                    {balance < 0 && <p className="text-xs text-green-600">In credit</p>}
+                </div>
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Credit limit</p>
+                    <p className="text-2xl font-bold text-slate-800">
+                        {customer.creditLimit > 0 ? formatCurrency(customer.creditLimit) : 'None'}
+                    </p>
+                </div>
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Available</p>
+                    <p className="text-2xl font-bold text-slate-800">
+                        {formatCurrency(Math.max(customer.creditLimit - balance, 0))}
+                    </p>
+                </div>
+            </div>
+
+            {entries.length === 0 ? (
+                <p className="text-slate-500">
+                    {customer.creditLimit > 0 ? 'No sales on account yet.' : 'No credit account. An admin can set a credit limit.'}
+                </p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead className="bg-slate-50 border-b border-slate-100">
+                            <tr>
+                                <th className="text-left py-3 px-4 font-semibold text-slate-600">Date</th>
+                                <th className="text-left py-3 px-4 font-semibold text-slate-600">Entry</th>
+                                <th className="text-left py-3 px-4 font-semibold text-slate-600">By</th>
+                                <th className="text-right py-3 px-4 font-semibold text-slate-600">Amount</th>
+                                <th className="text-right py-3 px-4 font-semibold text-slate-600">Balance</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-slate-100">
+                            {[...entries].reverse().map(entry => (
+                                <tr key={entry.id}>
+                                    <td className="py-3 px-4 text-slate-500">{formatDateTime(entry.createdAt)}</td>
+                                    <td className="py-3 px-4 text-slate-700">
+                                        {describe(entry)}
+                                        {(entry.note || entry.reference) && (
+                                            <p className="text-xs text-slate-400">{[entry.reference, entry.note].filter(Boolean).join(' · ')}</p>
+                                        )}
+                                    </td>
+                                    <td className="py-3 px-4 text-slate-500">{entry.createdByName || '—'}</td>
+                                    <td className={`py-3 px-4 text-right font-medium ${entry.amount > 0 ? 'text-slate-800' : 'text-green-600'}`}>
+                                        {entry.amount > 0 ? '' : '−'}{formatCurrency(Math.abs(entry.amount))}
+                                    </td>
+                                    <td className="py-3 px-4 text-right text-slate-600">{formatCurrency(entry.balance)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {dialog && (
+                <AccountPaymentDialog
+                    customer={customer}
+                    balance={balance}
+                    mode={dialog}
+                    onClose={() => setDialog(null)}
+                    onDone={handleDone}
+                />
+            )}
+
+            {showStatement && (
+                <StatementModal customer={customer} entries={entries} onClose={() => setShowStatement(false)} />
+            )}
+        </div>
+    );
+}
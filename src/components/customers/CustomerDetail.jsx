@@ -0,0 +1,247 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import { getCustomer, getCustomerPurchases, deleteCustomer } from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import CustomerForm from './CustomerForm';
+import CustomerAccount from './CustomerAccount';
+import CustomerLoyalty from './CustomerLoyalty';
+import ReceiptModal from '../sales/ReceiptModal';
+import {
+    User,
+    ChevronLeft,
+    Phone,
+    Cake,
+    AlertTriangle,
+    Edit2,
+    Trash2,
+    Repeat,
+    Receipt as ReceiptIcon,
+    AlertCircle
+} from 'lucide-react';
+
+// Whole years between a date of birth (YYYY-MM-DD) and today
+function age(dateOfBirth, today) {
+    const dob = new Date(`${dateOfBirth}T00:00:00`);
+    let years = today.getFullYear() - dob.getFullYear();
+    if (today.getMonth() < dob.getMonth() || (today.getMonth() === dob.getMonth() && today.getDate() < dob.getDate())) years--;
+    return years;
+}
+
+/**
+ * Customer Detail
+ * Profile, allergies, credit account, loyalty points and purchase history,
+ * with the medicines they buy repeatedly
+ */
+export default function CustomerDetail() {
+    const { customerId } = useParams();
+    const navigate = useNavigate();
+    const { showToast } = useApp();
+    const { isAdmin } = useAuth();
+    const [data, setData] = useState(null); // { customerId, customer, purchases, loadedAt, error }
+    const [editing, setEditing] = useState(false);
+    const [receiptInvoiceId, setReceiptInvoiceId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getCustomer(customerId), getCustomerPurchases(customerId)]).then(([customerResult, purchasesResult]) => {
+            if (cancelled) return;
+            if (!purchasesResult.success) showToast(purchasesResult.error || 'Failed to load purchases', TOAST_TYPES.ERROR);
+            setData({
+                customerId,
+                customer: customerResult.data || null,
+                purchases: purchasesResult.data || [],
+                loadedAt: new Date(),
+                error: customerResult.success ? null : customerResult.error || 'Customer not found'
+            });
+        });
+        return () => { cancelled = true; };
+    }, [customerId, showToast]);
+
+    const loading = data?.customerId !== customerId;
+    const customer = loading ? null : data.customer;
+    const purchases = useMemo(() => (loading ? [] : data.purchases), [loading, data]);
+
+    // Medicines bought on more than one visit: likely chronic/regular medication
+    const repeatMedicines = useMemo(() => {
+        const byMedicine = new Map();
+        for (const invoice of purchases) {
+            for (const line of invoice.lines) {
+                const key = line.medicineId || line.medicineName;
+                const entry = byMedicine.get(key) || { name: line.medicineName, visits: new Set(), quantity: 0, lastAt: invoice.createdAt };
+                entry.visits.add(invoice.id);
+                entry.quantity += line.quantitySold;
+                if (invoice.createdAt > entry.lastAt) entry.lastAt = invoice.createdAt;
+                byMedicine.set(key, entry);
+            }
+        }
+        return [...byMedicine.values()]
+            .filter(m => m.visits.size > 1)
+            .sort((a, b) => b.visits.size - a.visits.size || b.lastAt.localeCompare(a.lastAt));
+    }, [purchases]);
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete ${customer.name}? Their past sales are kept but no longer linked to them.`)) return;
+        const result = await deleteCustomer(customer.id);
+        if (result.success) {
+            showToast('Customer deleted', TOAST_TYPES.SUCCESS);
+            navigate('/customers');
+        } else {
+            showToast(result.error || 'Failed to delete customer', TOAST_TYPES.ERROR);
+        }
+    };
+
+    const handleSaved = (saved) => {
+        setData(prev => ({ ...prev, customer: saved }));
+        setEditing(false);
+    };
+
+    if (loading) {
+        return (
+            <div className="flex justify-center py-12">
+                <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+            </div>
+        );
+    }
+
+    if (!customer) {
+        return (
+            <div className="flex flex-col items-center justify-center py-12 text-slate-500">
+                <AlertCircle className="w-10 h-10 text-red-400 mb-3" />
+                <p>{data.error}</p>
+                <button onClick={() => navigate('/customers')} className="btn-secondary mt-4">Back to customers</button>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <button onClick={() => navigate('/customers')} className="text-slate-500 hover:text-slate-700 flex items-center gap-1 text-sm">
+                <ChevronLeft className="w-4 h-4" />
+                Customers
+            </button>
+
+            <div className="glass-card p-6">
+                <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                    <div className="space-y-2">
+                        <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                            <User className="w-7 h-7 text-pharmacy-600" />
+                            {customer.name}
+                        </h1>
+                        <div className="flex flex-wrap gap-x-6 gap-y-1 text-slate-500">
+                            <span className="flex items-center gap-2">
+                                <Phone className="w-4 h-4" />
+                                {customer.phone || 'No phone'}
+                            </span>
+                            {customer.dateOfBirth && (
+                                <span className="flex items-center gap-2">
+                                    <Cake className="w-4 h-4" />
+                                    {new Date(`${customer.dateOfBirth}T00:00:00`).toLocaleDateString()} ({age(customer.dateOfBirth, data.loadedAt)} years)
+                                </span>
+                            )}
+                        </div>
+                    </div>
+                    <div className="flex gap-3">
+                        <button onClick={() => setEditing(true)} className="btn-secondary flex items-center gap-2">
+                            <Edit2 className="w-4 h-4" />
+                            Edit
+                        </button>
+                        {isAdmin && (
+                            <button onClick={handleDelete} className="btn-secondary flex items-center gap-2 text-red-600">
+                                <Trash2 className="w-4 h-4" />
+                                Delete
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {customer.allergies && (
+                    <div className="mt-4 flex gap-2 p-3 rounded-xl bg-red-50 text-red-700">
+                        <AlertTriangle className="w-5 h-5 shrink-0" />
+                        <span><span className="font-semibold">Allergies:</span> {customer.allergies}</span>
+                    </div>
+                )}
+                {customer.notes && (
+                    <p className="mt-4 text-slate-600 whitespace-pre-line">{customer.notes}</p>
+                )}
+            </div>
+
+            <CustomerAccount customer={customer} isAdmin={isAdmin} />
+
+            <CustomerLoyalty customerId={customer.id} />
+
+            {/* Repeat medication */}
+            {repeatMedicines.length > 0 && (
+                <div className="glass-card p-6">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2 mb-4">
+                        <Repeat className="w-5 h-5 text-pharmacy-600" />
+                        Bought Repeatedly
+                    </h2>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                        {repeatMedicines.map(m => (
+                            <div key={m.name} className="flex justify-between items-center p-3 rounded-xl bg-slate-50">
+                                <div>
+                                    <p className="font-medium text-slate-800">{m.name}</p>
+                                    <p className="text-xs text-slate-500">Last bought {formatDateTime(m.lastAt)}</p>
+                                </div>
+                                <div className="text-right text-sm text-slate-600">
+                                    <p>{m.visits.size} visits</p>
+                                    <p className="text-xs text-slate-400">{m.quantity} units</p>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Purchase history */}
+            <div className="glass-card p-6">
+                <h2 className="text-xl font-bold text-slate-800 mb-4">Purchase History</h2>
+                {purchases.length === 0 ? (
+                    <p className="text-slate-500">No purchases linked to this customer yet.</p>
+                ) : (
+                    <div className="space-y-3">
+                        {purchases.map(invoice => (
+                            <div key={invoice.id} className="p-4 rounded-xl border border-slate-100">
+                                <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                                    <p className="text-sm text-slate-500">
+                                        <span className="font-semibold text-slate-800">{formatReceiptNumber(invoice.invoiceNumber)}</span>
+                                        {' · '}{formatDateTime(invoice.createdAt)}
+                                        {invoice.sellerName && ` · ${invoice.sellerName}`}
+                                    </p>
+                                    <div className="flex items-center gap-3">
+                                        <span className="font-bold text-slate-800">{formatCurrency(invoice.totalAmount)}</span>
+                                        <button
+                                            onClick={() => setReceiptInvoiceId(invoice.id)}
+                                            className="p-2 text-slate-400 hover:text-pharmacy-600 hover:bg-pharmacy-50 rounded-lg"
+                                            title="View receipt"
+                                        >
+                                            <ReceiptIcon className="w-4 h-4" />
+                                        </button>
+                                    </div>
+                                </div>
+                                <ul className="text-sm text-slate-600 space-y-0.5">
+                                    {invoice.lines.map(line => (
+                                        <li key={line.id} className="flex justify-between">
+                                            <span>{line.quantitySold} × {line.medicineName}</span>
+                                            <span className="text-slate-400">{formatCurrency(line.totalPrice)}</span>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {editing && (
+                <CustomerForm customer={customer} onClose={() => setEditing(false)} onSaved={handleSaved} />
+            )}
+
+            {receiptInvoiceId && (
+                <ReceiptModal invoiceId={receiptInvoiceId} onClose={() => setReceiptInvoiceId(null)} />
+            )}
+        </div>
+    );
+}
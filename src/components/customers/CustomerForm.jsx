@@ -0,0 +1,149 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import { saveCustomer } from '../../db/db';
+import { UserPlus, X, Save } from 'lucide-react';
+
+/**
+ * Customer Form
+ * Add or edit a customer; used from the Customers page and the POS
+ */
+export default function CustomerForm({ customer = null, initialPhone = '', onClose, onSaved }) {
+    const { showToast } = useApp();
+    const { isAdmin } = useAuth();
+    const [form, setForm] = useState({
+        name: customer?.name || '',
+        phone: customer?.phone || initialPhone,
+        dateOfBirth: customer?.dateOfBirth || '',
+        allergies: customer?.allergies || '',
+        notes: customer?.notes || '',
+        creditLimit: customer?.creditLimit ? String(customer.creditLimit) : ''
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.name.trim()) {
+            showToast('Enter the customer name', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (isAdmin && form.creditLimit !== '' && !(parseFloat(form.creditLimit) >= 0)) {
+            showToast('Enter a valid credit limit', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await saveCustomer({
+            ...form,
+            id: customer?.id,
+            creditLimit: isAdmin ? form.creditLimit : undefined
+        });
+        setIsSubmitting(false);
+
+        if (result.success) {
+            showToast(customer ? 'Customer updated' : 'Customer added', TOAST_TYPES.SUCCESS);
+            onSaved(result.data);
+        } else {
+            showToast(result.error || 'Failed to save customer', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6 max-h-[90vh] overflow-auto">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <UserPlus className="w-5 h-5 text-pharmacy-600" />
+                        {customer ? 'Edit Customer' : 'New Customer'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Name *</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => update('name', e.target.value)}
+                            className="input-field"
+                            autoFocus
+                        />
+                    </div>
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Phone</label>
+                            <input
+                                type="tel"
+                                value={form.phone}
+                                onChange={(e) => update('phone', e.target.value)}
+                                className="input-field"
+                                placeholder="+252 ..."
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Date of birth</label>
+                            <input
+                                type="date"
+                                value={form.dateOfBirth}
+                                onChange={(e) => update('dateOfBirth', e.target.value)}
+                                className="input-field"
+                            />
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Allergies</label>
+                        <input
+                            type="text"
+                            value={form.allergies}
+                            onChange={(e) => update('allergies', e.target.value)}
+                            className="input-field"
+                            placeholder="e.g. Penicillin, sulfa drugs"
+                        />
+                    </div>
+                    {isAdmin && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Credit limit</label>
+                            <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={form.creditLimit}
+                                onChange={(e) => update('creditLimit', e.target.value)}
+                                className="input-field"
+                                placeholder="0 = cannot buy on account"
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Notes</label>
+                        <textarea
+                            value={form.notes}
+                            onChange={(e) => update('notes', e.target.value)}
+                            className="input-field min-h-[80px]"
+                            placeholder="Conditions, regular doctor, preferences..."
+                        />
+                    </div>
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex-1 flex items-center justify-center gap-2 disabled:opacity-50"
+                        >
+                            <Save className="w-4 h-4" />
+                            Save
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
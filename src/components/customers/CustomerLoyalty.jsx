@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { getCustomerLoyalty, getLoyaltyPoints, POINT_ENTRY_TYPES } from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import { Star } from 'lucide-react';
+
+/**
+ * Customer Loyalty
+ * Points balance, the next points to expire and the points ledger on the customer page
+ */
+export default function CustomerLoyalty({ customerId }) {
+    const [data, setData] = useState(null); // { customerId, loyalty, entries }
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getCustomerLoyalty(customerId), getLoyaltyPoints(customerId)]).then(([loyaltyResult, pointsResult]) => {
+            if (cancelled) return;
+            setData({ customerId, loyalty: loyaltyResult.data || null, entries: pointsResult.data || [] });
+        });
+        return () => { cancelled = true; };
+    }, [customerId]);
+
+    if (data?.customerId !== customerId || !data.loyalty) return null;
+    const { loyalty, entries } = data;
+    // Nothing to show while the program is off and they never had points
+    if (!loyalty.enabled && entries.length === 0) return null;
+
+    return (
+        <div className="glass-card p-6">
+            <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2 mb-4">
+                <Star className="w-5 h-5 text-pharmacy-600" />
+                Loyalty Points
+            </h2>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Points</p>
+                    <p className="text-2xl font-bold text-slate-800">{loyalty.balance}</p>
+                </div>
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Worth</p>
+                    <p className="text-2xl font-bold text-slate-800">{formatCurrency(loyalty.value)}</p>
+                </div>
+                <div className="p-4 rounded-xl bg-slate-50">
+                    <p className="text-sm text-slate-500">Next to expire</p>
+                    <p className="text-lg font-bold text-slate-800">
+                        {loyalty.nextExpiry ? `${loyalty.nextExpiry.points} points` : 'None'}
+                    </p>
+                    {loyalty.nextExpiry && (
+                        <p className="text-xs text-slate-500">{formatDateTime(loyalty.nextExpiry.at)}</p>
+                    )}
+                </div>
+            </div>
+
+            {entries.length > 0 && (
+                <ul className="divide-y divide-slate-100 text-sm">
+                    {entries.map(entry => (
+                        <li key={entry.id} className="flex justify-between gap-4 py-2">
+                            <span className="text-slate-600">
+                                {POINT_ENTRY_TYPES[entry.entryType] || entry.entryType}
+                                {entry.invoiceNumber && ` · ${formatReceiptNumber(entry.invoiceNumber)}`}
+                                {entry.value !== null && ` · ${formatCurrency(entry.value)} off`}
+                                <span className="block text-xs text-slate-400">{formatDateTime(entry.createdAt)}</span>
+                            </span>
+                            <span className={`font-semibold ${entry.points > 0 ? 'text-green-600' : 'text-slate-600'}`}>
+                                {entry.points > 0 ? '+' : '−'}{Math.abs(entry.points)}
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
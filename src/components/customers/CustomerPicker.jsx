@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import { getCustomers, searchCustomers, getCustomerBalance } from '../../db/db';
+import { formatCurrency } from '../../lib/format';
+import CustomerForm from './CustomerForm';
+import { User, UserPlus, X, AlertTriangle, Search } from 'lucide-react';
+
+/**
+ * Customer Picker
+ * Attach a customer to the POS sale by phone (or name), or register a new one.
+ * Allergies are shown as soon as the customer is picked, and what they owe
+ * when they have a credit account.
+ */
+export default function CustomerPicker({ customer, onChange }) {
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState(null); // { query, rows }
+    const [showForm, setShowForm] = useState(false);
+    const [account, setAccount] = useState(null); // { customerId, balance }
+
+    // Mirror customers locally so they can still be found offline
+    useEffect(() => {
+        getCustomers();
+    }, []);
+
+    useEffect(() => {
+        if (query.trim().length < 2) return;
+        let cancelled = false;
+        const timer = setTimeout(() => {
+            searchCustomers(query).then(result => {
+                if (!cancelled) setResults({ query, rows: result.data || [] });
+            });
+        }, 250);
+        return () => {
+            cancelled = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    const hasAccount = customer?.creditLimit > 0;
+
+    useEffect(() => {
+        if (!customer?.id || !hasAccount) return;
+        let cancelled = false;
+        getCustomerBalance(customer.id).then(result => {
+            if (!cancelled && result.success) setAccount({ customerId: customer.id, balance: result.data });
+        });
+        return () => { cancelled = true; };
+    }, [customer?.id, hasAccount]);
+
+    const balance = account?.customerId === customer?.id ? account.balance : null;
+
+    const rows = results?.query === query ? results.rows : [];
+    const searched = query.trim().length >= 2 && results?.query === query;
+
+    const pick = (picked) => {
+        onChange(picked);
+        setQuery('');
+        setShowForm(false);
+    };
+
+    if (customer) {
+        return (
+            <div className="bg-white/10 rounded-xl p-3 mb-4">
+                <div className="flex justify-between items-start gap-2">
+                    <div className="min-w-0">
+                        <p className="font-semibold flex items-center gap-2 truncate">
+                            <User className="w-4 h-4 shrink-0" />
+                            {customer.name}
+                        </p>
+                        {customer.phone && <p className="text-sm text-pharmacy-200">{customer.phone}</p>}
+                    </div>
+                    <button
+                        onClick={() => onChange(null)}
+                        className="p-1 text-pharmacy-200 hover:text-white"
+                        title="Remove customer"
+                    >
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+                {hasAccount && (
+                    <p className="mt-1 text-xs text-pharmacy-200">
+                        {balance !== null && `Owes ${formatCurrency(balance)} · `}
+                        Credit limit {formatCurrency(customer.creditLimit)}
+                    </p>
+                )}
+                {customer.allergies && (
+                    <p className="mt-2 flex items-start gap-2 text-sm font-medium text-red-200 bg-red-500/20 rounded-lg px-2 py-1">
+                        <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                        Allergies: {customer.allergies}
+                    </p>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="relative mb-4">
+            <div className="flex gap-2">
+                <div className="relative flex-1">
+                    <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-pharmacy-300" />
+                    <input
+                        type="text"
+                        value={query}
+                        onChange={(e) => setQuery(e.target.value)}
+                        className="w-full bg-white/10 rounded-lg pl-9 pr-3 py-2 text-sm outline-none placeholder:text-pharmacy-300"
+                        placeholder="Customer phone or name (optional)"
+                    />
+                </div>
+                <button
+                    onClick={() => setShowForm(true)}
+                    className="px-3 rounded-lg bg-white/10 hover:bg-white/20"
+                    title="New customer"
+                >
+                    <UserPlus className="w-4 h-4" />
+                </button>
+            </div>
+
+            {searched && (
+                <div className="absolute z-10 mt-1 w-full bg-white text-slate-800 rounded-xl shadow-xl border border-slate-100 overflow-hidden">
+                    {rows.length === 0 ? (
+                        <button
+                            onClick={() => setShowForm(true)}
+                            className="w-full text-left px-4 py-3 text-sm text-slate-500 hover:bg-slate-50"
+                        >
+                            No match. <span className="text-pharmacy-600 font-medium">Add a new customer</span>
+                        </button>
+                    ) : rows.map(row => (
+                        <button
+                            key={row.id}
+                            onClick={() => pick(row)}
+                            className="w-full text-left px-4 py-2 hover:bg-pharmacy-50 border-b border-slate-100 last:border-0"
+                        >
+                            <p className="font-medium">{row.name}</p>
+                            <p className="text-xs text-slate-500">
+                                {row.phone || 'No phone'}
+                                {row.allergies && <span className="text-red-600"> · Allergies: {row.allergies}</span>}
+                            </p>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {showForm && (
+                <CustomerForm
+                    initialPhone={/\d{3,}/.test(query) ? query.trim() : ''}
+                    onClose={() => setShowForm(false)}
+                    onSaved={pick}
+                />
+            )}
+        </div>
+    );
+}
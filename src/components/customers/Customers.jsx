@@ -0,0 +1,118 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getCustomers } from '../../db/db';
+import CustomerForm from './CustomerForm';
+import { Users, Plus, Search, Phone, AlertTriangle, ChevronRight } from 'lucide-react';
+
+/**
+ * Customers Component
+ * Customer/patient registry; open one to see their purchase history
+ */
+export default function Customers() {
+    const { showToast } = useApp();
+    const navigate = useNavigate();
+    const [customers, setCustomers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [search, setSearch] = useState('');
+    const [showForm, setShowForm] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getCustomers().then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setCustomers(result.data);
+            } else {
+                showToast(result.error || 'Failed to load customers', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [showToast]);
+
+    const filtered = useMemo(() => {
+        const text = search.trim().toLowerCase();
+        const digits = search.replace(/\D/g, '');
+        if (!text) return customers;
+        return customers.filter(c =>
+            c.name.toLowerCase().includes(text) || (digits.length >= 3 && (c.phoneDigits || '').includes(digits))
+        );
+    }, [customers, search]);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <Users className="w-8 h-8 text-pharmacy-600" />
+                        Customers
+                    </h1>
+                    <p className="text-slate-500">Customers and patients, their allergies and what they bought</p>
+                </div>
+                <button onClick={() => setShowForm(true)} className="btn-primary flex items-center gap-2">
+                    <Plus className="w-5 h-5" />
+                    Add Customer
+                </button>
+            </div>
+
+            <div className="relative">
+                <Search className="w-5 h-5 absolute left-4 top-1/2 -translate-y-1/2 text-slate-400" />
+                <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    className="input-field pl-12"
+                    placeholder="Search by name or phone..."
+                />
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : filtered.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <Users className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">
+                        {customers.length === 0 ? 'No customers yet' : 'No customers match your search'}
+                    </p>
+                </div>
+            ) : (
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 divide-y divide-slate-100">
+                    {filtered.map(customer => (
+                        <button
+                            key={customer.id}
+                            onClick={() => navigate(`/customers/${customer.id}`)}
+                            className="w-full flex items-center justify-between gap-4 px-6 py-4 text-left hover:bg-slate-50"
+                        >
+                            <div className="min-w-0">
+                                <p className="font-semibold text-slate-800">{customer.name}</p>
+                                <p className="text-sm text-slate-500 flex flex-wrap items-center gap-x-4 gap-y-1">
+                                    <span className="flex items-center gap-1">
+                                        <Phone className="w-3.5 h-3.5" />
+                                        {customer.phone || 'No phone'}
+                                    </span>
+                                    {customer.allergies && (
+                                        <span className="flex items-center gap-1 text-red-600">
+                                            <AlertTriangle className="w-3.5 h-3.5" />
+                                            {customer.allergies}
+                                        </span>
+                                    )}
+                                </p>
+                            </div>
+                            <ChevronRight className="w-5 h-5 text-slate-300 shrink-0" />
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {showForm && (
+                <CustomerForm
+                    onClose={() => setShowForm(false)}
+                    onSaved={(saved) => navigate(`/customers/${saved.id}`)}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { getCustomerLoyalty } from '../../db/db';
+import { formatCurrency } from '../../lib/format';
+import { Star } from 'lucide-react';
+
+/**
+ * Loyalty Redeem
+ * The attached customer's points at the POS, what this sale earns, and how
+ * many points to redeem against it
+ */
+export default function LoyaltyRedeem({ customer, points, pointsRedeemed, pointsEarned, onChange }) {
+    const [loyalty, setLoyalty] = useState(null); // { customerId, balance, value, pointValue }
+
+    useEffect(() => {
+        let cancelled = false;
+        getCustomerLoyalty(customer.id).then(result => {
+            if (cancelled) return;
+            setLoyalty(result.success
+                ? { customerId: customer.id, ...result.data }
+                : { customerId: customer.id, balance: 0, value: 0, error: result.error });
+        });
+        return () => { cancelled = true; };
+    }, [customer.id]);
+
+    const current = loyalty?.customerId === customer.id ? loyalty : null;
+    const balance = Math.max(current?.balance || 0, 0);
+
+    const handleChange = (value) => {
+        onChange(value === '' ? '' : String(Math.min(Math.max(parseInt(value) || 0, 0), balance)));
+    };
+
+    return (
+        <div className="mb-4 space-y-2 text-sm">
+            <div className="flex justify-between items-center text-pharmacy-200">
+                <span className="flex items-center gap-1">
+                    <Star className="w-4 h-4" />
+                    {!current ? 'Loading points…' : current.error ? 'Points unavailable' : `${balance} points (${formatCurrency(current.value)})`}
+                </span>
+                {pointsEarned > 0 && <span>Earns {pointsEarned} points</span>}
+            </div>
+            {balance > 0 && (
+                <div className="flex gap-2 items-center">
+                    <input
+                        type="number"
+                        min="0"
+                        max={balance}
+                        step="1"
+                        value={points}
+                        onChange={(e) => handleChange(e.target.value)}
+                        className="w-28 bg-white/10 rounded-lg px-2 py-1 outline-none placeholder:text-pharmacy-300"
+                        placeholder="Redeem"
+                    />
+                    <button
+                        type="button"
+                        onClick={() => handleChange(String(balance))}
+                        className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20"
+                    >
+                        Use all
+                    </button>
+                    {pointsRedeemed > 0 && parseInt(points) > pointsRedeemed && (
+                        <span className="text-pharmacy-200">Only {pointsRedeemed} needed</span>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,139 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getReceivablesAging } from '../../db/db';
+import { formatCurrency, formatDateTime } from '../../lib/format';
+import { Wallet, ChevronRight } from 'lucide-react';
+
+const BUCKETS = [
+    { key: 'current', label: '0–30 days', color: 'text-slate-800' },
+    { key: 'days31To60', label: '31–60 days', color: 'text-amber-600' },
+    { key: 'over60', label: 'Over 60 days', color: 'text-red-600' }
+];
+
+/**
+ * Receivables Component
+ * What customers owe on account, aged by the oldest unpaid charges
+ */
+export default function Receivables() {
+    const { showToast } = useApp();
+    const navigate = useNavigate();
+    const [asOf, setAsOf] = useState(''); // YYYY-MM-DD, empty for now
+    const [result, setResult] = useState(null); // { key, rows }
+
+    useEffect(() => {
+        let cancelled = false;
+        getReceivablesAging({ asOf: asOf ? new Date(`${asOf}T23:59:59.999`) : null }).then(aging => {
+            if (cancelled) return;
+            if (!aging.success) showToast(aging.error || 'Failed to load receivables', TOAST_TYPES.ERROR);
+            setResult({ key: asOf, rows: aging.data || [] });
+        });
+        return () => { cancelled = true; };
+    }, [asOf, showToast]);
+
+    const loading = result?.key !== asOf;
+    const rows = useMemo(() => (loading ? [] : result.rows), [loading, result]);
+
+    const totals = useMemo(() => rows.reduce((sum, r) => ({
+        balance: sum.balance + Math.max(r.balance, 0),
+        current: sum.current + r.current,
+        days31To60: sum.days31To60 + r.days31To60,
+        over60: sum.over60 + r.over60
+    }), { balance: 0, current: 0, days31To60: 0, over60: 0 }), [rows]);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <Wallet className="w-8 h-8 text-pharmacy-600" />
+                        Receivables
+                    </h1>
+                    <p className="text-slate-500">Customer balances on account and how long they have been owed</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <label className="text-sm text-slate-500">As of</label>
+                    <input
+                        type="date"
+                        value={asOf}
+                        onChange={(e) => setAsOf(e.target.value)}
+                        className="input-field md:w-48"
+                    />
+                </div>
+            </div>
+
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                <div className="stat-card">
+                    <p className="text-sm text-slate-500">Total owed</p>
+                    <p className="text-2xl font-bold text-slate-800 mt-1">{formatCurrency(totals.balance)}</p>
+                </div>
+                {BUCKETS.map(b => (
+                    <div key={b.key} className="stat-card">
+                        <p className="text-sm text-slate-500">{b.label}</p>
+                        <p className={`text-2xl font-bold mt-1 ${b.color}`}>{formatCurrency(totals[b.key])}</p>
+                    </div>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : rows.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <Wallet className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No outstanding balances</p>
+                </div>
+            ) : (
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-slate-50 border-b border-slate-100">
+                                <tr>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Customer</th>
+                                    <th className="text-right py-4 px-6 font-semibold text-slate-600">Limit</th>
+                                    <th className="text-right py-4 px-6 font-semibold text-slate-600">Balance</th>
+                                    {BUCKETS.map(b => (
+                                        <th key={b.key} className="text-right py-4 px-6 font-semibold text-slate-600">{b.label}</th>
+                                    ))}
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Oldest unpaid</th>
+                                    <th className="py-4 px-6" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {rows.map(row => (
+                                    <tr
+                                        key={row.customerId}
+                                        onClick={() => navigate(`/customers/${row.customerId}`)}
+                                        className="hover:bg-slate-50 cursor-pointer"
+                                    >
+                                        <td className="py-4 px-6">
+                                            <p className="font-medium text-slate-800">{row.name}</p>
+                                            {row.phone && <p className="text-sm text-slate-500">{row.phone}</p>}
+                                        </td>
+                                        <td className="py-4 px-6 text-right text-slate-500">{formatCurrency(row.creditLimit)}</td>
+                                        <td className={`py-4 px-6 text-right font-semibold ${row.balance > row.creditLimit ? 'text-red-600' : 'text-slate-800'}`}>
+                                            {formatCurrency(row.balance)}
+                                            {row.balance < 0 && <p className="text-xs font-normal text-green-600">In credit</p>}
+                                        </td>
+                                        {BUCKETS.map(b => (
+                                            <td key={b.key} className={`py-4 px-6 text-right ${row[b.key] > 0 ? b.color : 'text-slate-300'}`}>
+                                                {formatCurrency(row[b.key])}
+                                            </td>
+                                        ))}
+                                        <td className="py-4 px-6 text-sm text-slate-500">
+                                            {row.oldestUnpaidAt ? formatDateTime(row.oldestUnpaidAt) : '—'}
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            <ChevronRight className="w-5 h-5 text-slate-300" />
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,108 @@
+import { LEDGER_ENTRY_TYPES } from '../../db/db';
+import { PAYMENT_METHODS } from '../../lib/payments';
+import { formatCurrency, formatReceiptNumber } from '../../lib/format';
+
+function formatDay(dateString) {
+    return new Date(dateString).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Statement
+ * Printable account statement: opening balance, the period's entries and
+ * what is owed by age
+ */
+export default function Statement({ customer, statement, aging, settings, paper = 'A4' }) {
+    const isThermal = paper !== 'A4';
+    const width = paper === '58mm' ? 'w-[58mm]' : paper === '80mm' ? 'w-[80mm]' : 'w-full max-w-[180mm]';
+    const { entries, opening, closing, from, to } = statement;
+
+    return (
+        <div className={`${width} mx-auto bg-white text-black ${isThermal ? 'text-[11px] p-2 font-mono' : 'text-sm p-8'}`}>
+            <div className={isThermal ? 'text-center mb-3' : 'flex justify-between items-start mb-6'}>
+                <div>
+                    <h2 className={`font-bold ${isThermal ? 'text-sm' : 'text-2xl'}`}>
+                        {settings?.pharmacyName || 'Pharmacy'}
+                    </h2>
+                    {settings?.address && <p>{settings.address}</p>}
+                    {settings?.phone && <p>{settings.phone}</p>}
+                </div>
+                <p className={`font-bold ${isThermal ? '' : 'text-xl'}`}>STATEMENT</p>
+            </div>
+
+            <div className="space-y-0.5 mb-3">
+                <p className="font-semibold">{customer.name}</p>
+                {customer.phone && <p>{customer.phone}</p>}
+                <p>
+                    {from ? formatDay(from) : 'First entry'} to {to ? formatDay(to) : 'today'}
+                </p>
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            <table className="w-full">
+                <thead>
+                    <tr className="border-b border-black">
+                        <th className="text-left py-1">Date</th>
+                        {!isThermal && <th className="text-left py-1">Details</th>}
+                        <th className="text-right py-1">Amount</th>
+                        <th className="text-right py-1">Balance</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td className="py-1" colSpan={isThermal ? 2 : 3}>Opening balance</td>
+                        <td className="py-1 text-right">{formatCurrency(opening)}</td>
+                    </tr>
+                    {entries.map(entry => {
+                        const details = [
+                            LEDGER_ENTRY_TYPES[entry.entryType] || entry.entryType,
+                            entry.invoiceNumber ? formatReceiptNumber(entry.invoiceNumber) : null,
+                            entry.method ? PAYMENT_METHODS[entry.method] : null,
+                            entry.note
+                        ].filter(Boolean).join(' · ');
+                        return (
+                            <tr key={entry.id} className="align-top">
+                                <td className="py-1">
+                                    {formatDay(entry.createdAt)}
+                                    {isThermal && <div>{details}</div>}
+                                </td>
+                                {!isThermal && <td className="py-1">{details}</td>}
+                                <td className="py-1 text-right">{formatCurrency(entry.amount)}</td>
+                                <td className="py-1 text-right">{formatCurrency(entry.balance)}</td>
+                            </tr>
+                        );
+                    })}
+                </tbody>
+            </table>
+
+            <div className="border-t border-black mt-2 pt-2 flex justify-between font-bold">
+                <span>{closing < 0 ? 'In credit' : 'Amount due'}</span>
+                <span>{formatCurrency(Math.abs(closing))}</span>
+            </div>
+
+            {aging && aging.balance > 0 && (
+                <>
+                    <div className="border-t border-dashed border-black my-2" />
+                    <div className="grid grid-cols-3 gap-2 text-center">
+                        <div>
+                            <p>0–30 days</p>
+                            <p className="font-semibold">{formatCurrency(aging.current)}</p>
+                        </div>
+                        <div>
+                            <p>31–60 days</p>
+                            <p className="font-semibold">{formatCurrency(aging.days31To60)}</p>
+                        </div>
+                        <div>
+                            <p>Over 60 days</p>
+                            <p className="font-semibold">{formatCurrency(aging.over60)}</p>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {customer.creditLimit > 0 && (
+                <p className="mt-3">Credit limit: {formatCurrency(customer.creditLimit)}</p>
+            )}
+        </div>
+    );
+}
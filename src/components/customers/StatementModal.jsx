@@ -0,0 +1,132 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getReceivablesAging, getSettings } from '../../db/db';
+import Statement from './Statement';
+import { Printer, X } from 'lucide-react';
+
+const PAPER_SIZES = ['58mm', '80mm', 'A4'];
+
+const PAGE_STYLES = {
+    '58mm': '@page { size: 58mm auto; margin: 0; }',
+    '80mm': '@page { size: 80mm auto; margin: 0; }',
+    A4: '@page { size: A4; margin: 15mm; }'
+};
+
+// Local day bounds for the date inputs (YYYY-MM-DD)
+const dayStart = (day) => new Date(`${day}T00:00:00`);
+const dayEnd = (day) => new Date(`${day}T23:59:59.999`);
+
+/**
+ * Statement Modal
+ * Pick a period and print a customer's account statement.
+ * entries are the customer's whole ledger, oldest first, with running balances.
+ */
+export default function StatementModal({ customer, entries, onClose }) {
+    const [from, setFrom] = useState('');
+    const [to, setTo] = useState('');
+    const [settings, setSettings] = useState(null);
+    const [aging, setAging] = useState(null); // { key, row }
+    const [paper, setPaper] = useState(() => localStorage.getItem('statementPaper') || 'A4');
+
+    useEffect(() => {
+        let cancelled = false;
+        getSettings().then(result => {
+            if (!cancelled) setSettings(result.data);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        let cancelled = false;
+        getReceivablesAging({ customerId: customer.id, asOf: to ? dayEnd(to) : null }).then(result => {
+            if (!cancelled) setAging({ key: to, row: result.data?.[0] || null });
+        });
+        return () => { cancelled = true; };
+    }, [customer.id, to]);
+
+    const statement = useMemo(() => {
+        const start = from ? dayStart(from) : null;
+        const end = to ? dayEnd(to) : null;
+        const before = start ? entries.filter(e => new Date(e.createdAt) < start) : [];
+        const inPeriod = entries.filter(e => {
+            const at = new Date(e.createdAt);
+            return (!start || at >= start) && (!end || at <= end);
+        });
+        const opening = before.length ? before[before.length - 1].balance : 0;
+        return {
+            entries: inPeriod,
+            opening,
+            closing: inPeriod.length ? inPeriod[inPeriod.length - 1].balance : opening,
+            from: start,
+            to: end
+        };
+    }, [entries, from, to]);
+
+    const handlePaperChange = (size) => {
+        setPaper(size);
+        localStorage.setItem('statementPaper', size);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <style>{`@media print { ${PAGE_STYLES[paper]} }`}</style>
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100 no-print">
+                    <h2 className="text-xl font-bold text-slate-800">Statement</h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap items-end gap-4 px-6 py-4 border-b border-slate-100 no-print">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">From</label>
+                        <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} className="input-field" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">To</label>
+                        <input type="date" value={to} onChange={(e) => setTo(e.target.value)} className="input-field" />
+                    </div>
+                    {(from || to) && (
+                        <button onClick={() => { setFrom(''); setTo(''); }} className="btn-secondary">
+                            Whole account
+                        </button>
+                    )}
+                </div>
+
+                <div className="flex-1 overflow-auto p-6 bg-slate-100">
+                    <div className="print-area shadow-md">
+                        <Statement
+                            customer={customer}
+                            statement={statement}
+                            aging={aging?.key === to ? aging.row : null}
+                            settings={settings}
+                            paper={paper}
+                        />
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap justify-between items-center gap-4 p-6 border-t border-slate-100 no-print">
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        {PAPER_SIZES.map(size => (
+                            <button
+                                key={size}
+                                onClick={() => handlePaperChange(size)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${paper === size ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                {size}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex gap-3">
+                        <button onClick={onClose} className="btn-secondary">Close</button>
+                        <button onClick={() => window.print()} className="btn-primary flex items-center gap-2">
+                            <Printer className="w-4 h-4" />
+                            Print
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
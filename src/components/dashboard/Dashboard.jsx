@@ -12,6 +12,7 @@ import {
 } from 'lucide-react';
 import { getDashboardStats } from '../../db/db';
 import { useApp } from '../../context/AppContext';
+import SalesTrends from '../reports/SalesTrends';
 
 /**
  * Dashboard Component
@@ -194,6 +195,9 @@ export default function Dashboard() {
                 </div>
             </div>
 
+            {/* Trends */}
+            <SalesTrends charts={['revenue', 'hourly']} />
+
             {/* Quick Actions & Low Stock Items */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 {/* Quick Actions */}
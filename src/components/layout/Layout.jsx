@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { Outlet } from 'react-router-dom';
 import { useApp, TOAST_TYPES } from '../../context/AppContext';
 import Sidebar from './Sidebar';
+import SyncStatus from '../common/SyncStatus';
 import { X, CheckCircle, AlertTriangle, XCircle, Menu } from 'lucide-react';
 
 /**
@@ -30,7 +31,10 @@ export default function Layout() {
         <div className="flex min-h-screen bg-slate-50">
             {/* Mobile Header */}
             <div className="lg:hidden fixed top-0 left-0 right-0 h-16 bg-pharmacy-900 z-40 flex items-center justify-between px-4 shadow-md">
-                <span className="text-white font-bold text-lg">Darusalaam</span>
+                <div className="flex items-center gap-3">
+                    <span className="text-white font-bold text-lg">Darusalaam</span>
+                    <SyncStatus />
+                </div>
                 <button
                     onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
                     className="text-white p-2 hover:bg-white/10 rounded-lg transition-colors"
@@ -8,10 +8,21 @@ import {
     Heart,
     User,
     X,
-    Truck
+    Truck,
+    AlertTriangle,
+    ClipboardList,
+    RotateCcw,
+    Ban,
+    Tag,
+    Clock,
+    Users,
+    Wallet,
+    FileText,
+    ShieldAlert
 } from 'lucide-react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import SyncStatus from '../common/SyncStatus';
 
 export default function Sidebar({ onClose }) {
     const navigate = useNavigate();
@@ -22,8 +33,18 @@ export default function Sidebar({ onClose }) {
         { id: '/dashboard', label: 'Dashboard', icon: LayoutDashboard, roles: ['admin', 'staff'] },
         { id: '/medicines', label: 'Medicines', icon: Pill, roles: ['admin', 'staff'] },
         { id: '/sales', label: 'Point of Sale', icon: ShoppingCart, roles: ['admin', 'staff'] },
+        { id: '/customers', label: 'Customers', icon: Users, roles: ['admin', 'staff'] },
+        { id: '/prescriptions', label: 'Prescriptions', icon: FileText, roles: ['admin', 'staff'] },
+        { id: '/controlled-register', label: 'Controlled Register', icon: ShieldAlert, roles: ['admin', 'staff'] },
         { id: '/suppliers', label: 'Suppliers', icon: Truck, roles: ['admin'] },
+        { id: '/purchase-orders', label: 'Purchase Orders', icon: ClipboardList, roles: ['admin'] },
         { id: '/reports', label: 'Reports', icon: BarChart3, roles: ['admin'] },
+        { id: '/promotions', label: 'Promotions', icon: Tag, roles: ['admin'] },
+        { id: '/shifts', label: 'Shifts', icon: Clock, roles: ['admin'] },
+        { id: '/receivables', label: 'Receivables', icon: Wallet, roles: ['admin'] },
+        { id: '/returns', label: 'Returns', icon: RotateCcw, roles: ['admin'] },
+        { id: '/voided-sales', label: 'Voided Sales', icon: Ban, roles: ['admin'] },
+        { id: '/sync-conflicts', label: 'Sync Conflicts', icon: AlertTriangle, roles: ['admin'] },
     ];
 
     const handleLogout = async () => {
@@ -57,6 +78,9 @@ export default function Sidebar({ onClose }) {
                         <p className="text-pharmacy-300 text-sm">Pharmacy System</p>
                     </div>
                 </div>
+                <div className="mt-4">
+                    <SyncStatus />
+                </div>
             </div>
 
             {/* Navigation */}
@@ -0,0 +1,98 @@
+import { useState, useEffect } from 'react';
+import { getStockAdjustments, ADJUSTMENT_TYPES } from '../../db/db';
+import { formatDateTime } from '../../lib/format';
+import { History, X } from 'lucide-react';
+
+/**
+ * Adjustment History
+ * Per-medicine log of stock adjustments
+ */
+export default function AdjustmentHistory({ medicine, onClose }) {
+    const [adjustments, setAdjustments] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getStockAdjustments(medicine.id).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setAdjustments(result.data);
+            } else {
+                setError(result.error);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [medicine.id]);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <History className="w-5 h-5 text-pharmacy-600" />
+                            Adjustment History
+                        </h2>
+                        <p className="text-sm text-slate-500">{medicine.name}</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6">
+                    {loading ? (
+                        <div className="flex justify-center py-12">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : error ? (
+                        <p className="text-center text-red-500 py-12">{error}</p>
+                    ) : adjustments.length === 0 ? (
+                        <p className="text-center text-slate-400 py-12">No adjustments recorded for this medicine</p>
+                    ) : (
+                        <div className="overflow-x-auto rounded-xl border border-slate-200">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="bg-slate-50 border-b border-slate-200">
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Date</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Type</th>
+                                        <th className="text-center px-4 py-3 font-semibold text-slate-600">Change</th>
+                                        <th className="text-center px-4 py-3 font-semibold text-slate-600">Stock</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Reason</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">By</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {adjustments.map((adj, index) => (
+                                        <tr key={adj.id} className={`border-b border-slate-100 ${index % 2 === 0 ? 'bg-white' : 'bg-slate-50/50'}`}>
+                                            <td className="px-4 py-3 text-slate-500 whitespace-nowrap">{formatDateTime(adj.createdAt)}</td>
+                                            <td className="px-4 py-3">
+                                                {ADJUSTMENT_TYPES[adj.type]?.label || adj.type}
+                                                {adj.batchNumber && <span className="block text-xs text-slate-400">Batch {adj.batchNumber}</span>}
+                                            </td>
+                                            <td className={`px-4 py-3 text-center font-bold ${adj.quantityChange > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                                {adj.quantityChange > 0 ? '+' : ''}{adj.quantityChange}
+                                            </td>
+                                            <td className="px-4 py-3 text-center text-slate-500 whitespace-nowrap">
+                                                {adj.quantityBefore !== null && adj.quantityBefore !== undefined
+                                                    ? `${adj.quantityBefore} → ${adj.quantityAfter}`
+                                                    : '—'}
+                                            </td>
+                                            <td className="px-4 py-3 text-slate-700">{adj.reason}</td>
+                                            <td className="px-4 py-3 text-slate-500">
+                                                {adj.adjustedByName || 'N/A'}
+                                                {adj.witnessedByName && <p className="text-xs text-slate-400">Witness: {adj.witnessedByName}</p>}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { addMedicineBatch } from '../../db/db';
+import { formatCurrency } from '../../lib/format';
+import { Layers, X, Plus, Save } from 'lucide-react';
+
+const EMPTY_BATCH = { batchNumber: '', expiryDate: '', quantity: '', purchasePrice: '' };
+
+/**
+ * Batch Breakdown
+ * Stock per batch in selling order (earliest expiry first) and receiving new batches
+ */
+export default function BatchBreakdown({ medicine, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const [showForm, setShowForm] = useState(false);
+    const [batch, setBatch] = useState(EMPTY_BATCH);
+    const [errors, setErrors] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const today = new Date().toISOString().split('T')[0];
+    const batches = (medicine.batches || []).filter(b => b.quantity !== 0);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setBatch(prev => ({ ...prev, [name]: value }));
+        if (errors[name]) {
+            setErrors(prev => ({ ...prev, [name]: '' }));
+        }
+    };
+
+    const validate = () => {
+        const newErrors = {};
+        if (!batch.quantity || parseInt(batch.quantity) <= 0) newErrors.quantity = 'Enter a quantity greater than zero';
+        if (!batch.expiryDate) {
+            newErrors.expiryDate = 'Expiry date is required';
+        } else if (batch.expiryDate < today) {
+            newErrors.expiryDate = 'Expiry date must be in the future';
+        }
+        if (batch.purchasePrice && parseFloat(batch.purchasePrice) < 0) newErrors.purchasePrice = 'Invalid price';
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!validate()) return;
+
+        setIsSubmitting(true);
+        const result = await addMedicineBatch(medicine.id, batch);
+        if (result.success) {
+            showToast(`Received ${batch.quantity} ${medicine.name}`, TOAST_TYPES.SUCCESS);
+            setBatch(EMPTY_BATCH);
+            setShowForm(false);
+            onSuccess?.();
+        } else {
+            showToast(result.error || 'Failed to add batch', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    const expiryClass = (expiryDate) => {
+        if (!expiryDate) return 'text-slate-400';
+        if (expiryDate < today) return 'text-red-600 font-bold';
+        const soon = new Date();
+        soon.setDate(soon.getDate() + 30);
+        return new Date(expiryDate) <= soon ? 'text-amber-600 font-medium' : 'text-slate-600';
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[85vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <Layers className="w-5 h-5 text-pharmacy-600" />
+                            Batches
+                        </h2>
+                        <p className="text-sm text-slate-500">
+                            {medicine.name} · {medicine.quantity} in stock, {medicine.sellableQuantity} sellable
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6 space-y-6">
+                    {batches.length === 0 ? (
+                        <p className="text-center text-slate-400 py-8">No stock on hand</p>
+                    ) : (
+                        <div className="overflow-x-auto rounded-xl border border-slate-200">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="bg-slate-50 border-b border-slate-200">
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Batch</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Expiry</th>
+                                        <th className="text-center px-4 py-3 font-semibold text-slate-600">Quantity</th>
+                                        <th className="text-right px-4 py-3 font-semibold text-slate-600">Unit Cost</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Received</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {batches.map((b, index) => (
+                                        <tr key={b.id} className={`border-b border-slate-100 ${index % 2 === 0 ? 'bg-white' : 'bg-slate-50/50'}`}>
+                                            <td className="px-4 py-3 font-medium text-slate-800">{b.batchNumber || '—'}</td>
+                                            <td className={`px-4 py-3 ${expiryClass(b.expiryDate)}`}>
+                                                {b.expiryDate || 'No expiry'}
+                                                {b.expiryDate && b.expiryDate < today && ' (expired)'}
+                                            </td>
+                                            <td className={`px-4 py-3 text-center font-bold ${b.quantity < 0 ? 'text-red-600' : 'text-slate-800'}`}>
+                                                {b.quantity}
+                                            </td>
+                                            <td className="px-4 py-3 text-right text-slate-600">{formatCurrency(b.purchasePrice)}</td>
+                                            <td className="px-4 py-3 text-slate-500">
+                                                {b.receivedAt ? new Date(b.receivedAt).toLocaleDateString() : '—'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {showForm ? (
+                        <form onSubmit={handleSubmit} className="p-4 bg-slate-50 rounded-xl border border-slate-200 space-y-4">
+                            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Batch Number</label>
+                                    <input
+                                        type="text"
+                                        name="batchNumber"
+                                        value={batch.batchNumber}
+                                        onChange={handleChange}
+                                        className="input-field"
+                                        placeholder="Batch-002"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Expiry Date *</label>
+                                    <input
+                                        type="date"
+                                        name="expiryDate"
+                                        value={batch.expiryDate}
+                                        onChange={handleChange}
+                                        className={`input-field ${errors.expiryDate ? 'border-red-400' : ''}`}
+                                    />
+                                    {errors.expiryDate && <p className="text-red-500 text-xs mt-1">{errors.expiryDate}</p>}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Quantity *</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        name="quantity"
+                                        value={batch.quantity}
+                                        onChange={handleChange}
+                                        className={`input-field ${errors.quantity ? 'border-red-400' : ''}`}
+                                        placeholder="0"
+                                    />
+                                    {errors.quantity && <p className="text-red-500 text-xs mt-1">{errors.quantity}</p>}
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Unit Cost ($)</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        name="purchasePrice"
+                                        value={batch.purchasePrice}
+                                        onChange={handleChange}
+                                        className={`input-field ${errors.purchasePrice ? 'border-red-400' : ''}`}
+                                        placeholder={medicine.purchasePrice?.toString() || '0.00'}
+                                    />
+                                    {errors.purchasePrice && <p className="text-red-500 text-xs mt-1">{errors.purchasePrice}</p>}
+                                </div>
+                            </div>
+                            <div className="flex justify-end gap-3">
+                                <button type="button" onClick={() => setShowForm(false)} className="btn-secondary">
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={isSubmitting}
+                                    className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                                >
+                                    {isSubmitting ? (
+                                        <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                                    ) : (
+                                        <Save className="w-4 h-4" />
+                                    )}
+                                    Receive Batch
+                                </button>
+                            </div>
+                        </form>
+                    ) : (
+                        <button
+                            onClick={() => setShowForm(true)}
+                            className="btn-secondary w-full flex items-center justify-center gap-2"
+                        >
+                            <Plus className="w-4 h-4" /> Add Batch
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
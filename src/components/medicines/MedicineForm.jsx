@@ -2,31 +2,40 @@ import { useState, useEffect } from 'react';
 import { useApp, TOAST_TYPES } from '../../context/AppContext';
 import { useMedicines } from '../../hooks/useMedicines';
 import { getSuppliers } from '../../db/db';
-import { Pill, Save, X, AlertCircle, Plus, Building2 } from 'lucide-react';
+import { validateMedicine, MEDICINE_CATEGORIES, MEDICINE_SCHEDULES, scheduleRequiresPrescription } from '../../lib/medicineValidation';
+import CameraScanner from '../common/CameraScanner';
+import { Pill, Save, X, AlertCircle, Plus, Building2, Camera, FileText } from 'lucide-react';
+
+const EMPTY_FORM = {
+    name: '',
+    brandName: '',
+    genericName: '',
+    strength: '',
+    category: 'Tablet',
+    barcode: '',
+    schedule: 'otc',
+    requiresPrescription: false,
+    batchNumber: '',
+    purchasePrice: '',
+    sellingPrice: '',
+    quantity: '',
+    expiryDate: '',
+    supplierId: ''
+};
 
 /**
  * Medicine Form Component
  * Add/Edit medicine with enhanced V2 fields
  */
-export default function MedicineForm({ onSuccess, onCancel }) {
+export default function MedicineForm({ initialValues, onSuccess, onCancel }) {
     const { editingMedicine, clearEditing, showToast } = useApp();
     const { add, update } = useMedicines();
 
     const [suppliers, setSuppliers] = useState([]);
     const [isLoadingSuppliers, setIsLoadingSuppliers] = useState(false);
 
-    const [formData, setFormData] = useState({
-        name: '',
-        brandName: '',
-        genericName: '',
-        category: 'Tablet',
-        batchNumber: '',
-        purchasePrice: '',
-        sellingPrice: '',
-        quantity: '',
-        expiryDate: '',
-        supplierId: ''
-    });
+    const [formData, setFormData] = useState({ ...EMPTY_FORM, ...initialValues });
+    const [showCamera, setShowCamera] = useState(false);
 
     const [errors, setErrors] = useState({});
     const [isSubmitting, setIsSubmitting] = useState(false);
@@ -51,7 +60,11 @@ export default function MedicineForm({ onSuccess, onCancel }) {
                 name: editingMedicine.name || '',
                 brandName: editingMedicine.brandName || '',
                 genericName: editingMedicine.genericName || '',
+                strength: editingMedicine.strength || '',
                 category: editingMedicine.category || 'Tablet',
+                barcode: editingMedicine.barcode || '',
+                schedule: editingMedicine.schedule || 'otc',
+                requiresPrescription: !!editingMedicine.requiresPrescription,
                 batchNumber: editingMedicine.batchNumber || '',
                 purchasePrice: editingMedicine.purchasePrice?.toString() || '',
                 sellingPrice: editingMedicine.sellingPrice?.toString() || '',
@@ -72,24 +85,19 @@ export default function MedicineForm({ onSuccess, onCancel }) {
         }
     };
 
-    // Validate form
-    const validate = () => {
-        const newErrors = {};
-
-        if (!formData.name.trim()) newErrors.name = 'Medicine name is required';
-        if (!formData.sellingPrice || parseFloat(formData.sellingPrice) <= 0) newErrors.sellingPrice = 'Valid selling price is required';
-        if (formData.purchasePrice && parseFloat(formData.purchasePrice) < 0) newErrors.purchasePrice = 'Valid purchase price is required';
-        if (!formData.quantity || parseInt(formData.quantity) < 0) newErrors.quantity = 'Valid quantity is required';
-
-        if (!formData.expiryDate) {
-            newErrors.expiryDate = 'Expiry date is required';
-        } else {
-            const expiryDate = new Date(formData.expiryDate);
-            if (expiryDate < new Date()) {
-                newErrors.expiryDate = 'Expiry date must be in the future';
-            }
-        }
+    // Prescription-only and controlled medicines always need a prescription
+    const handleScheduleChange = (e) => {
+        const schedule = e.target.value;
+        setFormData(prev => ({
+            ...prev,
+            schedule,
+            requiresPrescription: scheduleRequiresPrescription(schedule) || prev.requiresPrescription
+        }));
+    };
 
+    // Validate form (stock and expiry only apply to the first batch; later changes go through batches)
+    const validate = () => {
+        const newErrors = validateMedicine(formData, { withStock: !editingMedicine });
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
@@ -129,11 +137,7 @@ export default function MedicineForm({ onSuccess, onCancel }) {
 
             if (result.success) {
                 // Reset form
-                setFormData({
-                    name: '', brandName: '', genericName: '', category: 'Tablet',
-                    batchNumber: '', purchasePrice: '', sellingPrice: '',
-                    quantity: '', expiryDate: '', supplierId: ''
-                });
+                setFormData(EMPTY_FORM);
                 onSuccess?.();
             } else {
                 showToast(result.error || 'Operation failed', TOAST_TYPES.ERROR);
@@ -147,11 +151,7 @@ export default function MedicineForm({ onSuccess, onCancel }) {
 
     // Handle cancel
     const handleCancel = () => {
-        setFormData({
-            name: '', brandName: '', genericName: '', category: 'Tablet',
-            batchNumber: '', purchasePrice: '', sellingPrice: '',
-            quantity: '', expiryDate: '', supplierId: ''
-        });
+        setFormData(EMPTY_FORM);
         setErrors({});
         clearEditing();
         onCancel?.();
@@ -229,18 +229,78 @@ export default function MedicineForm({ onSuccess, onCancel }) {
                                 onChange={handleChange}
                                 className="input-field cursor-pointer"
                             >
-                                <option value="Tablet">Tablet</option>
-                                <option value="Capsule">Capsule</option>
-                                <option value="Syrup">Syrup</option>
-                                <option value="Injection">Injection</option>
-                                <option value="Ointment">Ointment</option>
-                                <option value="Drops">Drops</option>
-                                <option value="Inhaler">Inhaler</option>
-                                <option value="Cream">Cream</option>
-                                <option value="Liquid">Liquid</option>
-                                <option value="Other">Other</option>
+                                {MEDICINE_CATEGORIES.map(category => (
+                                    <option key={category} value={category}>{category}</option>
+                                ))}
                             </select>
                         </div>
+                        {/* Schedule */}
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">Schedule</label>
+                            <select
+                                name="schedule"
+                                value={formData.schedule}
+                                onChange={handleScheduleChange}
+                                className="input-field cursor-pointer"
+                            >
+                                {Object.entries(MEDICINE_SCHEDULES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        {/* Requires Prescription */}
+                        <div className="flex items-end pb-3">
+                            <label className="flex items-center gap-3 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={formData.requiresPrescription}
+                                    disabled={scheduleRequiresPrescription(formData.schedule)}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, requiresPrescription: e.target.checked }))}
+                                    className="w-5 h-5 rounded text-pharmacy-600"
+                                />
+                                <span className="flex items-center gap-1 font-medium text-slate-700">
+                                    <FileText className="w-4 h-4 text-pharmacy-500" />
+                                    Requires prescription
+                                </span>
+                            </label>
+                        </div>
+                        {/* Strength */}
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">Strength</label>
+                            <input
+                                type="text"
+                                name="strength"
+                                value={formData.strength}
+                                onChange={handleChange}
+                                placeholder="e.g. 500 mg or 250 mg/5 ml"
+                                className="input-field"
+                            />
+                            <p className="text-slate-400 text-xs mt-1">Used to match generic substitutes</p>
+                        </div>
+                        {/* Barcode */}
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">Barcode</label>
+                            <div className="flex gap-2">
+                                <input
+                                    type="text"
+                                    name="barcode"
+                                    value={formData.barcode}
+                                    onChange={handleChange}
+                                    // Scanners finish with Enter; don't submit the form
+                                    onKeyDown={(e) => { if (e.key === 'Enter') e.preventDefault(); }}
+                                    placeholder="Scan or type the product barcode"
+                                    className="input-field font-mono"
+                                />
+                                <button
+                                    type="button"
+                                    onClick={() => setShowCamera(true)}
+                                    className="btn-secondary flex items-center gap-2 shrink-0"
+                                    title="Scan with camera"
+                                >
+                                    <Camera className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
                     </div>
                 </div>
 
@@ -279,16 +339,22 @@ export default function MedicineForm({ onSuccess, onCancel }) {
                         </div>
                         {/* Quantity */}
                         <div>
-                            <label className="block text-sm font-medium text-slate-700 mb-2">Quantity *</label>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">
+                                {editingMedicine ? 'Quantity (all batches)' : 'Quantity *'}
+                            </label>
                             <input
                                 type="number"
                                 name="quantity"
                                 value={formData.quantity}
                                 onChange={handleChange}
                                 placeholder="0"
-                                className={`input-field ${errors.quantity ? 'border-red-400' : ''}`}
+                                readOnly={!!editingMedicine}
+                                className={`input-field ${errors.quantity ? 'border-red-400' : ''} ${editingMedicine ? 'bg-slate-100 text-slate-500 cursor-not-allowed' : ''}`}
                             />
                             {errors.quantity && <p className="text-red-500 text-xs mt-1">{errors.quantity}</p>}
+                            {editingMedicine && (
+                                <p className="text-slate-400 text-xs mt-1">Change stock with Batches or Adjust Stock</p>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -301,26 +367,32 @@ export default function MedicineForm({ onSuccess, onCancel }) {
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                         {/* Expiry Date */}
                         <div>
-                            <label className="block text-sm font-medium text-slate-700 mb-2">Expiry Date *</label>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">
+                                {editingMedicine ? 'Next Expiry' : 'Expiry Date *'}
+                            </label>
                             <input
                                 type="date"
                                 name="expiryDate"
                                 value={formData.expiryDate}
                                 onChange={handleChange}
-                                className={`input-field ${errors.expiryDate ? 'border-red-400' : ''}`}
+                                readOnly={!!editingMedicine}
+                                className={`input-field ${errors.expiryDate ? 'border-red-400' : ''} ${editingMedicine ? 'bg-slate-100 text-slate-500 cursor-not-allowed' : ''}`}
                             />
                             {errors.expiryDate && <p className="text-red-500 text-xs mt-1">{errors.expiryDate}</p>}
                         </div>
                         {/* Batch Number */}
                         <div>
-                            <label className="block text-sm font-medium text-slate-700 mb-2">Batch Number</label>
+                            <label className="block text-sm font-medium text-slate-700 mb-2">
+                                {editingMedicine ? 'Next Batch' : 'Batch Number'}
+                            </label>
                             <input
                                 type="text"
                                 name="batchNumber"
                                 value={formData.batchNumber}
                                 onChange={handleChange}
                                 placeholder="Batch-001"
-                                className="input-field"
+                                readOnly={!!editingMedicine}
+                                className={`input-field ${editingMedicine ? 'bg-slate-100 text-slate-500 cursor-not-allowed' : ''}`}
                             />
                         </div>
                         {/* Supplier */}
@@ -375,6 +447,16 @@ export default function MedicineForm({ onSuccess, onCancel }) {
                     </button>
                 </div>
             </form>
+
+            {showCamera && (
+                <CameraScanner
+                    onDetected={(code) => {
+                        setFormData(prev => ({ ...prev, barcode: code }));
+                        setShowCamera(false);
+                    }}
+                    onClose={() => setShowCamera(false)}
+                />
+            )}
         </div>
     );
 }
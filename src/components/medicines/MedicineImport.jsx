@@ -0,0 +1,293 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getAllMedicines, importMedicines } from '../../db/db';
+import { IMPORT_FIELDS, readSpreadsheet, guessMapping, buildImportRows } from '../../lib/medicineImport';
+import { downloadCsv } from '../../lib/export';
+import { Upload, FileSpreadsheet, Download, AlertCircle, CheckCircle, X } from 'lucide-react';
+
+const EXISTING_MODES = {
+    update: 'Update existing item',
+    create: 'Add as a new item',
+    skip: 'Skip row'
+};
+
+const ACTION_BADGES = {
+    create: 'bg-green-100 text-green-700',
+    update: 'bg-blue-100 text-blue-700',
+    skip: 'bg-slate-100 text-slate-500'
+};
+
+/**
+ * Medicine Import Component
+ * CSV/XLSX import wizard: map columns, preview with validation, commit in one transaction
+ */
+export default function MedicineImport({ onSuccess, onCancel }) {
+    const { showToast } = useApp();
+    const [medicines, setMedicines] = useState([]);
+    const [fileName, setFileName] = useState('');
+    const [sheetRows, setSheetRows] = useState(null);
+    const [mapping, setMapping] = useState({});
+    const [existingMode, setExistingMode] = useState('update');
+    const [errorsOnly, setErrorsOnly] = useState(false);
+    const [isReading, setIsReading] = useState(false);
+    const [isImporting, setIsImporting] = useState(false);
+
+    // Existing medicines, to match rows for updates
+    useEffect(() => {
+        let cancelled = false;
+        getAllMedicines().then(result => {
+            if (!cancelled && result.success) setMedicines(result.data);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const previewRows = useMemo(
+        () => (sheetRows ? buildImportRows(sheetRows, mapping, medicines, existingMode) : []),
+        [sheetRows, mapping, medicines, existingMode]
+    );
+
+    const invalidRows = previewRows.filter(r => Object.keys(r.errors).length > 0);
+    const importableRows = previewRows.filter(r => r.action !== 'skip' && Object.keys(r.errors).length === 0);
+    const counts = {
+        create: importableRows.filter(r => r.action === 'create').length,
+        update: importableRows.filter(r => r.action === 'update').length,
+        skip: previewRows.filter(r => r.action === 'skip').length
+    };
+    const missingRequired = IMPORT_FIELDS.filter(f => f.required && mapping[f.key] === '');
+    const displayedRows = errorsOnly ? invalidRows : previewRows;
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        setIsReading(true);
+        try {
+            const rows = await readSpreadsheet(file);
+            if (rows.length < 2) {
+                showToast('The file has no data rows', TOAST_TYPES.ERROR);
+                return;
+            }
+            setFileName(file.name);
+            setSheetRows(rows);
+            setMapping(guessMapping(rows[0]));
+            setErrorsOnly(false);
+        } catch (error) {
+            showToast('Could not read the file: ' + error.message, TOAST_TYPES.ERROR);
+        } finally {
+            setIsReading(false);
+        }
+    };
+
+    const handleTemplate = () => {
+        downloadCsv([], IMPORT_FIELDS.map(f => ({ header: f.label, value: () => '' })), 'medicine_import_template');
+    };
+
+    const handleImport = async () => {
+        setIsImporting(true);
+        const result = await importMedicines(
+            importableRows.map(r => ({
+                ...r.data,
+                rowNumber: r.rowNumber,
+                id: r.action === 'update' ? r.existing.id : null
+            }))
+        );
+        if (result.success) {
+            const { created, updated, suppliersCreated } = result.data;
+            showToast(
+                `Imported ${created} new and updated ${updated} medicines` +
+                (suppliersCreated ? ` (${suppliersCreated} new suppliers)` : ''),
+                TOAST_TYPES.SUCCESS
+            );
+            onSuccess?.();
+        } else {
+            showToast(result.error || 'Import failed', TOAST_TYPES.ERROR);
+        }
+        setIsImporting(false);
+    };
+
+    const headers = sheetRows?.[0] || [];
+
+    return (
+        <div className="space-y-6 animate-fade-in">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div className="flex items-center gap-4">
+                    <div className="w-14 h-14 bg-gradient-to-br from-pharmacy-500 to-pharmacy-600 rounded-2xl flex items-center justify-center shadow-lg shadow-pharmacy-500/30">
+                        <FileSpreadsheet className="w-7 h-7 text-white" />
+                    </div>
+                    <div>
+                        <h2 className="text-2xl font-bold text-slate-800">Import Medicines</h2>
+                        <p className="text-slate-500">Upload a CSV or Excel (.xlsx) file, check the preview, then import</p>
+                    </div>
+                </div>
+                <button onClick={handleTemplate} className="btn-secondary flex items-center gap-2 text-sm">
+                    <Download className="w-4 h-4" /> Template
+                </button>
+            </div>
+
+            {/* File picker */}
+            <label className="flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-slate-300 rounded-2xl cursor-pointer hover:border-pharmacy-400 hover:bg-pharmacy-50/40 transition-colors">
+                {isReading ? (
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                ) : (
+                    <Upload className="w-8 h-8 text-slate-400" />
+                )}
+                <span className="font-medium text-slate-700">{fileName || 'Choose a file'}</span>
+                <span className="text-sm text-slate-400">
+                    {fileName ? 'Click to choose a different file' : '.csv or .xlsx, first row must be column headers'}
+                </span>
+                <input type="file" accept=".csv,.xlsx" onChange={handleFile} className="hidden" />
+            </label>
+
+            {sheetRows && (
+                <>
+                    {/* Column mapping */}
+                    <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+                        <h3 className="text-lg font-bold text-slate-700 mb-4">Columns</h3>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                            {IMPORT_FIELDS.map(field => (
+                                <div key={field.key}>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">
+                                        {field.label}{field.required && ' *'}
+                                    </label>
+                                    <select
+                                        value={mapping[field.key]}
+                                        onChange={(e) => setMapping(prev => ({
+                                            ...prev,
+                                            [field.key]: e.target.value === '' ? '' : parseInt(e.target.value)
+                                        }))}
+                                        className={`input-field cursor-pointer py-2 ${field.required && mapping[field.key] === '' ? 'border-red-400' : ''}`}
+                                    >
+                                        <option value="">— Not in file —</option>
+                                        {headers.map((header, index) => (
+                                            <option key={index} value={index}>{String(header ?? `Column ${index + 1}`)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="mt-6 flex flex-col md:flex-row md:items-center gap-3">
+                            <span className="text-sm font-medium text-slate-700">When a medicine already exists:</span>
+                            <div className="flex bg-slate-100 rounded-xl p-1 w-fit">
+                                {Object.entries(EXISTING_MODES).map(([key, label]) => (
+                                    <button
+                                        key={key}
+                                        onClick={() => setExistingMode(key)}
+                                        className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${existingMode === key ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                            }`}
+                                    >
+                                        {label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <p className="text-xs text-slate-400 mt-2">
+                            Existing medicines are matched by barcode, then by name. Quantities imported for existing items are added as a new batch.
+                        </p>
+                    </div>
+
+                    {/* Preview */}
+                    <div className="bg-white p-6 rounded-2xl shadow-sm border border-slate-100">
+                        <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                            <div className="flex flex-wrap gap-3 text-sm">
+                                <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 font-medium">{counts.create} new</span>
+                                <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-medium">{counts.update} updates</span>
+                                <span className="px-3 py-1 rounded-full bg-slate-100 text-slate-500 font-medium">{counts.skip} skipped</span>
+                                <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 font-medium">{invalidRows.length} with errors</span>
+                            </div>
+                            <label className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={errorsOnly}
+                                    onChange={(e) => setErrorsOnly(e.target.checked)}
+                                    className="w-4 h-4 rounded border-slate-300"
+                                />
+                                Only rows with errors
+                            </label>
+                        </div>
+
+                        <div className="overflow-x-auto rounded-xl border border-slate-200 max-h-[28rem] overflow-y-auto">
+                            <table className="w-full text-sm">
+                                <thead className="sticky top-0">
+                                    <tr className="bg-slate-50 border-b border-slate-200">
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Row</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Action</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Name</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Category</th>
+                                        <th className="text-right px-3 py-2 font-semibold text-slate-600">Price</th>
+                                        <th className="text-right px-3 py-2 font-semibold text-slate-600">Cost</th>
+                                        <th className="text-center px-3 py-2 font-semibold text-slate-600">Qty</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Expiry</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Supplier</th>
+                                        <th className="text-left px-3 py-2 font-semibold text-slate-600">Problems</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {displayedRows.map(row => {
+                                        const messages = Object.values(row.errors);
+                                        return (
+                                            <tr key={row.rowNumber} className={`border-b border-slate-100 ${messages.length ? 'bg-red-50/60' : ''}`}>
+                                                <td className="px-3 py-2 text-slate-400">{row.rowNumber}</td>
+                                                <td className="px-3 py-2">
+                                                    <span className={`text-xs font-semibold px-2 py-0.5 rounded-full capitalize ${ACTION_BADGES[row.action]}`}>
+                                                        {row.action}
+                                                    </span>
+                                                </td>
+                                                <td className="px-3 py-2 font-medium text-slate-800">{row.data.name}</td>
+                                                <td className="px-3 py-2 text-slate-600">{row.data.category}</td>
+                                                <td className="px-3 py-2 text-right">{row.data.sellingPrice}</td>
+                                                <td className="px-3 py-2 text-right text-slate-500">{row.data.purchasePrice}</td>
+                                                <td className="px-3 py-2 text-center">{row.data.quantity}</td>
+                                                <td className="px-3 py-2 text-slate-600 whitespace-nowrap">{row.data.expiryDate}</td>
+                                                <td className="px-3 py-2 text-slate-600">{row.data.supplierName}</td>
+                                                <td className="px-3 py-2 text-red-600 text-xs">
+                                                    {messages.map(message => (
+                                                        <p key={message} className="flex items-center gap-1">
+                                                            <AlertCircle className="w-3 h-3 shrink-0" /> {message}
+                                                        </p>
+                                                    ))}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {invalidRows.length > 0 && (
+                            <p className="text-sm text-red-600 mt-3">
+                                Rows with errors are not imported. Fix them in the file and choose it again, or import the rest now.
+                            </p>
+                        )}
+                    </div>
+                </>
+            )}
+
+            {/* Actions */}
+            <div className="flex justify-end gap-4 pt-6 border-t border-slate-200">
+                <button onClick={onCancel} className="btn-secondary flex items-center gap-2">
+                    <X className="w-4 h-4" />
+                    Cancel
+                </button>
+                <button
+                    onClick={handleImport}
+                    disabled={isImporting || importableRows.length === 0 || missingRequired.length > 0}
+                    className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {isImporting ? (
+                        <>
+                            <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                            Importing...
+                        </>
+                    ) : (
+                        <>
+                            <CheckCircle className="w-4 h-4" />
+                            Import {importableRows.length} {importableRows.length === 1 ? 'row' : 'rows'}
+                        </>
+                    )}
+                </button>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useApp, TOAST_TYPES } from '../../context/AppContext';
 import { useMedicines } from '../../hooks/useMedicines';
+import StockAdjustmentDialog from './StockAdjustmentDialog';
+import AdjustmentHistory from './AdjustmentHistory';
+import BatchBreakdown from './BatchBreakdown';
+import SubstitutesDialog from './SubstitutesDialog';
 import {
     Search,
     Edit2,
@@ -12,7 +16,11 @@ import {
     Package,
     Building2,
     Calendar,
-    Tag
+    Tag,
+    SlidersHorizontal,
+    History,
+    Layers,
+    Replace
 } from 'lucide-react';
 
 /**
@@ -33,6 +41,13 @@ export default function MedicineList({ onEdit }) {
     const [searchQuery, setSearchQuery] = useState('');
     const [filterStock, setFilterStock] = useState('all'); // all, low, in-stock
     const [deleteConfirm, setDeleteConfirm] = useState(null);
+    const [adjustingMedicine, setAdjustingMedicine] = useState(null);
+    const [historyMedicine, setHistoryMedicine] = useState(null);
+    const [batchMedicineId, setBatchMedicineId] = useState(null);
+    const [substituteMedicine, setSubstituteMedicine] = useState(null);
+
+    // Looked up by id so the breakdown shows fresh batches after a refresh
+    const batchMedicine = medicines.find(m => m.id === batchMedicineId);
 
     // Handle search
     useEffect(() => {
@@ -181,10 +196,16 @@ export default function MedicineList({ onEdit }) {
                                                     <div className="font-bold text-slate-800 text-base">{medicine.name}</div>
                                                     <div className="text-xs text-slate-500 font-medium">
                                                         {medicine.genericName || medicine.brandName || 'No Details'}
+                                                        {medicine.strength && ` · ${medicine.strength}`}
                                                     </div>
                                                     <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-slate-100 text-slate-600 mt-1">
                                                         {medicine.category || 'Tablet'}
                                                     </span>
+                                                    {medicine.requiresPrescription && (
+                                                        <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700 mt-1 ml-1">
+                                                            Rx
+                                                        </span>
+                                                    )}
                                                 </div>
                                             </div>
                                         </td>
@@ -215,6 +236,27 @@ export default function MedicineList({ onEdit }) {
                                         <td className="px-6 py-4">
                                             <div className="flex flex-col gap-1">
                                                 <span className="font-medium text-slate-700">{medicine.quantity} Units</span>
+                                                {medicine.batches?.length > 1 && (
+                                                    <button
+                                                        onClick={() => setBatchMedicineId(medicine.id)}
+                                                        className="text-xs text-pharmacy-600 hover:underline text-left"
+                                                    >
+                                                        {medicine.batches.filter(b => b.quantity > 0).length} batches
+                                                    </button>
+                                                )}
+                                                {medicine.sellableQuantity < medicine.quantity && (
+                                                    <span className="text-xs font-medium text-red-600">
+                                                        {medicine.quantity - medicine.sellableQuantity} expired
+                                                    </span>
+                                                )}
+                                                {medicine.sellableQuantity <= 0 && medicine.genericName && (
+                                                    <button
+                                                        onClick={() => setSubstituteMedicine(medicine)}
+                                                        className="text-xs text-pharmacy-600 hover:underline text-left flex items-center gap-1"
+                                                    >
+                                                        <Replace className="w-3 h-3" /> Alternatives
+                                                    </button>
+                                                )}
                                                 {medicine.quantity < 10 ? (
                                                     <span className="text-xs font-bold text-red-600 flex items-center gap-1">
                                                         <AlertTriangle className="w-3 h-3" /> Low Stock
@@ -249,6 +291,27 @@ export default function MedicineList({ onEdit }) {
                                                 >
                                                     <Edit2 className="w-5 h-5" />
                                                 </button>
+                                                <button
+                                                    onClick={() => setBatchMedicineId(medicine.id)}
+                                                    className="p-2 hover:bg-pharmacy-50 rounded-lg text-pharmacy-600 transition-colors"
+                                                    title="Batches"
+                                                >
+                                                    <Layers className="w-5 h-5" />
+                                                </button>
+                                                <button
+                                                    onClick={() => setAdjustingMedicine(medicine)}
+                                                    className="p-2 hover:bg-blue-50 rounded-lg text-blue-600 transition-colors"
+                                                    title="Adjust Stock"
+                                                >
+                                                    <SlidersHorizontal className="w-5 h-5" />
+                                                </button>
+                                                <button
+                                                    onClick={() => setHistoryMedicine(medicine)}
+                                                    className="p-2 hover:bg-slate-100 rounded-lg text-slate-500 transition-colors"
+                                                    title="Adjustment History"
+                                                >
+                                                    <History className="w-5 h-5" />
+                                                </button>
 
                                                 {deleteConfirm === medicine.id ? (
                                                     <div className="flex items-center gap-1 animate-fade-in">
@@ -292,8 +355,16 @@ export default function MedicineList({ onEdit }) {
                                             <Pill className="w-5 h-5 text-pharmacy-600" />
                                         </div>
                                         <div>
-                                            <p className="font-bold text-slate-800 text-lg">{medicine.name}</p>
-                                            <p className="text-xs text-slate-500">{medicine.genericName}</p>
+                                            <p className="font-bold text-slate-800 text-lg">
+                                                {medicine.name}
+                                                {medicine.requiresPrescription && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700 align-middle">Rx</span>
+                                                )}
+                                            </p>
+                                            <p className="text-xs text-slate-500">
+                                                {medicine.genericName}
+                                                {medicine.strength && ` · ${medicine.strength}`}
+                                            </p>
                                         </div>
                                     </div>
                                     <div className="text-right">
@@ -301,6 +372,14 @@ export default function MedicineList({ onEdit }) {
                                             ${parseFloat(medicine.sellingPrice).toFixed(2)}
                                         </p>
                                         <p className="text-xs text-slate-400">Stock: {medicine.quantity}</p>
+                                        {medicine.sellableQuantity <= 0 && medicine.genericName && (
+                                            <button
+                                                onClick={() => setSubstituteMedicine(medicine)}
+                                                className="text-xs text-pharmacy-600 hover:underline flex items-center gap-1 ml-auto"
+                                            >
+                                                <Replace className="w-3 h-3" /> Alternatives
+                                            </button>
+                                        )}
                                     </div>
                                 </div>
 
@@ -324,6 +403,27 @@ export default function MedicineList({ onEdit }) {
                                     >
                                         Edit
                                     </button>
+                                    <button
+                                        onClick={() => setBatchMedicineId(medicine.id)}
+                                        className="p-2 text-pharmacy-600 hover:bg-pharmacy-50 rounded-lg"
+                                        title="Batches"
+                                    >
+                                        <Layers className="w-5 h-5" />
+                                    </button>
+                                    <button
+                                        onClick={() => setAdjustingMedicine(medicine)}
+                                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                                        title="Adjust Stock"
+                                    >
+                                        <SlidersHorizontal className="w-5 h-5" />
+                                    </button>
+                                    <button
+                                        onClick={() => setHistoryMedicine(medicine)}
+                                        className="p-2 text-slate-500 hover:bg-slate-100 rounded-lg"
+                                        title="Adjustment History"
+                                    >
+                                        <History className="w-5 h-5" />
+                                    </button>
                                     {deleteConfirm === medicine.id ? (
                                         <button
                                             onClick={() => handleDelete(medicine.id)}
@@ -353,6 +453,36 @@ export default function MedicineList({ onEdit }) {
                     Low stock items: {medicines.filter(m => m.quantity < 10).length}
                 </span>
             </div>
+
+            {adjustingMedicine && (
+                <StockAdjustmentDialog
+                    medicine={adjustingMedicine}
+                    onClose={() => setAdjustingMedicine(null)}
+                    onSuccess={refresh}
+                />
+            )}
+
+            {batchMedicine && (
+                <BatchBreakdown
+                    medicine={batchMedicine}
+                    onClose={() => setBatchMedicineId(null)}
+                    onSuccess={refresh}
+                />
+            )}
+
+            {substituteMedicine && (
+                <SubstitutesDialog
+                    medicine={substituteMedicine}
+                    onClose={() => setSubstituteMedicine(null)}
+                />
+            )}
+
+            {historyMedicine && (
+                <AdjustmentHistory
+                    medicine={historyMedicine}
+                    onClose={() => setHistoryMedicine(null)}
+                />
+            )}
         </div>
     );
 }
@@ -1,20 +1,29 @@
 import { useState } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import MedicineForm from './MedicineForm';
 import MedicineList from './MedicineList';
-import { Plus, List } from 'lucide-react';
+import MedicineImport from './MedicineImport';
+import { useAuth } from '../../context/AuthContext';
+import { Plus, List, Upload } from 'lucide-react';
 
 /**
  * Medicine Manager Component
  * Container for medicine form and list with tab navigation
  */
 export default function MedicineManager() {
-    const [activeTab, setActiveTab] = useState('list');
+    const location = useLocation();
+    const navigate = useNavigate();
+    const { isAdmin } = useAuth();
+    // POS sends an unknown scanned barcode here to create the medicine
+    const scannedBarcode = location.state?.barcode;
+    const [activeTab, setActiveTab] = useState(scannedBarcode ? 'add' : 'list');
     const [refreshKey, setRefreshKey] = useState(0);
 
     // Force refresh of list when medicine is added/edited
     const handleMedicineChange = () => {
         setRefreshKey(prev => prev + 1);
         setActiveTab('list');
+        if (scannedBarcode) navigate(location.pathname, { replace: true, state: null });
     };
 
     return (
@@ -48,6 +57,18 @@ export default function MedicineManager() {
                         <Plus className="w-4 h-4" />
                         Add New
                     </button>
+                    {isAdmin && (
+                        <button
+                            onClick={() => setActiveTab('import')}
+                            className={`flex items-center gap-2 px-4 py-2.5 rounded-lg font-medium transition-all duration-300 ${activeTab === 'import'
+                                    ? 'bg-white text-pharmacy-600 shadow-md'
+                                    : 'text-slate-500 hover:text-slate-700'
+                                }`}
+                        >
+                            <Upload className="w-4 h-4" />
+                            Import
+                        </button>
+                    )}
                 </div>
             </div>
 
@@ -55,8 +76,17 @@ export default function MedicineManager() {
             <div className="glass-card p-6">
                 {activeTab === 'list' ? (
                     <MedicineList key={refreshKey} onEdit={() => setActiveTab('add')} />
+                ) : activeTab === 'import' ? (
+                    <MedicineImport
+                        onSuccess={handleMedicineChange}
+                        onCancel={() => setActiveTab('list')}
+                    />
                 ) : (
-                    <MedicineForm onSuccess={handleMedicineChange} onCancel={() => setActiveTab('list')} />
+                    <MedicineForm
+                        initialValues={scannedBarcode ? { barcode: scannedBarcode } : undefined}
+                        onSuccess={handleMedicineChange}
+                        onCancel={() => setActiveTab('list')}
+                    />
                 )}
             </div>
         </div>
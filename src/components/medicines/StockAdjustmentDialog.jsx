@@ -0,0 +1,208 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { addStockAdjustment, ADJUSTMENT_TYPES } from '../../db/db';
+import { SlidersHorizontal, X, Save, Plus, Minus } from 'lucide-react';
+
+/**
+ * Stock Adjustment Dialog
+ * Returns, write-offs and count corrections with a required reason.
+ * Taking out a controlled drug needs a second admin to witness it with their PIN.
+ */
+export default function StockAdjustmentDialog({ medicine, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const [type, setType] = useState('correction');
+    const [direction, setDirection] = useState(-1); // Only used for corrections
+    const [batchId, setBatchId] = useState(''); // Empty: earliest expiry first
+    const [quantity, setQuantity] = useState('');
+    const [reason, setReason] = useState('');
+    const [witnessPin, setWitnessPin] = useState('');
+    const [errors, setErrors] = useState({});
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const effectiveDirection = ADJUSTMENT_TYPES[type].direction || direction;
+    const change = (parseInt(quantity) || 0) * effectiveDirection;
+    const resultingStock = medicine.quantity + change;
+    const batches = (medicine.batches || []).filter(b => b.quantity !== 0);
+    const selectedBatch = batches.find(b => b.id === batchId);
+    const needsWitness = medicine.schedule === 'controlled' && change < 0;
+
+    const validate = () => {
+        const newErrors = {};
+        if (!quantity || parseInt(quantity) <= 0) newErrors.quantity = 'Enter a quantity greater than zero';
+        if (resultingStock < 0) newErrors.quantity = `Only ${medicine.quantity} in stock`;
+        if (selectedBatch && selectedBatch.quantity + change < 0) newErrors.quantity = `Only ${selectedBatch.quantity} in this batch`;
+        if (!reason.trim()) newErrors.reason = 'A reason is required';
+        if (needsWitness && !witnessPin) newErrors.witnessPin = 'A second admin must witness this';
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!validate()) return;
+
+        setIsSubmitting(true);
+        const result = await addStockAdjustment({
+            medicineId: medicine.id,
+            type,
+            quantity: change,
+            reason: reason.trim(),
+            batchId: batchId || null,
+            witnessPin: needsWitness ? witnessPin : null
+        });
+
+        if (result.success) {
+            showToast(`Stock adjusted: ${medicine.name} now ${result.data.quantity} units`, TOAST_TYPES.SUCCESS);
+            onSuccess?.();
+            onClose();
+        } else if (result.needsWitness) {
+            setWitnessPin('');
+            setErrors(prev => ({ ...prev, witnessPin: result.error }));
+        } else {
+            showToast(result.error || 'Failed to adjust stock', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <SlidersHorizontal className="w-5 h-5 text-pharmacy-600" />
+                            Adjust Stock
+                        </h2>
+                        <p className="text-sm text-slate-500">{medicine.name} · {medicine.quantity} in stock</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Adjustment Type</label>
+                        <select
+                            value={type}
+                            onChange={(e) => setType(e.target.value)}
+                            className="input-field cursor-pointer"
+                        >
+                            {Object.entries(ADJUSTMENT_TYPES).filter(([, t]) => !t.system).map(([key, { label }]) => (
+                                <option key={key} value={key}>{label}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {type === 'correction' && (
+                        <div className="flex bg-slate-100 rounded-xl p-1">
+                            <button
+                                type="button"
+                                onClick={() => setDirection(1)}
+                                className={`flex-1 py-2 rounded-lg font-medium transition-all flex items-center justify-center gap-1 ${direction === 1 ? 'bg-white text-green-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                <Plus className="w-4 h-4" /> Add
+                            </button>
+                            <button
+                                type="button"
+                                onClick={() => setDirection(-1)}
+                                className={`flex-1 py-2 rounded-lg font-medium transition-all flex items-center justify-center gap-1 ${direction === -1 ? 'bg-white text-red-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                <Minus className="w-4 h-4" /> Remove
+                            </button>
+                        </div>
+                    )}
+
+                    {batches.length > 1 && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Batch</label>
+                            <select
+                                value={batchId}
+                                onChange={(e) => setBatchId(e.target.value)}
+                                className="input-field cursor-pointer"
+                            >
+                                <option value="">Earliest expiry first</option>
+                                {batches.map(b => (
+                                    <option key={b.id} value={b.id}>
+                                        {b.batchNumber || 'No batch no.'} · exp {b.expiryDate || 'n/a'} · {b.quantity} units
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Quantity *</label>
+                        <input
+                            type="number"
+                            min="1"
+                            value={quantity}
+                            onChange={(e) => setQuantity(e.target.value)}
+                            className={`input-field ${errors.quantity ? 'border-red-400' : ''}`}
+                            placeholder="0"
+                            autoFocus
+                        />
+                        {errors.quantity && <p className="text-red-500 text-xs mt-1">{errors.quantity}</p>}
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Reason *</label>
+                        <textarea
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            className={`input-field min-h-[80px] ${errors.reason ? 'border-red-400' : ''}`}
+                            placeholder="e.g. Box crushed in delivery, monthly stock count..."
+                        />
+                        {errors.reason && <p className="text-red-500 text-xs mt-1">{errors.reason}</p>}
+                    </div>
+
+                    {needsWitness && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Witness PIN *</label>
+                            <input
+                                type="password"
+                                inputMode="numeric"
+                                autoComplete="off"
+                                value={witnessPin}
+                                onChange={(e) => setWitnessPin(e.target.value)}
+                                className={`input-field ${errors.witnessPin ? 'border-red-400' : ''}`}
+                                placeholder="Another admin enters their approval PIN"
+                            />
+                            {errors.witnessPin
+                                ? <p className="text-red-500 text-xs mt-1">{errors.witnessPin}</p>
+                                : <p className="text-slate-400 text-xs mt-1">Controlled drug: recorded in the register with the witness</p>}
+                        </div>
+                    )}
+
+                    <div className="flex justify-between items-center p-3 bg-slate-50 rounded-xl text-sm">
+                        <span className="text-slate-500">Stock after adjustment</span>
+                        <span className={`font-bold ${resultingStock < 0 ? 'text-red-600' : 'text-slate-800'}`}>
+                            {medicine.quantity} → {resultingStock}
+                        </span>
+                    </div>
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex-1 flex items-center justify-center gap-2"
+                        >
+                            {isSubmitting ? (
+                                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                            ) : (
+                                <>
+                                    <Save className="w-4 h-4" /> Save
+                                </>
+                            )}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,102 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getAllMedicines } from '../../db/db';
+import { findSubstitutes } from '../../lib/substitutes';
+import { formatCurrency } from '../../lib/format';
+import { Replace, X, AlertTriangle } from 'lucide-react';
+
+function formatExpiry(date) {
+    if (!date) return 'No expiry';
+    return new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Substitutes Dialog
+ * In-stock alternatives with the same generic name, dosage form and strength.
+ * Searches the given medicines (the POS list) or loads the full list, and
+ * offers actionLabel on each row when onSelect is given.
+ */
+export default function SubstitutesDialog({ medicine, medicines, actionLabel = 'Add to sale', onSelect, onClose }) {
+    const [loaded, setLoaded] = useState(null); // Full list when none was passed in
+
+    useEffect(() => {
+        if (medicines) return;
+        let cancelled = false;
+        getAllMedicines().then(result => {
+            if (!cancelled) setLoaded(result.data || []);
+        });
+        return () => { cancelled = true; };
+    }, [medicines]);
+
+    const candidates = medicines || loaded;
+    const substitutes = useMemo(() => (candidates ? findSubstitutes(medicine, candidates) : []), [medicine, candidates]);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl p-6 max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <Replace className="w-5 h-5 text-pharmacy-600" />
+                            Alternatives to {medicine.name}
+                        </h2>
+                        <p className="text-sm text-slate-500">
+                            {medicine.genericName || 'No generic name'}
+                            {medicine.strength && ` · ${medicine.strength}`}
+                            {` · ${medicine.category || 'Tablet'}`}
+                        </p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="overflow-y-auto -mx-2 px-2">
+                    {!candidates ? (
+                        <div className="flex justify-center py-8">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : !medicine.genericName ? (
+                        <p className="text-center text-slate-500 py-8">Add a generic name to this medicine to find substitutes.</p>
+                    ) : substitutes.length === 0 ? (
+                        <p className="text-center text-slate-500 py-8">No in-stock medicine with the same generic name and form.</p>
+                    ) : (
+                        <ul className="divide-y divide-slate-100">
+                            {substitutes.map(sub => (
+                                <li key={sub.id} className="flex items-center justify-between gap-4 py-3">
+                                    <div className="min-w-0">
+                                        <p className="font-medium text-slate-800">
+                                            {sub.name}
+                                            {sub.requiresPrescription && (
+                                                <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium bg-amber-100 text-amber-700 align-middle">Rx</span>
+                                            )}
+                                        </p>
+                                        <p className="text-sm text-slate-500">
+                                            {[sub.brandName, sub.strength].filter(Boolean).join(' · ') || sub.genericName}
+                                        </p>
+                                        <p className="text-xs text-slate-400">
+                                            {sub.sellableQuantity ?? sub.quantity} in stock · Expires {formatExpiry(sub.nextExpiry)}
+                                        </p>
+                                        {sub.strengthUnconfirmed && (
+                                            <p className="text-xs text-amber-600 flex items-center gap-1">
+                                                <AlertTriangle className="w-3 h-3" />
+                                                Strength not recorded, check before dispensing
+                                            </p>
+                                        )}
+                                    </div>
+                                    <div className="flex items-center gap-3 shrink-0">
+                                        <span className="font-bold text-slate-800">{formatCurrency(sub.sellingPrice)}</span>
+                                        {onSelect && (
+                                            <button onClick={() => onSelect(sub)} className="btn-primary py-2 px-3 text-sm">
+                                                {actionLabel}
+                                            </button>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { FileText, X, Save, Upload } from 'lucide-react';
+
+/**
+ * Prescription Dialog
+ * Capture the prescription a sale is dispensed against: prescriber,
+ * patient, date written, prescription number and an optional scan
+ */
+export default function PrescriptionDialog({ prescription, customer, medicines, onClose, onSave }) {
+    const [form, setForm] = useState(() => ({
+        prescriptionNumber: prescription?.prescriptionNumber || '',
+        prescriberName: prescription?.prescriberName || '',
+        prescriberLicense: prescription?.prescriberLicense || '',
+        patientName: prescription?.patientName || customer?.name || '',
+        prescribedOn: prescription?.prescribedOn || new Date().toLocaleDateString('en-CA'), // YYYY-MM-DD, local
+        notes: prescription?.notes || ''
+    }));
+    const [image, setImage] = useState(prescription?.image || null);
+    const [error, setError] = useState('');
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setForm(prev => ({ ...prev, [name]: value }));
+        setError('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const missing = [
+            ['prescriptionNumber', 'the prescription number'],
+            ['prescriberName', 'the prescriber'],
+            ['patientName', 'the patient'],
+            ['prescribedOn', 'the date written']
+        ].find(([field]) => !form[field].trim());
+        if (missing) {
+            setError(`Enter ${missing[1]}`);
+            return;
+        }
+        if (form.prescribedOn > new Date().toLocaleDateString('en-CA')) {
+            setError('The prescription date is in the future');
+            return;
+        }
+
+        onSave({
+            prescriptionNumber: form.prescriptionNumber.trim(),
+            prescriberName: form.prescriberName.trim(),
+            prescriberLicense: form.prescriberLicense.trim(),
+            patientName: form.patientName.trim(),
+            prescribedOn: form.prescribedOn,
+            notes: form.notes.trim(),
+            image
+        });
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg p-6 max-h-[90vh] overflow-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <FileText className="w-5 h-5 text-pharmacy-600" />
+                        Prescription
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                {medicines.length > 0 && (
+                    <p className="p-3 rounded-xl bg-amber-50 text-sm text-amber-800 mb-4">
+                        Prescription only: {medicines.join(', ')}
+                    </p>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Prescription No. *</label>
+                            <input
+                                type="text"
+                                name="prescriptionNumber"
+                                value={form.prescriptionNumber}
+                                onChange={handleChange}
+                                className="input-field font-mono"
+                                autoFocus
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Date Written *</label>
+                            <input
+                                type="date"
+                                name="prescribedOn"
+                                value={form.prescribedOn}
+                                onChange={handleChange}
+                                className="input-field"
+                            />
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Prescriber *</label>
+                            <input
+                                type="text"
+                                name="prescriberName"
+                                value={form.prescriberName}
+                                onChange={handleChange}
+                                className="input-field"
+                                placeholder="e.g. Dr. Ahmed Ali"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">License No.</label>
+                            <input
+                                type="text"
+                                name="prescriberLicense"
+                                value={form.prescriberLicense}
+                                onChange={handleChange}
+                                className="input-field"
+                                placeholder="Optional"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Patient *</label>
+                        <input
+                            type="text"
+                            name="patientName"
+                            value={form.patientName}
+                            onChange={handleChange}
+                            className="input-field"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Scanned Prescription</label>
+                        <label className="flex items-center gap-2 p-3 rounded-xl border border-dashed border-slate-300 text-slate-600 cursor-pointer hover:bg-slate-50">
+                            <Upload className="w-4 h-4" />
+                            <span className="truncate">{image ? image.name || 'Scan attached' : 'Photo or PDF (optional)'}</span>
+                            <input
+                                type="file"
+                                accept="image/*,application/pdf"
+                                onChange={(e) => setImage(e.target.files?.[0] || null)}
+                                className="hidden"
+                            />
+                        </label>
+                        {image && (
+                            <button type="button" onClick={() => setImage(null)} className="text-xs text-red-600 hover:underline mt-1">
+                                Remove scan
+                            </button>
+                        )}
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Notes</label>
+                        <input
+                            type="text"
+                            name="notes"
+                            value={form.notes}
+                            onChange={handleChange}
+                            className="input-field"
+                            placeholder="Optional"
+                        />
+                    </div>
+
+                    {error && <p className="text-sm text-red-600">{error}</p>}
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-primary flex-1 flex items-center justify-center gap-2">
+                            <Save className="w-4 h-4" />
+                            Save
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
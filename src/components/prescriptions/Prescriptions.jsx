@@ -0,0 +1,184 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getPrescriptions, getPrescriptionImageUrl } from '../../db/db';
+import { formatDateTime, formatReceiptNumber } from '../../lib/format';
+import ReceiptModal from '../sales/ReceiptModal';
+import { FileText, Search, Image } from 'lucide-react';
+
+function formatDay(day) {
+    return new Date(`${day}T00:00:00`).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Prescriptions Component
+ * Every prescription dispensed against, searchable by number, patient or
+ * prescriber, with the sale it was filled on and the scan
+ */
+export default function Prescriptions() {
+    const { showToast } = useApp();
+    const [search, setSearch] = useState('');
+    const [filters, setFilters] = useState({ search: '', from: '', to: '' }); // Applied
+    const [result, setResult] = useState(null); // { key, rows }
+    const [receiptInvoiceId, setReceiptInvoiceId] = useState(null);
+
+    const key = `${filters.search}|${filters.from}|${filters.to}`;
+
+    useEffect(() => {
+        let cancelled = false;
+        getPrescriptions({
+            search: filters.search,
+            start: filters.from ? new Date(`${filters.from}T00:00:00`) : null,
+            end: filters.to ? new Date(`${filters.to}T23:59:59.999`) : null
+        }).then(prescriptions => {
+            if (cancelled) return;
+            if (!prescriptions.success) showToast(prescriptions.error || 'Failed to load prescriptions', TOAST_TYPES.ERROR);
+            setResult({ key, rows: prescriptions.data || [] });
+        });
+        return () => { cancelled = true; };
+    }, [filters, key, showToast]);
+
+    const loading = result?.key !== key;
+    const rows = result?.rows || [];
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        setFilters(prev => ({ ...prev, search: search.trim() }));
+    };
+
+    const handleViewScan = async (path) => {
+        const link = await getPrescriptionImageUrl(path);
+        if (link.success) {
+            window.open(link.url, '_blank', 'noopener');
+        } else {
+            showToast(link.error || 'Failed to open the scan', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                    <FileText className="w-8 h-8 text-pharmacy-600" />
+                    Prescriptions
+                </h1>
+                <p className="text-slate-500">Prescriptions dispensed against, and the sales that filled them</p>
+            </div>
+
+            <div className="flex flex-col md:flex-row gap-4">
+                <form onSubmit={handleSearch} className="relative flex-1">
+                    <Search className="w-5 h-5 absolute left-4 top-1/2 -translate-y-1/2 text-slate-400" />
+                    <input
+                        type="text"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        className="input-field pl-12"
+                        placeholder="Prescription number, patient or prescriber, then Enter"
+                    />
+                </form>
+                <div className="flex items-center gap-2">
+                    <input
+                        type="date"
+                        value={filters.from}
+                        onChange={(e) => setFilters(prev => ({ ...prev, from: e.target.value }))}
+                        className="input-field md:w-44"
+                    />
+                    <span className="text-slate-400">to</span>
+                    <input
+                        type="date"
+                        value={filters.to}
+                        onChange={(e) => setFilters(prev => ({ ...prev, to: e.target.value }))}
+                        className="input-field md:w-44"
+                    />
+                </div>
+            </div>
+
+            {loading && !result ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : rows.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <FileText className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">
+                        {filters.search || filters.from || filters.to ? 'No prescriptions match your search' : 'No prescriptions recorded yet'}
+                    </p>
+                </div>
+            ) : (
+                <div className={`bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden transition-opacity ${loading ? 'opacity-50' : ''}`}>
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-slate-50 border-b border-slate-100">
+                                <tr>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Prescription</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Patient</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Prescriber</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Dispensed</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Sale</th>
+                                    <th className="py-4 px-6" />
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {rows.map(row => (
+                                    <tr key={row.id} className="align-top hover:bg-slate-50">
+                                        <td className="py-4 px-6">
+                                            <p className="font-mono font-medium text-slate-800">{row.prescriptionNumber}</p>
+                                            <p className="text-sm text-slate-500">Written {formatDay(row.prescribedOn)}</p>
+                                            {row.notes && <p className="text-sm text-slate-500">{row.notes}</p>}
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            {row.customerId ? (
+                                                <Link to={`/customers/${row.customerId}`} className="font-medium text-pharmacy-600 hover:underline">
+                                                    {row.patientName}
+                                                </Link>
+                                            ) : (
+                                                <p className="font-medium text-slate-800">{row.patientName}</p>
+                                            )}
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            <p className="text-slate-800">{row.prescriberName}</p>
+                                            {row.prescriberLicense && <p className="text-sm text-slate-500">License {row.prescriberLicense}</p>}
+                                        </td>
+                                        <td className="py-4 px-6 text-sm text-slate-600">
+                                            <p>{formatDateTime(row.createdAt)}</p>
+                                            {row.recordedByName && <p className="text-slate-400">by {row.recordedByName}</p>}
+                                            <ul className="mt-1 text-slate-500">
+                                                {row.items.map((item, index) => (
+                                                    <li key={index}>{item.quantity} × {item.name}</li>
+                                                ))}
+                                            </ul>
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            <button
+                                                onClick={() => setReceiptInvoiceId(row.invoiceId)}
+                                                className="font-mono text-pharmacy-600 hover:underline"
+                                            >
+                                                {formatReceiptNumber(row.invoiceNumber)}
+                                            </button>
+                                            {row.voided && <p className="text-xs font-medium text-red-600">Voided</p>}
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            {row.imagePath && (
+                                                <button
+                                                    onClick={() => handleViewScan(row.imagePath)}
+                                                    className="btn-secondary flex items-center gap-2 text-sm whitespace-nowrap"
+                                                >
+                                                    <Image className="w-4 h-4" />
+                                                    Scan
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {receiptInvoiceId && (
+                <ReceiptModal invoiceId={receiptInvoiceId} onClose={() => setReceiptInvoiceId(null)} />
+            )}
+        </div>
+    );
+}
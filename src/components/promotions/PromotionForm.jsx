@@ -0,0 +1,294 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getAllMedicines, savePromotion } from '../../db/db';
+import { MEDICINE_CATEGORIES } from '../../lib/medicineValidation';
+import { PROMOTION_KINDS } from '../../lib/pricing';
+import { Tag, X, Save } from 'lucide-react';
+
+// Date inputs are whole local days: starts at midnight, ends after the last day
+function toDayInput(iso, offsetDays = 0) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    date.setDate(date.getDate() + offsetDays);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function fromDayInput(day, offsetDays = 0) {
+    if (!day) return null;
+    const [y, m, d] = day.split('-').map(Number);
+    return new Date(y, m - 1, d + offsetDays).toISOString();
+}
+
+/**
+ * Promotion Form
+ * Automatic promotions apply to matching lines at checkout; basket discounts
+ * (staff, senior, ...) are offered to the cashier to pick
+ */
+export default function PromotionForm({ promotion, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const [medicines, setMedicines] = useState([]);
+    const [form, setForm] = useState({
+        name: promotion?.name || '',
+        automatic: promotion?.automatic ?? true,
+        kind: promotion?.kind || 'percent',
+        value: promotion?.value?.toString() || '',
+        buyQuantity: promotion?.buyQuantity?.toString() || '2',
+        getQuantity: promotion?.getQuantity?.toString() || '1',
+        scope: promotion?.scope || 'all',
+        category: promotion?.category || MEDICINE_CATEGORIES[0],
+        medicineId: promotion?.medicineId || '',
+        startDay: toDayInput(promotion?.startsAt),
+        endDay: toDayInput(promotion?.endsAt, -1),
+        active: promotion?.active ?? true
+    });
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getAllMedicines().then(result => {
+            if (!cancelled && result.success) setMedicines(result.data);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!form.name.trim()) {
+            showToast('Enter a name', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (form.kind === 'buy_get') {
+            if (!(parseInt(form.buyQuantity) > 0) || !(parseInt(form.getQuantity) > 0)) {
+                showToast('Enter how many to buy and how many are free', TOAST_TYPES.ERROR);
+                return;
+            }
+        } else if (!(parseFloat(form.value) > 0) || (form.kind === 'percent' && parseFloat(form.value) > 100)) {
+            showToast(form.kind === 'percent' ? 'Enter a percentage between 0 and 100' : 'Enter an amount', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (form.automatic && form.scope === 'medicine' && !form.medicineId) {
+            showToast('Select a medicine', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (form.startDay && form.endDay && form.endDay < form.startDay) {
+            showToast('End date is before the start date', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await savePromotion({
+            ...form,
+            id: promotion?.id,
+            startsAt: fromDayInput(form.startDay),
+            endsAt: fromDayInput(form.endDay, 1)
+        });
+        if (result.success) {
+            showToast(promotion ? 'Promotion updated' : 'Promotion created', TOAST_TYPES.SUCCESS);
+            onSuccess();
+            onClose();
+        } else {
+            showToast(result.error || 'Failed to save promotion', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <Tag className="w-5 h-5 text-pharmacy-600" />
+                        {promotion ? 'Edit Promotion' : 'New Promotion'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form id="promotion-form" onSubmit={handleSubmit} className="flex-1 overflow-auto p-6 space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => update('name', e.target.value)}
+                            className="input-field"
+                            placeholder="e.g. Syrup Week, Senior Discount"
+                            autoFocus
+                        />
+                    </div>
+
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        <button
+                            type="button"
+                            onClick={() => update('automatic', true)}
+                            className={`flex-1 py-2 rounded-lg font-medium text-sm transition-all ${form.automatic ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'}`}
+                        >
+                            Applied automatically
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setForm(prev => ({ ...prev, automatic: false, kind: prev.kind === 'buy_get' ? 'percent' : prev.kind }))}
+                            className={`flex-1 py-2 rounded-lg font-medium text-sm transition-all ${!form.automatic ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'}`}
+                        >
+                            Basket discount (cashier picks)
+                        </button>
+                    </div>
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Type</label>
+                            <select
+                                value={form.kind}
+                                onChange={(e) => update('kind', e.target.value)}
+                                className="input-field cursor-pointer"
+                            >
+                                {Object.entries(PROMOTION_KINDS)
+                                    .filter(([key]) => form.automatic || key !== 'buy_get')
+                                    .map(([key, label]) => (
+                                        <option key={key} value={key}>
+                                            {!form.automatic && key === 'fixed' ? 'Amount off basket' : label}
+                                        </option>
+                                    ))}
+                            </select>
+                        </div>
+                        {form.kind === 'buy_get' ? (
+                            <div className="grid grid-cols-2 gap-2">
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Buy</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={form.buyQuantity}
+                                        onChange={(e) => update('buyQuantity', e.target.value)}
+                                        className="input-field"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Get free</label>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={form.getQuantity}
+                                        onChange={(e) => update('getQuantity', e.target.value)}
+                                        className="input-field"
+                                    />
+                                </div>
+                            </div>
+                        ) : (
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">
+                                    {form.kind === 'percent' ? 'Percent off' : 'Amount off'}
+                                </label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    max={form.kind === 'percent' ? 100 : undefined}
+                                    value={form.value}
+                                    onChange={(e) => update('value', e.target.value)}
+                                    className="input-field"
+                                />
+                            </div>
+                        )}
+                    </div>
+
+                    {form.automatic && (
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Applies to</label>
+                                <select
+                                    value={form.scope}
+                                    onChange={(e) => update('scope', e.target.value)}
+                                    className="input-field cursor-pointer"
+                                >
+                                    <option value="all">All medicines</option>
+                                    <option value="category">A category</option>
+                                    <option value="medicine">One medicine</option>
+                                </select>
+                            </div>
+                            {form.scope === 'category' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Category</label>
+                                    <select
+                                        value={form.category}
+                                        onChange={(e) => update('category', e.target.value)}
+                                        className="input-field cursor-pointer"
+                                    >
+                                        {MEDICINE_CATEGORIES.map(category => (
+                                            <option key={category} value={category}>{category}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                            {form.scope === 'medicine' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Medicine</label>
+                                    <select
+                                        value={form.medicineId}
+                                        onChange={(e) => update('medicineId', e.target.value)}
+                                        className="input-field cursor-pointer"
+                                    >
+                                        <option value="">Select…</option>
+                                        {medicines.map(m => (
+                                            <option key={m.id} value={m.id}>{m.name}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">From</label>
+                            <input
+                                type="date"
+                                value={form.startDay}
+                                onChange={(e) => update('startDay', e.target.value)}
+                                className="input-field"
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Until (inclusive)</label>
+                            <input
+                                type="date"
+                                value={form.endDay}
+                                onChange={(e) => update('endDay', e.target.value)}
+                                className="input-field"
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-slate-400 -mt-2">Leave dates empty for a promotion with no start or end.</p>
+
+                    <label className="flex items-center gap-2 text-sm text-slate-700 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={form.active}
+                            onChange={(e) => update('active', e.target.checked)}
+                            className="w-4 h-4 accent-pharmacy-600"
+                        />
+                        Active
+                    </label>
+                </form>
+
+                <div className="flex justify-end gap-3 p-6 border-t border-slate-100">
+                    <button type="button" onClick={onClose} className="btn-secondary">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        form="promotion-form"
+                        disabled={isSubmitting}
+                        className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                    >
+                        <Save className="w-4 h-4" />
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
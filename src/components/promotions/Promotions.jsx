@@ -0,0 +1,179 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getPromotions, savePromotion, deletePromotion } from '../../db/db';
+import { formatCurrency } from '../../lib/format';
+import PromotionForm from './PromotionForm';
+import {
+    Tag,
+    Plus,
+    Edit2,
+    Trash2,
+    Calendar
+} from 'lucide-react';
+
+function describeValue(promotion) {
+    if (promotion.kind === 'buy_get') return `Buy ${promotion.buyQuantity} get ${promotion.getQuantity} free`;
+    if (promotion.kind === 'percent') return `${promotion.value}% off`;
+    return `${formatCurrency(promotion.value)} off${promotion.automatic ? ' each' : ''}`;
+}
+
+function describeScope(promotion) {
+    if (!promotion.automatic) return 'Basket discount, picked at checkout';
+    if (promotion.scope === 'category') return `All ${promotion.category}`;
+    if (promotion.scope === 'medicine') return promotion.medicineName || 'One medicine';
+    return 'All medicines';
+}
+
+function describeDates(promotion) {
+    const day = (iso) => new Date(iso).toLocaleDateString();
+    // ends_at is exclusive; show the last day it runs
+    const lastDay = (iso) => day(new Date(new Date(iso).getTime() - 1));
+    if (promotion.startsAt && promotion.endsAt) return `${day(promotion.startsAt)} – ${lastDay(promotion.endsAt)}`;
+    if (promotion.startsAt) return `From ${day(promotion.startsAt)}`;
+    if (promotion.endsAt) return `Until ${lastDay(promotion.endsAt)}`;
+    return 'No end date';
+}
+
+/**
+ * Promotions Component
+ * Admin list of automatic promotions and cashier-selectable basket discounts
+ */
+export default function Promotions() {
+    const { showToast } = useApp();
+    const [promotions, setPromotions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [editing, setEditing] = useState(null); // null, 'new' or a promotion
+
+    useEffect(() => {
+        let cancelled = false;
+        getPromotions().then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setPromotions(result.data);
+            } else {
+                showToast(result.error || 'Failed to load promotions', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [reloadKey, showToast]);
+
+    const reload = () => setReloadKey(prev => prev + 1);
+
+    const handleToggle = async (promotion) => {
+        const result = await savePromotion({ ...promotion, active: !promotion.active });
+        if (result.success) {
+            reload();
+        } else {
+            showToast(result.error || 'Failed to update promotion', TOAST_TYPES.ERROR);
+        }
+    };
+
+    const handleDelete = async (promotion) => {
+        if (!window.confirm(`Delete "${promotion.name}"? Past sales keep their discounts.`)) return;
+        const result = await deletePromotion(promotion.id);
+        if (result.success) {
+            showToast('Promotion deleted', TOAST_TYPES.SUCCESS);
+            reload();
+        } else {
+            showToast(result.error || 'Failed to delete promotion', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <Tag className="w-8 h-8 text-pharmacy-600" />
+                        Promotions
+                    </h1>
+                    <p className="text-slate-500">Automatic offers and the basket discounts cashiers can apply</p>
+                </div>
+                <button onClick={() => setEditing('new')} className="btn-primary flex items-center gap-2">
+                    <Plus className="w-5 h-5" />
+                    New Promotion
+                </button>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : promotions.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <Tag className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No promotions yet</p>
+                </div>
+            ) : (
+                <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="w-full">
+                            <thead className="bg-slate-50 border-b border-slate-100">
+                                <tr>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Name</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Offer</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Applies to</th>
+                                    <th className="text-left py-4 px-6 font-semibold text-slate-600">Dates</th>
+                                    <th className="text-center py-4 px-6 font-semibold text-slate-600">Status</th>
+                                    <th className="text-right py-4 px-6 font-semibold text-slate-600">Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-100">
+                                {promotions.map(promotion => (
+                                    <tr key={promotion.id} className="hover:bg-slate-50">
+                                        <td className="py-4 px-6 font-medium text-slate-800">{promotion.name}</td>
+                                        <td className="py-4 px-6 text-slate-600">{describeValue(promotion)}</td>
+                                        <td className="py-4 px-6 text-slate-600">{describeScope(promotion)}</td>
+                                        <td className="py-4 px-6 text-slate-500 text-sm">
+                                            <span className="flex items-center gap-1">
+                                                <Calendar className="w-4 h-4" />
+                                                {describeDates(promotion)}
+                                            </span>
+                                        </td>
+                                        <td className="py-4 px-6 text-center">
+                                            <button
+                                                onClick={() => handleToggle(promotion)}
+                                                className={`text-xs font-semibold px-2.5 py-1 rounded-full ${promotion.active ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-500'}`}
+                                                title={promotion.active ? 'Click to pause' : 'Click to activate'}
+                                            >
+                                                {promotion.active ? 'Active' : 'Paused'}
+                                            </button>
+                                        </td>
+                                        <td className="py-4 px-6">
+                                            <div className="flex justify-end gap-2">
+                                                <button
+                                                    onClick={() => setEditing(promotion)}
+                                                    className="p-2 text-slate-400 hover:text-pharmacy-600 hover:bg-pharmacy-50 rounded-lg"
+                                                    title="Edit"
+                                                >
+                                                    <Edit2 className="w-4 h-4" />
+                                                </button>
+                                                <button
+                                                    onClick={() => handleDelete(promotion)}
+                                                    className="p-2 text-slate-400 hover:text-red-600 hover:bg-red-50 rounded-lg"
+                                                    title="Delete"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            {editing && (
+                <PromotionForm
+                    promotion={editing === 'new' ? null : editing}
+                    onClose={() => setEditing(null)}
+                    onSuccess={reload}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getSuppliers, getAllMedicines, savePurchaseOrder } from '../../db/db';
+import { formatCurrency, formatPoNumber } from '../../lib/format';
+import { ClipboardList, X, Save, Plus, Trash2 } from 'lucide-react';
+
+/**
+ * Purchase Order Form
+ * Create a new order or edit a draft: supplier, medicines, quantities and agreed cost
+ */
+export default function PurchaseOrderForm({ order, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const [suppliers, setSuppliers] = useState([]);
+    const [medicines, setMedicines] = useState([]);
+    const [supplierId, setSupplierId] = useState(order?.supplierId || '');
+    const [expectedDate, setExpectedDate] = useState(order?.expectedDate || '');
+    const [notes, setNotes] = useState(order?.notes || '');
+    const [items, setItems] = useState(
+        order?.items.map(i => ({
+            medicineId: i.medicineId,
+            name: i.medicineName,
+            quantity: i.quantityOrdered.toString(),
+            unitCost: i.unitCost.toString()
+        })) || []
+    );
+    const [newMedicineId, setNewMedicineId] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getSuppliers(), getAllMedicines()]).then(([supplierResult, medicineResult]) => {
+            if (cancelled) return;
+            if (supplierResult.success) setSuppliers(supplierResult.data);
+            if (medicineResult.success) setMedicines(medicineResult.data);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const total = items.reduce((sum, i) => sum + (parseInt(i.quantity) || 0) * (parseFloat(i.unitCost) || 0), 0);
+
+    const handleAddLine = () => {
+        const medicine = medicines.find(m => m.id === newMedicineId);
+        if (!medicine) return;
+        if (items.some(i => i.medicineId === medicine.id)) {
+            showToast(`${medicine.name} is already on this order`, TOAST_TYPES.WARNING);
+            return;
+        }
+        setItems(prev => [...prev, {
+            medicineId: medicine.id,
+            name: medicine.name,
+            quantity: '',
+            unitCost: medicine.purchasePrice?.toString() || ''
+        }]);
+        setNewMedicineId('');
+    };
+
+    const updateLine = (medicineId, field, value) => {
+        setItems(prev => prev.map(i => i.medicineId === medicineId ? { ...i, [field]: value } : i));
+    };
+
+    const removeLine = (medicineId) => {
+        setItems(prev => prev.filter(i => i.medicineId !== medicineId));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!supplierId) {
+            showToast('Select a supplier', TOAST_TYPES.ERROR);
+            return;
+        }
+        if (items.length === 0) {
+            showToast('Add at least one medicine', TOAST_TYPES.ERROR);
+            return;
+        }
+        const invalid = items.find(i => !(parseInt(i.quantity) > 0) || i.unitCost === '' || parseFloat(i.unitCost) < 0);
+        if (invalid) {
+            showToast(`Enter a quantity and cost for ${invalid.name}`, TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await savePurchaseOrder({ id: order?.id, supplierId, expectedDate, notes, items });
+        if (result.success) {
+            showToast(`${formatPoNumber(result.data.poNumber)} saved`, TOAST_TYPES.SUCCESS);
+            onSuccess?.();
+            onClose();
+        } else {
+            showToast(result.error || 'Failed to save purchase order', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <ClipboardList className="w-5 h-5 text-pharmacy-600" />
+                        {order ? `Edit ${formatPoNumber(order.poNumber)}` : 'New Purchase Order'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="flex-1 overflow-auto p-6 space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Supplier *</label>
+                            <select
+                                value={supplierId}
+                                onChange={(e) => setSupplierId(e.target.value)}
+                                className="input-field cursor-pointer"
+                            >
+                                <option value="">Select Supplier</option>
+                                {suppliers.map(sup => (
+                                    <option key={sup.id} value={sup.id}>{sup.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Expected Delivery</label>
+                            <input
+                                type="date"
+                                value={expectedDate}
+                                onChange={(e) => setExpectedDate(e.target.value)}
+                                className="input-field"
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Add Medicine</label>
+                        <div className="flex gap-2">
+                            <select
+                                value={newMedicineId}
+                                onChange={(e) => setNewMedicineId(e.target.value)}
+                                className="input-field cursor-pointer"
+                            >
+                                <option value="">Select medicine...</option>
+                                {medicines.map(med => (
+                                    <option key={med.id} value={med.id}>{med.name} ({med.quantity} in stock)</option>
+                                ))}
+                            </select>
+                            <button
+                                type="button"
+                                onClick={handleAddLine}
+                                disabled={!newMedicineId}
+                                className="btn-secondary flex items-center gap-2 shrink-0 disabled:opacity-50"
+                            >
+                                <Plus className="w-4 h-4" /> Add
+                            </button>
+                        </div>
+                    </div>
+
+                    {items.length > 0 && (
+                        <div className="overflow-x-auto rounded-xl border border-slate-200">
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="bg-slate-50 border-b border-slate-200">
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600">Medicine</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600 w-28">Quantity</th>
+                                        <th className="text-left px-4 py-3 font-semibold text-slate-600 w-32">Unit Cost ($)</th>
+                                        <th className="text-right px-4 py-3 font-semibold text-slate-600">Line Total</th>
+                                        <th className="px-4 py-3" />
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {items.map(item => (
+                                        <tr key={item.medicineId} className="border-b border-slate-100">
+                                            <td className="px-4 py-2 font-medium text-slate-800">{item.name}</td>
+                                            <td className="px-4 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    value={item.quantity}
+                                                    onChange={(e) => updateLine(item.medicineId, 'quantity', e.target.value)}
+                                                    className="input-field py-2"
+                                                />
+                                            </td>
+                                            <td className="px-4 py-2">
+                                                <input
+                                                    type="number"
+                                                    step="0.01"
+                                                    min="0"
+                                                    value={item.unitCost}
+                                                    onChange={(e) => updateLine(item.medicineId, 'unitCost', e.target.value)}
+                                                    className="input-field py-2"
+                                                />
+                                            </td>
+                                            <td className="px-4 py-2 text-right text-slate-700">
+                                                {formatCurrency((parseInt(item.quantity) || 0) * (parseFloat(item.unitCost) || 0))}
+                                            </td>
+                                            <td className="px-4 py-2 text-right">
+                                                <button
+                                                    type="button"
+                                                    onClick={() => removeLine(item.medicineId)}
+                                                    className="p-2 text-red-500 hover:bg-red-50 rounded-lg"
+                                                    title="Remove"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Notes</label>
+                        <textarea
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            className="input-field min-h-[60px]"
+                            placeholder="Delivery instructions, payment terms..."
+                        />
+                    </div>
+
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 pt-4 border-t border-slate-100">
+                        <p className="text-slate-600">
+                            Order total: <span className="font-bold text-slate-800">{formatCurrency(total)}</span>
+                        </p>
+                        <div className="flex gap-3">
+                            <button type="button" onClick={onClose} className="btn-secondary">
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={isSubmitting}
+                                className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                            >
+                                {isSubmitting ? (
+                                    <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                                ) : (
+                                    <Save className="w-4 h-4" />
+                                )}
+                                Save Draft
+                            </button>
+                        </div>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
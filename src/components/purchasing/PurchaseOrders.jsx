@@ -0,0 +1,262 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getPurchaseOrders, setPurchaseOrderStatus } from '../../db/db';
+import { formatCurrency, formatDateTime, formatPoNumber } from '../../lib/format';
+import PurchaseOrderForm from './PurchaseOrderForm';
+import ReceiveGoodsDialog from './ReceiveGoodsDialog';
+import {
+    ClipboardList,
+    Plus,
+    Edit2,
+    Send,
+    Ban,
+    PackageCheck,
+    Building2,
+    Calendar
+} from 'lucide-react';
+
+const STATUS_BADGES = {
+    draft: { label: 'Draft', className: 'bg-slate-100 text-slate-600' },
+    sent: { label: 'Sent', className: 'bg-blue-100 text-blue-700' },
+    partially_received: { label: 'Partially Received', className: 'bg-amber-100 text-amber-700' },
+    received: { label: 'Received', className: 'bg-green-100 text-green-700' },
+    cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-700' }
+};
+
+const FILTERS = {
+    open: ['draft', 'sent', 'partially_received'],
+    received: ['received'],
+    cancelled: ['cancelled']
+};
+
+/**
+ * Purchase Orders Component
+ * Order stock from suppliers and book deliveries against the order
+ */
+export default function PurchaseOrders() {
+    const { showToast } = useApp();
+    const [orders, setOrders] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [filter, setFilter] = useState('open'); // open, received, cancelled
+    const [editingOrder, setEditingOrder] = useState(null); // null, 'new' or an order
+    const [receivingOrder, setReceivingOrder] = useState(null);
+    const [processingId, setProcessingId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getPurchaseOrders().then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setOrders(result.data);
+            } else {
+                showToast(result.error || 'Failed to load purchase orders', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [reloadKey, showToast]);
+
+    const reload = () => setReloadKey(prev => prev + 1);
+
+    const handleStatus = async (order, status) => {
+        setProcessingId(order.id);
+        const result = await setPurchaseOrderStatus(order.id, status);
+        if (result.success) {
+            showToast(`${formatPoNumber(order.poNumber)} ${status === 'sent' ? 'marked as sent' : 'cancelled'}`, TOAST_TYPES.SUCCESS);
+            reload();
+        } else {
+            showToast(result.error || 'Failed to update order', TOAST_TYPES.ERROR);
+        }
+        setProcessingId(null);
+    };
+
+    const filteredOrders = orders.filter(o => FILTERS[filter].includes(o.status));
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <ClipboardList className="w-8 h-8 text-pharmacy-600" />
+                        Purchase Orders
+                    </h1>
+                    <p className="text-slate-500">Order from suppliers and receive deliveries into stock</p>
+                </div>
+                <button
+                    onClick={() => setEditingOrder('new')}
+                    className="btn-primary flex items-center gap-2"
+                >
+                    <Plus className="w-5 h-5" />
+                    New Order
+                </button>
+            </div>
+
+            <div className="flex bg-slate-100 rounded-xl p-1 w-fit">
+                {Object.keys(FILTERS).map(key => (
+                    <button
+                        key={key}
+                        onClick={() => setFilter(key)}
+                        className={`px-4 py-2 rounded-lg font-medium capitalize transition-all ${filter === key ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                            }`}
+                    >
+                        {key}
+                    </button>
+                ))}
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : filteredOrders.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <ClipboardList className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No {filter} purchase orders</p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {filteredOrders.map(order => {
+                        const badge = STATUS_BADGES[order.status];
+                        const isProcessing = processingId === order.id;
+                        return (
+                            <div key={order.id} className="bg-white p-5 rounded-2xl shadow-sm border border-slate-100">
+                                <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                                    <div>
+                                        <div className="flex items-center gap-3">
+                                            <h3 className="font-bold text-slate-800 text-lg font-mono">{formatPoNumber(order.poNumber)}</h3>
+                                            <span className={`text-xs font-semibold px-2.5 py-1 rounded-full ${badge.className}`}>
+                                                {badge.label}
+                                            </span>
+                                        </div>
+                                        <div className="flex flex-wrap gap-4 text-sm text-slate-500 mt-1">
+                                            <span className="flex items-center gap-1">
+                                                <Building2 className="w-4 h-4" /> {order.supplierName}
+                                            </span>
+                                            {order.expectedDate && (
+                                                <span className="flex items-center gap-1">
+                                                    <Calendar className="w-4 h-4" /> Expected {order.expectedDate}
+                                                </span>
+                                            )}
+                                        </div>
+                                    </div>
+                                    <p className="font-bold text-slate-800 text-lg">{formatCurrency(order.totalCost)}</p>
+                                </div>
+
+                                <div className="overflow-x-auto rounded-xl border border-slate-200 mb-4">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="bg-slate-50 border-b border-slate-200">
+                                                <th className="text-left px-4 py-2 font-semibold text-slate-600">Medicine</th>
+                                                <th className="text-center px-4 py-2 font-semibold text-slate-600">Ordered</th>
+                                                <th className="text-center px-4 py-2 font-semibold text-slate-600">Received</th>
+                                                <th className="text-right px-4 py-2 font-semibold text-slate-600">Unit Cost</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {order.items.map(item => (
+                                                <tr key={item.id} className="border-b border-slate-100">
+                                                    <td className="px-4 py-2 font-medium text-slate-800">{item.medicineName}</td>
+                                                    <td className="px-4 py-2 text-center">{item.quantityOrdered}</td>
+                                                    <td className={`px-4 py-2 text-center font-medium ${item.quantityReceived >= item.quantityOrdered ? 'text-green-600' :
+                                                        item.quantityReceived > 0 ? 'text-amber-600' : 'text-slate-400'
+                                                        }`}>
+                                                        {item.quantityReceived}
+                                                    </td>
+                                                    <td className="px-4 py-2 text-right text-slate-600">{formatCurrency(item.unitCost)}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                {order.notes && <p className="text-sm text-slate-500 italic mb-4">{order.notes}</p>}
+
+                                {order.receipts.length > 0 && (
+                                    <div className="space-y-2 mb-4">
+                                        <h4 className="text-sm font-semibold text-slate-600">Deliveries</h4>
+                                        {order.receipts.map(receipt => {
+                                            const discrepancies = receipt.items.filter(ri => ri.discrepancy !== 0);
+                                            return (
+                                                <div key={receipt.id} className="text-sm bg-slate-50 rounded-lg px-3 py-2">
+                                                    <p className="text-slate-600">
+                                                        {formatDateTime(receipt.receivedAt)} by {receipt.receivedByName || 'admin'}
+                                                        {' · '}
+                                                        {receipt.items.reduce((sum, ri) => sum + ri.quantityReceived, 0)} units
+                                                    </p>
+                                                    {discrepancies.map(ri => {
+                                                        const item = order.items.find(i => i.id === ri.orderItemId);
+                                                        return (
+                                                            <p key={ri.id} className={ri.discrepancy < 0 ? 'text-amber-700' : 'text-blue-700'}>
+                                                                {item?.medicineName}: expected {ri.quantityOutstanding}, received {ri.quantityReceived}
+                                                                {ri.note && ` (${ri.note})`}
+                                                            </p>
+                                                        );
+                                                    })}
+                                                    {receipt.notes && <p className="text-slate-500 italic">{receipt.notes}</p>}
+                                                </div>
+                                            );
+                                        })}
+                                    </div>
+                                )}
+
+                                <div className="flex flex-wrap justify-end gap-2 pt-3 border-t border-slate-100">
+                                    {order.status === 'draft' && (
+                                        <>
+                                            <button
+                                                onClick={() => setEditingOrder(order)}
+                                                className="btn-secondary py-2 px-4 text-sm flex items-center gap-2"
+                                            >
+                                                <Edit2 className="w-4 h-4" /> Edit
+                                            </button>
+                                            <button
+                                                onClick={() => handleStatus(order, 'sent')}
+                                                disabled={isProcessing}
+                                                className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+                                            >
+                                                <Send className="w-4 h-4" /> Mark Sent
+                                            </button>
+                                        </>
+                                    )}
+                                    {['sent', 'partially_received'].includes(order.status) && (
+                                        <button
+                                            onClick={() => setReceivingOrder(order)}
+                                            className="px-4 py-2 bg-green-500 hover:bg-green-600 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2"
+                                        >
+                                            <PackageCheck className="w-4 h-4" /> Receive Goods
+                                        </button>
+                                    )}
+                                    {['draft', 'sent'].includes(order.status) && (
+                                        <button
+                                            onClick={() => handleStatus(order, 'cancelled')}
+                                            disabled={isProcessing}
+                                            className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50"
+                                        >
+                                            <Ban className="w-4 h-4" /> Cancel Order
+                                        </button>
+                                    )}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {editingOrder && (
+                <PurchaseOrderForm
+                    order={editingOrder === 'new' ? null : editingOrder}
+                    onClose={() => setEditingOrder(null)}
+                    onSuccess={reload}
+                />
+            )}
+
+            {receivingOrder && (
+                <ReceiveGoodsDialog
+                    order={receivingOrder}
+                    onClose={() => setReceivingOrder(null)}
+                    onSuccess={reload}
+                />
+            )}
+        </div>
+    );
+}
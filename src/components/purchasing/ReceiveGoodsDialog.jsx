@@ -0,0 +1,212 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { receiveGoods } from '../../db/db';
+import { formatPoNumber } from '../../lib/format';
+import { PackageCheck, X, Save } from 'lucide-react';
+
+/**
+ * Receive Goods Dialog
+ * Book a delivery against a purchase order; each received line becomes a batch
+ */
+export default function ReceiveGoodsDialog({ order, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const [lines, setLines] = useState(() =>
+        order.items
+            .filter(i => i.quantityReceived < i.quantityOrdered)
+            .map(i => {
+                const outstanding = i.quantityOrdered - i.quantityReceived;
+                return {
+                    orderItemId: i.id,
+                    name: i.medicineName,
+                    outstanding,
+                    quantity: outstanding.toString(),
+                    unitCost: i.unitCost.toString(),
+                    batchNumber: '',
+                    expiryDate: '',
+                    note: ''
+                };
+            })
+    );
+    const [notes, setNotes] = useState('');
+    const [close, setClose] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const today = new Date().toISOString().split('T')[0];
+
+    const updateLine = (orderItemId, field, value) => {
+        setLines(prev => prev.map(l => l.orderItemId === orderItemId ? { ...l, [field]: value } : l));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const received = lines.filter(l => parseInt(l.quantity) > 0);
+        if (received.length === 0 && !close) {
+            showToast('Enter at least one received quantity', TOAST_TYPES.ERROR);
+            return;
+        }
+        const missingExpiry = received.find(l => !l.expiryDate || l.expiryDate < today);
+        if (missingExpiry) {
+            showToast(`Enter a future expiry date for ${missingExpiry.name}`, TOAST_TYPES.ERROR);
+            return;
+        }
+        if (lines.some(l => parseInt(l.quantity) < 0)) {
+            showToast('Received quantities cannot be negative', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await receiveGoods(order.id, { items: lines, notes, close });
+        if (result.success) {
+            showToast(
+                result.data.status === 'received'
+                    ? `${formatPoNumber(order.poNumber)} fully received`
+                    : `${formatPoNumber(order.poNumber)} partially received`,
+                TOAST_TYPES.SUCCESS
+            );
+            onSuccess?.();
+            onClose();
+        } else {
+            showToast(result.error || 'Failed to receive goods', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <PackageCheck className="w-5 h-5 text-pharmacy-600" />
+                            Receive Goods
+                        </h2>
+                        <p className="text-sm text-slate-500">{formatPoNumber(order.poNumber)} · {order.supplierName}</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="flex-1 overflow-auto p-6 space-y-6">
+                    <div className="overflow-x-auto rounded-xl border border-slate-200">
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="bg-slate-50 border-b border-slate-200">
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600">Medicine</th>
+                                    <th className="text-center px-3 py-3 font-semibold text-slate-600">Expected</th>
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600 w-24">Received</th>
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600 w-28">Unit Cost</th>
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600">Batch</th>
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600">Expiry</th>
+                                    <th className="text-left px-3 py-3 font-semibold text-slate-600">Discrepancy Note</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {lines.map(line => {
+                                    const difference = (parseInt(line.quantity) || 0) - line.outstanding;
+                                    return (
+                                        <tr key={line.orderItemId} className="border-b border-slate-100 align-top">
+                                            <td className="px-3 py-2 font-medium text-slate-800">
+                                                {line.name}
+                                                {difference !== 0 && (
+                                                    <span className={`block text-xs font-bold ${difference < 0 ? 'text-amber-600' : 'text-blue-600'}`}>
+                                                        {difference < 0 ? `Short ${-difference}` : `Over ${difference}`}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-3 py-2 text-center text-slate-500">{line.outstanding}</td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    value={line.quantity}
+                                                    onChange={(e) => updateLine(line.orderItemId, 'quantity', e.target.value)}
+                                                    className="input-field py-2"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="number"
+                                                    step="0.01"
+                                                    min="0"
+                                                    value={line.unitCost}
+                                                    onChange={(e) => updateLine(line.orderItemId, 'unitCost', e.target.value)}
+                                                    className="input-field py-2"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={line.batchNumber}
+                                                    onChange={(e) => updateLine(line.orderItemId, 'batchNumber', e.target.value)}
+                                                    className="input-field py-2"
+                                                    placeholder="Batch no."
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="date"
+                                                    value={line.expiryDate}
+                                                    onChange={(e) => updateLine(line.orderItemId, 'expiryDate', e.target.value)}
+                                                    className="input-field py-2"
+                                                />
+                                            </td>
+                                            <td className="px-3 py-2">
+                                                <input
+                                                    type="text"
+                                                    value={line.note}
+                                                    onChange={(e) => updateLine(line.orderItemId, 'note', e.target.value)}
+                                                    className="input-field py-2"
+                                                    placeholder={difference !== 0 ? 'e.g. 2 boxes damaged' : ''}
+                                                />
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">Delivery Notes</label>
+                        <textarea
+                            value={notes}
+                            onChange={(e) => setNotes(e.target.value)}
+                            className="input-field min-h-[60px]"
+                            placeholder="Delivery note number, driver, condition..."
+                        />
+                    </div>
+
+                    <label className="flex items-center gap-3 text-sm text-slate-700 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={close}
+                            onChange={(e) => setClose(e.target.checked)}
+                            className="w-4 h-4 rounded border-slate-300 text-pharmacy-600"
+                        />
+                        Close the order after this delivery (no more stock expected)
+                    </label>
+
+                    <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+                        <button type="button" onClick={onClose} className="btn-secondary">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                        >
+                            {isSubmitting ? (
+                                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                            ) : (
+                                <Save className="w-4 h-4" />
+                            )}
+                            Receive
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -1,5 +1,14 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect } from 'react';
 import { useSales } from '../../hooks/useSales';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getAllMedicines, getSalesForExport, getProfitBreakdown, getPaymentTotals, getLoyaltySummary } from '../../db/db';
+import { PAYMENT_METHODS } from '../../lib/payments';
+import { downloadCsv, downloadXlsx } from '../../lib/export';
+import { formatReceiptNumber } from '../../lib/format';
+import ReceiptModal from '../sales/ReceiptModal';
+import ReturnDialog from '../returns/ReturnDialog';
+import VoidSaleDialog from '../sales/VoidSaleDialog';
+import SalesTrends from './SalesTrends';
 import {
     BarChart3,
     Calendar,
@@ -9,68 +18,225 @@ import {
     Clock,
     Filter,
     Download,
-    Pill
+    Pill,
+    Printer,
+    Percent,
+    PenLine,
+    ChevronLeft,
+    ChevronRight,
+    RotateCcw,
+    Ban,
+    Tag,
+    Star
 } from 'lucide-react';
 
+const SALES_EXPORT_COLUMNS = [
+    { header: 'Date', value: s => s.saleDate, type: 'date', width: 18 },
+    { header: 'Receipt No.', value: s => s.invoiceNumber ? formatReceiptNumber(s.invoiceNumber) : '', width: 12 },
+    { header: 'Item', value: s => s.medicineName, width: 30 },
+    { header: 'Quantity', value: s => s.quantitySold, type: 'number', width: 10 },
+    { header: 'List Price', value: s => s.listPrice, type: 'currency', width: 12 },
+    { header: 'Unit Price', value: s => s.unitPrice, type: 'currency', width: 12 },
+    { header: 'Discount', value: s => s.discountAmount, type: 'currency', width: 12 },
+    { header: 'Discount Reason', value: s => (s.discounts || []).map(d => d.reason).filter(Boolean).join('; '), width: 24 },
+    { header: 'Total', value: s => s.totalPrice, type: 'currency', width: 12 },
+    { header: 'Unit Cost', value: s => s.unitCost, type: 'currency', width: 12 },
+    { header: 'Profit', value: s => s.profit, type: 'currency', width: 12 },
+    { header: 'Custom Item', value: s => s.isCustom ? 'Yes' : '', width: 8 }
+];
+
+const INVENTORY_EXPORT_COLUMNS = [
+    { header: 'Name', value: m => m.name, width: 30 },
+    { header: 'Generic Name', value: m => m.genericName, width: 24 },
+    { header: 'Brand', value: m => m.brandName, width: 18 },
+    { header: 'Category', value: m => m.category, width: 12 },
+    { header: 'Barcode', value: m => m.barcode, width: 16 },
+    { header: 'Supplier', value: m => m.supplierName, width: 20 },
+    { header: 'Quantity', value: m => m.quantity, type: 'number', width: 10 },
+    { header: 'Sellable (not expired)', value: m => m.sellableQuantity, type: 'number', width: 12 },
+    { header: 'Purchase Price', value: m => m.purchasePrice, type: 'currency', width: 14 },
+    { header: 'Selling Price', value: m => m.sellingPrice, type: 'currency', width: 14 },
+    { header: 'Stock Value (Cost)', value: m => (m.batches || []).reduce((sum, b) => sum + Math.max(b.quantity, 0) * b.purchasePrice, 0), type: 'currency', width: 16 },
+    { header: 'Next Expiry', value: m => m.expiryDate, width: 12 },
+    { header: 'Batches', value: m => (m.batches || []).filter(b => b.quantity > 0).length, type: 'number', width: 8 }
+];
+
+const PROFIT_GROUPS = {
+    medicine: 'Medicine',
+    category: 'Category',
+    day: 'Day',
+    month: 'Month'
+};
+
+const EMPTY_SUMMARY = {
+    revenue: 0,
+    items: 0,
+    transactions: 0,
+    avgTransaction: 0,
+    topSelling: [],
+    grossProfit: 0,
+    margin: 0,
+    customRevenue: 0,
+    customCount: 0,
+    uncostedCount: 0,
+    refunds: 0,
+    refundCount: 0,
+    discounts: 0,
+    discountedLines: 0
+};
+
+// Local-time [start, end) covering the picked days, end day included
+function dayRange(startDay, endDay) {
+    const [sy, sm, sd] = startDay.split('-').map(Number);
+    const [ey, em, ed] = endDay.split('-').map(Number);
+    return { start: new Date(sy, sm - 1, sd), end: new Date(ey, em - 1, ed + 1) };
+}
+
 /**
  * Reports Component
  * Sales analytics, daily tracker, and transaction history
  */
 export default function Reports() {
-    const { sales, todaysSales, loading, getByDateRange, refresh } = useSales();
+    const {
+        sales,
+        total,
+        page,
+        pageCount,
+        pageSize,
+        setPage,
+        range,
+        setRange,
+        summary,
+        loading,
+        summaryLoading,
+        refresh
+    } = useSales();
+    const { showToast } = useApp();
 
     const [dateRange, setDateRange] = useState({
         start: new Date().toISOString().split('T')[0],
         end: new Date().toISOString().split('T')[0]
     });
     const [viewMode, setViewMode] = useState('all'); // all, today, range
+    const [receiptInvoiceId, setReceiptInvoiceId] = useState(null);
+    const [returnDialog, setReturnDialog] = useState(null); // { invoiceId } while open
+    const [voidInvoiceId, setVoidInvoiceId] = useState(null);
+    const [appliedRange, setAppliedRange] = useState(null); // Range the loaded sales cover
+    const [exporting, setExporting] = useState(null); // 'sales' or 'inventory'
+    const [profitGroup, setProfitGroup] = useState('medicine');
+    const [profitResult, setProfitResult] = useState(null); // { key, rows }
+
+    const profitKey = `${range.start?.getTime() ?? ''}_${range.end?.getTime() ?? ''}_${profitGroup}`;
+
+    useEffect(() => {
+        let cancelled = false;
+        getProfitBreakdown(range.start, range.end, profitGroup).then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load profit breakdown', TOAST_TYPES.ERROR);
+            setProfitResult({ key: profitKey, rows: result.success ? result.data : [] });
+        });
+        return () => { cancelled = true; };
+    }, [range, profitGroup, profitKey, showToast]);
+
+    const profitRows = profitResult?.rows || [];
+    const profitLoading = profitResult?.key !== profitKey;
+
+    const [paymentResult, setPaymentResult] = useState(null); // { key, rows }
+    const paymentKey = `${range.start?.getTime() ?? ''}_${range.end?.getTime() ?? ''}`;
+
+    useEffect(() => {
+        let cancelled = false;
+        getPaymentTotals(range.start, range.end).then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load payment totals', TOAST_TYPES.ERROR);
+            setPaymentResult({ key: paymentKey, rows: result.success ? result.data : [] });
+        });
+        return () => { cancelled = true; };
+    }, [range, paymentKey, showToast]);
+
+    const paymentRows = paymentResult?.rows || [];
+    const paymentLoading = paymentResult?.key !== paymentKey;
+
+    const [loyaltyResult, setLoyaltyResult] = useState(null); // { key, summary }
+
+    useEffect(() => {
+        let cancelled = false;
+        getLoyaltySummary(range.start, range.end).then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load loyalty points', TOAST_TYPES.ERROR);
+            setLoyaltyResult({ key: paymentKey, summary: result.success ? result.data : null });
+        });
+        return () => { cancelled = true; };
+    }, [range, paymentKey, showToast]);
+
+    const loyalty = loyaltyResult?.summary || null;
+    const loyaltyLoading = loyaltyResult?.key !== paymentKey;
+
+    const showAll = () => {
+        setViewMode('all');
+        setAppliedRange(null);
+        setRange(null, null);
+    };
+
+    const showToday = () => {
+        const today = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD, local
+        const { start, end } = dayRange(today, today);
+        setViewMode('today');
+        setAppliedRange(null);
+        setRange(start, end);
+    };
 
     // Handle date filter
-    const handleDateFilter = async () => {
+    const handleDateFilter = () => {
         if (viewMode === 'range' && dateRange.start && dateRange.end) {
-            await getByDateRange(dateRange.start, dateRange.end);
-        } else if (viewMode === 'all') {
-            await refresh();
+            const { start, end } = dayRange(dateRange.start, dateRange.end);
+            setRange(start, end);
+            setAppliedRange(dateRange);
         }
     };
 
-    // Get displayed sales based on view mode
-    const displayedSales = useMemo(() => {
-        if (viewMode === 'today') {
-            return todaysSales;
+    // File name describes what's in it, e.g. sales_2024-01-01_to_2024-01-31
+    const salesFileName = () => {
+        if (viewMode === 'today') return `sales_${new Date().toISOString().split('T')[0]}`;
+        if (appliedRange) {
+            return appliedRange.start === appliedRange.end
+                ? `sales_${appliedRange.start}`
+                : `sales_${appliedRange.start}_to_${appliedRange.end}`;
         }
-        return sales;
-    }, [viewMode, sales, todaysSales]);
-
-    // Calculate statistics
-    const stats = useMemo(() => {
-        const totalRevenue = displayedSales.reduce((sum, s) => sum + s.totalPrice, 0);
-        const totalItems = displayedSales.reduce((sum, s) => sum + s.quantitySold, 0);
-        const avgTransaction = displayedSales.length > 0 ? totalRevenue / displayedSales.length : 0;
-
-        // Group by medicine
-        const byMedicine = displayedSales.reduce((acc, sale) => {
-            const name = sale.medicineName;
-            if (!acc[name]) {
-                acc[name] = { name, quantity: 0, revenue: 0 };
+        return `sales_all-time_to_${new Date().toISOString().split('T')[0]}`;
+    };
+
+    const handleExport = async (dataset, format) => {
+        setExporting(dataset);
+        try {
+            let result, columns, fileName, sheetName;
+            if (dataset === 'sales') {
+                result = await getSalesForExport(range.start, range.end);
+                columns = SALES_EXPORT_COLUMNS;
+                fileName = salesFileName();
+                sheetName = 'Sales';
+            } else {
+                result = await getAllMedicines();
+                columns = INVENTORY_EXPORT_COLUMNS;
+                fileName = `inventory_${new Date().toISOString().split('T')[0]}`;
+                sheetName = 'Inventory';
             }
-            acc[name].quantity += sale.quantitySold;
-            acc[name].revenue += sale.totalPrice;
-            return acc;
-        }, {});
-
-        const topSelling = Object.values(byMedicine)
-            .sort((a, b) => b.revenue - a.revenue)
-            .slice(0, 5);
-
-        return {
-            totalRevenue,
-            totalItems,
-            totalTransactions: displayedSales.length,
-            avgTransaction,
-            topSelling
-        };
-    }, [displayedSales]);
+            if (!result.success) throw new Error(result.error);
+
+            if (format === 'csv') {
+                downloadCsv(result.data, columns, fileName);
+            } else {
+                await downloadXlsx(result.data, columns, fileName, sheetName);
+            }
+        } catch (error) {
+            showToast('Export failed: ' + error.message, TOAST_TYPES.ERROR);
+        } finally {
+            setExporting(null);
+        }
+    };
+
+    // Totals, top sellers and profit are computed by the database for the whole range
+    const stats = summary || EMPTY_SUMMARY;
 
     // Format currency
     const formatCurrency = (amount) => {
@@ -90,7 +256,7 @@ export default function Reports() {
         });
     };
 
-    if (loading) {
+    if (summaryLoading && !summary) {
         return (
             <div className="flex items-center justify-center h-96">
                 <div className="w-16 h-16 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
@@ -101,27 +267,70 @@ export default function Reports() {
     return (
         <div className="space-y-8">
             {/* Header */}
-            <div className="flex justify-between items-start">
+            <div className="flex flex-col lg:flex-row justify-between items-start gap-4">
                 <div>
                     <h1 className="text-3xl font-bold text-slate-800">Reports & Analytics</h1>
                     <p className="text-slate-500 mt-1">Track sales performance and transaction history</p>
                 </div>
+
+                {/* Export */}
+                <div className="flex flex-wrap items-center gap-3">
+                    <button
+                        onClick={() => setReturnDialog({ invoiceId: null })}
+                        className="px-4 py-2 bg-white border border-slate-200 rounded-xl shadow-sm text-sm font-medium text-slate-600 hover:bg-slate-50 transition-colors flex items-center gap-2"
+                    >
+                        <RotateCcw className="w-4 h-4" />
+                        Return / Refund
+                    </button>
+                    {[
+                        { dataset: 'sales', label: 'Transactions' },
+                        { dataset: 'inventory', label: 'Inventory' }
+                    ].map(({ dataset, label }) => (
+                        <div key={dataset} className="flex items-center bg-white border border-slate-200 rounded-xl shadow-sm overflow-hidden">
+                            <span className="px-3 py-2 text-sm font-medium text-slate-600 flex items-center gap-2 border-r border-slate-200">
+                                {exporting === dataset ? (
+                                    <div className="w-4 h-4 border-2 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                                ) : (
+                                    <Download className="w-4 h-4" />
+                                )}
+                                {label}
+                            </span>
+                            <button
+                                onClick={() => handleExport(dataset, 'csv')}
+                                disabled={!!exporting}
+                                className="px-3 py-2 text-sm font-medium text-pharmacy-600 hover:bg-pharmacy-50 disabled:opacity-50 transition-colors"
+                            >
+                                CSV
+                            </button>
+                            <button
+                                onClick={() => handleExport(dataset, 'xlsx')}
+                                disabled={!!exporting}
+                                className="px-3 py-2 text-sm font-medium text-pharmacy-600 hover:bg-pharmacy-50 disabled:opacity-50 transition-colors border-l border-slate-200"
+                            >
+                                Excel
+                            </button>
+                        </div>
+                    ))}
+                </div>
             </div>
 
+            {/* Trends (independent of the filter below) */}
+            <SalesTrends />
+
             {/* Filter Controls */}
             <div className="glass-card p-4">
                 <div className="flex flex-wrap items-center gap-4">
                     {/* View Mode Tabs */}
                     <div className="flex bg-slate-100 rounded-xl p-1">
                         <button
-                            onClick={() => { setViewMode('all'); refresh(); }}
+                            onClick={showAll}
                             className={`px-4 py-2 rounded-lg font-medium transition-all ${viewMode === 'all' ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
                                 }`}
                         >
                             All Time
                         </button>
                         <button
-                            onClick={() => setViewMode('today')}
+                            onClick={showToday}
                             className={`px-4 py-2 rounded-lg font-medium transition-all ${viewMode === 'today' ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
                                 }`}
                         >
@@ -172,8 +381,13 @@ export default function Reports() {
                         <div>
                             <p className="text-slate-500 text-sm font-medium">Total Revenue</p>
                             <p className="text-3xl font-bold text-slate-800 mt-2">
-                                {formatCurrency(stats.totalRevenue)}
+                                {formatCurrency(stats.revenue)}
                             </p>
+                            {stats.refunds > 0 && (
+                                <p className="text-xs text-slate-400 mt-1">
+                                    After {formatCurrency(stats.refunds)} in {stats.refundCount} {stats.refundCount === 1 ? 'refund' : 'refunds'}
+                                </p>
+                            )}
                         </div>
                         <div className="w-12 h-12 bg-gradient-to-br from-green-500 to-emerald-600 rounded-xl flex items-center justify-center shadow-lg shadow-green-500/30">
                             <DollarSign className="w-6 h-6 text-white" />
@@ -187,7 +401,7 @@ export default function Reports() {
                         <div>
                             <p className="text-slate-500 text-sm font-medium">Transactions</p>
                             <p className="text-3xl font-bold text-slate-800 mt-2">
-                                {stats.totalTransactions}
+                                {stats.transactions}
                             </p>
                         </div>
                         <div className="w-12 h-12 bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl flex items-center justify-center shadow-lg shadow-blue-500/30">
@@ -202,7 +416,7 @@ export default function Reports() {
                         <div>
                             <p className="text-slate-500 text-sm font-medium">Items Sold</p>
                             <p className="text-3xl font-bold text-slate-800 mt-2">
-                                {stats.totalItems}
+                                {stats.items}
                             </p>
                         </div>
                         <div className="w-12 h-12 bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl flex items-center justify-center shadow-lg shadow-purple-500/30">
@@ -227,6 +441,228 @@ export default function Reports() {
                 </div>
             </div>
 
+            {/* Profit */}
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+                <div className="stat-card">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="text-slate-500 text-sm font-medium">Gross Profit</p>
+                            <p className={`text-3xl font-bold mt-2 ${stats.grossProfit < 0 ? 'text-red-600' : 'text-slate-800'}`}>
+                                {formatCurrency(stats.grossProfit)}
+                            </p>
+                            <p className="text-xs text-slate-400 mt-1">Revenue minus cost at time of sale</p>
+                        </div>
+                        <div className="w-12 h-12 bg-gradient-to-br from-pharmacy-500 to-pharmacy-600 rounded-xl flex items-center justify-center shadow-lg shadow-pharmacy-500/30">
+                            <TrendingUp className="w-6 h-6 text-white" />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="text-slate-500 text-sm font-medium">Margin</p>
+                            <p className="text-3xl font-bold text-slate-800 mt-2">
+                                {stats.margin.toFixed(1)}%
+                            </p>
+                            <p className="text-xs text-slate-400 mt-1">Of revenue from costed items</p>
+                        </div>
+                        <div className="w-12 h-12 bg-gradient-to-br from-teal-500 to-cyan-600 rounded-xl flex items-center justify-center shadow-lg shadow-teal-500/30">
+                            <Percent className="w-6 h-6 text-white" />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="text-slate-500 text-sm font-medium">Custom Items</p>
+                            <p className="text-3xl font-bold text-slate-800 mt-2">
+                                {formatCurrency(stats.customRevenue)}
+                            </p>
+                            <p className="text-xs text-slate-400 mt-1">
+                                {stats.customCount} {stats.customCount === 1 ? 'line' : 'lines'} with no cost, not in profit
+                            </p>
+                        </div>
+                        <div className="w-12 h-12 bg-gradient-to-br from-slate-400 to-slate-500 rounded-xl flex items-center justify-center shadow-lg shadow-slate-500/30">
+                            <PenLine className="w-6 h-6 text-white" />
+                        </div>
+                    </div>
+                </div>
+
+                <div className="stat-card">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <p className="text-slate-500 text-sm font-medium">Discounts Given</p>
+                            <p className="text-3xl font-bold text-slate-800 mt-2">
+                                {formatCurrency(stats.discounts)}
+                            </p>
+                            <p className="text-xs text-slate-400 mt-1">
+                                Across {stats.discountedLines} {stats.discountedLines === 1 ? 'line' : 'lines'}, already taken off revenue
+                            </p>
+                        </div>
+                        <div className="w-12 h-12 bg-gradient-to-br from-rose-500 to-pink-600 rounded-xl flex items-center justify-center shadow-lg shadow-rose-500/30">
+                            <Tag className="w-6 h-6 text-white" />
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            {/* Payments */}
+            <div className="glass-card p-6">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                    <h2 className="text-xl font-bold text-slate-800">Payments</h2>
+                    <p className="text-sm text-slate-500">Taken by each method, less refunds paid out the same way</p>
+                </div>
+
+                {paymentLoading && !paymentResult ? (
+                    <div className="flex justify-center py-8">
+                        <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                    </div>
+                ) : paymentRows.length > 0 ? (
+                    <div className={`overflow-x-auto rounded-xl border border-slate-200 transition-opacity ${paymentLoading ? 'opacity-50' : ''}`}>
+                        <table className="w-full">
+                            <thead>
+                                <tr className="bg-slate-50 border-b border-slate-200">
+                                    <th className="text-left px-4 py-3 font-semibold text-slate-600 text-sm">Method</th>
+                                    <th className="text-center px-4 py-3 font-semibold text-slate-600 text-sm">Sales</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Received</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Refunded</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Net</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {paymentRows.map((row, index) => (
+                                    <tr
+                                        key={row.method}
+                                        className={`border-b border-slate-100 ${index % 2 === 0 ? 'bg-white' : 'bg-slate-50/50'}`}
+                                    >
+                                        <td className="px-4 py-3 font-medium text-slate-800">{PAYMENT_METHODS[row.method] || row.method}</td>
+                                        <td className="px-4 py-3 text-center text-slate-600">{row.sales}</td>
+                                        <td className="px-4 py-3 text-right text-slate-600">{formatCurrency(row.received)}</td>
+                                        <td className="px-4 py-3 text-right text-slate-500">{formatCurrency(row.refunds)}</td>
+                                        <td className="px-4 py-3 text-right font-bold text-slate-800">{formatCurrency(row.net)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <div className="flex flex-col items-center justify-center py-8 text-slate-400">
+                        <DollarSign className="w-12 h-12 mb-3" />
+                        <p className="font-medium">No payments in this period</p>
+                    </div>
+                )}
+            </div>
+
+            {/* Loyalty Points */}
+            {loyalty && (loyalty.outstanding !== 0 || loyalty.range.issued > 0 || loyalty.range.redeemed > 0) && (
+                <div className={`glass-card p-6 transition-opacity ${loyaltyLoading ? 'opacity-50' : ''}`}>
+                    <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <Star className="w-5 h-5 text-pharmacy-600" />
+                            Loyalty Points
+                        </h2>
+                        <p className="text-sm text-slate-500">Earned and spent by customers in this period</p>
+                    </div>
+
+                    <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+                        <div className="p-4 rounded-xl bg-slate-50">
+                            <p className="text-sm text-slate-500">Issued</p>
+                            <p className="text-2xl font-bold text-green-600">{loyalty.range.issued}</p>
+                            <p className="text-xs text-slate-400">{loyalty.range.earningCustomers} customers</p>
+                        </div>
+                        <div className="p-4 rounded-xl bg-slate-50">
+                            <p className="text-sm text-slate-500">Redeemed</p>
+                            <p className="text-2xl font-bold text-slate-800">{loyalty.range.redeemed}</p>
+                            <p className="text-xs text-slate-400">
+                                {formatCurrency(loyalty.range.redeemedValue)} off · {loyalty.range.redeemingCustomers} customers
+                            </p>
+                        </div>
+                        <div className="p-4 rounded-xl bg-slate-50">
+                            <p className="text-sm text-slate-500">Expired</p>
+                            <p className="text-2xl font-bold text-slate-500">{loyalty.range.expired}</p>
+                            {loyalty.range.reversed !== 0 && (
+                                <p className="text-xs text-slate-400">Net {loyalty.range.reversed} taken back by voids and returns</p>
+                            )}
+                        </div>
+                        <div className="p-4 rounded-xl bg-pharmacy-50">
+                            <p className="text-sm text-pharmacy-700">Outstanding now</p>
+                            <p className="text-2xl font-bold text-pharmacy-700">{loyalty.outstanding}</p>
+                            <p className="text-xs text-pharmacy-600">Worth {formatCurrency(loyalty.outstandingValue)}</p>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Profit Breakdown */}
+            <div className="glass-card p-6">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                    <h2 className="text-xl font-bold text-slate-800">Profit Breakdown</h2>
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        {Object.entries(PROFIT_GROUPS).map(([key, label]) => (
+                            <button
+                                key={key}
+                                onClick={() => setProfitGroup(key)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${profitGroup === key ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {profitLoading && !profitResult ? (
+                    <div className="flex justify-center py-8">
+                        <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                    </div>
+                ) : profitRows.length > 0 ? (
+                    <div className={`overflow-x-auto rounded-xl border border-slate-200 max-h-96 overflow-y-auto transition-opacity ${profitLoading ? 'opacity-50' : ''}`}>
+                        <table className="w-full">
+                            <thead className="sticky top-0">
+                                <tr className="bg-slate-50 border-b border-slate-200">
+                                    <th className="text-left px-4 py-3 font-semibold text-slate-600 text-sm">{PROFIT_GROUPS[profitGroup]}</th>
+                                    <th className="text-center px-4 py-3 font-semibold text-slate-600 text-sm">Units</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Revenue</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Cost</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Profit</th>
+                                    <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Margin</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {profitRows.map((row, index) => (
+                                    <tr
+                                        key={row.name}
+                                        className={`border-b border-slate-100 ${index % 2 === 0 ? 'bg-white' : 'bg-slate-50/50'}`}
+                                    >
+                                        <td className="px-4 py-3 font-medium text-slate-800">{row.name}</td>
+                                        <td className="px-4 py-3 text-center text-slate-600">{row.quantity}</td>
+                                        <td className="px-4 py-3 text-right text-slate-600">{formatCurrency(row.revenue)}</td>
+                                        <td className="px-4 py-3 text-right text-slate-500">{formatCurrency(row.cost)}</td>
+                                        <td className={`px-4 py-3 text-right font-bold ${row.profit < 0 ? 'text-red-600' : 'text-pharmacy-600'}`}>
+                                            {formatCurrency(row.profit)}
+                                        </td>
+                                        <td className="px-4 py-3 text-right text-slate-600">{row.margin.toFixed(1)}%</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ) : (
+                    <div className="flex flex-col items-center justify-center py-8 text-slate-400">
+                        <TrendingUp className="w-12 h-12 mb-3" />
+                        <p className="font-medium">No costed sales in this period</p>
+                    </div>
+                )}
+
+                {stats.uncostedCount > 0 && (
+                    <p className="text-sm text-slate-500 mt-4">
+                        {stats.uncostedCount} older {stats.uncostedCount === 1 ? 'line has' : 'lines have'} no recorded cost and {stats.uncostedCount === 1 ? 'is' : 'are'} left out.
+                    </p>
+                )}
+            </div>
+
             <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
                 {/* Top Selling Items */}
                 <div className="glass-card p-6">
@@ -267,12 +703,12 @@ export default function Reports() {
                     <div className="flex justify-between items-center mb-6">
                         <h2 className="text-xl font-bold text-slate-800">Transaction History</h2>
                         <span className="text-sm text-slate-500">
-                            {displayedSales.length} transactions
+                            {total} {total === 1 ? 'line' : 'lines'}
                         </span>
                     </div>
 
-                    {displayedSales.length > 0 ? (
-                        <div className="overflow-x-auto rounded-xl border border-slate-200">
+                    {sales.length > 0 ? (
+                        <div className={`overflow-x-auto rounded-xl border border-slate-200 transition-opacity ${loading ? 'opacity-50' : ''}`}>
                             <table className="w-full">
                                 <thead>
                                     <tr className="bg-slate-50 border-b border-slate-200">
@@ -281,10 +717,11 @@ export default function Reports() {
                                         <th className="text-center px-4 py-3 font-semibold text-slate-600 text-sm">Qty</th>
                                         <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Unit Price</th>
                                         <th className="text-right px-4 py-3 font-semibold text-slate-600 text-sm">Total</th>
+                                        <th className="text-center px-4 py-3 font-semibold text-slate-600 text-sm">Actions</th>
                                     </tr>
                                 </thead>
                                 <tbody>
-                                    {displayedSales.slice(0, 15).map((sale, index) => (
+                                    {sales.map((sale, index) => (
                                         <tr
                                             key={sale.id}
                                             className={`border-b border-slate-100 ${index % 2 === 0 ? 'bg-white' : 'bg-slate-50/50'}`}
@@ -297,6 +734,11 @@ export default function Reports() {
                                             </td>
                                             <td className="px-4 py-3">
                                                 <span className="font-medium text-slate-800">{sale.medicineName}</span>
+                                                {sale.isCustom && (
+                                                    <span className="ml-2 text-xs font-semibold px-2 py-0.5 rounded-full bg-slate-100 text-slate-500">
+                                                        Custom
+                                                    </span>
+                                                )}
                                             </td>
                                             <td className="px-4 py-3 text-center">
                                                 <span className="bg-slate-100 px-2 py-1 rounded-md text-slate-600 text-sm">
@@ -311,6 +753,35 @@ export default function Reports() {
                                                     {formatCurrency(sale.totalPrice)}
                                                 </span>
                                             </td>
+                                            <td className="px-4 py-3 text-center">
+                                                {sale.invoiceId && (
+                                                    <button
+                                                        onClick={() => setReceiptInvoiceId(sale.invoiceId)}
+                                                        className="p-2 hover:bg-pharmacy-50 rounded-lg text-pharmacy-600 transition-colors"
+                                                        title="Reprint receipt"
+                                                    >
+                                                        <Printer className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                                {sale.invoiceId && (
+                                                    <button
+                                                        onClick={() => setReturnDialog({ invoiceId: sale.invoiceId })}
+                                                        className="p-2 hover:bg-pharmacy-50 rounded-lg text-pharmacy-600 transition-colors"
+                                                        title="Return / refund"
+                                                    >
+                                                        <RotateCcw className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                                {sale.invoiceId && (
+                                                    <button
+                                                        onClick={() => setVoidInvoiceId(sale.invoiceId)}
+                                                        className="p-2 hover:bg-red-50 rounded-lg text-red-500 transition-colors"
+                                                        title="Void sale"
+                                                    >
+                                                        <Ban className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                            </td>
                                         </tr>
                                     ))}
                                 </tbody>
@@ -324,13 +795,54 @@ export default function Reports() {
                         </div>
                     )}
 
-                    {displayedSales.length > 15 && (
-                        <p className="text-center text-slate-500 mt-4 text-sm">
-                            Showing 15 of {displayedSales.length} transactions
-                        </p>
+                    {total > pageSize && (
+                        <div className="flex items-center justify-between mt-4">
+                            <p className="text-slate-500 text-sm">
+                                Showing {page * pageSize + 1}–{Math.min((page + 1) * pageSize, total)} of {total}
+                            </p>
+                            <div className="flex items-center gap-2">
+                                <button
+                                    onClick={() => setPage(page - 1)}
+                                    disabled={page === 0 || loading}
+                                    className="p-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                                    title="Previous page"
+                                >
+                                    <ChevronLeft className="w-4 h-4" />
+                                </button>
+                                <span className="text-sm text-slate-600">Page {page + 1} of {pageCount}</span>
+                                <button
+                                    onClick={() => setPage(page + 1)}
+                                    disabled={page + 1 >= pageCount || loading}
+                                    className="p-2 rounded-lg border border-slate-200 text-slate-600 hover:bg-slate-50 disabled:opacity-40 disabled:cursor-not-allowed"
+                                    title="Next page"
+                                >
+                                    <ChevronRight className="w-4 h-4" />
+                                </button>
+                            </div>
+                        </div>
                     )}
                 </div>
             </div>
+
+            {receiptInvoiceId && (
+                <ReceiptModal invoiceId={receiptInvoiceId} onClose={() => setReceiptInvoiceId(null)} />
+            )}
+
+            {returnDialog && (
+                <ReturnDialog
+                    invoiceId={returnDialog.invoiceId}
+                    onClose={() => setReturnDialog(null)}
+                    onSuccess={refresh}
+                />
+            )}
+
+            {voidInvoiceId && (
+                <VoidSaleDialog
+                    invoiceId={voidInvoiceId}
+                    onClose={() => setVoidInvoiceId(null)}
+                    onSuccess={refresh}
+                />
+            )}
         </div>
     );
 }
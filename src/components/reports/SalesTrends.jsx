@@ -0,0 +1,204 @@
+import { useState, useEffect } from 'react';
+import { getSalesTrends } from '../../db/db';
+import { formatCurrency } from '../../lib/format';
+import { TREND_PERIODS, trendRange, percentChange, bucketLabel } from '../../lib/trends';
+import { ArrowUpRight, ArrowDownRight, TrendingUp, AlertTriangle } from 'lucide-react';
+
+const CHART_HEIGHT = 160; // px
+
+function ChangeBadge({ current, previous }) {
+    const change = percentChange(current, previous);
+    if (change === null) {
+        return <span className="text-xs font-medium text-slate-400">n/a</span>;
+    }
+    const up = change >= 0;
+    return (
+        <span className={`inline-flex items-center gap-0.5 text-xs font-bold px-2 py-0.5 rounded-full ${up ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+            {up ? <ArrowUpRight className="w-3 h-3" /> : <ArrowDownRight className="w-3 h-3" />}
+            {up ? '+' : ''}{change.toFixed(0)}%
+        </span>
+    );
+}
+
+// Paired columns: this period in colour, the previous period in grey beside it
+function ColumnChart({ points, format }) {
+    const max = Math.max(1, ...points.map(p => Math.max(p.value, p.previous)));
+    const labelEvery = Math.ceil(points.length / 8);
+
+    return (
+        <div>
+            <div className="flex items-end gap-1" style={{ height: CHART_HEIGHT }}>
+                {points.map((point, index) => (
+                    <div
+                        key={index}
+                        className="flex-1 h-full flex items-end justify-center gap-px group"
+                        title={`${point.title}: ${format(point.value)} (previous ${format(point.previous)})`}
+                    >
+                        <div
+                            className="w-1/2 bg-slate-200 rounded-t"
+                            style={{ height: `${(point.previous / max) * 100}%` }}
+                        />
+                        <div
+                            className="w-1/2 bg-pharmacy-500 group-hover:bg-pharmacy-600 rounded-t transition-colors"
+                            style={{ height: `${(point.value / max) * 100}%` }}
+                        />
+                    </div>
+                ))}
+            </div>
+            <div className="flex gap-1 mt-2 border-t border-slate-200 pt-1">
+                {points.map((point, index) => (
+                    <span key={index} className="flex-1 text-center text-[10px] text-slate-400 whitespace-nowrap overflow-visible">
+                        {index % labelEvery === 0 ? point.label : ''}
+                    </span>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Sales Trends Component
+ * Revenue, hour-of-day and category charts, each compared with the previous period
+ */
+export default function SalesTrends({ charts = ['revenue', 'hourly', 'categories'], initialPeriod = 'week' }) {
+    const [period, setPeriod] = useState(initialPeriod);
+    const [result, setResult] = useState(null); // { period, data, error }
+
+    useEffect(() => {
+        let cancelled = false;
+        const { start, end } = trendRange(period);
+        getSalesTrends(start, end, TREND_PERIODS[period].bucket).then(response => {
+            if (cancelled) return;
+            setResult({ period, data: response.data, error: response.success ? null : response.error || 'Failed to load trends' });
+        });
+        return () => { cancelled = true; };
+    }, [period]);
+
+    const loading = result?.period !== period;
+    const data = loading ? null : result.data;
+    const previousLabel = `vs previous ${TREND_PERIODS[period].label}`;
+
+    const revenuePoints = data ? data.series.map((b, i) => ({
+        label: bucketLabel(b.bucket, TREND_PERIODS[period].bucket),
+        title: TREND_PERIODS[period].bucket === 'week'
+            ? `Week of ${bucketLabel(b.bucket, 'day')}`
+            : bucketLabel(b.bucket, TREND_PERIODS[period].bucket),
+        value: b.revenue,
+        previous: data.previousSeries[i]?.revenue || 0
+    })) : [];
+
+    const hourlyPoints = data ? data.hourly.map(h => ({
+        label: `${h.hour}h`,
+        title: `${String(h.hour).padStart(2, '0')}:00–${String(h.hour).padStart(2, '0')}:59`,
+        value: h.transactions,
+        previous: h.previousTransactions
+    })) : [];
+
+    const categoryTotal = data ? data.categories.reduce((sum, c) => sum + c.revenue, 0) : 0;
+
+    return (
+        <div className="glass-card p-6 space-y-6">
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                    <TrendingUp className="w-5 h-5 text-pharmacy-600" />
+                    Sales Trends
+                </h2>
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                    {Object.entries(TREND_PERIODS).map(([key, p]) => (
+                        <button
+                            key={key}
+                            onClick={() => setPeriod(key)}
+                            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-all ${period === key ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                }`}
+                        >
+                            {p.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : result.error ? (
+                <div className="flex flex-col items-center justify-center py-8 text-slate-400">
+                    <AlertTriangle className="w-10 h-10 mb-3" />
+                    <p className="font-medium">{result.error}</p>
+                </div>
+            ) : (
+                <>
+                    {/* Period totals */}
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                        {[
+                            { key: 'revenue', label: 'Revenue', format: formatCurrency },
+                            { key: 'transactions', label: 'Transactions', format: v => v },
+                            { key: 'items', label: 'Items Sold', format: v => v }
+                        ].map(metric => (
+                            <div key={metric.key} className="p-4 bg-slate-50 rounded-xl">
+                                <p className="text-sm text-slate-500">{metric.label}</p>
+                                <p className="text-2xl font-bold text-slate-800 mt-1">{metric.format(data.totals.current[metric.key])}</p>
+                                <div className="flex items-center gap-2 mt-1">
+                                    <ChangeBadge current={data.totals.current[metric.key]} previous={data.totals.previous[metric.key]} />
+                                    <span className="text-xs text-slate-400">{previousLabel}</span>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    {charts.includes('revenue') && (
+                        <div>
+                            <h3 className="font-semibold text-slate-700 mb-3">
+                                Revenue per {TREND_PERIODS[period].bucket}
+                            </h3>
+                            <ColumnChart points={revenuePoints} format={formatCurrency} />
+                        </div>
+                    )}
+
+                    {charts.includes('hourly') && (
+                        <div>
+                            <h3 className="font-semibold text-slate-700 mb-3">Transactions by hour of day</h3>
+                            <ColumnChart points={hourlyPoints} format={v => `${v} transactions`} />
+                        </div>
+                    )}
+
+                    {charts.includes('categories') && (
+                        <div>
+                            <h3 className="font-semibold text-slate-700 mb-3">Category mix</h3>
+                            {data.categories.length > 0 ? (
+                                <div className="space-y-3">
+                                    {data.categories.map(c => {
+                                        const share = categoryTotal > 0 ? (c.revenue / categoryTotal) * 100 : 0;
+                                        return (
+                                            <div key={c.category}>
+                                                <div className="flex justify-between items-center text-sm mb-1">
+                                                    <span className="font-medium text-slate-700">{c.category}</span>
+                                                    <span className="flex items-center gap-2">
+                                                        <span className="text-slate-600">{formatCurrency(c.revenue)} · {share.toFixed(0)}%</span>
+                                                        <ChangeBadge current={c.revenue} previous={c.previousRevenue} />
+                                                    </span>
+                                                </div>
+                                                <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+                                                    <div className="h-full bg-pharmacy-500 rounded-full" style={{ width: `${share}%` }} />
+                                                </div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            ) : (
+                                <p className="text-sm text-slate-400">No sales in this period</p>
+                            )}
+                        </div>
+                    )}
+
+                    {(charts.includes('revenue') || charts.includes('hourly')) && (
+                        <div className="flex items-center gap-4 text-xs text-slate-500">
+                            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-pharmacy-500" /> Last {TREND_PERIODS[period].label}</span>
+                            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-sm bg-slate-200" /> Previous {TREND_PERIODS[period].label}</span>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,308 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import {
+    REFUND_METHODS,
+    findInvoiceByReceiptNumber,
+    getReturnableInvoice,
+    createSaleReturn,
+    getSettings
+} from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber, formatReturnNumber } from '../../lib/format';
+import { RotateCcw, X, Search, AlertCircle, ShieldAlert } from 'lucide-react';
+
+/**
+ * Return Dialog
+ * Return some or all of a receipt's lines, restocking or writing off each one, and refund
+ */
+export default function ReturnDialog({ invoiceId = null, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const { isAdmin } = useAuth();
+    const [currentInvoiceId, setCurrentInvoiceId] = useState(invoiceId);
+    const [receiptNumber, setReceiptNumber] = useState('');
+    const [isLookingUp, setIsLookingUp] = useState(false);
+    const [invoice, setInvoice] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [approvalLimit, setApprovalLimit] = useState(null);
+    const [lines, setLines] = useState({}); // saleId -> { quantity, restock }
+    const [refundMethod, setRefundMethod] = useState('cash');
+    const [refundAmount, setRefundAmount] = useState(''); // '' = full value of the returned lines
+    const [reason, setReason] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getSettings().then(result => {
+            if (!cancelled && result.data) setApprovalLimit(result.data.refundApprovalLimit ?? null);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    useEffect(() => {
+        if (!currentInvoiceId) return;
+        let cancelled = false;
+        getReturnableInvoice(currentInvoiceId).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setInvoice(result.data);
+                setLines(Object.fromEntries(result.data.lines.map(l => [l.id, { quantity: '', restock: true }])));
+                const method = result.data.paymentMethod;
+                // Sales on account are credited back to the customer's account
+                setRefundMethod(REFUND_METHODS[method] && (method !== 'credit' || result.data.customerId) ? method : 'cash');
+            } else {
+                setLoadError(result.error || 'Failed to load receipt');
+            }
+        });
+        return () => { cancelled = true; };
+    }, [currentInvoiceId]);
+
+    const handleLookup = async (e) => {
+        e.preventDefault();
+        setIsLookingUp(true);
+        const result = await findInvoiceByReceiptNumber(receiptNumber);
+        if (result.success) {
+            setLoadError(null);
+            setInvoice(null);
+            setCurrentInvoiceId(result.data);
+        } else {
+            showToast(result.error, TOAST_TYPES.ERROR);
+        }
+        setIsLookingUp(false);
+    };
+
+    const updateLine = (saleId, field, value) => {
+        setLines(prev => ({ ...prev, [saleId]: { ...prev[saleId], [field]: value } }));
+    };
+
+    const selected = invoice
+        ? invoice.lines.filter(l => parseInt(lines[l.id]?.quantity) > 0)
+        : [];
+    const returnValue = selected.reduce((sum, l) => sum + l.unitPrice * parseInt(lines[l.id].quantity), 0);
+    const amount = refundAmount === '' ? returnValue : parseFloat(refundAmount) || 0;
+    const needsApproval = !isAdmin && approvalLimit !== null && amount > approvalLimit;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (selected.length === 0) {
+            showToast('Enter a quantity for at least one item', TOAST_TYPES.ERROR);
+            return;
+        }
+        const tooMany = selected.find(l => parseInt(lines[l.id].quantity) > l.returnableQuantity);
+        if (tooMany) {
+            showToast(`Only ${tooMany.returnableQuantity} of ${tooMany.medicineName} can be returned`, TOAST_TYPES.ERROR);
+            return;
+        }
+        if (amount < 0 || amount > returnValue + 0.005) {
+            showToast(`Refund must be between ${formatCurrency(0)} and ${formatCurrency(returnValue)}`, TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await createSaleReturn({
+            invoiceId: invoice.id,
+            items: selected.map(l => ({ saleId: l.id, quantity: lines[l.id].quantity, restock: lines[l.id].restock })),
+            refundMethod,
+            refundAmount,
+            reason
+        });
+        if (result.success) {
+            const number = formatReturnNumber(result.data.returnNumber);
+            showToast(
+                result.data.status === 'completed'
+                    ? `${number}: refund ${formatCurrency(result.data.refundAmount)} (${REFUND_METHODS[refundMethod]})`
+                    : `${number} sent to an admin for approval`,
+                result.data.status === 'completed' ? TOAST_TYPES.SUCCESS : TOAST_TYPES.WARNING
+            );
+            onSuccess?.();
+            onClose();
+        } else {
+            showToast(result.error || 'Failed to record return', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <RotateCcw className="w-5 h-5 text-pharmacy-600" />
+                            Return / Refund
+                        </h2>
+                        {invoice && (
+                            <p className="text-sm text-slate-500">
+                                Receipt {formatReceiptNumber(invoice.invoiceNumber)} · {formatDateTime(invoice.createdAt)}
+                            </p>
+                        )}
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6 space-y-6">
+                    {!invoiceId && (
+                        <form onSubmit={handleLookup} className="flex gap-3">
+                            <div className="relative flex-1">
+                                <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
+                                <input
+                                    type="text"
+                                    value={receiptNumber}
+                                    onChange={(e) => setReceiptNumber(e.target.value)}
+                                    className="input-field pl-10"
+                                    placeholder="Scan or type receipt number, e.g. R-000123"
+                                    autoFocus
+                                />
+                            </div>
+                            <button type="submit" disabled={isLookingUp || !receiptNumber.trim()} className="btn-secondary disabled:opacity-50">
+                                Find
+                            </button>
+                        </form>
+                    )}
+
+                    {loadError ? (
+                        <div className="flex flex-col items-center justify-center py-8 text-slate-500">
+                            <AlertCircle className="w-10 h-10 text-red-400 mb-3" />
+                            <p>{loadError}</p>
+                        </div>
+                    ) : currentInvoiceId && !invoice ? (
+                        <div className="flex justify-center py-8">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : invoice?.voidedAt ? (
+                        <p className="text-center text-slate-500 py-8">
+                            This receipt was voided on {formatDateTime(invoice.voidedAt)} and can't be returned.
+                        </p>
+                    ) : invoice && (
+                        <form id="return-form" onSubmit={handleSubmit} className="space-y-6">
+                            <div className="overflow-x-auto rounded-xl border border-slate-200">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="bg-slate-50 border-b border-slate-200">
+                                            <th className="text-left px-3 py-3 font-semibold text-slate-600">Item</th>
+                                            <th className="text-center px-3 py-3 font-semibold text-slate-600">Sold</th>
+                                            <th className="text-right px-3 py-3 font-semibold text-slate-600">Price</th>
+                                            <th className="text-left px-3 py-3 font-semibold text-slate-600 w-24">Return</th>
+                                            <th className="text-left px-3 py-3 font-semibold text-slate-600">Condition</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {invoice.lines.map(line => (
+                                            <tr key={line.id} className="border-b border-slate-100">
+                                                <td className="px-3 py-2 font-medium text-slate-800">
+                                                    {line.medicineName}
+                                                    {line.returnedQuantity > 0 && (
+                                                        <span className="block text-xs text-amber-600">{line.returnedQuantity} already returned</span>
+                                                    )}
+                                                </td>
+                                                <td className="px-3 py-2 text-center text-slate-500">{line.quantitySold}</td>
+                                                <td className="px-3 py-2 text-right text-slate-600">{formatCurrency(line.unitPrice)}</td>
+                                                <td className="px-3 py-2">
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        max={line.returnableQuantity}
+                                                        value={lines[line.id]?.quantity ?? ''}
+                                                        onChange={(e) => updateLine(line.id, 'quantity', e.target.value)}
+                                                        disabled={line.returnableQuantity === 0}
+                                                        className="input-field py-2 disabled:bg-slate-50"
+                                                        placeholder="0"
+                                                    />
+                                                </td>
+                                                <td className="px-3 py-2">
+                                                    {line.medicineId ? (
+                                                        <select
+                                                            value={lines[line.id]?.restock ? 'restock' : 'write_off'}
+                                                            onChange={(e) => updateLine(line.id, 'restock', e.target.value === 'restock')}
+                                                            className="input-field py-2 cursor-pointer"
+                                                        >
+                                                            <option value="restock">Good – restock</option>
+                                                            <option value="write_off">Damaged – write off</option>
+                                                        </select>
+                                                    ) : (
+                                                        <span className="text-xs text-slate-400">Custom item, not stocked</span>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Refund Method</label>
+                                    <select
+                                        value={refundMethod}
+                                        onChange={(e) => setRefundMethod(e.target.value)}
+                                        className="input-field cursor-pointer"
+                                    >
+                                        {Object.entries(REFUND_METHODS).filter(([key]) => key !== 'credit' || invoice.customerId).map(([key, label]) => (
+                                            <option key={key} value={key}>{label}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Refund Amount</label>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={refundAmount}
+                                        onChange={(e) => setRefundAmount(e.target.value)}
+                                        className="input-field"
+                                        placeholder={returnValue.toFixed(2)}
+                                    />
+                                    <p className="text-xs text-slate-400 mt-1">Leave empty to refund the full {formatCurrency(returnValue)}</p>
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Reason</label>
+                                <textarea
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                    className="input-field min-h-[60px]"
+                                    placeholder="e.g. Wrong strength dispensed, unopened"
+                                />
+                            </div>
+
+                            {needsApproval && (
+                                <p className="flex items-center gap-2 text-sm text-amber-700 bg-amber-50 border border-amber-100 rounded-lg px-3 py-2">
+                                    <ShieldAlert className="w-4 h-4 shrink-0" />
+                                    Refunds over {formatCurrency(approvalLimit)} need admin approval. Stock and refund are applied once approved.
+                                </p>
+                            )}
+                        </form>
+                    )}
+                </div>
+
+                <div className="flex justify-between items-center gap-3 p-6 border-t border-slate-100">
+                    <p className="text-lg font-bold text-slate-800">
+                        {invoice && `Refund ${formatCurrency(amount)}`}
+                    </p>
+                    <div className="flex gap-3">
+                        <button type="button" onClick={onClose} className="btn-secondary">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            form="return-form"
+                            disabled={!invoice || !!invoice.voidedAt || isSubmitting || selected.length === 0}
+                            className="btn-primary flex items-center gap-2 disabled:opacity-50"
+                        >
+                            {isSubmitting ? (
+                                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                            ) : (
+                                <RotateCcw className="w-4 h-4" />
+                            )}
+                            {needsApproval ? 'Request Approval' : 'Refund'}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
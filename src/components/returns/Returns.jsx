@@ -0,0 +1,226 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { REFUND_METHODS, getSaleReturns, decideSaleReturn } from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber, formatReturnNumber } from '../../lib/format';
+import ReturnDialog from './ReturnDialog';
+import {
+    RotateCcw,
+    CheckCircle,
+    XCircle,
+    Clock,
+    User,
+    Plus
+} from 'lucide-react';
+
+const TABS = {
+    pending: 'Needs Approval',
+    completed: 'Completed',
+    rejected: 'Rejected'
+};
+
+const STATUS_BADGES = {
+    completed: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Returns Component
+ * Admin approval of large refunds and history of completed and rejected returns
+ */
+export default function Returns() {
+    const { showToast } = useApp();
+    const [tab, setTab] = useState('pending');
+    const [returns, setReturns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [notes, setNotes] = useState({});
+    const [processingId, setProcessingId] = useState(null);
+    const [showDialog, setShowDialog] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getSaleReturns(tab).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setReturns(result.data);
+            } else {
+                showToast(result.error || 'Failed to load returns', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [tab, reloadKey, showToast]);
+
+    const switchTab = (next) => {
+        if (next === tab) return;
+        setLoading(true);
+        setTab(next);
+    };
+
+    const reload = () => {
+        setLoading(true);
+        setReloadKey(prev => prev + 1);
+    };
+
+    const handleDecide = async (ret, approve) => {
+        setProcessingId(ret.id);
+        const result = await decideSaleReturn(ret.id, approve, notes[ret.id]);
+        if (result.success) {
+            showToast(`${formatReturnNumber(ret.returnNumber)} ${result.data.status}`, TOAST_TYPES.SUCCESS);
+            reload();
+        } else {
+            showToast(result.error || 'Failed to update return', TOAST_TYPES.ERROR);
+        }
+        setProcessingId(null);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <RotateCcw className="w-8 h-8 text-pharmacy-600" />
+                        Returns & Refunds
+                    </h1>
+                    <p className="text-slate-500">Refunds against original receipts, with approval for large amounts</p>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3">
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        {Object.entries(TABS).map(([key, label]) => (
+                            <button
+                                key={key}
+                                onClick={() => switchTab(key)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${tab === key ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <button onClick={() => setShowDialog(true)} className="btn-primary flex items-center gap-2">
+                        <Plus className="w-4 h-4" />
+                        New Return
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : returns.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <CheckCircle className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">
+                        {tab === 'pending' ? 'No refunds waiting for approval' : `No ${tab} returns`}
+                    </p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {returns.map((ret) => (
+                        <div key={ret.id} className="bg-white p-5 rounded-2xl shadow-sm border border-slate-100">
+                            <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                                <div className="space-y-1 text-sm text-slate-500">
+                                    <p className="font-semibold text-slate-800">
+                                        {formatReturnNumber(ret.returnNumber)}
+                                        <span className="font-normal text-slate-500"> · receipt {formatReceiptNumber(ret.invoiceNumber)}</span>
+                                    </p>
+                                    <p className="flex items-center gap-2">
+                                        <Clock className="w-4 h-4" /> Requested {formatDateTime(ret.requestedAt)}
+                                    </p>
+                                    <p className="flex items-center gap-2">
+                                        <User className="w-4 h-4" /> {ret.requesterName || 'Unknown user'}
+                                    </p>
+                                </div>
+                                <div className="text-right">
+                                    <p className="text-xl font-bold text-slate-800">{formatCurrency(ret.refundAmount)}</p>
+                                    <p className="text-sm text-slate-500">{REFUND_METHODS[ret.refundMethod] || ret.refundMethod}</p>
+                                    {ret.status !== 'pending' && (
+                                        <span className={`inline-block mt-1 text-xs font-semibold px-2.5 py-1 rounded-full capitalize ${STATUS_BADGES[ret.status]}`}>
+                                            {ret.status}
+                                        </span>
+                                    )}
+                                </div>
+                            </div>
+
+                            {ret.reason && (
+                                <p className="text-sm text-slate-600 bg-slate-50 border border-slate-100 rounded-lg px-3 py-2 mb-4">
+                                    {ret.reason}
+                                </p>
+                            )}
+
+                            <div className="overflow-x-auto rounded-xl border border-slate-200 mb-4">
+                                <table className="w-full text-sm">
+                                    <thead>
+                                        <tr className="bg-slate-50 border-b border-slate-200">
+                                            <th className="text-left px-4 py-2 font-semibold text-slate-600">Item</th>
+                                            <th className="text-center px-4 py-2 font-semibold text-slate-600">Qty</th>
+                                            <th className="text-left px-4 py-2 font-semibold text-slate-600">Condition</th>
+                                            <th className="text-right px-4 py-2 font-semibold text-slate-600">Refund</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {ret.items.map((item) => (
+                                            <tr key={item.id} className="border-b border-slate-100">
+                                                <td className="px-4 py-2 font-medium text-slate-800">{item.medicineName}</td>
+                                                <td className="px-4 py-2 text-center">{item.quantity}</td>
+                                                <td className={`px-4 py-2 ${item.restock ? 'text-green-600' : 'text-red-600'}`}>
+                                                    {item.restock ? 'Restock' : 'Write off'}
+                                                </td>
+                                                <td className="px-4 py-2 text-right">{formatCurrency(item.refundAmount)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            {ret.status === 'pending' ? (
+                                <div className="space-y-3">
+                                    <textarea
+                                        value={notes[ret.id] || ''}
+                                        onChange={(e) => setNotes(prev => ({ ...prev, [ret.id]: e.target.value }))}
+                                        className="input-field min-h-[60px] text-sm"
+                                        placeholder="Note for the audit log (optional)"
+                                    />
+                                    <div className="flex flex-wrap gap-2">
+                                        <button
+                                            onClick={() => handleDecide(ret, true)}
+                                            disabled={processingId === ret.id}
+                                            className="px-4 py-2 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50 bg-green-500 hover:bg-green-600"
+                                        >
+                                            <CheckCircle className="w-4 h-4" />
+                                            Approve & Refund
+                                        </button>
+                                        <button
+                                            onClick={() => handleDecide(ret, false)}
+                                            disabled={processingId === ret.id}
+                                            className="px-4 py-2 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50 bg-red-500 hover:bg-red-600"
+                                        >
+                                            <XCircle className="w-4 h-4" />
+                                            Reject
+                                        </button>
+                                    </div>
+                                </div>
+                            ) : (
+                                <div className="text-sm text-slate-500 border-t border-slate-100 pt-3">
+                                    {ret.status === 'completed' ? 'Refunded' : 'Rejected'}
+                                    {ret.deciderName && ` by ${ret.deciderName}`}
+                                    {ret.completedAt && ` on ${formatDateTime(ret.completedAt)}`}
+                                    {ret.decisionNote && <p className="mt-1 italic">“{ret.decisionNote}”</p>}
+                                </div>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {showDialog && (
+                <ReturnDialog
+                    onClose={() => setShowDialog(false)}
+                    onSuccess={reload}
+                />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,44 @@
+import { INTERACTION_SEVERITIES } from '../../lib/interactions';
+import { AlertTriangle } from 'lucide-react';
+
+/**
+ * Interaction Warnings
+ * Interactions and duplicate therapy in the basket (or with the customer's
+ * recent purchases); each has to be acknowledged before the sale goes through
+ */
+export default function InteractionWarnings({ warnings, acknowledged, onToggle }) {
+    return (
+        <div className="mb-4 space-y-2 text-sm">
+            <p className="flex items-center gap-1 font-semibold text-amber-300">
+                <AlertTriangle className="w-4 h-4" />
+                {warnings.length === 1 ? '1 warning' : `${warnings.length} warnings`}
+            </p>
+            {warnings.map(warning => {
+                const severity = INTERACTION_SEVERITIES[warning.severity];
+                return (
+                    <label key={warning.key} className="flex gap-2 p-2 rounded-lg bg-white/10 cursor-pointer">
+                        <input
+                            type="checkbox"
+                            checked={acknowledged.includes(warning.key)}
+                            onChange={() => onToggle(warning.key)}
+                            className="mt-1 shrink-0"
+                        />
+                        <span className="min-w-0">
+                            <span className="flex flex-wrap items-center gap-2">
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${severity.badge}`}>
+                                    {severity.label}
+                                </span>
+                                <span className="font-medium">
+                                    {warning.kind === 'duplicate' ? 'Duplicate therapy' : 'Interaction'}: {warning.names.join(' + ')}
+                                </span>
+                            </span>
+                            {warning.description && <span className="block text-pharmacy-200">{warning.description}</span>}
+                            {warning.fromHistory && <span className="block text-xs text-pharmacy-300">Includes a recent purchase by this customer</span>}
+                        </span>
+                    </label>
+                );
+            })}
+            <p className="text-xs text-pharmacy-300">Tick each warning once you have checked it with the patient or prescriber.</p>
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+/**
+ * Line Discount Editor
+ * Percent or amount off a cart line, or a new price (inventory lines only).
+ * One manual adjustment per line; a reason is always required.
+ */
+export default function LineDiscountEditor({ item, onChange }) {
+    const mode = item.overridePrice !== undefined && item.overridePrice !== null
+        ? 'price'
+        : item.discount?.type || 'percent';
+    const value = mode === 'price' ? item.overridePrice : item.discount?.value ?? '';
+    const reason = (mode === 'price' ? item.overrideReason : item.discount?.reason) || '';
+
+    const update = (nextMode, nextValue, nextReason) => {
+        onChange(nextMode === 'price'
+            ? { overridePrice: nextValue, overrideReason: nextReason, discount: null }
+            : { overridePrice: null, overrideReason: null, discount: { type: nextMode, value: nextValue, reason: nextReason } });
+    };
+
+    return (
+        <div className="mt-3 pt-3 border-t border-white/10 space-y-2">
+            <div className="flex gap-2">
+                <select
+                    value={mode}
+                    onChange={(e) => update(e.target.value, '', reason)}
+                    className="bg-white/10 rounded-lg px-2 py-1 text-sm outline-none cursor-pointer [&>option]:text-slate-800"
+                >
+                    <option value="percent">% off</option>
+                    <option value="fixed">$ off</option>
+                    {item.medicineId && <option value="price">New price</option>}
+                </select>
+                <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={value}
+                    onChange={(e) => update(mode, e.target.value, reason)}
+                    className="w-24 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none"
+                    placeholder={mode === 'price' ? item.unitPrice.toFixed(2) : '0'}
+                />
+                <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => update(mode, value, e.target.value)}
+                    className="flex-1 min-w-0 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none placeholder:text-pharmacy-300"
+                    placeholder="Reason (required)"
+                />
+            </div>
+            {(value !== '' && value !== null) && (
+                <button
+                    type="button"
+                    onClick={() => onChange({ overridePrice: null, overrideReason: null, discount: null })}
+                    className="text-xs text-pharmacy-200 hover:text-white"
+                >
+                    Remove discount
+                </button>
+            )}
+        </div>
+    );
+}
@@ -1,37 +1,157 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useApp, TOAST_TYPES } from '../../context/AppContext';
 import { useMedicines } from '../../hooks/useMedicines';
-import { createSale, createCustomSale } from '../../db/db';
+import { useCart } from '../../hooks/useCart';
+import { useBarcodeScanner } from '../../hooks/useBarcodeScanner';
+import { useAuth } from '../../context/AuthContext';
+import { createCheckout, getActivePromotions, getSettings, getCurrentShift, getCustomerPurchases, getInteractionData } from '../../db/db';
+import { priceCart, pointsToEarn } from '../../lib/pricing';
+import { settlePayments, NEW_PAYMENT } from '../../lib/payments';
+import { findWarnings, HISTORY_DAYS } from '../../lib/interactions';
+import { findSubstitutes } from '../../lib/substitutes';
+import ReceiptModal from './ReceiptModal';
+import ReturnDialog from '../returns/ReturnDialog';
+import VoidSaleDialog from './VoidSaleDialog';
+import LineDiscountEditor from './LineDiscountEditor';
+import PaymentPanel from './PaymentPanel';
+import CameraScanner from '../common/CameraScanner';
+import ShiftDialog from '../shifts/ShiftDialog';
+import CustomerPicker from '../customers/CustomerPicker';
+import LoyaltyRedeem from '../customers/LoyaltyRedeem';
+import PrescriptionDialog from '../prescriptions/PrescriptionDialog';
+import InteractionWarnings from './InteractionWarnings';
+import SubstitutesDialog from '../medicines/SubstitutesDialog';
+import ZReportModal from '../shifts/ZReportModal';
+import { formatReceiptNumber, formatShiftNumber, formatDateTime } from '../../lib/format';
 import {
     ShoppingCart,
     Search,
     Plus,
     Minus,
-    DollarSign,
-    Package,
-    AlertCircle,
-    CheckCircle,
-    Pill,
+    Trash2,
     X,
-    PenTool
+    Camera,
+    ScanLine,
+    RotateCcw,
+    Ban,
+    Tag,
+    Clock,
+    FileText,
+    Replace
 } from 'lucide-react';
 
 export default function POSSystem() {
     const { showToast } = useApp();
-    const { medicines } = useMedicines(); // Now real-time!
+    const { medicines, refresh: refreshMedicines } = useMedicines(); // Now real-time!
+    const cart = useCart();
+    const navigate = useNavigate();
+    const { isAdmin } = useAuth();
 
     const [mode, setMode] = useState('inventory'); // 'inventory' or 'custom'
 
     // Inventory State
     const [searchQuery, setSearchQuery] = useState('');
-    const [selectedMedicine, setSelectedMedicine] = useState(null);
-    const [quantity, setQuantity] = useState(1);
     const [showDropdown, setShowDropdown] = useState(false);
 
     // Custom State
     const [customItem, setCustomItem] = useState({ name: '', price: '', quantity: 1 });
 
     const [isProcessing, setIsProcessing] = useState(false);
+    const [receiptInvoiceId, setReceiptInvoiceId] = useState(null);
+    const [showReturn, setShowReturn] = useState(false);
+    const [showVoid, setShowVoid] = useState(false);
+
+    // Discounts
+    const [promotions, setPromotions] = useState([]);
+    const [staffDiscountLimit, setStaffDiscountLimit] = useState(10);
+    const [loyalty, setLoyalty] = useState(null); // Loyalty settings
+    const [discountKey, setDiscountKey] = useState(null); // Cart line whose discount editor is open
+
+    // Shift: sales need one open
+    const [shift, setShift] = useState(undefined); // undefined while loading, null when none is open
+    const [shiftDialog, setShiftDialog] = useState(null); // 'open' or 'close'
+    const [reportShiftId, setReportShiftId] = useState(null);
+    const [showPrescription, setShowPrescription] = useState(false);
+    const [substitute, setSubstitute] = useState(null); // { medicine, lineKey }: alternatives for an out-of-stock pick or a cart line
+
+    // Interaction checks: the dataset on this device and the customer's recent purchases
+    const [interactionData, setInteractionData] = useState(null);
+    const [history, setHistory] = useState(null); // { customerId, rows }
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getActivePromotions(), getSettings(), getCurrentShift(), getInteractionData()]).then(([promotionsResult, settingsResult, shiftResult, interactionResult]) => {
+            if (cancelled) return;
+            setPromotions(promotionsResult.data || []);
+            setInteractionData(interactionResult.data);
+            if (settingsResult.data) {
+                setStaffDiscountLimit(settingsResult.data.maxStaffDiscountPercent ?? 10);
+                setLoyalty(settingsResult.data.loyalty ?? null);
+            }
+            setShift(shiftResult.data ?? null);
+        });
+        return () => { cancelled = true; };
+    }, []);
+
+    const customerId = cart.customer?.id || null;
+
+    useEffect(() => {
+        if (!customerId) return;
+        let cancelled = false;
+        getCustomerPurchases(customerId, 50).then(result => {
+            if (cancelled) return;
+            const since = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+            const rows = (result.data || [])
+                .filter(invoice => new Date(invoice.createdAt).getTime() >= since)
+                .flatMap(invoice => invoice.lines);
+            setHistory({ customerId, rows });
+        });
+        return () => { cancelled = true; };
+    }, [customerId]);
+
+    const warnings = useMemo(() => {
+        if (!interactionData) return [];
+        const genericOf = new Map(medicines.map(m => [m.id, m.genericName]));
+        const basket = cart.items.filter(item => item.genericName);
+        const recent = history?.customerId === customerId && customerId
+            ? history.rows.map(line => ({ name: line.medicineName, genericName: genericOf.get(line.medicineId) })).filter(line => line.genericName)
+            : [];
+        return findWarnings(basket, recent, interactionData);
+    }, [interactionData, medicines, cart.items, history, customerId]);
+    const unacknowledgedWarnings = warnings.filter(w => !cart.acknowledgedWarnings.includes(w.key));
+
+    const handleShiftDone = (result) => {
+        if (shiftDialog === 'close') {
+            setShift(null);
+            setReportShiftId(result.id);
+        } else {
+            setShift(result);
+        }
+        setShiftDialog(null);
+    };
+
+    const basketPromotions = useMemo(() => promotions.filter(p => !p.automatic), [promotions]);
+    const loyaltyActive = !!(loyalty?.enabled && cart.customer);
+    const pricing = useMemo(
+        () => priceCart(
+            cart.items,
+            promotions,
+            cart.basketDiscount,
+            loyaltyActive ? { points: cart.redeemPoints, pointValue: loyalty.pointValue } : null
+        ),
+        [cart.items, promotions, cart.basketDiscount, cart.redeemPoints, loyaltyActive, loyalty]
+    );
+    const pointsEarned = loyaltyActive ? pointsToEarn(pricing.lines, loyalty) : 0;
+    const overStaffLimit = !isAdmin && pricing.manualPercent > staffDiscountLimit + 0.001;
+
+    // Payment
+    const [payments, setPayments] = useState([NEW_PAYMENT]);
+    const settlement = useMemo(() => settlePayments(payments, pricing.total, cart.customer), [payments, pricing.total, cart.customer]);
+
+    // Barcode State
+    const [unknownBarcode, setUnknownBarcode] = useState(null);
+    const [showCamera, setShowCamera] = useState(false);
 
     // Filter medicines
     const filteredMedicines = useMemo(() => {
@@ -41,59 +161,205 @@ export default function POSSystem() {
         );
     }, [medicines, searchQuery]);
 
-    // Inventory Sale Logic
+    const prescriptionMedicines = cart.items.filter(item => item.requiresPrescription).map(item => item.name);
+
+    // In-stock alternatives for each out-of-stock medicine
+    const substituteCounts = useMemo(() => new Map(
+        medicines
+            .filter(med => med.sellableQuantity <= 0)
+            .map(med => [med.id, findSubstitutes(med, medicines).length])
+    ), [medicines]);
+
+    // Inventory line: add one unit per pick
     const handleSelectMedicine = (medicine) => {
-        setSelectedMedicine(medicine);
-        setSearchQuery(medicine.name);
+        if (medicine.sellableQuantity <= 0 && substituteCounts.get(medicine.id)) {
+            setSubstitute({ medicine });
+            setSearchQuery('');
+            setShowDropdown(false);
+            return;
+        }
+        const result = cart.addMedicine(medicine);
+        if (!result.success) {
+            showToast(result.error, TOAST_TYPES.WARNING);
+        } else if (medicine.requiresPrescription && !cart.prescription) {
+            setShowPrescription(true);
+        }
+        setSearchQuery('');
+        setShowDropdown(false);
+    };
+
+    // Scanned barcode: add the matching medicine straight to the cart
+    const handleScan = useCallback((code) => {
+        setShowCamera(false);
+        setSearchQuery('');
         setShowDropdown(false);
-        setQuantity(1);
+
+        const medicine = medicines.find(med => med.barcode === code);
+        if (!medicine) {
+            setUnknownBarcode(code);
+            return;
+        }
+
+        setUnknownBarcode(null);
+        if (medicine.sellableQuantity <= 0 && substituteCounts.get(medicine.id)) {
+            showToast(`${medicine.name} is out of stock`, TOAST_TYPES.WARNING);
+            setSubstitute({ medicine });
+            return;
+        }
+        const result = cart.addMedicine(medicine);
+        if (result.success) {
+            showToast(`Added ${medicine.name}`, TOAST_TYPES.SUCCESS);
+            if (medicine.requiresPrescription && !cart.prescription) setShowPrescription(true);
+        } else {
+            showToast(result.error, TOAST_TYPES.WARNING);
+        }
+    }, [medicines, cart, showToast, substituteCounts]);
+
+    useBarcodeScanner(handleScan, { enabled: !receiptInvoiceId && !showCamera && !showReturn && !showVoid && !shiftDialog && !reportShiftId && !showPrescription && !substitute });
+
+    // Picked from the alternatives: swap the cart line, or add in place of the out-of-stock pick
+    const handleSubstitute = (medicine) => {
+        if (substitute.lineKey) {
+            const result = cart.swapMedicine(substitute.lineKey, medicine);
+            if (!result.success) {
+                showToast(result.error, TOAST_TYPES.WARNING);
+                return;
+            }
+            showToast(
+                result.short > 0
+                    ? `Swapped to ${medicine.name}, only ${result.quantity} in stock`
+                    : `Swapped to ${medicine.name}`,
+                result.short > 0 ? TOAST_TYPES.WARNING : TOAST_TYPES.SUCCESS
+            );
+            if (medicine.requiresPrescription && !cart.prescription) setShowPrescription(true);
+        } else {
+            handleSelectMedicine(medicine);
+        }
+        setSubstitute(null);
+    };
+
+    const handleCreateFromBarcode = () => {
+        navigate('/medicines', { state: { barcode: unknownBarcode } });
     };
 
-    const handleSale = async () => {
+    const handleAddCustomItem = () => {
+        if (!customItem.name.trim() || !customItem.price || parseFloat(customItem.price) < 0) {
+            showToast('Enter a name and a valid price', TOAST_TYPES.ERROR);
+            return;
+        }
+        cart.addCustomItem(customItem);
+        setCustomItem({ name: '', price: '', quantity: 1 });
+    };
+
+    const handleCheckout = async () => {
+        if (cart.items.length === 0) return;
+
+        const missingReason = pricing.lines.find(l => l.discounts.some(d => ['override', 'line'].includes(d.kind) && !d.reason?.trim()));
+        if (missingReason || (cart.basketDiscount && !cart.basketDiscount.promotionId && parseFloat(cart.basketDiscount.value) > 0 && !cart.basketDiscount.reason?.trim())) {
+            showToast(`Enter a reason for the discount${missingReason ? ` on ${missingReason.name}` : ''}`, TOAST_TYPES.ERROR);
+            return;
+        }
+        if (settlement.error) {
+            showToast(settlement.error, TOAST_TYPES.ERROR);
+            return;
+        }
+        if (cart.needsPrescription && !cart.prescription) {
+            showToast(`Enter the prescription for ${prescriptionMedicines.join(', ')}`, TOAST_TYPES.ERROR);
+            setShowPrescription(true);
+            return;
+        }
+        if (unacknowledgedWarnings.length > 0) {
+            showToast('Acknowledge the interaction warnings before completing the sale', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        const { image: prescriptionImage, ...prescription } = cart.prescription || {};
+
         setIsProcessing(true);
         try {
-            let result;
-            if (mode === 'inventory') {
-                if (!selectedMedicine) return;
-                result = await createSale(selectedMedicine.id, quantity);
-            } else {
-                // Custom Sale
-                if (!customItem.name || !customItem.price) return;
-                result = await createCustomSale({
-                    name: customItem.name,
-                    quantity: parseInt(customItem.quantity),
-                    totalPrice: parseFloat(customItem.price) * parseInt(customItem.quantity)
-                });
-            }
+            const result = await createCheckout(cart.items, {
+                basketDiscount: cart.basketDiscount,
+                customerId: cart.customer?.id,
+                redeemPoints: pricing.pointsRedeemed,
+                ...(cart.needsPrescription ? { prescription, prescriptionImage } : {}),
+                payments: settlement.lines,
+                interactionOverrides: warnings.map(({ key, kind, severity, names, fromHistory }) => ({ key, kind, severity, names, fromHistory })),
+                previewTotal: pricing.total
+            });
 
-            if (result.success) {
-                showToast('Sale completed successfully!', TOAST_TYPES.SUCCESS);
-                // Reset
-                setSelectedMedicine(null);
-                setSearchQuery('');
-                setQuantity(1);
-                setCustomItem({ name: '', price: '', quantity: 1 });
+            if (result.success && result.data.queued) {
+                // No invoice yet: the receipt becomes available once the sale syncs
+                showToast('Offline: sale saved and will sync when the connection returns', TOAST_TYPES.WARNING);
+                cart.clear();
+                setPayments([NEW_PAYMENT]);
+                refreshMedicines();
+            } else if (result.success) {
+                const change = result.data.change > 0 ? ` Change: $${result.data.change.toFixed(2)}` : '';
+                const points = result.data.pointsEarned > 0 ? ` ${result.data.pointsEarned} points earned.` : '';
+                showToast(`Sale completed! Receipt ${formatReceiptNumber(result.data.invoiceNumber)}.${change}${points}`, TOAST_TYPES.SUCCESS);
+                cart.clear();
+                setPayments([NEW_PAYMENT]);
+                setReceiptInvoiceId(result.data.invoiceId);
             } else {
                 showToast(result.error || 'Sale failed', TOAST_TYPES.ERROR);
             }
-        } catch (error) {
+        } catch {
             showToast('Error processing sale', TOAST_TYPES.ERROR);
         } finally {
             setIsProcessing(false);
         }
     };
 
-    const inventoryTotal = selectedMedicine ? selectedMedicine.sellingPrice * quantity : 0;
-    const customTotal = customItem.price ? parseFloat(customItem.price) * customItem.quantity : 0;
-    const currentTotal = mode === 'inventory' ? inventoryTotal : customTotal;
-
     return (
         <div className="space-y-8">
-            <div>
-                <h1 className="text-3xl font-bold text-slate-800">Point of Sale</h1>
-                <p className="text-slate-500 mt-1">Process sales via inventory or custom entry</p>
+            <div className="flex flex-col md:flex-row md:items-start justify-between gap-4">
+                <div>
+                    <h1 className="text-3xl font-bold text-slate-800">Point of Sale</h1>
+                    <p className="text-slate-500 mt-1">Build a cart from inventory or custom items, then check out once</p>
+                </div>
+                <div className="flex flex-wrap gap-3">
+                    <button onClick={() => setShowVoid(true)} className="btn-secondary flex items-center gap-2">
+                        <Ban className="w-4 h-4" />
+                        Void Sale
+                    </button>
+                    <button onClick={() => setShowReturn(true)} className="btn-secondary flex items-center gap-2">
+                        <RotateCcw className="w-4 h-4" />
+                        Return / Refund
+                    </button>
+                </div>
             </div>
 
+            {/* Shift */}
+            {shift === null ? (
+                <div className="flex flex-wrap items-center justify-between gap-4 p-4 rounded-2xl bg-amber-50 border border-amber-200">
+                    <p className="flex items-center gap-2 text-amber-800 font-medium">
+                        <Clock className="w-5 h-5" />
+                        No open shift. Open one with your cash float to start selling.
+                    </p>
+                    <button onClick={() => setShiftDialog('open')} className="btn-primary">
+                        Open Shift
+                    </button>
+                </div>
+            ) : shift && (
+                <div className="flex flex-wrap items-center justify-between gap-4 p-4 rounded-2xl bg-white border border-slate-200">
+                    <p className="flex items-center gap-2 text-slate-600">
+                        <Clock className="w-5 h-5 text-pharmacy-600" />
+                        Shift <span className="font-semibold text-slate-800">{formatShiftNumber(shift.shiftNumber)}</span>
+                        open since {formatDateTime(shift.openedAt)}
+                    </p>
+                    <div className="flex gap-3">
+                        <button onClick={() => setReportShiftId(shift.id)} className="btn-secondary flex items-center gap-2">
+                            <FileText className="w-4 h-4" />
+                            X Report
+                        </button>
+                        <button onClick={() => setShiftDialog('close')} className="btn-secondary flex items-center gap-2">
+                            <Clock className="w-4 h-4" />
+                            Close Shift
+                        </button>
+                    </div>
+                </div>
+            )}
+
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
                 {/* Input Card */}
                 <div className="glass-card p-6 space-y-6">
@@ -119,7 +385,7 @@ export default function POSSystem() {
                         <div className="space-y-6">
                             {/* Medicine Search */}
                             <div className="relative">
-                                <label className="block text-sm font-medium text-slate-700 mb-2">Select Medicine</label>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Add Medicine</label>
                                 <div className="relative">
                                     <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400" />
                                     <input
@@ -129,41 +395,65 @@ export default function POSSystem() {
                                         onChange={(e) => {
                                             setSearchQuery(e.target.value);
                                             setShowDropdown(true);
-                                            if (selectedMedicine && e.target.value !== selectedMedicine.name) {
-                                                setSelectedMedicine(null);
-                                            }
                                         }}
                                         onFocus={() => setShowDropdown(true)}
                                         className="input-field pl-12"
                                     />
                                 </div>
-                                {showDropdown && !selectedMedicine && filteredMedicines.length > 0 && (
-                                    <div className="absolute z-10 w-full mt-2 bg-white border border-slate-200 rounded-xl shadow-xl max-h-48 overflow-auto">
+                                {showDropdown && filteredMedicines.length > 0 && (
+                                    <div className="absolute z-10 w-full mt-2 bg-white border border-slate-200 rounded-xl shadow-xl max-h-64 overflow-auto">
                                         {filteredMedicines.map((med) => (
                                             <button
                                                 key={med.id}
                                                 onClick={() => handleSelectMedicine(med)}
-                                                className="w-full text-left px-4 py-3 hover:bg-slate-50 border-b border-slate-100"
+                                                disabled={med.sellableQuantity <= 0 && !substituteCounts.get(med.id)}
+                                                className="w-full text-left px-4 py-3 hover:bg-slate-50 border-b border-slate-100 disabled:opacity-50 disabled:cursor-not-allowed"
                                             >
-                                                <p className="font-medium">{med.name}</p>
-                                                <p className="text-sm text-slate-500">${med.sellingPrice} - Stock: {med.quantity}</p>
+                                                <p className="font-medium">{med.name}{med.strength && <span className="text-slate-500 font-normal"> {med.strength}</span>}</p>
+                                                <p className="text-sm text-slate-500">${med.sellingPrice} - Stock: {med.sellableQuantity}</p>
+                                                {med.sellableQuantity <= 0 && substituteCounts.get(med.id) > 0 && (
+                                                    <p className="text-sm text-pharmacy-600 flex items-center gap-1">
+                                                        <Replace className="w-3 h-3" />
+                                                        Out of stock · {substituteCounts.get(med.id)} {substituteCounts.get(med.id) === 1 ? 'alternative' : 'alternatives'}
+                                                    </p>
+                                                )}
                                             </button>
                                         ))}
                                     </div>
                                 )}
                             </div>
+                            <div className="flex items-center justify-between gap-4">
+                                <p className="text-sm text-slate-500 flex items-center gap-2">
+                                    <ScanLine className="w-4 h-4 shrink-0" />
+                                    Pick a medicine or scan its barcode to add one unit.
+                                </p>
+                                <button
+                                    onClick={() => setShowCamera(true)}
+                                    className="btn-secondary py-2 px-4 text-sm flex items-center gap-2 shrink-0"
+                                >
+                                    <Camera className="w-4 h-4" />
+                                    Camera
+                                </button>
+                            </div>
 
-                            {selectedMedicine && (
-                                <div>
-                                    <label className="block text-sm font-medium text-slate-700 mb-2">Quantity</label>
-                                    <div className="flex items-center gap-4">
-                                        <input
-                                            type="number"
-                                            value={quantity}
-                                            onChange={(e) => setQuantity(parseInt(e.target.value) || 1)}
-                                            min="1" max={selectedMedicine.quantity}
-                                            className="input-field text-center font-bold text-lg"
-                                        />
+                            {unknownBarcode && (
+                                <div className="p-4 bg-amber-50 border border-amber-200 rounded-xl animate-fade-in">
+                                    <p className="text-amber-800 font-medium">
+                                        No medicine found with barcode <span className="font-mono">{unknownBarcode}</span>
+                                    </p>
+                                    <div className="flex gap-2 mt-3">
+                                        <button
+                                            onClick={handleCreateFromBarcode}
+                                            className="px-3 py-1.5 bg-amber-500 text-white text-sm font-bold rounded-lg hover:bg-amber-600 transition-colors flex items-center gap-1"
+                                        >
+                                            <Plus className="w-4 h-4" /> Create Medicine
+                                        </button>
+                                        <button
+                                            onClick={() => setUnknownBarcode(null)}
+                                            className="px-3 py-1.5 bg-slate-200 text-slate-700 text-sm font-bold rounded-lg hover:bg-slate-300 transition-colors"
+                                        >
+                                            Dismiss
+                                        </button>
                                     </div>
                                 </div>
                             )}
@@ -202,47 +492,317 @@ export default function POSSystem() {
                                     />
                                 </div>
                             </div>
+                            <button
+                                onClick={handleAddCustomItem}
+                                className="w-full btn-secondary flex items-center justify-center gap-2"
+                            >
+                                <Plus className="w-4 h-4" />
+                                Add to Cart
+                            </button>
+                        </div>
+                    )}
+                </div>
+
+                {/* Cart Panel */}
+                <div className="glass-card p-6 bg-gradient-to-br from-pharmacy-900 to-pharmacy-800 text-white flex flex-col">
+                    <div className="flex justify-between items-center mb-4">
+                        <h2 className="text-xl font-bold flex items-center gap-2">
+                            <ShoppingCart className="w-5 h-5" />
+                            Cart
+                        </h2>
+                        {cart.items.length > 0 && (
+                            <button
+                                onClick={cart.clear}
+                                className="text-sm text-pharmacy-200 hover:text-white flex items-center gap-1"
+                            >
+                                <X className="w-4 h-4" /> Clear
+                            </button>
+                        )}
+                    </div>
+
+                    <CustomerPicker customer={cart.customer} onChange={cart.setCustomer} />
+
+                    {cart.items.length === 0 ? (
+                        <p className="text-pharmacy-200 mb-8">No items yet. Add medicines or custom items to start a sale.</p>
+                    ) : (
+                        <div className="space-y-3 mb-6">
+                            {pricing.lines.map((item) => (
+                                <div key={item.key} className="bg-white/10 p-4 rounded-xl">
+                                    <div className="flex justify-between items-start gap-2">
+                                        <div className="min-w-0">
+                                            <h3 className="font-bold truncate">{item.name}</h3>
+                                            <p className="text-sm text-pharmacy-200">
+                                                ${item.unitPrice.toFixed(2)} each
+                                                {item.type === 'custom' && ' · Custom'}
+                                            </p>
+                                        </div>
+                                        <div className="flex items-center gap-2 shrink-0">
+                                            {item.type === 'inventory' && item.genericName && (
+                                                <button
+                                                    onClick={() => {
+                                                        const medicine = medicines.find(med => med.id === item.medicineId);
+                                                        if (medicine) setSubstitute({ medicine, lineKey: item.key });
+                                                    }}
+                                                    className="text-pharmacy-200 hover:text-white"
+                                                    title="Generic alternatives"
+                                                >
+                                                    <Replace className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => setDiscountKey(discountKey === item.key ? null : item.key)}
+                                                className={`hover:text-white ${discountKey === item.key ? 'text-white' : 'text-pharmacy-200'}`}
+                                                title="Discount or price override"
+                                            >
+                                                <Tag className="w-4 h-4" />
+                                            </button>
+                                            <button
+                                                onClick={() => cart.removeItem(item.key)}
+                                                className="text-pharmacy-200 hover:text-red-300"
+                                                title="Remove"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    </div>
+                                    <div className="flex justify-between items-center mt-3">
+                                        <div className="flex items-center gap-2">
+                                            <button
+                                                onClick={() => cart.updateQuantity(item.key, item.quantity - 1)}
+                                                className="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 flex items-center justify-center"
+                                            >
+                                                <Minus className="w-4 h-4" />
+                                            </button>
+                                            <input
+                                                type="number"
+                                                value={item.quantity}
+                                                onChange={(e) => cart.updateQuantity(item.key, e.target.value)}
+                                                min="1"
+                                                max={item.maxQuantity ?? undefined}
+                                                className="w-16 text-center font-bold bg-white/10 rounded-lg py-1 outline-none"
+                                            />
+                                            <button
+                                                onClick={() => cart.updateQuantity(item.key, item.quantity + 1)}
+                                                className="w-8 h-8 rounded-lg bg-white/10 hover:bg-white/20 flex items-center justify-center"
+                                            >
+                                                <Plus className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                        <div className="text-right">
+                                            {item.net < item.unitPrice * item.quantity && (
+                                                <span className="block text-xs text-pharmacy-300 line-through">${(item.unitPrice * item.quantity).toFixed(2)}</span>
+                                            )}
+                                            <span className="font-bold">${item.net.toFixed(2)}</span>
+                                        </div>
+                                    </div>
+                                    {item.discounts.filter(d => d.kind !== 'basket').map((d, index) => (
+                                        <p key={index} className="text-xs text-green-300 mt-1 flex justify-between">
+                                            <span>{d.kind === 'override' ? 'Price changed' : d.reason || 'Discount'}</span>
+                                            <span>−${d.amount.toFixed(2)}</span>
+                                        </p>
+                                    ))}
+                                    {discountKey === item.key && (
+                                        <LineDiscountEditor item={item} onChange={(changes) => cart.updateDiscount(item.key, changes)} />
+                                    )}
+                                </div>
+                            ))}
                         </div>
                     )}
 
                     {/* Checkout Logic */}
-                    <div className="pt-6 border-t border-slate-200">
-                        <div className="flex justify-between items-center mb-6">
-                            <span className="text-lg font-bold text-slate-800">Total</span>
-                            <span className="text-2xl font-bold text-pharmacy-600">
-                                ${currentTotal.toFixed(2)}
+                    <div className="mt-auto pt-6 border-t border-white/20">
+                        {cart.items.length > 0 && (
+                            <div className="mb-4 space-y-2">
+                                <div className="flex gap-2">
+                                    <select
+                                        value={cart.basketDiscount?.promotionId || (cart.basketDiscount ? 'custom' : '')}
+                                        onChange={(e) => {
+                                            const next = e.target.value;
+                                            cart.setBasketDiscount(
+                                                next === '' ? null
+                                                    : next === 'custom' ? { type: 'percent', value: '', reason: '' }
+                                                        : { promotionId: next }
+                                            );
+                                        }}
+                                        className="flex-1 bg-white/10 rounded-lg px-3 py-2 text-sm outline-none cursor-pointer [&>option]:text-slate-800"
+                                    >
+                                        <option value="">No basket discount</option>
+                                        {basketPromotions.map(p => (
+                                            <option key={p.id} value={p.id}>
+                                                {p.name} ({p.kind === 'percent' ? `${p.value}%` : `$${p.value.toFixed(2)}`})
+                                            </option>
+                                        ))}
+                                        <option value="custom">Other discount…</option>
+                                    </select>
+                                </div>
+                                {cart.basketDiscount && !cart.basketDiscount.promotionId && (
+                                    <div className="flex gap-2">
+                                        <select
+                                            value={cart.basketDiscount.type}
+                                            onChange={(e) => cart.setBasketDiscount({ ...cart.basketDiscount, type: e.target.value })}
+                                            className="bg-white/10 rounded-lg px-2 py-1 text-sm outline-none cursor-pointer [&>option]:text-slate-800"
+                                        >
+                                            <option value="percent">% off</option>
+                                            <option value="fixed">$ off</option>
+                                        </select>
+                                        <input
+                                            type="number"
+                                            step="0.01"
+                                            min="0"
+                                            value={cart.basketDiscount.value}
+                                            onChange={(e) => cart.setBasketDiscount({ ...cart.basketDiscount, value: e.target.value })}
+                                            className="w-24 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none"
+                                            placeholder="0"
+                                        />
+                                        <input
+                                            type="text"
+                                            value={cart.basketDiscount.reason}
+                                            onChange={(e) => cart.setBasketDiscount({ ...cart.basketDiscount, reason: e.target.value })}
+                                            className="flex-1 min-w-0 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none placeholder:text-pharmacy-300"
+                                            placeholder="Reason (required)"
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {cart.needsPrescription && (
+                            <div className="mb-4 flex justify-between items-center gap-2 text-sm">
+                                {cart.prescription ? (
+                                    <span className="flex items-center gap-1 text-pharmacy-200 min-w-0">
+                                        <FileText className="w-4 h-4 shrink-0" />
+                                        <span className="truncate">
+                                            Rx {cart.prescription.prescriptionNumber} · {cart.prescription.prescriberName} · {cart.prescription.patientName}
+                                        </span>
+                                    </span>
+                                ) : (
+                                    <span className="flex items-center gap-1 text-amber-300">
+                                        <FileText className="w-4 h-4" />
+                                        Prescription required
+                                    </span>
+                                )}
+                                <button
+                                    onClick={() => setShowPrescription(true)}
+                                    className="px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 shrink-0"
+                                >
+                                    {cart.prescription ? 'Edit' : 'Add'}
+                                </button>
+                            </div>
+                        )}
+
+                        {warnings.length > 0 && (
+                            <InteractionWarnings
+                                warnings={warnings}
+                                acknowledged={cart.acknowledgedWarnings}
+                                onToggle={cart.toggleWarning}
+                            />
+                        )}
+
+                        {loyaltyActive && cart.items.length > 0 && (
+                            <LoyaltyRedeem
+                                customer={cart.customer}
+                                points={cart.redeemPoints}
+                                pointsRedeemed={pricing.pointsRedeemed}
+                                pointsEarned={pointsEarned}
+                                onChange={cart.setRedeemPoints}
+                            />
+                        )}
+
+                        {pricing.discountTotal > 0 && (
+                            <div className="space-y-1 mb-3 text-sm text-pharmacy-200">
+                                <div className="flex justify-between">
+                                    <span>Subtotal</span>
+                                    <span>${pricing.subtotal.toFixed(2)}</span>
+                                </div>
+                                <div className="flex justify-between text-green-300">
+                                    <span>Discounts</span>
+                                    <span>−${pricing.discountTotal.toFixed(2)}</span>
+                                </div>
+                            </div>
+                        )}
+
+                        {overStaffLimit && (
+                            <p className="mb-3 text-sm text-amber-300">
+                                Manual discounts are over the {staffDiscountLimit}% staff limit. An admin has to ring up this sale.
+                            </p>
+                        )}
+
+                        <div className="flex justify-between items-center mb-4">
+                            <span className="text-lg font-bold">
+                                Total <span className="text-sm font-normal text-pharmacy-200">({cart.itemCount} items)</span>
+                            </span>
+                            <span className="text-2xl font-bold">
+                                ${pricing.total.toFixed(2)}
                             </span>
                         </div>
 
+                        {cart.items.length > 0 && (
+                            <div className="mb-6">
+                                <PaymentPanel payments={payments} settlement={settlement} onChange={setPayments} />
+                            </div>
+                        )}
+
                         <button
-                            onClick={handleSale}
-                            disabled={isProcessing || (mode === 'inventory' && !selectedMedicine)}
-                            className="w-full btn-primary py-4 text-lg"
+                            onClick={handleCheckout}
+                            disabled={isProcessing || cart.items.length === 0 || overStaffLimit || !!settlement.error || !shift || unacknowledgedWarnings.length > 0}
+                            className="w-full btn-primary py-4 text-lg disabled:opacity-50 disabled:cursor-not-allowed"
                         >
                             {isProcessing ? 'Processing...' : 'Confirm Sale'}
                         </button>
                     </div>
                 </div>
-
-                {/* Info Panel */}
-                <div className="glass-card p-6 bg-gradient-to-br from-pharmacy-900 to-pharmacy-800 text-white">
-                    <h2 className="text-xl font-bold mb-4">Sale Summary</h2>
-                    <p className="text-pharmacy-200 mb-8">Review the transaction details before confirming.</p>
-
-                    <div className="space-y-4">
-                        {selectedMedicine && (
-                            <div className="bg-white/10 p-4 rounded-xl">
-                                <h3 className="font-bold text-lg mb-2">{selectedMedicine.name}</h3>
-                                <div className="space-y-1 text-sm text-pharmacy-100">
-                                    <p>Brand: {selectedMedicine.brandName || 'N/A'}</p>
-                                    <p>Category: {selectedMedicine.category || 'General'}</p>
-                                    <p>Stock Remaining: {selectedMedicine.quantity - quantity}</p>
-                                </div>
-                            </div>
-                        )}
-                    </div>
-                </div>
             </div>
+
+            {showCamera && (
+                <CameraScanner onDetected={handleScan} onClose={() => setShowCamera(false)} />
+            )}
+
+            {receiptInvoiceId && (
+                <ReceiptModal invoiceId={receiptInvoiceId} onClose={() => setReceiptInvoiceId(null)} />
+            )}
+
+            {showReturn && (
+                <ReturnDialog onClose={() => setShowReturn(false)} onSuccess={refreshMedicines} />
+            )}
+
+            {showVoid && (
+                <VoidSaleDialog onClose={() => setShowVoid(false)} onSuccess={refreshMedicines} />
+            )}
+
+            {shiftDialog && (
+                <ShiftDialog
+                    shift={shiftDialog === 'close' ? shift : null}
+                    onClose={() => setShiftDialog(null)}
+                    onDone={handleShiftDone}
+                />
+            )}
+
+            {reportShiftId && (
+                <ZReportModal shiftId={reportShiftId} onClose={() => setReportShiftId(null)} />
+            )}
+
+            {substitute && (
+                <SubstitutesDialog
+                    medicine={substitute.medicine}
+                    medicines={medicines}
+                    actionLabel={substitute.lineKey ? 'Swap' : 'Add to sale'}
+                    onSelect={handleSubstitute}
+                    onClose={() => setSubstitute(null)}
+                />
+            )}
+
+            {showPrescription && (
+                <PrescriptionDialog
+                    prescription={cart.prescription}
+                    customer={cart.customer}
+                    medicines={prescriptionMedicines}
+                    onClose={() => setShowPrescription(false)}
+                    onSave={(details) => {
+                        cart.setPrescription(details);
+                        setShowPrescription(false);
+                    }}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,133 @@
+import { PAYMENT_METHODS, REFERENCE_LABELS, NEW_PAYMENT } from '../../lib/payments';
+import { Plus, X } from 'lucide-react';
+
+// Round-up notes a customer is likely to hand over
+function quickTenders(due) {
+    if (!(due > 0)) return [];
+    const amounts = [5, 10, 20, 50, 100].map(note => Math.ceil(due / note) * note);
+    return [...new Set(amounts)].filter(a => a > due).slice(0, 3);
+}
+
+/**
+ * Payment Panel
+ * Method, cash tendered and change for the POS, or several payments when split.
+ * settlement is settlePayments() for the same payments and total.
+ */
+export default function PaymentPanel({ payments, settlement, onChange }) {
+    const split = payments.length > 1;
+
+    const update = (index, changes) => {
+        onChange(payments.map((p, i) => i === index ? { ...p, ...changes } : p));
+    };
+
+    const addPayment = () => {
+        const unused = Object.keys(PAYMENT_METHODS).find(m => !payments.some(p => p.method === m));
+        onChange([...payments, { ...NEW_PAYMENT, method: unused }]);
+    };
+
+    const removePayment = (index) => {
+        const next = payments.filter((_, i) => i !== index);
+        onChange(next.length === 1 ? [{ ...next[0], amount: '' }] : next);
+    };
+
+    return (
+        <div className="space-y-2">
+            {payments.map((payment, index) => {
+                const line = settlement.lines[index];
+                const due = split ? line.amount : settlement.paid;
+                return (
+                    <div key={index} className="bg-white/5 rounded-lg p-2 space-y-2">
+                        <div className="flex gap-2">
+                            <select
+                                value={payment.method}
+                                onChange={(e) => update(index, { method: e.target.value, tendered: '', reference: '' })}
+                                className="flex-1 bg-white/10 rounded-lg px-3 py-2 text-sm outline-none cursor-pointer [&>option]:text-slate-800"
+                            >
+                                {Object.entries(PAYMENT_METHODS).map(([key, label]) => (
+                                    <option key={key} value={key}>{label}</option>
+                                ))}
+                            </select>
+                            {split && (
+                                <>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={payment.amount}
+                                        onChange={(e) => update(index, { amount: e.target.value })}
+                                        className="w-24 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none"
+                                        placeholder="Amount"
+                                    />
+                                    <button
+                                        type="button"
+                                        onClick={() => removePayment(index)}
+                                        className="p-1 text-pharmacy-200 hover:text-white"
+                                        title="Remove payment"
+                                    >
+                                        <X className="w-4 h-4" />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+
+                        {payment.method === 'cash' ? (
+                            <div className="space-y-1">
+                                <div className="flex gap-2 items-center">
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="0"
+                                        value={payment.tendered}
+                                        onChange={(e) => update(index, { tendered: e.target.value })}
+                                        className="flex-1 min-w-0 bg-white/10 rounded-lg px-2 py-1 text-sm outline-none placeholder:text-pharmacy-300"
+                                        placeholder="Cash tendered"
+                                    />
+                                    {quickTenders(due).map(amount => (
+                                        <button
+                                            key={amount}
+                                            type="button"
+                                            onClick={() => update(index, { tendered: amount.toString() })}
+                                            className="px-2 py-1 text-xs rounded-lg bg-white/10 hover:bg-white/20"
+                                        >
+                                            ${amount}
+                                        </button>
+                                    ))}
+                                </div>
+                                {line.tendered !== null && line.tendered >= due && (
+                                    <div className="flex justify-between text-sm font-semibold text-green-300">
+                                        <span>Change</span>
+                                        <span>${(line.tendered - due).toFixed(2)}</span>
+                                    </div>
+                                )}
+                            </div>
+                        ) : (
+                            <input
+                                type="text"
+                                value={payment.reference}
+                                onChange={(e) => update(index, { reference: e.target.value })}
+                                className="w-full bg-white/10 rounded-lg px-2 py-1 text-sm outline-none placeholder:text-pharmacy-300"
+                                placeholder={REFERENCE_LABELS[payment.method]}
+                            />
+                        )}
+                    </div>
+                );
+            })}
+
+            <div className="flex justify-between items-center text-sm">
+                {payments.length < Object.keys(PAYMENT_METHODS).length && (
+                    <button
+                        type="button"
+                        onClick={addPayment}
+                        className="flex items-center gap-1 text-pharmacy-200 hover:text-white"
+                    >
+                        <Plus className="w-4 h-4" />
+                        {split ? 'Add payment' : 'Split payment'}
+                    </button>
+                )}
+                {settlement.error && (
+                    <span className="text-amber-300">{settlement.error}</span>
+                )}
+            </div>
+        </div>
+    );
+}
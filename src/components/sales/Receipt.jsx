@@ -0,0 +1,163 @@
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import { PAYMENT_METHODS } from '../../lib/payments';
+
+const discountReasons = (line) => line.discounts.map(d => d.reason).filter(Boolean).join(', ');
+
+/**
+ * Receipt Component
+ * Printable layout; width follows the selected paper size
+ */
+export default function Receipt({ invoice, settings, paper = '80mm' }) {
+    const isThermal = paper !== 'A4';
+    const width = paper === '58mm' ? 'w-[58mm]' : paper === '80mm' ? 'w-[80mm]' : 'w-full max-w-[180mm]';
+
+    return (
+        <div className={`${width} mx-auto bg-white text-black ${isThermal ? 'text-[11px] p-2 font-mono' : 'text-sm p-8'}`}>
+            {/* Pharmacy Header */}
+            <div className="text-center mb-3">
+                <h2 className={`font-bold ${isThermal ? 'text-sm' : 'text-2xl'}`}>
+                    {settings?.pharmacyName || 'Pharmacy'}
+                </h2>
+                {settings?.address && <p className="whitespace-pre-line">{settings.address}</p>}
+                {settings?.phone && <p>Tel: {settings.phone}</p>}
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            {invoice.voidedAt && (
+                <div className="text-center font-bold border border-black py-1 mb-2">
+                    VOID — {formatDateTime(invoice.voidedAt)}
+                    {invoice.voidReason && <div className="font-normal">{invoice.voidReason}</div>}
+                </div>
+            )}
+
+            {/* Receipt Meta */}
+            <div className="space-y-0.5">
+                <div className="flex justify-between">
+                    <span>Receipt</span>
+                    <span className="font-bold">{formatReceiptNumber(invoice.invoiceNumber)}</span>
+                </div>
+                <div className="flex justify-between">
+                    <span>Date</span>
+                    <span>{formatDateTime(invoice.createdAt)}</span>
+                </div>
+                <div className="flex justify-between">
+                    <span>Cashier</span>
+                    <span>{invoice.sellerName || 'N/A'}</span>
+                </div>
+                {invoice.customerName && (
+                    <div className="flex justify-between">
+                        <span>Customer</span>
+                        <span>{invoice.customerName}</span>
+                    </div>
+                )}
+                {invoice.prescriptionNumber && (
+                    <div className="flex justify-between gap-2">
+                        <span>Rx</span>
+                        <span className="text-right">{invoice.prescriptionNumber} · {invoice.prescriberName}</span>
+                    </div>
+                )}
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            {/* Line Items */}
+            <table className="w-full">
+                <thead>
+                    <tr className="border-b border-black">
+                        <th className="text-left font-semibold py-1">Item</th>
+                        <th className="text-center font-semibold py-1">Qty</th>
+                        {!isThermal && <th className="text-right font-semibold py-1">Unit</th>}
+                        <th className="text-right font-semibold py-1">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {invoice.lines.map((line) => (
+                        <tr key={line.id} className="align-top">
+                            <td className="py-1 pr-1 break-words">
+                                {line.medicineName}
+                                {isThermal && (
+                                    <div className="text-[10px]">@ {formatCurrency(line.unitPrice)}</div>
+                                )}
+                                {line.discountAmount > 0 && (
+                                    <div className="text-[10px]">
+                                        was {formatCurrency(line.listPrice * line.quantitySold)}, less {formatCurrency(line.discountAmount)}
+                                        {discountReasons(line) && ` (${discountReasons(line)})`}
+                                    </div>
+                                )}
+                            </td>
+                            <td className="py-1 text-center">{line.quantitySold}</td>
+                            {!isThermal && <td className="py-1 text-right">{formatCurrency(line.unitPrice)}</td>}
+                            <td className="py-1 text-right">{formatCurrency(line.totalPrice)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            {/* Totals */}
+            <div className="space-y-0.5">
+                <div className="flex justify-between">
+                    <span>Items</span>
+                    <span>{invoice.itemCount}</span>
+                </div>
+                {invoice.discountAmount > 0 && (
+                    <div className="flex justify-between">
+                        <span>You saved</span>
+                        <span>{formatCurrency(invoice.discountAmount)}</span>
+                    </div>
+                )}
+                <div className={`flex justify-between font-bold ${isThermal ? 'text-sm' : 'text-lg'}`}>
+                    <span>TOTAL</span>
+                    <span>{formatCurrency(invoice.totalAmount)}</span>
+                </div>
+                {invoice.payments.length === 0 ? (
+                    <div className="flex justify-between">
+                        <span>Payment</span>
+                        <span>{PAYMENT_METHODS[invoice.paymentMethod] || invoice.paymentMethod}</span>
+                    </div>
+                ) : invoice.payments.map(payment => (
+                    <div key={payment.method}>
+                        <div className="flex justify-between">
+                            <span>
+                                {PAYMENT_METHODS[payment.method] || payment.method}
+                                {payment.reference && ` (${payment.reference})`}
+                            </span>
+                            <span>{formatCurrency(payment.tendered ?? payment.amount)}</span>
+                        </div>
+                        {payment.change > 0 && (
+                            <div className="flex justify-between">
+                                <span>Change</span>
+                                <span>{formatCurrency(payment.change)}</span>
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            {(invoice.pointsEarned > 0 || invoice.pointsRedeemed > 0) && (
+                <>
+                    <div className="border-t border-dashed border-black my-2" />
+                    <div className="space-y-0.5">
+                        {invoice.pointsRedeemed > 0 && (
+                            <div className="flex justify-between">
+                                <span>Points redeemed</span>
+                                <span>{invoice.pointsRedeemed}</span>
+                            </div>
+                        )}
+                        {invoice.pointsEarned > 0 && (
+                            <div className="flex justify-between">
+                                <span>Points earned</span>
+                                <span>{invoice.pointsEarned}</span>
+                            </div>
+                        )}
+                    </div>
+                </>
+            )}
+
+            <div className="border-t border-dashed border-black my-2" />
+            <p className="text-center">Thank you! Get well soon.</p>
+        </div>
+    );
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { getInvoice, getSettings } from '../../db/db';
+import Receipt from './Receipt';
+import { Printer, X, AlertCircle } from 'lucide-react';
+
+const PAPER_SIZES = ['58mm', '80mm', 'A4'];
+
+// @page rules per paper size; thermal rolls have no fixed height
+const PAGE_STYLES = {
+    '58mm': '@page { size: 58mm auto; margin: 0; }',
+    '80mm': '@page { size: 80mm auto; margin: 0; }',
+    A4: '@page { size: A4; margin: 15mm; }'
+};
+
+/**
+ * Receipt Modal
+ * Loads an invoice + pharmacy profile and prints it. Used after checkout and for reprints.
+ */
+export default function ReceiptModal({ invoiceId, onClose }) {
+    const [invoice, setInvoice] = useState(null);
+    const [settings, setSettings] = useState(null);
+    const [error, setError] = useState(null);
+    const [paper, setPaper] = useState(() => localStorage.getItem('receiptPaper') || '80mm');
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getInvoice(invoiceId), getSettings()]).then(([invoiceResult, settingsResult]) => {
+            if (cancelled) return;
+            if (invoiceResult.success) {
+                setInvoice(invoiceResult.data);
+            } else {
+                setError(invoiceResult.error || 'Failed to load receipt');
+            }
+            setSettings(settingsResult.data);
+        });
+        return () => { cancelled = true; };
+    }, [invoiceId]);
+
+    const handlePaperChange = (size) => {
+        setPaper(size);
+        localStorage.setItem('receiptPaper', size);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <style>{`@media print { ${PAGE_STYLES[paper]} }`}</style>
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100 no-print">
+                    <h2 className="text-xl font-bold text-slate-800">Receipt</h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6 bg-slate-100">
+                    {error ? (
+                        <div className="flex flex-col items-center justify-center py-12 text-slate-500">
+                            <AlertCircle className="w-10 h-10 text-red-400 mb-3" />
+                            <p>{error}</p>
+                        </div>
+                    ) : !invoice ? (
+                        <div className="flex justify-center py-12">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : (
+                        <div className="print-area shadow-md">
+                            <Receipt invoice={invoice} settings={settings} paper={paper} />
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap justify-between items-center gap-4 p-6 border-t border-slate-100 no-print">
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        {PAPER_SIZES.map(size => (
+                            <button
+                                key={size}
+                                onClick={() => handlePaperChange(size)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${paper === size ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                {size}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex gap-3">
+                        <button onClick={onClose} className="btn-secondary">Close</button>
+                        <button
+                            onClick={() => window.print()}
+                            disabled={!invoice}
+                            className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <Printer className="w-4 h-4" />
+                            Print
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
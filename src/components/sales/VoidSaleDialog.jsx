@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { useAuth } from '../../context/AuthContext';
+import { getRecentInvoices, getInvoice, getSettings, voidSale } from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import { Ban, X, AlertCircle, ChevronLeft, KeyRound } from 'lucide-react';
+
+/**
+ * Void Sale Dialog
+ * Cancel a whole receipt and put its stock back. The cashier's own sales can be
+ * voided for a few minutes after checkout; anything else needs an admin PIN.
+ */
+export default function VoidSaleDialog({ invoiceId = null, onClose, onSuccess }) {
+    const { showToast } = useApp();
+    const { user, isAdmin } = useAuth();
+    const [recent, setRecent] = useState(null); // { rows, loadedAt }
+    const [windowMinutes, setWindowMinutes] = useState(10);
+    const [selectedId, setSelectedId] = useState(invoiceId);
+    const [invoice, setInvoice] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+    const [reason, setReason] = useState('');
+    const [adminPin, setAdminPin] = useState('');
+    const [pinRequired, setPinRequired] = useState(false);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getSettings().then(result => {
+            if (!cancelled && result.data) setWindowMinutes(result.data.voidWindowMinutes ?? 10);
+        });
+        if (!invoiceId) {
+            getRecentInvoices().then(result => {
+                if (cancelled) return;
+                if (!result.success) showToast(result.error || 'Failed to load recent sales', TOAST_TYPES.ERROR);
+                setRecent({ rows: result.data || [], loadedAt: Date.now() });
+            });
+        }
+        return () => { cancelled = true; };
+    }, [invoiceId, showToast]);
+
+    useEffect(() => {
+        if (!selectedId) return;
+        let cancelled = false;
+        getInvoice(selectedId).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setInvoice(result.data);
+            } else {
+                setLoadError(result.error || 'Failed to load receipt');
+            }
+        });
+        return () => { cancelled = true; };
+    }, [selectedId]);
+
+    // Whether the server will ask for an admin PIN (it decides; this only shows the field early)
+    const needsPin = (row, now) =>
+        !isAdmin && (row.sellerId !== user?.id || now - new Date(row.createdAt).getTime() > windowMinutes * 60000);
+
+    const selectInvoice = (row) => {
+        setInvoice(null);
+        setLoadError(null);
+        setAdminPin('');
+        setPinRequired(needsPin(row, recent.loadedAt));
+        setSelectedId(row.id);
+    };
+
+    const backToList = () => {
+        setSelectedId(null);
+        setInvoice(null);
+        setReason('');
+        setAdminPin('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!reason.trim()) {
+            showToast('Enter a reason for the void', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await voidSale(invoice.id, reason, adminPin);
+        if (result.success) {
+            showToast(`Receipt ${formatReceiptNumber(invoice.invoiceNumber)} voided, stock restored`, TOAST_TYPES.SUCCESS);
+            onSuccess?.();
+            onClose();
+        } else {
+            if (result.needsApproval) {
+                setPinRequired(true);
+                setAdminPin('');
+            }
+            showToast(result.error || 'Failed to void sale', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        {selectedId && !invoiceId && (
+                            <button onClick={backToList} className="text-slate-400 hover:text-slate-600" title="Back to recent sales">
+                                <ChevronLeft className="w-5 h-5" />
+                            </button>
+                        )}
+                        <Ban className="w-5 h-5 text-red-500" />
+                        Void Sale
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6">
+                    {!selectedId ? (
+                        !recent ? (
+                            <div className="flex justify-center py-8">
+                                <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                            </div>
+                        ) : recent.rows.length === 0 ? (
+                            <p className="text-center text-slate-500 py-8">No recent sales</p>
+                        ) : (
+                            <div className="space-y-2">
+                                {!isAdmin && (
+                                    <p className="text-sm text-slate-500 mb-3">
+                                        You can void your own sales for {windowMinutes} minutes after checkout. Older sales need an admin.
+                                    </p>
+                                )}
+                                {recent.rows.map(row => (
+                                    <button
+                                        key={row.id}
+                                        onClick={() => selectInvoice(row)}
+                                        className="w-full flex items-center justify-between gap-4 p-3 rounded-xl border border-slate-200 hover:border-pharmacy-300 hover:bg-pharmacy-50 transition-colors text-left"
+                                    >
+                                        <div>
+                                            <p className="font-semibold text-slate-800">{formatReceiptNumber(row.invoiceNumber)}</p>
+                                            <p className="text-xs text-slate-500">
+                                                {formatDateTime(row.createdAt)} · {row.sellerName || 'Unknown cashier'} · {row.itemCount} {row.itemCount === 1 ? 'item' : 'items'}
+                                            </p>
+                                        </div>
+                                        <div className="text-right">
+                                            <p className="font-bold text-slate-800">{formatCurrency(row.totalAmount)}</p>
+                                            {needsPin(row, recent.loadedAt) && (
+                                                <p className="text-xs text-amber-600 flex items-center justify-end gap-1">
+                                                    <KeyRound className="w-3 h-3" /> Admin PIN
+                                                </p>
+                                            )}
+                                        </div>
+                                    </button>
+                                ))}
+                            </div>
+                        )
+                    ) : loadError ? (
+                        <div className="flex flex-col items-center justify-center py-8 text-slate-500">
+                            <AlertCircle className="w-10 h-10 text-red-400 mb-3" />
+                            <p>{loadError}</p>
+                        </div>
+                    ) : !invoice ? (
+                        <div className="flex justify-center py-8">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : invoice.voidedAt ? (
+                        <p className="text-center text-slate-500 py-8">
+                            Receipt {formatReceiptNumber(invoice.invoiceNumber)} was already voided on {formatDateTime(invoice.voidedAt)}.
+                        </p>
+                    ) : (
+                        <form id="void-form" onSubmit={handleSubmit} className="space-y-4">
+                            <div className="rounded-xl border border-slate-200 divide-y divide-slate-100">
+                                <div className="flex justify-between px-4 py-3 bg-slate-50 rounded-t-xl text-sm">
+                                    <span className="font-semibold text-slate-700">{formatReceiptNumber(invoice.invoiceNumber)}</span>
+                                    <span className="text-slate-500">{formatDateTime(invoice.createdAt)} · {invoice.sellerName || 'Unknown cashier'}</span>
+                                </div>
+                                {invoice.lines.map(line => (
+                                    <div key={line.id} className="flex justify-between px-4 py-2 text-sm">
+                                        <span className="text-slate-700">{line.quantitySold} × {line.medicineName}</span>
+                                        <span className="text-slate-600">{formatCurrency(line.totalPrice)}</span>
+                                    </div>
+                                ))}
+                                <div className="flex justify-between px-4 py-3 font-bold text-slate-800">
+                                    <span>Total</span>
+                                    <span>{formatCurrency(invoice.totalAmount)}</span>
+                                </div>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-1">Reason</label>
+                                <textarea
+                                    value={reason}
+                                    onChange={(e) => setReason(e.target.value)}
+                                    className="input-field min-h-[60px]"
+                                    placeholder="e.g. Wrong item scanned, customer changed their mind"
+                                    autoFocus
+                                />
+                            </div>
+
+                            {pinRequired && (
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-1">Admin PIN</label>
+                                    <input
+                                        type="password"
+                                        inputMode="numeric"
+                                        autoComplete="off"
+                                        value={adminPin}
+                                        onChange={(e) => setAdminPin(e.target.value)}
+                                        className="input-field"
+                                        placeholder="Ask an admin to enter their PIN"
+                                    />
+                                </div>
+                            )}
+                        </form>
+                    )}
+                </div>
+
+                <div className="flex justify-end gap-3 p-6 border-t border-slate-100">
+                    <button type="button" onClick={onClose} className="btn-secondary">
+                        Cancel
+                    </button>
+                    {invoice && !invoice.voidedAt && (
+                        <button
+                            type="submit"
+                            form="void-form"
+                            disabled={isSubmitting || (pinRequired && !adminPin)}
+                            className="px-4 py-2 bg-red-500 hover:bg-red-600 text-white font-bold rounded-xl transition-colors flex items-center gap-2 disabled:opacity-50"
+                        >
+                            {isSubmitting ? (
+                                <div className="w-4 h-4 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                            ) : (
+                                <Ban className="w-4 h-4" />
+                            )}
+                            Void Sale
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getVoidedSales } from '../../db/db';
+import { formatCurrency, formatDateTime, formatReceiptNumber } from '../../lib/format';
+import { Ban, CheckCircle, Clock, User, ShieldCheck } from 'lucide-react';
+
+/**
+ * Voided Sales Component
+ * Audit view of cancelled receipts: what was sold, who voided it, who approved and why
+ */
+export default function VoidedSales() {
+    const { showToast } = useApp();
+    const [voids, setVoids] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getVoidedSales().then(result => {
+            if (cancelled) return;
+            if (!result.success) showToast(result.error || 'Failed to load voided sales', TOAST_TYPES.ERROR);
+            setVoids(result.data || []);
+        });
+        return () => { cancelled = true; };
+    }, [showToast]);
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                    <Ban className="w-8 h-8 text-red-500" />
+                    Voided Sales
+                </h1>
+                <p className="text-slate-500">Cancelled receipts are kept here and left out of report totals</p>
+            </div>
+
+            {!voids ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : voids.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <CheckCircle className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No voided sales</p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {voids.map((v) => (
+                        <div key={v.id} className="bg-white p-5 rounded-2xl shadow-sm border border-slate-100">
+                            <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                                <div className="space-y-1 text-sm text-slate-500">
+                                    <p className="font-semibold text-slate-800">
+                                        {formatReceiptNumber(v.invoiceNumber)}
+                                        <span className="font-normal text-slate-500"> · sold {formatDateTime(v.createdAt)} by {v.sellerName || 'unknown cashier'}</span>
+                                    </p>
+                                    <p className="flex items-center gap-2">
+                                        <Clock className="w-4 h-4" /> Voided {formatDateTime(v.voidedAt)}
+                                    </p>
+                                    <p className="flex items-center gap-2">
+                                        <User className="w-4 h-4" /> {v.voiderName || 'Unknown user'}
+                                    </p>
+                                    <p className="flex items-center gap-2">
+                                        <ShieldCheck className="w-4 h-4" />
+                                        {v.approverName ? `Approved by ${v.approverName}` : 'Within the cashier\'s void window'}
+                                    </p>
+                                </div>
+                                <p className="text-xl font-bold text-slate-400 line-through">{formatCurrency(v.totalAmount)}</p>
+                            </div>
+
+                            {v.voidReason && (
+                                <p className="text-sm text-slate-600 bg-slate-50 border border-slate-100 rounded-lg px-3 py-2 mb-4">
+                                    {v.voidReason}
+                                </p>
+                            )}
+
+                            <div className="overflow-x-auto rounded-xl border border-slate-200">
+                                <table className="w-full text-sm">
+                                    <tbody>
+                                        {v.lines.map((line) => (
+                                            <tr key={line.id} className="border-b border-slate-100 last:border-0">
+                                                <td className="px-4 py-2 font-medium text-slate-800">{line.medicineName}</td>
+                                                <td className="px-4 py-2 text-center">x{line.quantitySold}</td>
+                                                <td className="px-4 py-2 text-right">{formatCurrency(line.totalPrice)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -2,7 +2,10 @@ import { useState, useEffect } from 'react';
 import { useAuth } from '../../context/AuthContext';
 import { supabase } from '../../lib/supabase';
 import { useApp, TOAST_TYPES } from '../../context/AppContext';
-import { User, Save, Shield, UserPlus, Mail, Lock } from 'lucide-react';
+import { setApprovalPin, getInteractionCounts, importInteractionData, clearInteractionData } from '../../db/db';
+import { MEDICINE_CATEGORIES } from '../../lib/medicineValidation';
+import { readInteractionFile } from '../../lib/interactions';
+import { User, Save, Shield, UserPlus, Mail, Lock, KeyRound, Star, Pill, Upload, Trash2 } from 'lucide-react';
 
 // Staff Registration Form Component
 function StaffRegistrationForm({ showToast }) {
@@ -143,6 +146,180 @@ function StaffRegistrationForm({ showToast }) {
     );
 }
 
+// Approval PIN Form Component
+function ApprovalPinForm({ showToast }) {
+    const [pin, setPin] = useState('');
+    const [confirmPin, setConfirmPin] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSetPin = async (e) => {
+        e.preventDefault();
+        if (pin !== confirmPin) {
+            showToast('PINs do not match', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = await setApprovalPin(pin);
+        if (result.success) {
+            showToast('Approval PIN saved', TOAST_TYPES.SUCCESS);
+            setPin('');
+            setConfirmPin('');
+        } else {
+            showToast(result.error || 'Failed to save PIN', TOAST_TYPES.ERROR);
+        }
+        setIsSubmitting(false);
+    };
+
+    return (
+        <form onSubmit={handleSetPin} className="space-y-5 max-w-xl">
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">New PIN</label>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={pin}
+                    onChange={(e) => setPin(e.target.value)}
+                    className="input-field"
+                    placeholder="4 to 8 digits"
+                    pattern="[0-9]{4,8}"
+                    required
+                />
+            </div>
+
+            <div>
+                <label className="block text-sm font-medium text-slate-700 mb-2">Confirm PIN</label>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={confirmPin}
+                    onChange={(e) => setConfirmPin(e.target.value)}
+                    className="input-field"
+                    required
+                />
+            </div>
+
+            <button type="submit" disabled={isSubmitting} className="btn-primary flex items-center gap-2 disabled:opacity-50">
+                <KeyRound className="w-5 h-5" />
+                Save PIN
+            </button>
+
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-xl">
+                <p className="text-sm text-blue-800">
+                    <strong>Note:</strong> Enter this PIN on a cashier's screen to approve voiding a sale outside their void window. The PIN is stored hashed and every use is logged.
+                </p>
+            </div>
+        </form>
+    );
+}
+
+// Interaction Dataset Form Component
+function InteractionDataForm({ showToast }) {
+    const [counts, setCounts] = useState(null); // { interactions, classes }
+    const [version, setVersion] = useState(0); // Bumped after an import or clear
+    const [replace, setReplace] = useState(false);
+    const [isReading, setIsReading] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        getInteractionCounts().then(result => {
+            if (!cancelled) setCounts(result.data);
+        });
+        return () => { cancelled = true; };
+    }, [version]);
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        setIsReading(true);
+        try {
+            const data = await readInteractionFile(file);
+            if (data.interactions.length === 0 && data.classes.length === 0) {
+                showToast('The file has no usable rows', TOAST_TYPES.ERROR);
+                return;
+            }
+            const result = await importInteractionData(data, { replace });
+            if (!result.success) {
+                showToast(result.error || 'Failed to import', TOAST_TYPES.ERROR);
+                return;
+            }
+            const skipped = data.skipped > 0 ? ` ${data.skipped} rows skipped.` : '';
+            showToast(`Imported ${data.interactions.length} interactions and ${data.classes.length} class entries.${skipped}`, TOAST_TYPES.SUCCESS);
+            setVersion(v => v + 1);
+        } catch (error) {
+            showToast(`Could not read ${file.name}: ${error.message}`, TOAST_TYPES.ERROR);
+        } finally {
+            setIsReading(false);
+        }
+    };
+
+    const handleClear = async () => {
+        if (!window.confirm('Remove the interaction dataset from this device? The POS will stop showing warnings.')) return;
+        const result = await clearInteractionData();
+        if (result.success) {
+            showToast('Interaction dataset removed', TOAST_TYPES.SUCCESS);
+            setVersion(v => v + 1);
+        } else {
+            showToast(result.error || 'Failed to remove the dataset', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="space-y-5 max-w-xl">
+            <div className="flex justify-between items-center p-4 bg-slate-50 rounded-xl">
+                <p className="text-sm text-slate-700">
+                    {counts
+                        ? `${counts.interactions} drug pairs and ${counts.classes} therapeutic class entries on this device`
+                        : 'Loading…'}
+                </p>
+                {(counts?.interactions > 0 || counts?.classes > 0) && (
+                    <button type="button" onClick={handleClear} className="flex items-center gap-1 text-sm text-red-600 hover:underline">
+                        <Trash2 className="w-4 h-4" />
+                        Clear
+                    </button>
+                )}
+            </div>
+
+            <label className="flex flex-col items-center justify-center gap-2 p-8 border-2 border-dashed border-slate-300 rounded-2xl cursor-pointer hover:border-pharmacy-400 hover:bg-pharmacy-50/40 transition-colors">
+                {isReading ? (
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                ) : (
+                    <Upload className="w-8 h-8 text-slate-400" />
+                )}
+                <span className="font-medium text-slate-700">Import a file</span>
+                <span className="text-sm text-slate-400">.json, .csv or .xlsx</span>
+                <input type="file" accept=".json,.csv,.xlsx" onChange={handleFile} disabled={isReading} className="hidden" />
+            </label>
+
+            <label className="flex items-center gap-3 cursor-pointer">
+                <input
+                    type="checkbox"
+                    checked={replace}
+                    onChange={(e) => setReplace(e.target.checked)}
+                    className="rounded text-pharmacy-600"
+                />
+                <span className="text-sm text-slate-700">Replace the current dataset instead of adding to it</span>
+            </label>
+
+            <div className="p-4 bg-blue-50 border border-blue-200 rounded-xl space-y-2 text-sm text-blue-800">
+                <p>
+                    <strong>Note:</strong> The dataset is stored in this browser only and works offline. Import it on each till that sells medicines.
+                </p>
+                <p>
+                    Interactions: columns <em>Drug A</em>, <em>Drug B</em>, <em>Severity</em> (minor, moderate, major or contraindicated) and <em>Description</em>.
+                    Duplicate therapy: columns <em>Generic Name</em> and <em>Therapeutic Class</em>.
+                    JSON files take <code>{'{ "interactions": [{ "a", "b", "severity", "description" }], "classes": [{ "generic", "class" }] }'}</code>.
+                </p>
+                <p>Drugs are matched on each medicine's generic name; combinations like "Amoxicillin + Clavulanate" are checked per ingredient.</p>
+            </div>
+        </div>
+    );
+}
+
 export default function SettingsPage() {
     const { profile } = useAuth();
     const { showToast } = useApp();
@@ -212,6 +389,30 @@ export default function SettingsPage() {
                         <User className="w-5 h-5" />
                         Team Members
                     </button>
+                    <button
+                        onClick={() => setActiveTab('pin')}
+                        className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-all ${activeTab === 'pin' ? 'bg-pharmacy-50 text-pharmacy-700 font-medium' : 'text-slate-600 hover:bg-slate-50'
+                            }`}
+                    >
+                        <KeyRound className="w-5 h-5" />
+                        Approval PIN
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('loyalty')}
+                        className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-all ${activeTab === 'loyalty' ? 'bg-pharmacy-50 text-pharmacy-700 font-medium' : 'text-slate-600 hover:bg-slate-50'
+                            }`}
+                    >
+                        <Star className="w-5 h-5" />
+                        Loyalty Points
+                    </button>
+                    <button
+                        onClick={() => setActiveTab('interactions')}
+                        className={`w-full flex items-center gap-3 px-4 py-3 rounded-xl transition-all ${activeTab === 'interactions' ? 'bg-pharmacy-50 text-pharmacy-700 font-medium' : 'text-slate-600 hover:bg-slate-50'
+                            }`}
+                    >
+                        <Pill className="w-5 h-5" />
+                        Drug Interactions
+                    </button>
                 </div>
 
                 {/* Content Area */}
@@ -257,6 +458,46 @@ export default function SettingsPage() {
                                 />
                             </div>
 
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Refunds Need Admin Approval Above</label>
+                                <input
+                                    type="number"
+                                    step="0.01"
+                                    min="0"
+                                    value={settings.refund_approval_limit ?? ''}
+                                    onChange={(e) => setSettings({ ...settings, refund_approval_limit: e.target.value === '' ? null : e.target.value })}
+                                    className="input-field"
+                                    placeholder="No limit"
+                                />
+                                <p className="text-xs text-slate-400 mt-1">Staff refunds over this amount wait on the Returns page. Leave empty to never require approval.</p>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Void Window (minutes)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={settings.void_window_minutes ?? 10}
+                                    onChange={(e) => setSettings({ ...settings, void_window_minutes: parseInt(e.target.value) || 0 })}
+                                    className="input-field"
+                                />
+                                <p className="text-xs text-slate-400 mt-1">How long cashiers can void their own sales without an admin PIN.</p>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Max Staff Discount (%)</label>
+                                <input
+                                    type="number"
+                                    min="0"
+                                    max="100"
+                                    step="0.01"
+                                    value={settings.max_staff_discount_percent ?? 10}
+                                    onChange={(e) => setSettings({ ...settings, max_staff_discount_percent: parseFloat(e.target.value) || 0 })}
+                                    className="input-field"
+                                />
+                                <p className="text-xs text-slate-400 mt-1">Largest share of a line or basket a cashier can take off by hand. Admins and automatic promotions aren't limited.</p>
+                            </div>
+
                             <div className="pt-4">
                                 <button type="submit" className="btn-primary flex items-center gap-2">
                                     <Save className="w-5 h-5" />
@@ -281,6 +522,135 @@ export default function SettingsPage() {
                             <StaffRegistrationForm showToast={showToast} />
                         </div>
                     )}
+
+                    {activeTab === 'pin' && (
+                        <div className="space-y-6">
+                            <div className="flex items-center gap-4 mb-6 pb-6 border-b border-slate-100">
+                                <div className="w-16 h-16 bg-amber-100 rounded-full flex items-center justify-center">
+                                    <KeyRound className="w-8 h-8 text-amber-600" />
+                                </div>
+                                <div>
+                                    <h2 className="text-xl font-bold text-slate-800">Approval PIN</h2>
+                                    <p className="text-sm text-slate-500">Authorize voids at the till without signing in</p>
+                                </div>
+                            </div>
+
+                            <ApprovalPinForm showToast={showToast} />
+                        </div>
+                    )}
+
+                    {activeTab === 'interactions' && (
+                        <div className="space-y-6">
+                            <div className="flex items-center gap-4 mb-6 pb-6 border-b border-slate-100">
+                                <div className="w-16 h-16 bg-red-100 rounded-full flex items-center justify-center">
+                                    <Pill className="w-8 h-8 text-red-600" />
+                                </div>
+                                <div>
+                                    <h2 className="text-xl font-bold text-slate-800">Drug Interactions</h2>
+                                    <p className="text-sm text-slate-500">Dataset the POS checks baskets against for interactions and duplicate therapy</p>
+                                </div>
+                            </div>
+
+                            <InteractionDataForm showToast={showToast} />
+                        </div>
+                    )}
+
+                    {activeTab === 'loyalty' && (
+                        <form onSubmit={handleUpdateSettings} className="space-y-6 max-w-xl">
+                            <div className="flex items-center gap-4 mb-6 pb-6 border-b border-slate-100">
+                                <div className="w-16 h-16 bg-pharmacy-100 rounded-full flex items-center justify-center">
+                                    <Star className="w-8 h-8 text-pharmacy-600" />
+                                </div>
+                                <div>
+                                    <h2 className="text-xl font-bold text-slate-800">Loyalty Points</h2>
+                                    <p className="text-sm text-slate-500">How registered customers earn and spend points</p>
+                                </div>
+                            </div>
+
+                            <label className="flex items-center gap-3 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={!!settings.loyalty_enabled}
+                                    onChange={(e) => setSettings({ ...settings, loyalty_enabled: e.target.checked })}
+                                    className="w-5 h-5 rounded text-pharmacy-600"
+                                />
+                                <span className="font-medium text-slate-700">Customers earn and redeem points</span>
+                            </label>
+
+                            <div className="grid grid-cols-2 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-2">Points per $1 spent</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={settings.loyalty_points_per_dollar ?? 1}
+                                        onChange={(e) => setSettings({ ...settings, loyalty_points_per_dollar: parseFloat(e.target.value) || 0 })}
+                                        className="input-field"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-slate-700 mb-2">Value of 1 point ($)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.0001"
+                                        value={settings.loyalty_point_value ?? 0.01}
+                                        onChange={(e) => setSettings({ ...settings, loyalty_point_value: parseFloat(e.target.value) || 0 })}
+                                        className="input-field"
+                                    />
+                                </div>
+                            </div>
+                            <p className="text-xs text-slate-400 -mt-4">
+                                Points are earned on what the customer pays after discounts, rounded down, and taken off a sale at checkout.
+                            </p>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Points Expire After (months)</label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={settings.loyalty_expiry_months ?? ''}
+                                    onChange={(e) => setSettings({ ...settings, loyalty_expiry_months: e.target.value === '' ? null : parseInt(e.target.value) || null })}
+                                    className="input-field"
+                                    placeholder="Never"
+                                />
+                                <p className="text-xs text-slate-400 mt-1">Unused points expire this long after they were earned. Leave empty to keep them forever.</p>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-slate-700 mb-2">Categories That Don't Earn Points</label>
+                                <div className="grid grid-cols-2 gap-2">
+                                    {MEDICINE_CATEGORIES.map(category => {
+                                        const excluded = settings.loyalty_excluded_categories || [];
+                                        return (
+                                            <label key={category} className="flex items-center gap-2 text-sm text-slate-600 cursor-pointer">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={excluded.includes(category)}
+                                                    onChange={(e) => setSettings({
+                                                        ...settings,
+                                                        loyalty_excluded_categories: e.target.checked
+                                                            ? [...excluded, category]
+                                                            : excluded.filter(c => c !== category)
+                                                    })}
+                                                    className="rounded text-pharmacy-600"
+                                                />
+                                                {category}
+                                            </label>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+
+                            <div className="pt-4">
+                                <button type="submit" className="btn-primary flex items-center gap-2">
+                                    <Save className="w-5 h-5" />
+                                    Save Changes
+                                </button>
+                            </div>
+                        </form>
+                    )}
                 </div>
             </div>
         </div>
@@ -0,0 +1,117 @@
+import { useState } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { useSync } from '../../context/SyncContext';
+import { openShift, closeShift } from '../../db/db';
+import { formatCurrency, formatDateTime, formatShiftNumber } from '../../lib/format';
+import { Clock, X, AlertTriangle } from 'lucide-react';
+
+/**
+ * Shift Dialog
+ * Open a shift with its float, or close the given shift by counting the drawer.
+ * The count is blind: expected cash is only shown on the Z report afterwards.
+ */
+export default function ShiftDialog({ shift = null, onClose, onDone }) {
+    const { showToast } = useApp();
+    const { pendingCount } = useSync();
+    const [amount, setAmount] = useState('');
+    const [note, setNote] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+    const closing = !!shift;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (amount === '' || !(parseFloat(amount) >= 0)) {
+            showToast(closing ? 'Enter the cash counted in the drawer' : 'Enter the opening float', TOAST_TYPES.ERROR);
+            return;
+        }
+
+        setIsSubmitting(true);
+        const result = closing ? await closeShift(shift.id, amount, note) : await openShift(amount);
+        setIsSubmitting(false);
+
+        if (result.success) {
+            showToast(
+                closing ? `Shift ${formatShiftNumber(result.data.shiftNumber)} closed` : `Shift ${formatShiftNumber(result.data.shiftNumber)} opened`,
+                TOAST_TYPES.SUCCESS
+            );
+            onDone(result.data);
+        } else {
+            showToast(result.error || 'Failed to update shift', TOAST_TYPES.ERROR);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-md p-6">
+                <div className="flex justify-between items-center mb-6">
+                    <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                        <Clock className="w-5 h-5 text-pharmacy-600" />
+                        {closing ? `Close Shift ${formatShiftNumber(shift.shiftNumber)}` : 'Open Shift'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {closing && (
+                        <p className="text-sm text-slate-500">
+                            Opened {formatDateTime(shift.openedAt)} with a float of {formatCurrency(shift.openingFloat)}.
+                        </p>
+                    )}
+
+                    {closing && pendingCount > 0 && (
+                        <div className="flex gap-2 p-3 rounded-xl bg-amber-50 text-amber-700 text-sm">
+                            <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                            <span>
+                                {pendingCount} offline {pendingCount === 1 ? 'sale has' : 'sales have'} not synced yet and won't be in the expected cash.
+                                Reconnect and let them sync before closing if you can.
+                            </span>
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-slate-700 mb-1">
+                            {closing ? 'Cash counted in drawer' : 'Opening float (cash in drawer)'}
+                        </label>
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="0"
+                            value={amount}
+                            onChange={(e) => setAmount(e.target.value)}
+                            className="input-field"
+                            placeholder="0.00"
+                            autoFocus
+                        />
+                    </div>
+
+                    {closing && (
+                        <div>
+                            <label className="block text-sm font-medium text-slate-700 mb-1">Note (optional)</label>
+                            <textarea
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                className="input-field min-h-[80px]"
+                                placeholder="e.g. $5 paid out for cleaning supplies"
+                            />
+                        </div>
+                    )}
+
+                    <div className="flex gap-3 mt-6">
+                        <button type="button" onClick={onClose} className="btn-secondary flex-1">
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={isSubmitting}
+                            className="btn-primary flex-1 disabled:opacity-50"
+                        >
+                            {isSubmitting ? 'Saving...' : closing ? 'Close Shift' : 'Open Shift'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getShifts } from '../../db/db';
+import { formatCurrency, formatDateTime, formatShiftNumber } from '../../lib/format';
+import ZReportModal from './ZReportModal';
+import ShiftDialog from './ShiftDialog';
+import { Clock, FileText, User } from 'lucide-react';
+
+function varianceClass(variance) {
+    if (variance === null) return 'text-slate-400';
+    if (Math.abs(variance) < 0.005) return 'text-green-600';
+    return variance > 0 ? 'text-amber-600' : 'text-red-600';
+}
+
+function formatVariance(variance) {
+    if (variance === null) return '—';
+    if (Math.abs(variance) < 0.005) return 'Balanced';
+    return `${variance > 0 ? 'Over' : 'Short'} ${formatCurrency(Math.abs(variance))}`;
+}
+
+/**
+ * Shifts Component
+ * Admin shift history with the cash variance of each close, per staff member
+ */
+export default function Shifts() {
+    const { showToast } = useApp();
+    const [shifts, setShifts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [cashierId, setCashierId] = useState('');
+    const [reportShiftId, setReportShiftId] = useState(null);
+    const [closingShift, setClosingShift] = useState(null); // A shift left open that an admin closes
+    const [reloadKey, setReloadKey] = useState(0);
+
+    useEffect(() => {
+        let cancelled = false;
+        getShifts({ limit: 500 }).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setShifts(result.data);
+            } else {
+                showToast(result.error || 'Failed to load shifts', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [reloadKey, showToast]);
+
+    const handleClosed = (shift) => {
+        setClosingShift(null);
+        setReportShiftId(shift.id);
+        setReloadKey(prev => prev + 1);
+    };
+
+    // Variance totals per cashier over the loaded (closed) shifts
+    const staff = useMemo(() => {
+        const byCashier = new Map();
+        for (const shift of shifts) {
+            const entry = byCashier.get(shift.cashierId) || {
+                cashierId: shift.cashierId,
+                name: shift.cashierName || 'Unknown user',
+                closed: 0,
+                open: 0,
+                over: 0,
+                short: 0,
+                net: 0
+            };
+            if (shift.closedAt) {
+                entry.closed++;
+                entry.net += shift.variance || 0;
+                if (shift.variance > 0.005) entry.over += shift.variance;
+                if (shift.variance < -0.005) entry.short -= shift.variance;
+            } else {
+                entry.open++;
+            }
+            byCashier.set(shift.cashierId, entry);
+        }
+        return [...byCashier.values()].sort((a, b) => a.name.localeCompare(b.name));
+    }, [shifts]);
+
+    const visible = cashierId ? shifts.filter(s => s.cashierId === cashierId) : shifts;
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <Clock className="w-8 h-8 text-pharmacy-600" />
+                        Shifts
+                    </h1>
+                    <p className="text-slate-500">Cash-drawer counts and variances for every shift</p>
+                </div>
+                <select
+                    value={cashierId}
+                    onChange={(e) => setCashierId(e.target.value)}
+                    className="input-field md:w-64 cursor-pointer"
+                >
+                    <option value="">All staff</option>
+                    {staff.map(s => (
+                        <option key={s.cashierId} value={s.cashierId}>{s.name}</option>
+                    ))}
+                </select>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : shifts.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <Clock className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">No shifts yet</p>
+                </div>
+            ) : (
+                <>
+                    {/* Per staff member */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                        {staff.filter(s => !cashierId || s.cashierId === cashierId).map(s => (
+                            <div key={s.cashierId} className="stat-card">
+                                <p className="font-semibold text-slate-800 flex items-center gap-2">
+                                    <User className="w-4 h-4 text-slate-400" />
+                                    {s.name}
+                                </p>
+                                <p className={`text-2xl font-bold mt-2 ${varianceClass(s.closed ? s.net : null)}`}>
+                                    {s.closed ? formatVariance(s.net) : 'No closed shifts'}
+                                </p>
+                                <p className="text-xs text-slate-400 mt-1">
+                                    {s.closed} closed {s.closed === 1 ? 'shift' : 'shifts'}
+                                    {s.open > 0 && `, ${s.open} open`}
+                                    {' · '}over {formatCurrency(s.over)}, short {formatCurrency(s.short)}
+                                </p>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="bg-white rounded-2xl shadow-sm border border-slate-100 overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="w-full">
+                                <thead className="bg-slate-50 border-b border-slate-100">
+                                    <tr>
+                                        <th className="text-left py-4 px-6 font-semibold text-slate-600">Shift</th>
+                                        <th className="text-left py-4 px-6 font-semibold text-slate-600">Cashier</th>
+                                        <th className="text-left py-4 px-6 font-semibold text-slate-600">Opened</th>
+                                        <th className="text-left py-4 px-6 font-semibold text-slate-600">Closed</th>
+                                        <th className="text-right py-4 px-6 font-semibold text-slate-600">Float</th>
+                                        <th className="text-right py-4 px-6 font-semibold text-slate-600">Expected</th>
+                                        <th className="text-right py-4 px-6 font-semibold text-slate-600">Counted</th>
+                                        <th className="text-right py-4 px-6 font-semibold text-slate-600">Variance</th>
+                                        <th className="text-right py-4 px-6 font-semibold text-slate-600">Actions</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-slate-100">
+                                    {visible.map(shift => (
+                                        <tr key={shift.id} className="hover:bg-slate-50">
+                                            <td className="py-4 px-6 font-medium text-slate-800">{formatShiftNumber(shift.shiftNumber)}</td>
+                                            <td className="py-4 px-6 text-slate-600">{shift.cashierName || 'Unknown user'}</td>
+                                            <td className="py-4 px-6 text-slate-500 text-sm">{formatDateTime(shift.openedAt)}</td>
+                                            <td className="py-4 px-6 text-slate-500 text-sm">
+                                                {shift.closedAt ? formatDateTime(shift.closedAt) : (
+                                                    <span className="text-xs font-semibold px-2.5 py-1 rounded-full bg-green-100 text-green-700">Open</span>
+                                                )}
+                                            </td>
+                                            <td className="py-4 px-6 text-right text-slate-600">{formatCurrency(shift.openingFloat)}</td>
+                                            <td className="py-4 px-6 text-right text-slate-600">
+                                                {shift.expectedCash !== null ? formatCurrency(shift.expectedCash) : '—'}
+                                            </td>
+                                            <td className="py-4 px-6 text-right text-slate-600">
+                                                {shift.countedCash !== null ? formatCurrency(shift.countedCash) : '—'}
+                                            </td>
+                                            <td className={`py-4 px-6 text-right font-semibold ${varianceClass(shift.variance)}`}>
+                                                {formatVariance(shift.variance)}
+                                            </td>
+                                            <td className="py-4 px-6">
+                                                <div className="flex justify-end gap-2">
+                                                    {!shift.closedAt && (
+                                                        <button
+                                                            onClick={() => setClosingShift(shift)}
+                                                            className="p-2 text-slate-400 hover:text-amber-600 hover:bg-amber-50 rounded-lg"
+                                                            title="Close shift"
+                                                        >
+                                                            <Clock className="w-4 h-4" />
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setReportShiftId(shift.id)}
+                                                        className="p-2 text-slate-400 hover:text-pharmacy-600 hover:bg-pharmacy-50 rounded-lg"
+                                                        title={shift.closedAt ? 'Z report' : 'X report'}
+                                                    >
+                                                        <FileText className="w-4 h-4" />
+                                                    </button>
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {closingShift && (
+                <ShiftDialog shift={closingShift} onClose={() => setClosingShift(null)} onDone={handleClosed} />
+            )}
+
+            {reportShiftId && (
+                <ZReportModal shiftId={reportShiftId} onClose={() => setReportShiftId(null)} />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,144 @@
+import { formatCurrency, formatDateTime, formatShiftNumber } from '../../lib/format';
+import { PAYMENT_METHODS } from '../../lib/payments';
+
+function Row({ label, value, bold = false }) {
+    return (
+        <div className={`flex justify-between ${bold ? 'font-bold' : ''}`}>
+            <span>{label}</span>
+            <span>{value}</span>
+        </div>
+    );
+}
+
+/**
+ * Z Report
+ * Printable end-of-shift summary; an X report (no count yet) while the shift is open
+ */
+export default function ZReport({ report, settings, paper = '80mm' }) {
+    const isThermal = paper !== 'A4';
+    const width = paper === '58mm' ? 'w-[58mm]' : paper === '80mm' ? 'w-[80mm]' : 'w-full max-w-[180mm]';
+    const { shift, sales, payments, refunds, voids, accountPayments = [] } = report;
+    const isClosed = !!shift.closedAt;
+    const cashIn = payments.find(p => p.method === 'cash')?.amount || 0;
+    const cashOut = refunds
+        .filter(r => r.method === 'cash' && r.status === 'completed')
+        .reduce((sum, r) => sum + r.amount, 0);
+    const accountCash = accountPayments.find(p => p.method === 'cash')?.amount || 0;
+    const pendingRefunds = refunds.filter(r => r.status === 'pending');
+    // Sales synced or voided after closing change the recomputed figure
+    const changedSinceClose = isClosed && Math.abs(report.expectedCash - shift.expectedCash) >= 0.005;
+
+    return (
+        <div className={`${width} mx-auto bg-white text-black ${isThermal ? 'text-[11px] p-2 font-mono' : 'text-sm p-8'}`}>
+            <div className="text-center mb-3">
+                <h2 className={`font-bold ${isThermal ? 'text-sm' : 'text-2xl'}`}>
+                    {settings?.pharmacyName || 'Pharmacy'}
+                </h2>
+                <p className="font-bold">{isClosed ? 'Z REPORT' : 'X REPORT (SHIFT OPEN)'}</p>
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            <div className="space-y-0.5">
+                <Row label="Shift" value={formatShiftNumber(shift.shiftNumber)} />
+                <Row label="Cashier" value={shift.cashierName || 'N/A'} />
+                <Row label="Opened" value={formatDateTime(shift.openedAt)} />
+                {isClosed && <Row label="Closed" value={formatDateTime(shift.closedAt)} />}
+                {isClosed && shift.closedByName && shift.closedByName !== shift.cashierName && (
+                    <Row label="Closed by" value={shift.closedByName} />
+                )}
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            <p className="font-semibold mb-1">Sales</p>
+            <div className="space-y-0.5">
+                <Row label="Receipts" value={sales.count} />
+                <Row label="Items" value={sales.items} />
+                {sales.discounts > 0 && <Row label="Discounts given" value={formatCurrency(sales.discounts)} />}
+                <Row label="Net sales" value={formatCurrency(sales.total)} bold />
+                {voids.count > 0 && <Row label={`Voided (${voids.count})`} value={formatCurrency(voids.total)} />}
+            </div>
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            <p className="font-semibold mb-1">Payments</p>
+            <div className="space-y-0.5">
+                {payments.length === 0 && <p>None</p>}
+                {payments.map(p => (
+                    <Row
+                        key={p.method}
+                        label={`${PAYMENT_METHODS[p.method] || p.method} (${p.count})`}
+                        value={formatCurrency(p.amount)}
+                    />
+                ))}
+            </div>
+
+            {refunds.length > 0 && (
+                <>
+                    <div className="border-t border-dashed border-black my-2" />
+                    <p className="font-semibold mb-1">Refunds</p>
+                    <div className="space-y-0.5">
+                        {refunds.filter(r => r.status === 'completed').map(r => (
+                            <Row
+                                key={r.method}
+                                label={`${PAYMENT_METHODS[r.method] || r.method} (${r.count})`}
+                                value={formatCurrency(r.amount)}
+                            />
+                        ))}
+                        {pendingRefunds.length > 0 && (
+                            <Row
+                                label={`Awaiting approval (${pendingRefunds.reduce((sum, r) => sum + r.count, 0)})`}
+                                value={formatCurrency(pendingRefunds.reduce((sum, r) => sum + r.amount, 0))}
+                            />
+                        )}
+                    </div>
+                </>
+            )}
+
+            {accountPayments.length > 0 && (
+                <>
+                    <div className="border-t border-dashed border-black my-2" />
+                    <p className="font-semibold mb-1">Account payments</p>
+                    <div className="space-y-0.5">
+                        {accountPayments.map(p => (
+                            <Row
+                                key={p.method}
+                                label={`${PAYMENT_METHODS[p.method] || p.method} (${p.count})`}
+                                value={formatCurrency(p.amount)}
+                            />
+                        ))}
+                    </div>
+                </>
+            )}
+
+            <div className="border-t border-dashed border-black my-2" />
+
+            <p className="font-semibold mb-1">Cash drawer</p>
+            <div className="space-y-0.5">
+                <Row label="Opening float" value={formatCurrency(shift.openingFloat)} />
+                <Row label="+ Cash sales" value={formatCurrency(cashIn)} />
+                {accountCash > 0 && <Row label="+ Account payments" value={formatCurrency(accountCash)} />}
+                <Row label="− Cash refunds" value={formatCurrency(cashOut)} />
+                <Row label="Expected" value={formatCurrency(isClosed ? shift.expectedCash : report.expectedCash)} bold />
+                {isClosed && (
+                    <>
+                        <Row label="Counted" value={formatCurrency(shift.countedCash)} />
+                        <Row
+                            label={shift.variance > 0 ? 'OVER' : shift.variance < 0 ? 'SHORT' : 'Balanced'}
+                            value={formatCurrency(Math.abs(shift.variance))}
+                            bold
+                        />
+                    </>
+                )}
+            </div>
+
+            {changedSinceClose && (
+                <p className="mt-2">
+                    Note: with sales synced or voided since closing, expected cash is now {formatCurrency(report.expectedCash)}.
+                </p>
+            )}
+            {shift.closingNote && <p className="mt-2 whitespace-pre-line">{shift.closingNote}</p>}
+        </div>
+    );
+}
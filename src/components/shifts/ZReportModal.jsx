@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { getShiftReport, getSettings } from '../../db/db';
+import ZReport from './ZReport';
+import { Printer, X, AlertCircle } from 'lucide-react';
+
+const PAPER_SIZES = ['58mm', '80mm', 'A4'];
+
+// Same paper choice as receipts
+const PAGE_STYLES = {
+    '58mm': '@page { size: 58mm auto; margin: 0; }',
+    '80mm': '@page { size: 80mm auto; margin: 0; }',
+    A4: '@page { size: A4; margin: 15mm; }'
+};
+
+/**
+ * Z Report Modal
+ * Loads a shift's totals and prints them. Shown on closing and from shift history.
+ */
+export default function ZReportModal({ shiftId, onClose }) {
+    const [report, setReport] = useState(null);
+    const [settings, setSettings] = useState(null);
+    const [error, setError] = useState(null);
+    const [paper, setPaper] = useState(() => localStorage.getItem('receiptPaper') || '80mm');
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getShiftReport(shiftId), getSettings()]).then(([reportResult, settingsResult]) => {
+            if (cancelled) return;
+            if (reportResult.success) {
+                setReport(reportResult.data);
+            } else {
+                setError(reportResult.error || 'Failed to load shift report');
+            }
+            setSettings(settingsResult.data);
+        });
+        return () => { cancelled = true; };
+    }, [shiftId]);
+
+    const handlePaperChange = (size) => {
+        setPaper(size);
+        localStorage.setItem('receiptPaper', size);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <style>{`@media print { ${PAGE_STYLES[paper]} }`}</style>
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <div className="flex justify-between items-center p-6 border-b border-slate-100 no-print">
+                    <h2 className="text-xl font-bold text-slate-800">
+                        {report && !report.shift.closedAt ? 'X Report' : 'Z Report'}
+                    </h2>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="flex-1 overflow-auto p-6 bg-slate-100">
+                    {error ? (
+                        <div className="flex flex-col items-center justify-center py-12 text-slate-500">
+                            <AlertCircle className="w-10 h-10 text-red-400 mb-3" />
+                            <p>{error}</p>
+                        </div>
+                    ) : !report ? (
+                        <div className="flex justify-center py-12">
+                            <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                        </div>
+                    ) : (
+                        <div className="print-area shadow-md">
+                            <ZReport report={report} settings={settings} paper={paper} />
+                        </div>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap justify-between items-center gap-4 p-6 border-t border-slate-100 no-print">
+                    <div className="flex bg-slate-100 rounded-xl p-1">
+                        {PAPER_SIZES.map(size => (
+                            <button
+                                key={size}
+                                onClick={() => handlePaperChange(size)}
+                                className={`px-4 py-2 rounded-lg font-medium transition-all ${paper === size ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                                    }`}
+                            >
+                                {size}
+                            </button>
+                        ))}
+                    </div>
+                    <div className="flex gap-3">
+                        <button onClick={onClose} className="btn-secondary">Close</button>
+                        <button
+                            onClick={() => window.print()}
+                            disabled={!report}
+                            className="btn-primary flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            <Printer className="w-4 h-4" />
+                            Print
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { useSync } from '../../context/SyncContext';
+import { formatCurrency, formatDateTime } from '../../lib/format';
+import { AlertCircle, RotateCcw, Trash2, X } from 'lucide-react';
+
+/**
+ * Failed Sales Dialog
+ * Offline sales this device couldn't sync and couldn't park for review,
+ * with the reason. Retry puts one back in the queue; Discard drops it and
+ * returns its stock to the local mirror.
+ */
+export default function FailedSales({ onClose }) {
+    const { failedSales, isOnline, retrySale, discardSale } = useSync();
+    const [busyId, setBusyId] = useState(null);
+
+    const handleRetry = async (sale) => {
+        setBusyId(sale.localId);
+        await retrySale(sale.localId);
+        setBusyId(null);
+    };
+
+    const handleDiscard = async (sale) => {
+        if (!window.confirm('Discard this sale? It will not be recorded and its stock goes back on the shelf.')) return;
+        setBusyId(sale.localId);
+        await discardSale(sale.localId);
+        setBusyId(null);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black/50 z-50 flex items-center justify-center p-4 backdrop-blur-sm animate-fade-in">
+            <div className="bg-white rounded-2xl shadow-2xl w-full max-w-2xl p-6 max-h-[90vh] flex flex-col text-left">
+                <div className="flex justify-between items-start mb-4">
+                    <div>
+                        <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+                            <AlertCircle className="w-5 h-5 text-red-500" />
+                            Failed Sales
+                        </h2>
+                        <p className="text-sm text-slate-500">Offline sales on this device that could not be synced</p>
+                    </div>
+                    <button onClick={onClose} className="text-slate-400 hover:text-slate-600">
+                        <X className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="overflow-y-auto -mx-2 px-2">
+                    {failedSales.length === 0 ? (
+                        <p className="text-center text-slate-500 py-8">No failed sales on this device.</p>
+                    ) : (
+                        <ul className="divide-y divide-slate-100">
+                            {failedSales.map(sale => {
+                                const total = sale.items.reduce((sum, i) => sum + (i.unitPrice || 0) * i.quantity, 0);
+                                return (
+                                    <li key={sale.localId} className="py-3 space-y-2">
+                                        <div className="flex items-start justify-between gap-4">
+                                            <div className="min-w-0">
+                                                <p className="font-medium text-slate-800">
+                                                    {formatDateTime(sale.soldAt)}
+                                                </p>
+                                                <p className="text-sm text-slate-500">
+                                                    {sale.items.map(i => `${i.quantity} × ${i.name}`).join(', ')}
+                                                </p>
+                                            </div>
+                                            <span className="font-bold text-slate-800 shrink-0">{formatCurrency(total)}</span>
+                                        </div>
+                                        <p className="text-sm text-red-600">{sale.error || 'Unknown error'}</p>
+                                        <div className="flex gap-2">
+                                            <button
+                                                onClick={() => handleRetry(sale)}
+                                                disabled={busyId === sale.localId || !isOnline}
+                                                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-pharmacy-600 hover:bg-pharmacy-700 disabled:opacity-50"
+                                            >
+                                                <RotateCcw className="w-4 h-4" />
+                                                Retry
+                                            </button>
+                                            <button
+                                                onClick={() => handleDiscard(sale)}
+                                                disabled={busyId === sale.localId}
+                                                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-semibold text-white bg-red-500 hover:bg-red-600 disabled:opacity-50"
+                                            >
+                                                <Trash2 className="w-4 h-4" />
+                                                Discard
+                                            </button>
+                                        </div>
+                                    </li>
+                                );
+                            })}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
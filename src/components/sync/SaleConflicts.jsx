@@ -0,0 +1,225 @@
+import { useState, useEffect } from 'react';
+import { useApp, TOAST_TYPES } from '../../context/AppContext';
+import { getSaleConflicts, resolveSaleConflict } from '../../db/db';
+import { formatCurrency, formatDateTime } from '../../lib/format';
+import {
+    AlertTriangle,
+    CheckCircle,
+    PackageX,
+    Ban,
+    Clock,
+    User
+} from 'lucide-react';
+
+const RESOLUTIONS = {
+    accept: { label: 'Accept', icon: CheckCircle, className: 'bg-green-500 hover:bg-green-600' },
+    backorder: { label: 'Backorder', icon: PackageX, className: 'bg-amber-500 hover:bg-amber-600', stockOnly: true },
+    void: { label: 'Void', icon: Ban, className: 'bg-red-500 hover:bg-red-600' }
+};
+
+// Why the server rejected the sale, and what accepting it does
+const CONFLICT_CODES = {
+    insufficient_stock: { label: 'Not enough stock', accept: 'Accepting lets stock go negative.' },
+    prescription_required: { label: 'Prescription', accept: 'Accepting records the sale without the prescription now required.' },
+    rejected: { label: 'Rejected', accept: 'Accepting adjusts payments, points and credit limits to fit the sale.' }
+};
+
+const STATUS_BADGES = {
+    accepted: 'bg-green-100 text-green-700',
+    backordered: 'bg-amber-100 text-amber-700',
+    voided: 'bg-red-100 text-red-700'
+};
+
+/**
+ * Sale Conflicts Component
+ * Admin review of offline sales the server rejected on sync: stock
+ * shortfalls, payments or points that no longer add up, and the like
+ */
+export default function SaleConflicts() {
+    const { showToast } = useApp();
+    const [tab, setTab] = useState('pending'); // pending, resolved
+    const [conflicts, setConflicts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [notes, setNotes] = useState({});
+    const [processingId, setProcessingId] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getSaleConflicts(tab).then(result => {
+            if (cancelled) return;
+            if (result.success) {
+                setConflicts(result.data);
+            } else {
+                showToast(result.error || 'Failed to load conflicts', TOAST_TYPES.ERROR);
+            }
+            setLoading(false);
+        });
+        return () => { cancelled = true; };
+    }, [tab, reloadKey, showToast]);
+
+    const switchTab = (next) => {
+        if (next === tab) return;
+        setLoading(true);
+        setTab(next);
+    };
+
+    const handleResolve = async (conflict, resolution) => {
+        setProcessingId(conflict.id);
+        const result = await resolveSaleConflict(conflict.id, resolution, notes[conflict.id]);
+        if (result.success) {
+            showToast(`Sale ${result.data.status}`, TOAST_TYPES.SUCCESS);
+            setReloadKey(prev => prev + 1);
+        } else {
+            showToast(result.error || 'Failed to resolve conflict', TOAST_TYPES.ERROR);
+        }
+        setProcessingId(null);
+    };
+
+    // Shortfall for a line, if the server reported one
+    const getShortfall = (conflict, item) =>
+        conflict.conflicts.find(c => c.medicineId === item.medicineId);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                <div>
+                    <h1 className="text-2xl font-bold text-slate-800 flex items-center gap-2">
+                        <AlertTriangle className="w-8 h-8 text-amber-500" />
+                        Sync Conflicts
+                    </h1>
+                    <p className="text-slate-500">Offline sales that could not be recorded as they were made</p>
+                </div>
+
+                <div className="flex bg-slate-100 rounded-xl p-1">
+                    <button
+                        onClick={() => switchTab('pending')}
+                        className={`px-4 py-2 rounded-lg font-medium transition-all ${tab === 'pending' ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                            }`}
+                    >
+                        Needs Review
+                    </button>
+                    <button
+                        onClick={() => switchTab('resolved')}
+                        className={`px-4 py-2 rounded-lg font-medium transition-all ${tab === 'resolved' ? 'bg-white text-pharmacy-600 shadow-md' : 'text-slate-500'
+                            }`}
+                    >
+                        Resolved
+                    </button>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex justify-center py-12">
+                    <div className="w-8 h-8 border-4 border-pharmacy-200 border-t-pharmacy-600 rounded-full animate-spin" />
+                </div>
+            ) : conflicts.length === 0 ? (
+                <div className="text-center py-12 bg-white rounded-2xl border border-slate-200 border-dashed">
+                    <CheckCircle className="w-12 h-12 text-slate-300 mx-auto mb-3" />
+                    <p className="text-slate-500 font-medium">
+                        {tab === 'pending' ? 'No conflicts to review' : 'No resolved conflicts yet'}
+                    </p>
+                </div>
+            ) : (
+                <div className="space-y-4">
+                    {conflicts.map((conflict) => {
+                        const total = conflict.items.reduce((sum, i) => sum + (i.unitPrice || 0) * i.quantity, 0);
+                        const code = CONFLICT_CODES[conflict.code] || CONFLICT_CODES.rejected;
+                        const isStock = conflict.code === 'insufficient_stock';
+                        return (
+                            <div key={conflict.id} className="bg-white p-5 rounded-2xl shadow-sm border border-slate-100">
+                                <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+                                    <div className="space-y-1 text-sm text-slate-500">
+                                        <p className="flex items-center gap-2">
+                                            <Clock className="w-4 h-4" /> Sold offline {formatDateTime(conflict.soldAt)}
+                                        </p>
+                                        <p className="flex items-center gap-2">
+                                            <User className="w-4 h-4" /> {conflict.sellerName || 'Unknown cashier'}
+                                        </p>
+                                    </div>
+                                    <div className="flex gap-2">
+                                        <span className="text-xs font-semibold px-2.5 py-1 rounded-full bg-slate-100 text-slate-600">
+                                            {code.label}
+                                        </span>
+                                        {conflict.status !== 'pending' && (
+                                            <span className={`text-xs font-semibold px-2.5 py-1 rounded-full capitalize ${STATUS_BADGES[conflict.status]}`}>
+                                                {conflict.status}
+                                            </span>
+                                        )}
+                                    </div>
+                                </div>
+
+                                {conflict.error && (
+                                    <p className="text-sm text-red-600 bg-red-50 border border-red-100 rounded-lg px-3 py-2 mb-4">
+                                        {conflict.error}
+                                    </p>
+                                )}
+
+                                <div className="overflow-x-auto rounded-xl border border-slate-200 mb-4">
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="bg-slate-50 border-b border-slate-200">
+                                                <th className="text-left px-4 py-2 font-semibold text-slate-600">Item</th>
+                                                <th className="text-center px-4 py-2 font-semibold text-slate-600">Queued</th>
+                                                <th className="text-center px-4 py-2 font-semibold text-slate-600">In Stock</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {conflict.items.map((item, index) => {
+                                                const shortfall = getShortfall(conflict, item);
+                                                return (
+                                                    <tr key={index} className={`border-b border-slate-100 ${shortfall ? 'bg-red-50/60' : ''}`}>
+                                                        <td className="px-4 py-2 font-medium text-slate-800">{item.name}</td>
+                                                        <td className="px-4 py-2 text-center">{item.quantity}</td>
+                                                        <td className={`px-4 py-2 text-center ${shortfall ? 'text-red-600 font-bold' : 'text-slate-400'}`}>
+                                                            {shortfall ? shortfall.available : '—'}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+
+                                <p className="text-sm text-slate-500 mb-4">Sale value at offline prices: {formatCurrency(total)}</p>
+
+                                {conflict.status === 'pending' ? (
+                                    <div className="space-y-3">
+                                        <textarea
+                                            value={notes[conflict.id] || ''}
+                                            onChange={(e) => setNotes(prev => ({ ...prev, [conflict.id]: e.target.value }))}
+                                            className="input-field min-h-[60px] text-sm"
+                                            placeholder="Note for the audit log (optional)"
+                                        />
+                                        <p className="text-xs text-slate-400">{code.accept}</p>
+                                        <div className="flex flex-wrap gap-2">
+                                            {Object.entries(RESOLUTIONS).filter(([, resolution]) => isStock || !resolution.stockOnly).map(([key, resolution]) => {
+                                                const Icon = resolution.icon;
+                                                return (
+                                                    <button
+                                                        key={key}
+                                                        onClick={() => handleResolve(conflict, key)}
+                                                        disabled={processingId === conflict.id}
+                                                        className={`px-4 py-2 text-white text-sm font-bold rounded-lg transition-colors flex items-center gap-2 disabled:opacity-50 ${resolution.className}`}
+                                                    >
+                                                        <Icon className="w-4 h-4" />
+                                                        {resolution.label}
+                                                    </button>
+                                                );
+                                            })}
+                                        </div>
+                                    </div>
+                                ) : (
+                                    <div className="text-sm text-slate-500 border-t border-slate-100 pt-3">
+                                        Resolved by {conflict.resolverName || 'admin'} on {formatDateTime(conflict.resolvedAt)}
+                                        {conflict.resolutionNote && <p className="mt-1 italic">“{conflict.resolutionNote}”</p>}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import { createContext, useContext, useEffect, useState, useCallback, useRef } from 'react';
+import { liveQuery } from 'dexie';
+import { localDb } from '../db/localDb';
+import { syncPendingSales, retryFailedSale, discardFailedSale } from '../db/sync';
+import { useAuth } from './AuthContext';
+import { useApp, TOAST_TYPES } from './AppContext';
+
+const SyncContext = createContext(null);
+
+// Retry queued sales periodically in case the 'online' event was missed
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Sync Context Provider
+ * Tracks connectivity and replays offline sales when the connection returns
+ */
+export function SyncProvider({ children }) {
+    const { user } = useAuth();
+    const { showToast } = useApp();
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+    const [isSyncing, setIsSyncing] = useState(false);
+    const [pendingCount, setPendingCount] = useState(0);
+    const [failedSales, setFailedSales] = useState([]);
+    const syncingRef = useRef(false);
+
+    const syncNow = useCallback(async () => {
+        if (syncingRef.current || !navigator.onLine || !user) return;
+        syncingRef.current = true;
+        setIsSyncing(true);
+        try {
+            const result = await syncPendingSales();
+            if (result.synced > 0) {
+                showToast(`${result.synced} offline sale(s) synced`, TOAST_TYPES.SUCCESS);
+            }
+            if (result.conflicts > 0) {
+                showToast(`${result.conflicts} offline sale(s) were rejected and need admin review`, TOAST_TYPES.WARNING);
+            }
+            if (result.failed > 0) {
+                showToast(`${result.failed} offline sale(s) could not be synced`, TOAST_TYPES.WARNING);
+            }
+        } catch (error) {
+            console.error('Sync error:', error);
+        } finally {
+            syncingRef.current = false;
+            setIsSyncing(false);
+        }
+    }, [user, showToast]);
+
+    // Connectivity events
+    useEffect(() => {
+        const handleOnline = () => {
+            setIsOnline(true);
+            syncNow();
+        };
+        const handleOffline = () => setIsOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+        const initial = setTimeout(syncNow, 0);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+            clearInterval(timer);
+            clearTimeout(initial);
+        };
+    }, [syncNow]);
+
+    // Queue count and failed sales straight from IndexedDB
+    useEffect(() => {
+        const subscription = liveQuery(async () => ({
+            pending: await localDb.pendingSales.where('status').equals('pending').count(),
+            failed: await localDb.pendingSales.where('status').equals('failed').sortBy('localId')
+        })).subscribe({
+            next: (queue) => {
+                setPendingCount(queue.pending);
+                setFailedSales(queue.failed);
+            },
+            error: (error) => console.error('Pending sales query failed:', error)
+        });
+        return () => subscription.unsubscribe();
+    }, []);
+
+    const retrySale = useCallback(async (localId) => {
+        const result = await retryFailedSale(localId);
+        if (!result.success) {
+            showToast(`Couldn't retry the sale: ${result.error}`, TOAST_TYPES.ERROR);
+            return;
+        }
+        syncNow();
+    }, [syncNow, showToast]);
+
+    const discardSale = useCallback(async (localId) => {
+        const result = await discardFailedSale(localId);
+        if (!result.success) {
+            showToast(`Couldn't discard the sale: ${result.error}`, TOAST_TYPES.ERROR);
+            return;
+        }
+        showToast('Sale discarded and its stock put back', TOAST_TYPES.SUCCESS);
+    }, [showToast]);
+
+    const status = !isOnline ? 'offline' : isSyncing ? 'syncing' : 'online';
+
+    const value = {
+        status,
+        isOnline,
+        isSyncing,
+        pendingCount,
+        failedCount: failedSales.length,
+        failedSales,
+        syncNow,
+        retrySale,
+        discardSale
+    };
+
+    return (
+        <SyncContext.Provider value={value}>
+            {children}
+        </SyncContext.Provider>
+    );
+}
+
+/**
+ * Custom hook to use Sync Context
+ */
+export function useSync() {
+    const context = useContext(SyncContext);
+    if (!context) {
+        throw new Error('useSync must be used within a SyncProvider');
+    }
+    return context;
+}
@@ -1,14 +1,70 @@
 /**
  * Database Layer - Supabase Wrapper
  * Schema V2 Support: Suppliers, Stock Adjustments, Enhanced Medicines
+ * Offline: medicines, suppliers and settings are mirrored to IndexedDB (see localDb.js)
  */
 
 import { supabase } from '../lib/supabase';
+import { localDb, replaceTable, isNetworkError } from './localDb';
 
 // ==========================================
 // MEDICINE CRUD OPERATIONS
 // ==========================================
 
+const MEDICINE_SELECT = `
+    *,
+    supplier:suppliers (id, name),
+    batches:medicine_batches (id, batch_number, expiry_date, quantity, purchase_price, received_at)
+`;
+
+function mapBatch(b) {
+    return {
+        id: b.id,
+        batchNumber: b.batch_number,
+        expiryDate: b.expiry_date,
+        quantity: b.quantity,
+        purchasePrice: b.purchase_price,
+        receivedAt: b.received_at
+    };
+}
+
+// Earliest expiry first, undated batches last (the order stock is sold in)
+function compareBatches(a, b) {
+    if (a.expiryDate === b.expiryDate) return (a.receivedAt || '').localeCompare(b.receivedAt || '');
+    if (!a.expiryDate) return 1;
+    if (!b.expiryDate) return -1;
+    return a.expiryDate.localeCompare(b.expiryDate);
+}
+
+// Map snake_case DB fields to camelCase for frontend
+function mapMedicine(m) {
+    const today = new Date().toISOString().split('T')[0];
+    const batches = (m.batches || []).map(mapBatch).sort(compareBatches);
+    return {
+        id: m.id,
+        name: m.name,
+        brandName: m.brand_name,
+        genericName: m.generic_name,
+        strength: m.strength,
+        category: m.category,
+        barcode: m.barcode,
+        schedule: m.schedule || 'otc',
+        requiresPrescription: !!m.requires_prescription,
+        batchNumber: m.batch_number,
+        purchasePrice: m.purchase_price,
+        sellingPrice: m.selling_price, // Renamed
+        quantity: m.quantity, // Total across batches, kept in sync by the database
+        expiryDate: m.expiry_date, // Earliest expiring batch with stock
+        supplierId: m.supplier_id,
+        supplierName: m.supplier?.name,
+        batches,
+        // Expired batches stay on hand until written off, but can't be sold
+        sellableQuantity: m.batches
+            ? batches.filter(b => b.quantity > 0 && (!b.expiryDate || b.expiryDate >= today)).reduce((sum, b) => sum + b.quantity, 0)
+            : m.quantity
+    };
+}
+
 export async function addMedicine(medicine) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
@@ -18,7 +74,11 @@ export async function addMedicine(medicine) {
                 name: medicine.name,
                 brand_name: medicine.brandName || null,
                 generic_name: medicine.genericName || null,
+                strength: medicine.strength?.trim() || null,
                 category: medicine.category || 'Tablet',
+                barcode: medicine.barcode?.trim() || null,
+                schedule: medicine.schedule || 'otc',
+                requires_prescription: !!medicine.requiresPrescription,
                 batch_number: medicine.batchNumber || null,
                 purchase_price: parseFloat(medicine.purchasePrice || 0),
                 selling_price: parseFloat(medicine.sellingPrice), // Renamed from price
@@ -39,40 +99,32 @@ export async function addMedicine(medicine) {
 export async function getAllMedicines() {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        // Now fetching supplier info as well
+        // Supplier info and batches come along for the list and POS
         const { data, error } = await supabase
             .from('medicines')
-            .select(`
-                *,
-                supplier:suppliers (id, name)
-            `)
+            .select(MEDICINE_SELECT)
             .order('name');
 
         if (error) throw error;
 
-        // Map snake_case DB fields to camelCase for frontend
-        const mappedData = data.map(m => ({
-            id: m.id,
-            name: m.name,
-            brandName: m.brand_name,
-            genericName: m.generic_name,
-            category: m.category,
-            batchNumber: m.batch_number,
-            purchasePrice: m.purchase_price,
-            sellingPrice: m.selling_price, // Renamed
-            quantity: m.quantity,
-            expiryDate: m.expiry_date,
-            supplierId: m.supplier_id,
-            supplierName: m.supplier?.name
-        }));
+        const mappedData = data.map(mapMedicine);
+        await replaceTable(localDb.medicines, mappedData);
 
         return { success: true, data: mappedData };
     } catch (error) {
+        if (isNetworkError(error)) {
+            const cached = await localDb.medicines.orderBy('name').toArray();
+            return { success: true, data: cached, offline: true };
+        }
         console.error('Error fetching medicines:', error);
         return { success: false, error: error.message, data: [] };
     }
 }
 
+/**
+ * Update catalogue details. Quantity, batch number and expiry belong to
+ * batches (see addMedicineBatch / addStockAdjustment) and are not written here.
+ */
 export async function updateMedicine(id, updates) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
@@ -80,12 +132,13 @@ export async function updateMedicine(id, updates) {
         if (updates.name) dbUpdates.name = updates.name;
         if (updates.brandName) dbUpdates.brand_name = updates.brandName;
         if (updates.genericName) dbUpdates.generic_name = updates.genericName;
+        if (updates.strength !== undefined) dbUpdates.strength = updates.strength?.trim() || null; // Allow clearing
         if (updates.category) dbUpdates.category = updates.category;
-        if (updates.batchNumber) dbUpdates.batch_number = updates.batchNumber;
+        if (updates.barcode !== undefined) dbUpdates.barcode = updates.barcode?.trim() || null; // Allow clearing
+        if (updates.schedule) dbUpdates.schedule = updates.schedule;
+        if (updates.requiresPrescription !== undefined) dbUpdates.requires_prescription = !!updates.requiresPrescription;
         if (updates.purchasePrice) dbUpdates.purchase_price = parseFloat(updates.purchasePrice);
         if (updates.sellingPrice) dbUpdates.selling_price = parseFloat(updates.sellingPrice);
-        if (updates.quantity) dbUpdates.quantity = parseInt(updates.quantity);
-        if (updates.expiryDate) dbUpdates.expiry_date = updates.expiryDate;
         if (updates.supplierId) dbUpdates.supplier_id = updates.supplierId;
 
         const { error } = await supabase
@@ -122,37 +175,91 @@ export async function searchMedicines(query) {
     try {
         const { data, error } = await supabase
             .from('medicines')
-            .select(`
-                *,
-                supplier:suppliers (id, name)
-            `)
-            .or(`name.ilike.%${query}%,brand_name.ilike.%${query}%,generic_name.ilike.%${query}%`)
+            .select(MEDICINE_SELECT)
+            .or(`name.ilike.%${query}%,brand_name.ilike.%${query}%,generic_name.ilike.%${query}%,barcode.eq.${query}`)
             .order('name');
 
         if (error) throw error;
 
-        const mappedData = data.map(m => ({
-            id: m.id,
-            name: m.name,
-            brandName: m.brand_name,
-            genericName: m.generic_name,
-            category: m.category,
-            batchNumber: m.batch_number,
-            purchasePrice: m.purchase_price,
-            sellingPrice: m.selling_price,
-            quantity: m.quantity,
-            expiryDate: m.expiry_date,
-            supplierId: m.supplier_id,
-            supplierName: m.supplier?.name
-        }));
-
-        return { success: true, data: mappedData };
+        return { success: true, data: data.map(mapMedicine) };
     } catch (error) {
+        if (isNetworkError(error)) {
+            const q = query.toLowerCase();
+            const cached = await localDb.medicines
+                .orderBy('name')
+                .filter(m => [m.name, m.brandName, m.genericName].some(v => v?.toLowerCase().includes(q)) || m.barcode === query)
+                .toArray();
+            return { success: true, data: cached, offline: true };
+        }
         console.error('Error searching medicines:', error);
         return { success: false, error: error.message, data: [] };
     }
 }
 
+/**
+ * Apply a bulk import in one transaction (import_medicines RPC).
+ * rows: [{ rowNumber, id (existing medicine to update, or null), ...medicine fields, supplierName }]
+ */
+export async function importMedicines(rows) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('import_medicines', {
+            p_rows: rows.map(r => ({
+                rowNumber: r.rowNumber,
+                id: r.id || null,
+                name: r.name,
+                brandName: r.brandName || null,
+                genericName: r.genericName || null,
+                category: r.category || null,
+                barcode: r.barcode || null,
+                batchNumber: r.batchNumber || null,
+                purchasePrice: r.purchasePrice === '' ? null : parseFloat(r.purchasePrice),
+                sellingPrice: parseFloat(r.sellingPrice),
+                quantity: parseInt(r.quantity) || 0,
+                expiryDate: r.expiryDate || null,
+                supplierName: r.supplierName || null
+            }))
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error importing medicines:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Receive a new batch (lot) of an existing medicine (add_medicine_batch RPC).
+ * Sales draw from the earliest-expiring batch first.
+ */
+export async function addMedicineBatch(medicineId, batch) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('add_medicine_batch', {
+            p_medicine_id: medicineId,
+            p_batch_number: batch.batchNumber || null,
+            p_expiry_date: batch.expiryDate,
+            p_quantity: parseInt(batch.quantity),
+            p_purchase_price: batch.purchasePrice ? parseFloat(batch.purchasePrice) : null
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error adding batch:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 // ==========================================
 // SUPPLIER OPERATIONS
 // ==========================================
@@ -167,16 +274,20 @@ export async function getSuppliers() {
 
         if (error) throw error;
 
-        return {
-            success: true,
-            data: data.map(s => ({
-                id: s.id,
-                name: s.name,
-                contactNumber: s.contact_number,
-                address: s.address
-            }))
-        };
+        const mappedData = data.map(s => ({
+            id: s.id,
+            name: s.name,
+            contactNumber: s.contact_number,
+            address: s.address
+        }));
+        await replaceTable(localDb.suppliers, mappedData);
+
+        return { success: true, data: mappedData };
     } catch (error) {
+        if (isNetworkError(error)) {
+            const cached = await localDb.suppliers.orderBy('name').toArray();
+            return { success: true, data: cached, offline: true };
+        }
         console.error('Error fetching suppliers:', error);
         return { success: false, error: error.message, data: [] };
     }
@@ -202,235 +313,2069 @@ export async function addSupplier(supplier) {
 }
 
 // ==========================================
-// SALES OPERATIONS
+// CUSTOMERS
 // ==========================================
 
-export async function createSale(medicineId, quantity) {
+function mapCustomer(c) {
+    return {
+        id: c.id,
+        name: c.name,
+        phone: c.phone,
+        phoneDigits: c.phone_digits,
+        dateOfBirth: c.date_of_birth,
+        allergies: c.allergies,
+        notes: c.notes,
+        creditLimit: parseFloat(c.credit_limit) || 0,
+        createdAt: c.created_at
+    };
+}
+
+// PostgREST or() filters can't take these characters in a value
+function cleanSearch(text) {
+    return text.replace(/[,()%*\\]/g, ' ').trim();
+}
+
+/**
+ * Every customer by name. Cached so the POS can still find customers offline.
+ */
+export async function getCustomers() {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        const { data: { user } } = await supabase.auth.getUser();
-        if (!user) throw new Error('User not authenticated');
-
-        // RPC must be updated to handle 'selling_price' instead of 'price' in DB
-        // Assuming user runs fix_pos_rpc.sql
-        const { data, error } = await supabase.rpc('process_sale', {
-            p_medicine_id: medicineId,
-            p_quantity: quantity,
-            p_seller_id: user.id
-        });
+        const { data, error } = await supabase
+            .from('customers')
+            .select('*')
+            .order('name');
 
         if (error) throw error;
 
-        // Parse RPC return
-        if (!data.success) {
-            throw new Error(data.error);
-        }
+        const mappedData = data.map(mapCustomer);
+        await replaceTable(localDb.customers, mappedData);
 
-        return { success: true, data: data.data };
+        return { success: true, data: mappedData };
     } catch (error) {
-        console.error('Error creating sale:', error);
-        return { success: false, error: error.message };
+        if (isNetworkError(error)) {
+            const cached = await localDb.customers.orderBy('name').toArray();
+            return { success: true, data: cached, offline: true };
+        }
+        return { success: false, error: error.message, data: [] };
     }
 }
 
-export async function createCustomSale(itemDetails) {
+/**
+ * Customers whose phone (any formatting) or name matches, for the POS picker.
+ */
+export async function searchCustomers(query, limit = 8) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    const text = cleanSearch(query);
+    const digits = query.replace(/\D/g, '');
+    if (!text) return { success: true, data: [] };
+
     try {
-        const { data: { user } } = await supabase.auth.getUser();
+        const filters = [`name.ilike.%${text}%`];
+        if (digits.length >= 3) filters.push(`phone_digits.like.%${digits}%`);
 
         const { data, error } = await supabase
-            .from('sales')
-            .insert([{
-                medicine_name: itemDetails.name,
-                quantity_sold: itemDetails.quantity,
-                total_price: itemDetails.totalPrice,
-                seller_id: user.id
-            }])
-            .select()
-            .single();
+            .from('customers')
+            .select('*')
+            .or(filters.join(','))
+            .order('name')
+            .limit(limit);
 
         if (error) throw error;
-
-        return {
-            success: true,
-            data: {
-                medicineName: data.medicine_name,
-                quantitySold: data.quantity_sold,
-                totalPrice: data.total_price
-            }
-        };
+        return { success: true, data: data.map(mapCustomer) };
     } catch (error) {
-        return { success: false, error: error.message };
+        if (isNetworkError(error)) {
+            const lower = text.toLowerCase();
+            const cached = await localDb.customers
+                .filter(c => c.name.toLowerCase().includes(lower) || (digits.length >= 3 && (c.phoneDigits || '').includes(digits)))
+                .limit(limit)
+                .toArray();
+            return { success: true, data: cached, offline: true };
+        }
+        return { success: false, error: error.message, data: [] };
     }
 }
 
-export async function getSalesHistory() {
+export async function getCustomer(id) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
         const { data, error } = await supabase
-            .from('sales')
+            .from('customers')
             .select('*')
-            .order('sale_date', { ascending: false });
+            .eq('id', id)
+            .single();
 
         if (error) throw error;
-
-        const mappedData = data.map(s => ({
-            ...s,
-            medicineName: s.medicine_name,
-            quantitySold: s.quantity_sold,
-            totalPrice: s.total_price,
-            saleDate: s.sale_date,
-            unitPrice: s.total_price / s.quantity_sold
-        }));
-
-        return { success: true, data: mappedData };
+        return { success: true, data: mapCustomer(data) };
     } catch (error) {
-        return { success: false, error: error.message, data: [] };
+        return { success: false, error: error.message };
     }
 }
 
-export async function getTodaysSales() {
+/**
+ * Add a customer, or update one when it has an id. Returns the saved customer.
+ */
+export async function saveCustomer(customer) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        const row = {
+            name: customer.name.trim(),
+            phone: customer.phone?.trim() || null,
+            date_of_birth: customer.dateOfBirth || null,
+            allergies: customer.allergies?.trim() || null,
+            notes: customer.notes?.trim() || null
+        };
+        // Only admins may change it; others leave it out
+        if (customer.creditLimit !== undefined) row.credit_limit = parseFloat(customer.creditLimit) || 0;
 
-        const { data, error } = await supabase
-            .from('sales')
-            .select('*')
-            .gte('sale_date', today.toISOString());
+        const { data, error } = customer.id
+            ? await supabase.from('customers').update(row).eq('id', customer.id).select().single()
+            : await supabase.from('customers').insert([row]).select().single();
 
         if (error) throw error;
 
-        const mappedData = data.map(s => ({
-            ...s,
-            medicineName: s.medicine_name,
-            quantitySold: s.quantity_sold,
-            totalPrice: s.total_price,
-            saleDate: s.sale_date
-        }));
-
-        return { success: true, data: mappedData };
+        const saved = mapCustomer(data);
+        await localDb.customers.put(saved);
+        return { success: true, data: saved };
     } catch (error) {
-        return { success: false, error: error.message, data: [] };
+        return { success: false, error: error.message };
     }
 }
 
-export async function getSalesByDateRange(startDate, endDate) {
+export async function deleteCustomer(id) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        const end = new Date(endDate);
-        end.setHours(23, 59, 59, 999);
-        const start = new Date(startDate);
-        start.setHours(0, 0, 0, 0);
+        const { error } = await supabase.from('customers').delete().eq('id', id);
+        if (error?.code === '23503') {
+            return { success: false, error: 'This customer has an account history and cannot be deleted' };
+        }
+        if (error) throw error;
+        await localDb.customers.delete(id);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
 
+/**
+ * A customer's receipts, newest first, with their lines (voided sales left out).
+ */
+export async function getCustomerPurchases(customerId, limit = 100) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
         const { data, error } = await supabase
-            .from('sales')
-            .select('*')
-            .gte('sale_date', start.toISOString())
-            .lte('sale_date', end.toISOString())
-            .order('sale_date', { ascending: false });
+            .from('invoices')
+            .select(`
+                id, invoice_number, created_at, total_amount, item_count,
+                seller:profiles!seller_id (full_name),
+                lines:sales (id, medicine_id, medicine_name, quantity_sold, total_price)
+            `)
+            .eq('customer_id', customerId)
+            .is('voided_at', null)
+            .order('created_at', { ascending: false })
+            .limit(limit);
 
         if (error) throw error;
 
-        const mappedData = data.map(s => ({
-            ...s,
-            medicineName: s.medicine_name,
-            quantitySold: s.quantity_sold,
-            totalPrice: s.total_price,
-            saleDate: s.sale_date
-        }));
-
-        return { success: true, data: mappedData };
+        return {
+            success: true,
+            data: data.map(i => ({
+                id: i.id,
+                invoiceNumber: i.invoice_number,
+                createdAt: i.created_at,
+                totalAmount: i.total_amount,
+                itemCount: i.item_count,
+                sellerName: i.seller?.full_name,
+                lines: i.lines.map(l => ({
+                    id: l.id,
+                    medicineId: l.medicine_id,
+                    medicineName: l.medicine_name,
+                    quantitySold: l.quantity_sold,
+                    totalPrice: l.total_price
+                }))
+            }))
+        };
     } catch (error) {
         return { success: false, error: error.message, data: [] };
     }
 }
 
 // ==========================================
-// DASHBOARD STATS
+// CUSTOMER ACCOUNTS
 // ==========================================
 
-export async function getDashboardStats() {
+export const LEDGER_ENTRY_TYPES = {
+    charge: 'Sale on account',
+    payment: 'Payment',
+    reversal: 'Credit',
+    adjustment: 'Adjustment'
+};
+
+function mapLedgerEntry(e) {
+    return {
+        id: e.id,
+        customerId: e.customer_id,
+        entryType: e.entry_type,
+        amount: parseFloat(e.amount),
+        invoiceId: e.invoice_id,
+        invoiceNumber: e.invoice?.invoice_number ?? null,
+        returnId: e.return_id,
+        method: e.method,
+        reference: e.reference,
+        note: e.note,
+        createdByName: e.creator?.full_name,
+        createdAt: e.created_at
+    };
+}
+
+/**
+ * A customer's ledger, oldest first, with the running balance on each entry.
+ */
+export async function getCustomerAccount(customerId) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        const [medicinesData, salesData] = await Promise.all([
-            getAllMedicines(),
-            getTodaysSales()
-        ]);
+        const { data, error } = await supabase
+            .from('customer_ledger')
+            .select('*, invoice:invoices (invoice_number), creator:profiles!created_by (full_name)')
+            .eq('customer_id', customerId)
+            .order('created_at')
+            .order('id');
 
-        const medicines = medicinesData.data || [];
-        const todaysSales = salesData.data || [];
+        if (error) throw error;
 
-        // Updated for sellingPrice
-        const totalStockValue = medicines.reduce((sum, med) => sum + (med.purchasePrice * med.quantity), 0); // Cost Value
-        const potentialRevenue = medicines.reduce((sum, med) => sum + (med.sellingPrice * med.quantity), 0); // Sales Value
+        let balance = 0;
+        const entries = data.map(e => {
+            const entry = mapLedgerEntry(e);
+            balance = Math.round((balance + entry.amount) * 100) / 100;
+            return { ...entry, balance };
+        });
 
-        const todaysRevenue = todaysSales.reduce((sum, sale) => sum + sale.totalPrice, 0);
-        const totalItems = medicines.reduce((sum, med) => sum + med.quantity, 0);
-        const lowStockMeds = medicines.filter(m => m.quantity < 10); // Standardized threshold
+        return { success: true, data: { entries, balance } };
+    } catch (error) {
+        return { success: false, error: error.message, data: { entries: [], balance: 0 } };
+    }
+}
 
-        return {
-            success: true,
-            data: {
-                totalMedicines: medicines.length,
-                totalItems,
-                totalStockValue,
-                potentialRevenue,
-                todaysSalesCount: todaysSales.length,
-                todaysRevenue,
-                lowStockCount: lowStockMeds.length,
-                lowStockItems: lowStockMeds
-            }
-        };
+/**
+ * What a customer owes now (for the POS picker).
+ */
+export async function getCustomerBalance(customerId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('customer_ledger')
+            .select('amount')
+            .eq('customer_id', customerId);
+
+        if (error) throw error;
+        return { success: true, data: Math.round(data.reduce((sum, e) => sum + parseFloat(e.amount), 0) * 100) / 100 };
     } catch (error) {
         return { success: false, error: error.message };
     }
 }
 
-// ==========================================
-// STOCK ADJUSTMENTS
-// ==========================================
-
-export async function addStockAdjustment(adjustment) {
+/**
+ * Take a payment against a customer's balance; partial payments are fine.
+ * payment: { customerId, amount, method, reference, note }
+ */
+export async function recordAccountPayment(payment) {
     if (!supabase) return { success: false, error: 'Database connection not initialized' };
     try {
-        const { data: { user } } = await supabase.auth.getUser();
-
-        const { data, error } = await supabase
-            .from('stock_adjustments')
-            .insert([{
-                medicine_id: adjustment.medicineId,
-                adjustment_type: adjustment.type, // 'return', 'damage', 'correction'
-                quantity: adjustment.quantity,
-                reason: adjustment.reason,
-                adjusted_by: user.id
-            }])
-            .select();
+        const { data, error } = await supabase.rpc('record_account_payment', {
+            p_customer_id: payment.customerId,
+            p_amount: parseFloat(payment.amount),
+            p_method: payment.method,
+            p_reference: payment.reference || null,
+            p_note: payment.note || null
+        });
 
         if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
 
-        // Also update the stock level
-        let quantityChange = 0;
-        if (adjustment.type === 'return') {
-            quantityChange = adjustment.quantity; // Add back to stock
-        } else if (adjustment.type === 'damage' || adjustment.type === 'correction') {
-            quantityChange = -adjustment.quantity; // Remove from stock
-        }
+        return { success: true, data: { entry: mapLedgerEntry(data.data.entry), balance: data.data.balance } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
 
-        if (quantityChange !== 0) {
-            const { error: stockError } = await supabase.rpc('update_stock', {
-                p_medicine_id: adjustment.medicineId,
-                p_quantity_change: quantityChange
-            });
+/**
+ * Admin correction (or opening balance); a positive amount adds to what they owe.
+ */
+export async function adjustCustomerAccount(customerId, amount, note) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('adjust_customer_account', {
+            p_customer_id: customerId,
+            p_amount: parseFloat(amount),
+            p_note: note
+        });
 
-            // If update_stock RPC doesn't exist, we might need a direct update or create that function too.
-            // For now fall back to direct update since simple increment
-        }
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
 
-        return { success: true };
+        return { success: true, data: { entry: mapLedgerEntry(data.data.entry), balance: data.data.balance } };
     } catch (error) {
         return { success: false, error: error.message };
     }
 }
 
+/**
+ * Balances owed split into 0-30, 31-60 and over 60 days (receivables_aging RPC).
+ * Every customer who owes (admins), or just customerId.
+ */
+export async function getReceivablesAging({ customerId = null, asOf = null } = {}) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('receivables_aging', {
+            p_customer_id: customerId,
+            p_as_of: (asOf || new Date()).toISOString()
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ==========================================
+// LOYALTY POINTS
+// ==========================================
+
+export const POINT_ENTRY_TYPES = {
+    earn: 'Earned',
+    redeem: 'Redeemed',
+    expire: 'Expired',
+    reversal: 'Reversed'
+};
+
+/**
+ * A customer's points balance (after expiry), its value and the next points to expire.
+ */
+export async function getCustomerLoyalty(customerId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('customer_loyalty', { p_customer_id: customerId });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * A customer's points ledger, newest first.
+ */
+export async function getLoyaltyPoints(customerId, limit = 100) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('loyalty_points')
+            .select('*, invoice:invoices (invoice_number)')
+            .eq('customer_id', customerId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(p => ({
+                id: p.id,
+                entryType: p.entry_type,
+                points: p.points,
+                value: p.value !== null ? parseFloat(p.value) : null,
+                invoiceNumber: p.invoice?.invoice_number ?? null,
+                expiresAt: p.expires_at,
+                createdAt: p.created_at
+            }))
+        };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Points issued, redeemed and expired in a range, and points held now (loyalty_summary RPC).
+ */
+export async function getLoyaltySummary(start = null, end = null) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('loyalty_summary', {
+            p_start: start ? start.toISOString() : null,
+            p_end: end ? end.toISOString() : null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// PRESCRIPTIONS
+// ==========================================
+
+function mapPrescription(p) {
+    return {
+        id: p.id,
+        invoiceId: p.invoice_id,
+        invoiceNumber: p.invoice?.invoice_number,
+        voided: !!p.invoice?.voided_at,
+        customerId: p.customer_id,
+        customerName: p.customer?.name,
+        prescriptionNumber: p.prescription_number,
+        prescriberName: p.prescriber_name,
+        prescriberLicense: p.prescriber_license,
+        patientName: p.patient_name,
+        prescribedOn: p.prescribed_on,
+        imagePath: p.image_path,
+        notes: p.notes,
+        recordedByName: p.recorder?.full_name,
+        createdAt: p.created_at,
+        items: (p.invoice?.lines || []).map(l => ({ name: l.medicine_name, quantity: l.quantity_sold }))
+    };
+}
+
+/**
+ * Store a scanned prescription in the private bucket, under the sale's
+ * clientId so a retried upload lands in the same folder.
+ */
+export async function uploadPrescriptionImage(clientId, file) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const extension = (file.name?.split('.').pop() || file.type?.split('/').pop() || 'jpg').toLowerCase();
+        const path = `${clientId}/scan.${extension}`;
+        const { error } = await supabase.storage
+            .from('prescriptions')
+            .upload(path, file, { contentType: file.type || undefined });
+
+        // Already there from an earlier attempt
+        if (error && !/already exists|duplicate/i.test(error.message || '')) throw error;
+        return { success: true, path };
+    } catch (error) {
+        console.error('Error uploading prescription image:', error);
+        return { success: false, error: error.message, offline: isNetworkError(error) };
+    }
+}
+
+/**
+ * A short-lived link to a scanned prescription.
+ */
+export async function getPrescriptionImageUrl(path) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.storage
+            .from('prescriptions')
+            .createSignedUrl(path, 300);
+
+        if (error) throw error;
+        return { success: true, url: data.signedUrl };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Prescriptions on record, newest first. search matches the prescription
+ * number, patient or prescriber; start/end bound when they were dispensed.
+ */
+export async function getPrescriptions({ search = '', start = null, end = null, customerId = null, limit = 100 } = {}) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        let query = supabase
+            .from('prescriptions')
+            .select(`
+                *,
+                invoice:invoices (invoice_number, voided_at, lines:sales (medicine_name, quantity_sold)),
+                customer:customers (name),
+                recorder:profiles!recorded_by (full_name)
+            `)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        const text = cleanSearch(search);
+        if (text) {
+            query = query.or(`prescription_number.ilike.%${text}%,patient_name.ilike.%${text}%,prescriber_name.ilike.%${text}%`);
+        }
+        if (start) query = query.gte('created_at', start.toISOString());
+        if (end) query = query.lt('created_at', end.toISOString());
+        if (customerId) query = query.eq('customer_id', customerId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return { success: true, data: data.map(mapPrescription) };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ==========================================
+// CONTROLLED SUBSTANCES REGISTER
+// ==========================================
+
+export const REGISTER_ENTRY_TYPES = {
+    opening: 'Opening balance',
+    receipt: 'Received',
+    sale: 'Sold',
+    return: 'Returned',
+    void: 'Sale voided',
+    write_off: 'Written off',
+    adjustment: 'Adjustment',
+    count: 'Physical count'
+};
+
+/**
+ * A controlled medicine's register between start and end (oldest first), with
+ * the balance brought forward from before start.
+ */
+export async function getControlledRegister(medicineId, start = null, end = null) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        let query = supabase
+            .from('controlled_register')
+            .select(`
+                *,
+                recorder:profiles!recorded_by (full_name),
+                witness:profiles!witnessed_by (full_name)
+            `)
+            .eq('medicine_id', medicineId)
+            .order('id');
+        if (start) query = query.gte('created_at', start.toISOString());
+        if (end) query = query.lt('created_at', end.toISOString());
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        let opening = 0;
+        if (start) {
+            const { data: before, error: beforeError } = await supabase
+                .from('controlled_register')
+                .select('balance')
+                .eq('medicine_id', medicineId)
+                .lt('created_at', start.toISOString())
+                .order('id', { ascending: false })
+                .limit(1);
+            if (beforeError) throw beforeError;
+            opening = before[0]?.balance ?? 0;
+        }
+
+        return {
+            success: true,
+            data: {
+                opening,
+                entries: data.map(r => ({
+                    id: r.id,
+                    entryType: r.entry_type,
+                    quantity: r.quantity,
+                    balance: r.balance,
+                    countedQuantity: r.counted_quantity,
+                    reference: r.reference,
+                    invoiceId: r.invoice_id,
+                    recordedByName: r.recorder?.full_name,
+                    witnessedByName: r.witness?.full_name,
+                    createdAt: r.created_at
+                }))
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record a physical count; the result says how far it is from the register.
+ */
+export async function recordControlledCount(medicineId, counted, note = '') {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('record_controlled_count', {
+            p_medicine_id: medicineId,
+            p_counted: parseInt(counted),
+            p_note: note.trim() || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Controlled medicines whose last count or stock on hand disagrees with the register.
+ */
+export async function getControlledDiscrepancies() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('controlled_discrepancies');
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error, data: [] };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ==========================================
+// DRUG INTERACTIONS (local dataset)
+// ==========================================
+
+/**
+ * The interaction dataset on this device, as lookup maps for findWarnings().
+ */
+export async function getInteractionData() {
+    try {
+        const [interactions, classes] = await Promise.all([
+            localDb.interactions.toArray(),
+            localDb.therapeuticClasses.toArray()
+        ]);
+        return {
+            success: true,
+            data: {
+                interactions: new Map(interactions.map(i => [i.key, i])),
+                classes: new Map(classes.map(c => [c.generic, c.therapeuticClass]))
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message, data: { interactions: new Map(), classes: new Map() } };
+    }
+}
+
+/**
+ * How many drug pairs and class entries are stored on this device.
+ */
+export async function getInteractionCounts() {
+    try {
+        const [interactions, classes] = await Promise.all([
+            localDb.interactions.count(),
+            localDb.therapeuticClasses.count()
+        ]);
+        return { success: true, data: { interactions, classes } };
+    } catch (error) {
+        return { success: false, error: error.message, data: { interactions: 0, classes: 0 } };
+    }
+}
+
+/**
+ * Save parsed interactions and classes (see readInteractionFile). Rows for a
+ * pair or generic already stored are overwritten; replace clears both first.
+ */
+export async function importInteractionData({ interactions = [], classes = [] }, { replace = false } = {}) {
+    try {
+        await localDb.transaction('rw', localDb.interactions, localDb.therapeuticClasses, async () => {
+            if (replace) {
+                await localDb.interactions.clear();
+                await localDb.therapeuticClasses.clear();
+            }
+            await localDb.interactions.bulkPut(interactions);
+            await localDb.therapeuticClasses.bulkPut(classes);
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+export async function clearInteractionData() {
+    try {
+        await localDb.transaction('rw', localDb.interactions, localDb.therapeuticClasses, async () => {
+            await localDb.interactions.clear();
+            await localDb.therapeuticClasses.clear();
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// PROMOTIONS
+// ==========================================
+
+function mapPromotion(p) {
+    return {
+        id: p.id,
+        name: p.name,
+        kind: p.kind,
+        value: parseFloat(p.value) || 0,
+        buyQuantity: p.buy_quantity,
+        getQuantity: p.get_quantity,
+        scope: p.scope,
+        category: p.category,
+        medicineId: p.medicine_id,
+        medicineName: p.medicine?.name,
+        automatic: p.automatic,
+        startsAt: p.starts_at,
+        endsAt: p.ends_at,
+        active: p.active
+    };
+}
+
+// Active now: inside its dates (open ends count)
+function isCurrent(promotion, now = new Date()) {
+    return (!promotion.startsAt || new Date(promotion.startsAt) <= now)
+        && (!promotion.endsAt || new Date(promotion.endsAt) > now);
+}
+
+/**
+ * Every promotion, newest first (admin list).
+ */
+export async function getPromotions() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('promotions')
+            .select('*, medicine:medicines (name)')
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+        return { success: true, data: data.map(mapPromotion) };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Promotions the POS can apply right now. Cached so offline carts still preview them.
+ */
+export async function getActivePromotions() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('promotions')
+            .select('*')
+            .eq('active', true);
+
+        if (error) throw error;
+
+        const mappedData = data.map(mapPromotion);
+        await replaceTable(localDb.promotions, mappedData);
+
+        return { success: true, data: mappedData.filter(p => isCurrent(p)) };
+    } catch (error) {
+        if (isNetworkError(error)) {
+            const cached = await localDb.promotions.toArray();
+            return { success: true, data: cached.filter(p => isCurrent(p)), offline: true };
+        }
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+export async function savePromotion(promotion) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const row = {
+            name: promotion.name.trim(),
+            kind: promotion.kind,
+            value: promotion.kind === 'buy_get' ? 0 : parseFloat(promotion.value) || 0,
+            buy_quantity: promotion.kind === 'buy_get' ? parseInt(promotion.buyQuantity) : null,
+            get_quantity: promotion.kind === 'buy_get' ? parseInt(promotion.getQuantity) : null,
+            scope: promotion.automatic ? promotion.scope : 'all',
+            category: promotion.automatic && promotion.scope === 'category' ? promotion.category : null,
+            medicine_id: promotion.automatic && promotion.scope === 'medicine' ? promotion.medicineId : null,
+            automatic: promotion.automatic,
+            starts_at: promotion.startsAt || null,
+            ends_at: promotion.endsAt || null,
+            active: promotion.active
+        };
+
+        const { data, error } = promotion.id
+            ? await supabase.from('promotions').update(row).eq('id', promotion.id).select().single()
+            : await supabase.from('promotions').insert([row]).select().single();
+
+        if (error) throw error;
+        return { success: true, id: data.id };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+export async function deletePromotion(id) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { error } = await supabase.from('promotions').delete().eq('id', id);
+        if (error) throw error;
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// PURCHASE ORDERS
+// ==========================================
+
+function mapPurchaseOrder(o) {
+    return {
+        id: o.id,
+        poNumber: o.po_number,
+        supplierId: o.supplier_id,
+        supplierName: o.supplier?.name,
+        status: o.status,
+        expectedDate: o.expected_date,
+        notes: o.notes,
+        totalCost: o.total_cost,
+        createdAt: o.created_at,
+        items: (o.items || []).map(i => ({
+            id: i.id,
+            medicineId: i.medicine_id,
+            medicineName: i.medicine?.name,
+            quantityOrdered: i.quantity_ordered,
+            quantityReceived: i.quantity_received,
+            unitCost: i.unit_cost
+        })),
+        receipts: (o.receipts || [])
+            .map(r => ({
+                id: r.id,
+                notes: r.notes,
+                receivedAt: r.received_at,
+                receivedByName: r.receiver?.full_name,
+                items: (r.items || []).map(ri => ({
+                    id: ri.id,
+                    orderItemId: ri.purchase_order_item_id,
+                    quantityOutstanding: ri.quantity_outstanding,
+                    quantityReceived: ri.quantity_received,
+                    discrepancy: ri.discrepancy,
+                    unitCost: ri.unit_cost,
+                    batchNumber: ri.batch_number,
+                    expiryDate: ri.expiry_date,
+                    note: ri.note
+                }))
+            }))
+            .sort((a, b) => b.receivedAt.localeCompare(a.receivedAt))
+    };
+}
+
+export async function getPurchaseOrders() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('purchase_orders')
+            .select(`
+                *,
+                supplier:suppliers (name),
+                items:purchase_order_items (*, medicine:medicines (name)),
+                receipts:goods_receipts (*, receiver:profiles!received_by (full_name), items:goods_receipt_items (*))
+            `)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return { success: true, data: data.map(mapPurchaseOrder) };
+    } catch (error) {
+        console.error('Error fetching purchase orders:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Create a purchase order, or replace the lines of a draft (save_purchase_order RPC).
+ * order.items: [{ medicineId, quantity, unitCost }]
+ */
+export async function savePurchaseOrder(order) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('save_purchase_order', {
+            p_order_id: order.id || null,
+            p_supplier_id: order.supplierId,
+            p_items: order.items.map(i => ({
+                medicineId: i.medicineId,
+                quantity: parseInt(i.quantity),
+                unitCost: parseFloat(i.unitCost)
+            })),
+            p_expected_date: order.expectedDate || null,
+            p_notes: order.notes || null
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error saving purchase order:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Mark a draft as sent, or cancel a draft / sent order.
+ */
+export async function setPurchaseOrderStatus(orderId, status) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('set_purchase_order_status', {
+            p_order_id: orderId,
+            p_status: status
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error updating purchase order:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Book a delivery against a purchase order (receive_goods RPC).
+ * Each received line becomes a new batch; closing marks the order received even if short.
+ * receipt.items: [{ orderItemId, quantity, unitCost, batchNumber, expiryDate, note }]
+ */
+export async function receiveGoods(orderId, receipt) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('receive_goods', {
+            p_order_id: orderId,
+            p_items: receipt.items.map(i => ({
+                orderItemId: i.orderItemId,
+                quantity: parseInt(i.quantity) || 0,
+                unitCost: parseFloat(i.unitCost),
+                batchNumber: i.batchNumber || null,
+                expiryDate: i.expiryDate || null,
+                note: i.note || null
+            })),
+            p_notes: receipt.notes || null,
+            p_close: !!receipt.close
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error receiving goods:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// SALES OPERATIONS
+// ==========================================
+
+export async function createSale(medicineId, quantity) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+        if (!user) throw new Error('User not authenticated');
+
+        // RPC must be updated to handle 'selling_price' instead of 'price' in DB
+        // Assuming user runs fix_pos_rpc.sql
+        const { data, error } = await supabase.rpc('process_sale', {
+            p_medicine_id: medicineId,
+            p_quantity: quantity,
+            p_seller_id: user.id
+        });
+
+        if (error) throw error;
+
+        // Parse RPC return
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error creating sale:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export async function createCustomSale(itemDetails) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data: { user } } = await supabase.auth.getUser();
+
+        const { data, error } = await supabase
+            .from('sales')
+            .insert([{
+                medicine_name: itemDetails.name,
+                quantity_sold: itemDetails.quantity,
+                total_price: itemDetails.totalPrice,
+                seller_id: user.id
+            }])
+            .select()
+            .single();
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: {
+                medicineName: data.medicine_name,
+                quantitySold: data.quantity_sold,
+                totalPrice: data.total_price
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Checkout a whole cart in one transaction (process_checkout RPC).
+ * Creates an invoice with one sales row per line; if any line fails
+ * (e.g. insufficient stock) nothing is written.
+ * When Supabase is unreachable the sale is queued locally (data.queued = true)
+ * and replayed by syncPendingSales() once back online.
+ * options: { basketDiscount, previewTotal, interactionOverrides } – previewTotal is only
+ * reported for queued sales; interactionOverrides are the warnings the cashier acknowledged.
+ */
+export async function createCheckout(items, options = {}) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+
+    // Same id online and offline, so a retry of a sale that did reach the server is ignored
+    const clientId = crypto.randomUUID();
+    const lines = items.map(item => ({
+        medicineId: item.medicineId || null,
+        name: item.name,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        overridePrice: item.overridePrice === '' || item.overridePrice === undefined ? null : parseFloat(item.overridePrice),
+        overrideReason: item.overrideReason || null,
+        discount: parseFloat(item.discount?.value) > 0 ? item.discount : null
+    }));
+    const checkoutOptions = {
+        ...(options.basketDiscount ? { basketDiscount: options.basketDiscount } : {}),
+        ...(options.payments ? { payments: options.payments } : {}),
+        ...(options.customerId ? { customerId: options.customerId } : {}),
+        ...(options.redeemPoints > 0 ? { redeemPoints: options.redeemPoints } : {}),
+        ...(options.prescription ? { prescription: { ...options.prescription, imagePath: null } } : {}),
+        ...(options.interactionOverrides?.length ? { interactionOverrides: options.interactionOverrides } : {})
+    };
+    // Only sent with a prescription; offline it waits in the queue with the sale
+    const image = options.prescription ? options.prescriptionImage || null : null;
+
+    try {
+        if (!navigator.onLine) return await queueOfflineSale(clientId, lines, checkoutOptions, options.previewTotal, image);
+
+        // getSession() reads the stored session; getUser() calls the server and fails on a dead connection
+        const { data: { session } } = await supabase.auth.getSession();
+        const user = session?.user;
+        if (!user) throw new Error('User not authenticated');
+
+        if (image) {
+            const upload = await uploadPrescriptionImage(clientId, image);
+            if (!upload.success) {
+                if (upload.offline) return await queueOfflineSale(clientId, lines, checkoutOptions, options.previewTotal, image);
+                throw new Error(`Couldn't upload the prescription scan: ${upload.error}`);
+            }
+            checkoutOptions.prescription.imagePath = upload.path;
+        }
+
+        const { data, error } = await supabase.rpc('process_checkout', {
+            p_seller_id: user.id,
+            p_items: lines,
+            p_options: { ...checkoutOptions, clientId }
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        if (isNetworkError(error)) {
+            try {
+                return await queueOfflineSale(clientId, lines, checkoutOptions, options.previewTotal, image);
+            } catch (queueError) {
+                return { success: false, error: queueError.message };
+            }
+        }
+        console.error('Error during checkout:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Store an offline sale and take its stock out of the local mirror
+async function queueOfflineSale(clientId, lines, options, previewTotal, prescriptionImage = null) {
+    // getSession() reads the stored session, so it works without a connection
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.user) throw new Error('User not authenticated');
+
+    await localDb.transaction('rw', localDb.pendingSales, localDb.medicines, async () => {
+        await localDb.pendingSales.add({
+            clientId,
+            sellerId: session.user.id,
+            items: lines,
+            options,
+            // Uploaded by the sync before the sale is sent
+            ...(prescriptionImage && !options.prescription?.imagePath ? { prescriptionImage } : {}),
+            soldAt: new Date().toISOString(),
+            status: 'pending'
+        });
+
+        for (const line of lines) {
+            if (!line.medicineId) continue;
+            await localDb.medicines
+                .where('id').equals(line.medicineId)
+                .modify(m => {
+                    m.sellableQuantity = (m.sellableQuantity ?? m.quantity) - line.quantity; // Before quantity changes
+                    m.quantity -= line.quantity;
+                });
+        }
+    });
+
+    return {
+        success: true,
+        data: {
+            queued: true,
+            clientId,
+            totalAmount: previewTotal ?? lines.reduce((sum, l) => sum + l.unitPrice * l.quantity, 0),
+            itemCount: lines.reduce((sum, l) => sum + l.quantity, 0)
+        }
+    };
+}
+
+/**
+ * Fetch an invoice with its line items and cashier name (for receipts).
+ */
+export async function getInvoice(invoiceId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('invoices')
+            .select(`
+                *,
+                seller:profiles!seller_id (full_name),
+                customer:customers (name, phone),
+                lines:sales (*),
+                payments:sale_payments (*),
+                prescription:prescriptions (prescription_number, prescriber_name)
+            `)
+            .eq('id', invoiceId)
+            .single();
+
+        if (error) throw error;
+        // One per sale; older PostgREST versions embed it as a list
+        const prescription = [].concat(data.prescription || [])[0];
+
+        return {
+            success: true,
+            data: {
+                id: data.id,
+                invoiceNumber: data.invoice_number,
+                totalAmount: data.total_amount,
+                itemCount: data.item_count,
+                paymentMethod: data.payment_method,
+                createdAt: data.created_at,
+                sellerName: data.seller?.full_name,
+                customerName: data.customer?.name,
+                voidedAt: data.voided_at,
+                voidReason: data.void_reason,
+                discountAmount: data.discount_amount || 0,
+                pointsEarned: data.points_earned || 0,
+                pointsRedeemed: data.points_redeemed || 0,
+                prescriptionNumber: prescription?.prescription_number || null,
+                prescriberName: prescription?.prescriber_name || null,
+                payments: (data.payments || []).map(p => ({
+                    method: p.method,
+                    amount: parseFloat(p.amount),
+                    tendered: p.tendered !== null ? parseFloat(p.tendered) : null,
+                    change: parseFloat(p.change_given) || 0,
+                    reference: p.reference
+                })),
+                lines: data.lines.map(l => ({
+                    id: l.id,
+                    medicineName: l.medicine_name,
+                    quantitySold: l.quantity_sold,
+                    totalPrice: l.total_price,
+                    unitPrice: l.total_price / l.quantity_sold,
+                    listPrice: l.list_price ?? l.total_price / l.quantity_sold,
+                    discountAmount: l.discount_amount || 0,
+                    discounts: l.discounts || []
+                }))
+            }
+        };
+    } catch (error) {
+        console.error('Error fetching invoice:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+const SALE_SELECT = '*, invoice:invoices (invoice_number), medicine:medicines (category)';
+
+// unitCost is captured at sale time; null for custom items, which have no cost
+function mapSale(s) {
+    const unitCost = s.unit_cost ?? null;
+    return {
+        ...s,
+        medicineName: s.medicine_name,
+        quantitySold: s.quantity_sold,
+        totalPrice: s.total_price,
+        saleDate: s.sale_date,
+        invoiceId: s.invoice_id,
+        invoiceNumber: s.invoice?.invoice_number,
+        category: s.medicine?.category || null,
+        unitPrice: s.unit_price ?? s.total_price / s.quantity_sold,
+        unitCost,
+        isCustom: !!s.is_custom,
+        listPrice: s.list_price ?? null,
+        discountAmount: s.discount_amount || 0,
+        discounts: s.discounts || [],
+        profit: unitCost === null ? null : s.total_price - unitCost * s.quantity_sold
+    };
+}
+
+/**
+ * One page of sale lines, newest first. start/end are Dates (end exclusive); null means unbounded.
+ * Returns { rows, total } where total is the number of lines in the whole range.
+ */
+export async function getSalesPage({ start = null, end = null, page = 0, pageSize = 25 } = {}) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        let query = supabase
+            .from('sales')
+            .select(SALE_SELECT, { count: 'exact' })
+            .is('voided_at', null)
+            .order('sale_date', { ascending: false })
+            .order('id', { ascending: false })
+            .range(page * pageSize, page * pageSize + pageSize - 1);
+
+        if (start) query = query.gte('sale_date', start.toISOString());
+        if (end) query = query.lt('sale_date', end.toISOString());
+
+        const { data, error, count } = await query;
+
+        if (error) throw error;
+
+        return { success: true, data: { rows: data.map(mapSale), total: count || 0 } };
+    } catch (error) {
+        console.error('Error fetching sales page:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// Every sale line in a range, fetched page by page (exports only)
+export async function getSalesForExport(start = null, end = null) {
+    const pageSize = 1000; // PostgREST's default row cap
+    const rows = [];
+    for (let page = 0; ; page++) {
+        const result = await getSalesPage({ start, end, page, pageSize });
+        if (!result.success) return result;
+        rows.push(...result.data.rows);
+        if (rows.length >= result.data.total || result.data.rows.length < pageSize) break;
+    }
+    return { success: true, data: rows };
+}
+
+/**
+ * Report totals, top sellers and profit for a range (sales_summary RPC).
+ */
+export async function getSalesSummary(start = null, end = null) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('sales_summary', {
+            p_start: start ? start.toISOString() : null,
+            p_end: end ? end.toISOString() : null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        const summary = data.data;
+        return {
+            success: true,
+            data: {
+                ...summary,
+                // grossProfit is net of refunds, so it's measured against revenue net of them too
+                margin: summary.netCostedRevenue > 0 ? (summary.grossProfit / summary.netCostedRevenue) * 100 : 0
+            }
+        };
+    } catch (error) {
+        console.error('Error fetching sales summary:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Money taken per payment method for a range, less refunds paid the same way (sales_payment_totals RPC).
+ */
+export async function getPaymentTotals(start = null, end = null) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('sales_payment_totals', {
+            p_start: start ? start.toISOString() : null,
+            p_end: end ? end.toISOString() : null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error fetching payment totals:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Profit per 'medicine', 'category', 'day' or 'month' for a range (sales_profit_breakdown RPC).
+ */
+export async function getProfitBreakdown(start = null, end = null, groupBy = 'medicine') {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('sales_profit_breakdown', {
+            p_start: start ? start.toISOString() : null,
+            p_end: end ? end.toISOString() : null,
+            p_group: groupBy,
+            p_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error fetching profit breakdown:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export async function getTodaysSales() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const { data, error } = await supabase
+            .from('sales')
+            .select(SALE_SELECT)
+            .is('voided_at', null)
+            .gte('sale_date', today.toISOString());
+
+        if (error) throw error;
+
+        const mappedData = data.map(mapSale);
+
+        return { success: true, data: mappedData };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Aggregated sales for [start, end) and the equally long period before it (sales_trends RPC).
+ * bucket is 'day', 'week' or 'month'; buckets follow the browser's time zone.
+ */
+export async function getSalesTrends(start, end, bucket = 'day') {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('sales_trends', {
+            p_start: start.toISOString(),
+            p_end: end.toISOString(),
+            p_bucket: bucket,
+            p_timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error fetching sales trends:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// RETURNS & REFUNDS
+// ==========================================
+
+export const REFUND_METHODS = {
+    cash: 'Cash',
+    mobile_money: 'Mobile Money',
+    card: 'Card',
+    credit: 'Credit to Account'
+};
+
+/**
+ * Find an invoice id from a receipt number as printed ("R-000123") or typed ("123").
+ */
+export async function findInvoiceByReceiptNumber(receiptNumber) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    const invoiceNumber = parseInt(String(receiptNumber).replace(/\D/g, ''), 10);
+    if (!invoiceNumber) return { success: false, error: 'Enter a receipt number' };
+    try {
+        const { data, error } = await supabase
+            .from('invoices')
+            .select('id')
+            .eq('invoice_number', invoiceNumber)
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!data) return { success: false, error: `Receipt ${receiptNumber} not found` };
+
+        return { success: true, data: data.id };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Invoice lines with how many units are still returnable
+ * (units in pending or completed returns are not).
+ */
+export async function getReturnableInvoice(invoiceId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('invoices')
+            .select(`
+                id, invoice_number, created_at, payment_method, voided_at, customer_id,
+                lines:sales (
+                    id, medicine_id, medicine_name, quantity_sold, total_price, unit_price,
+                    returns:sale_return_items (quantity, return:sale_returns (status))
+                )
+            `)
+            .eq('id', invoiceId)
+            .single();
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: {
+                id: data.id,
+                invoiceNumber: data.invoice_number,
+                createdAt: data.created_at,
+                paymentMethod: data.payment_method,
+                voidedAt: data.voided_at,
+                customerId: data.customer_id,
+                lines: data.lines.map(l => {
+                    const returned = l.returns
+                        .filter(r => r.return?.status !== 'rejected')
+                        .reduce((sum, r) => sum + r.quantity, 0);
+                    return {
+                        id: l.id,
+                        medicineId: l.medicine_id,
+                        medicineName: l.medicine_name,
+                        quantitySold: l.quantity_sold,
+                        unitPrice: l.unit_price ?? l.total_price / l.quantity_sold,
+                        returnedQuantity: returned,
+                        returnableQuantity: l.quantity_sold - returned
+                    };
+                })
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Record a return (create_sale_return RPC). Refunds above the approval limit
+ * entered by staff come back with status 'pending' until an admin decides.
+ * ret: { invoiceId, items: [{ saleId, quantity, restock }], refundMethod, refundAmount, reason }
+ */
+export async function createSaleReturn(ret) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('create_sale_return', {
+            p_invoice_id: ret.invoiceId,
+            p_items: ret.items.map(i => ({
+                saleId: i.saleId,
+                quantity: parseInt(i.quantity),
+                restock: !!i.restock
+            })),
+            p_refund_method: ret.refundMethod,
+            p_refund_amount: ret.refundAmount === '' || ret.refundAmount === undefined ? null : parseFloat(ret.refundAmount),
+            p_reason: ret.reason || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+export async function getSaleReturns(status = 'pending') {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('sale_returns')
+            .select(`
+                *,
+                invoice:invoices (invoice_number),
+                requester:profiles!requested_by (full_name),
+                decider:profiles!decided_by (full_name),
+                items:sale_return_items (
+                    id, quantity, restock, refund_amount,
+                    sale:sales (medicine_name, unit_price, total_price, quantity_sold)
+                )
+            `)
+            .eq('status', status)
+            .order('requested_at', { ascending: false })
+            .limit(100);
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(r => ({
+                id: r.id,
+                returnNumber: r.return_number,
+                invoiceId: r.invoice_id,
+                invoiceNumber: r.invoice?.invoice_number,
+                status: r.status,
+                refundAmount: r.refund_amount,
+                refundMethod: r.refund_method,
+                reason: r.reason,
+                requestedAt: r.requested_at,
+                requesterName: r.requester?.full_name,
+                deciderName: r.decider?.full_name,
+                decisionNote: r.decision_note,
+                completedAt: r.completed_at,
+                items: r.items.map(i => ({
+                    id: i.id,
+                    medicineName: i.sale?.medicine_name,
+                    quantity: i.quantity,
+                    restock: i.restock,
+                    refundAmount: i.refund_amount
+                }))
+            }))
+        };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+export async function decideSaleReturn(returnId, approve, note) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('decide_sale_return', {
+            p_return_id: returnId,
+            p_approve: approve,
+            p_note: note || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// VOIDS
+// ==========================================
+
+/**
+ * Latest receipts that are not voided, for the POS void list.
+ */
+export async function getRecentInvoices(limit = 20) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('invoices')
+            .select('id, invoice_number, seller_id, total_amount, item_count, created_at, seller:profiles!seller_id (full_name)')
+            .is('voided_at', null)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(i => ({
+                id: i.id,
+                invoiceNumber: i.invoice_number,
+                sellerId: i.seller_id,
+                sellerName: i.seller?.full_name,
+                totalAmount: i.total_amount,
+                itemCount: i.item_count,
+                createdAt: i.created_at
+            }))
+        };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Void a whole receipt and restock it (void_sale RPC). When an admin has to
+ * approve, the result has needsApproval: true; retry with that admin's PIN.
+ */
+export async function voidSale(invoiceId, reason, adminPin) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('void_sale', {
+            p_invoice_id: invoiceId,
+            p_reason: reason,
+            p_admin_pin: adminPin || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error, needsApproval: !!data.needsApproval };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Voided receipts with who voided and who approved them (audit view).
+ */
+export async function getVoidedSales(limit = 100) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('invoices')
+            .select(`
+                *,
+                seller:profiles!seller_id (full_name),
+                voider:profiles!voided_by (full_name),
+                approver:profiles!void_approved_by (full_name),
+                lines:sales (id, medicine_name, quantity_sold, total_price)
+            `)
+            .not('voided_at', 'is', null)
+            .order('voided_at', { ascending: false })
+            .limit(limit);
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(i => ({
+                id: i.id,
+                invoiceNumber: i.invoice_number,
+                totalAmount: i.total_amount,
+                createdAt: i.created_at,
+                sellerName: i.seller?.full_name,
+                voidedAt: i.voided_at,
+                voidReason: i.void_reason,
+                voiderName: i.voider?.full_name,
+                approverName: i.approver?.full_name,
+                lines: i.lines.map(l => ({
+                    id: l.id,
+                    medicineName: l.medicine_name,
+                    quantitySold: l.quantity_sold,
+                    totalPrice: l.total_price
+                }))
+            }))
+        };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Set the signed-in admin's approval PIN (4–8 digits, stored hashed).
+ */
+export async function setApprovalPin(pin) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('set_approval_pin', { p_pin: pin });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// SHIFTS
+// ==========================================
+
+function mapShift(s) {
+    return {
+        id: s.id,
+        shiftNumber: s.shift_number,
+        cashierId: s.cashier_id,
+        cashierName: s.cashier?.full_name,
+        openedAt: s.opened_at,
+        openingFloat: parseFloat(s.opening_float) || 0,
+        closedAt: s.closed_at,
+        countedCash: s.counted_cash !== null ? parseFloat(s.counted_cash) : null,
+        expectedCash: s.expected_cash !== null ? parseFloat(s.expected_cash) : null,
+        variance: s.variance !== null ? parseFloat(s.variance) : null,
+        closingNote: s.closing_note
+    };
+}
+
+/**
+ * The signed-in user's open shift, or null. Cached so the POS knows about it offline.
+ */
+export async function getCurrentShift() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    // getSession() reads the stored session, so it works without a connection
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session?.user) return { success: false, error: 'User not authenticated', data: null };
+
+    try {
+        const { data, error } = await supabase
+            .from('shifts')
+            .select('*')
+            .eq('cashier_id', session.user.id)
+            .is('closed_at', null)
+            .maybeSingle();
+
+        if (error) throw error;
+
+        const shift = data ? mapShift(data) : null;
+        await replaceTable(localDb.shifts, shift ? [shift] : []);
+        return { success: true, data: shift };
+    } catch (error) {
+        if (isNetworkError(error)) {
+            const cached = await localDb.shifts.toArray();
+            return { success: true, data: cached.find(shift => shift.cashierId === session.user.id) || null, offline: true };
+        }
+        return { success: false, error: error.message, data: null };
+    }
+}
+
+export async function openShift(openingFloat) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('open_shift', {
+            p_opening_float: parseFloat(openingFloat)
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        const shift = mapShift(data.data);
+        await replaceTable(localDb.shifts, [shift]);
+        return { success: true, data: shift };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Close a shift with the cash counted in the drawer; returns it with expected cash and variance.
+ */
+export async function closeShift(shiftId, countedCash, note) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('close_shift', {
+            p_shift_id: shiftId,
+            p_counted_cash: parseFloat(countedCash),
+            p_note: note || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        await localDb.shifts.delete(shiftId);
+        return { success: true, data: mapShift(data.data) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Totals for a shift's Z report (shift_report RPC).
+ */
+export async function getShiftReport(shiftId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('shift_report', { p_shift_id: shiftId });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error };
+
+        const report = data.data;
+        return {
+            success: true,
+            data: {
+                ...report,
+                shift: { ...mapShift(report.shift), cashierName: report.cashierName, closedByName: report.closedByName }
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Shift history, newest first, optionally for one cashier (admins see everyone's).
+ */
+export async function getShifts({ cashierId = null, limit = 100 } = {}) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        let query = supabase
+            .from('shifts')
+            .select('*, cashier:profiles!cashier_id (full_name)')
+            .order('opened_at', { ascending: false })
+            .limit(limit);
+
+        if (cashierId) query = query.eq('cashier_id', cashierId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return { success: true, data: data.map(mapShift) };
+    } catch (error) {
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+// ==========================================
+// SYNC CONFLICTS
+// ==========================================
+
+export async function getSaleConflicts(status = 'pending') {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        let query = supabase
+            .from('sale_conflicts')
+            .select(`
+                *,
+                seller:profiles!seller_id (full_name),
+                resolver:profiles!resolved_by (full_name)
+            `)
+            .order('sold_at', { ascending: true });
+
+        if (status === 'pending') {
+            query = query.eq('status', 'pending');
+        } else {
+            query = query.neq('status', 'pending');
+        }
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(c => ({
+                id: c.id,
+                clientId: c.client_id,
+                items: c.items,
+                soldAt: c.sold_at,
+                conflicts: c.conflicts,
+                code: c.code,
+                error: c.error,
+                status: c.status,
+                invoiceId: c.invoice_id,
+                resolutionNote: c.resolution_note,
+                resolvedAt: c.resolved_at,
+                sellerName: c.seller?.full_name,
+                resolverName: c.resolver?.full_name
+            }))
+        };
+    } catch (error) {
+        console.error('Error fetching sale conflicts:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
+
+/**
+ * Resolve a parked offline sale: 'accept' (replayed as an admin: negative stock and
+ * adjusted payments allowed), 'backorder' (stock shortfalls only) or 'void'.
+ * The decision is audit-logged server-side.
+ */
+export async function resolveSaleConflict(conflictId, resolution, note) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('resolve_sale_conflict', {
+            p_conflict_id: conflictId,
+            p_resolution: resolution,
+            p_note: note || null
+        });
+
+        if (error) throw error;
+        if (!data.success) {
+            throw new Error(data.error);
+        }
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error resolving sale conflict:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// SETTINGS
+// ==========================================
+
+export async function getSettings() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('settings')
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        const mappedData = {
+            id: data.id,
+            pharmacyName: data.pharmacy_name,
+            address: data.address,
+            phone: data.phone,
+            refundApprovalLimit: data.refund_approval_limit,
+            voidWindowMinutes: data.void_window_minutes ?? 10,
+            maxStaffDiscountPercent: data.max_staff_discount_percent ?? 10,
+            loyalty: {
+                enabled: !!data.loyalty_enabled,
+                pointsPerDollar: parseFloat(data.loyalty_points_per_dollar) || 0,
+                pointValue: parseFloat(data.loyalty_point_value) || 0,
+                excludedCategories: data.loyalty_excluded_categories || [],
+                expiryMonths: data.loyalty_expiry_months ?? null
+            }
+        };
+        await replaceTable(localDb.settings, [mappedData]);
+
+        return { success: true, data: mappedData };
+    } catch (error) {
+        if (isNetworkError(error)) {
+            const cached = await localDb.settings.toCollection().first();
+            return { success: true, data: cached || null, offline: true };
+        }
+        return { success: false, error: error.message, data: null };
+    }
+}
+
+// ==========================================
+// DASHBOARD STATS
+// ==========================================
+
+export async function getDashboardStats() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const [medicinesData, salesData] = await Promise.all([
+            getAllMedicines(),
+            getTodaysSales()
+        ]);
+
+        const medicines = medicinesData.data || [];
+        const todaysSales = salesData.data || [];
+
+        // Updated for sellingPrice
+        const totalStockValue = medicines.reduce((sum, med) => sum + (med.purchasePrice * med.quantity), 0); // Cost Value
+        const potentialRevenue = medicines.reduce((sum, med) => sum + (med.sellingPrice * med.quantity), 0); // Sales Value
+
+        const todaysRevenue = todaysSales.reduce((sum, sale) => sum + sale.totalPrice, 0);
+        const totalItems = medicines.reduce((sum, med) => sum + med.quantity, 0);
+        const lowStockMeds = medicines.filter(m => m.quantity < 10); // Standardized threshold
+
+        return {
+            success: true,
+            data: {
+                totalMedicines: medicines.length,
+                totalItems,
+                totalStockValue,
+                potentialRevenue,
+                todaysSalesCount: todaysSales.length,
+                todaysRevenue,
+                lowStockCount: lowStockMeds.length,
+                lowStockItems: lowStockMeds
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+// ==========================================
+// STOCK ADJUSTMENTS
+// ==========================================
+
+export const ADJUSTMENT_TYPES = {
+    return: { label: 'Customer Return', direction: 1 },
+    damage: { label: 'Damage', direction: -1 },
+    expiry: { label: 'Expiry Write-off', direction: -1 },
+    theft: { label: 'Theft / Loss', direction: -1 },
+    correction: { label: 'Count Correction', direction: 0 }, // Either way
+    void: { label: 'Sale Voided', direction: 1, system: true } // Written by void_sale only
+};
+
+/**
+ * Record a stock adjustment and change the quantity in one transaction (adjust_stock RPC).
+ * adjustment.quantity is the signed change: positive adds stock, negative removes it.
+ * adjustment.batchId targets one batch; otherwise the earliest-expiring batches are used.
+ * Taking out a controlled drug needs adjustment.witnessPin from a second admin;
+ * without it the result has needsWitness: true.
+ */
+export async function addStockAdjustment(adjustment) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase.rpc('adjust_stock', {
+            p_medicine_id: adjustment.medicineId,
+            p_type: adjustment.type,
+            p_quantity_change: parseInt(adjustment.quantity),
+            p_reason: adjustment.reason,
+            p_batch_id: adjustment.batchId || null,
+            p_witness_pin: adjustment.witnessPin || null
+        });
+
+        if (error) throw error;
+        if (!data.success) return { success: false, error: data.error, needsWitness: !!data.needsWitness };
+
+        return { success: true, data: data.data };
+    } catch (error) {
+        console.error('Error adjusting stock:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+export async function getStockAdjustments(medicineId) {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    try {
+        const { data, error } = await supabase
+            .from('stock_adjustments')
+            .select(`
+                *,
+                adjuster:profiles!adjusted_by (full_name),
+                witness:profiles!witnessed_by (full_name),
+                batch:medicine_batches (batch_number)
+            `)
+            .eq('medicine_id', medicineId)
+            .order('created_at', { ascending: false });
+
+        if (error) throw error;
+
+        return {
+            success: true,
+            data: data.map(a => ({
+                id: a.id,
+                type: a.adjustment_type,
+                // Rows written before adjust_stock() only stored an unsigned quantity
+                quantityChange: a.quantity_change ?? (ADJUSTMENT_TYPES[a.adjustment_type]?.direction === 1 ? a.quantity : -a.quantity),
+                quantityBefore: a.quantity_before,
+                quantityAfter: a.quantity_after,
+                reason: a.reason,
+                batchNumber: a.batch?.batch_number,
+                createdAt: a.created_at,
+                adjustedByName: a.adjuster?.full_name,
+                witnessedByName: a.witness?.full_name
+            }))
+        };
+    } catch (error) {
+        console.error('Error fetching stock adjustments:', error);
+        return { success: false, error: error.message, data: [] };
+    }
+}
@@ -0,0 +1,57 @@
+/**
+ * Local Database - IndexedDB mirror (Dexie)
+ * Keeps medicines, suppliers, settings, promotions, customers and the open
+ * shift readable offline and queues POS sales made while Supabase is unreachable.
+ * Also holds the drug interaction dataset, which lives only on the device.
+ */
+
+import Dexie from 'dexie';
+
+export const localDb = new Dexie('darusalaam_pharmacy');
+
+localDb.version(1).stores({
+    medicines: 'id, name, barcode',
+    suppliers: 'id, name',
+    settings: 'id',
+    pendingSales: '++localId, clientId, status'
+});
+
+localDb.version(2).stores({
+    promotions: 'id'
+});
+
+localDb.version(3).stores({
+    shifts: 'id' // The signed-in user's open shift
+});
+
+localDb.version(4).stores({
+    customers: 'id, name, phoneDigits'
+});
+
+localDb.version(5).stores({
+    interactions: 'key', // Drug pairs, imported on this device only
+    therapeuticClasses: 'generic'
+});
+
+// Replace a mirrored table with fresh server data
+export async function replaceTable(table, rows) {
+    try {
+        await localDb.transaction('rw', table, async () => {
+            await table.clear();
+            await table.bulkPut(rows);
+        });
+    } catch (error) {
+        console.error(`Error mirroring ${table.name}:`, error);
+    }
+}
+
+/**
+ * True when a failure means "can't reach Supabase" rather than a rejected request.
+ * fetch() throws a TypeError ("Failed to fetch" / "Load failed") when offline.
+ */
+export function isNetworkError(error) {
+    if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+    if (!error) return false;
+    return error instanceof TypeError
+        || /failed to fetch|networkerror|load failed|network request failed/i.test(error.message || '');
+}
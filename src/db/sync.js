@@ -0,0 +1,135 @@
+/**
+ * Offline Sync - Sale Reconciler
+ * Replays POS sales queued in IndexedDB to Supabase, oldest first.
+ * Sales the server rejects (e.g. "only 2 left but 5 queued", or payments that
+ * no longer add up) are parked in sale_conflicts with the rejection's code for
+ * an admin to review instead of being retried forever.
+ */
+
+import { supabase } from '../lib/supabase';
+import { localDb, isNetworkError } from './localDb';
+import { uploadPrescriptionImage } from './db';
+
+// The server's code, or one for rejections raised without a code (a batch shortfall in consume_batches)
+function conflictCode(response) {
+    if (response.code) return response.code;
+    return /^Insufficient stock/.test(response.error || '') ? 'insufficient_stock' : 'rejected';
+}
+
+// Park a rejected sale on the server; idempotent per clientId
+async function recordConflict(sale, response) {
+    const { error } = await supabase
+        .from('sale_conflicts')
+        .upsert([{
+            client_id: sale.clientId,
+            seller_id: sale.sellerId,
+            items: sale.items,
+            options: sale.options || {},
+            sold_at: sale.soldAt,
+            conflicts: response.conflicts || [],
+            code: conflictCode(response),
+            error: response.error
+        }], { onConflict: 'client_id', ignoreDuplicates: true });
+
+    if (error) throw error;
+}
+
+export async function syncPendingSales() {
+    if (!supabase) return { success: false, error: 'Database connection not initialized' };
+    if (!navigator.onLine) return { success: false, error: 'Offline' };
+
+    const pending = await localDb.pendingSales
+        .where('status').equals('pending')
+        .sortBy('localId');
+
+    let synced = 0;
+    let conflicts = 0;
+    let failed = 0;
+
+    for (const sale of pending) {
+        if (sale.prescriptionImage) {
+            const upload = await uploadPrescriptionImage(sale.clientId, sale.prescriptionImage);
+            if (!upload.success) {
+                if (upload.offline) break;
+                await localDb.pendingSales.update(sale.localId, { status: 'failed', error: upload.error });
+                failed++;
+                continue;
+            }
+            sale.options = { ...sale.options, prescription: { ...sale.options.prescription, imagePath: upload.path } };
+            await localDb.pendingSales.update(sale.localId, { options: sale.options, prescriptionImage: null });
+        }
+
+        const { data, error } = await supabase.rpc('process_checkout', {
+            p_seller_id: sale.sellerId,
+            p_items: sale.items,
+            p_options: { ...sale.options, clientId: sale.clientId, soldAt: sale.soldAt }
+        });
+
+        if (error) {
+            // Connection dropped again: stop and keep the rest in order
+            if (isNetworkError(error)) break;
+            await localDb.pendingSales.update(sale.localId, { status: 'failed', error: error.message });
+            failed++;
+            continue;
+        }
+
+        if (!data.success) {
+            try {
+                await recordConflict(sale, data);
+                await localDb.pendingSales.delete(sale.localId);
+                conflicts++;
+            } catch (conflictError) {
+                if (isNetworkError(conflictError)) break;
+                await localDb.pendingSales.update(sale.localId, { status: 'failed', error: data.error });
+                failed++;
+            }
+            continue;
+        }
+
+        await localDb.pendingSales.delete(sale.localId);
+        synced++;
+    }
+
+    return { success: true, synced, conflicts, failed };
+}
+
+/**
+ * Put a failed sale back in the queue for the next sync.
+ */
+export async function retryFailedSale(localId) {
+    try {
+        await localDb.pendingSales.update(localId, { status: 'pending', error: null });
+        return { success: true };
+    } catch (error) {
+        console.error('Error retrying failed sale:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Drop a failed sale from the device and give its stock back to the local
+ * mirror, undoing what queueing it took out.
+ */
+export async function discardFailedSale(localId) {
+    try {
+        await localDb.transaction('rw', localDb.pendingSales, localDb.medicines, async () => {
+            const sale = await localDb.pendingSales.get(localId);
+            if (!sale || sale.status !== 'failed') throw new Error('Sale is no longer waiting on this device');
+
+            for (const line of sale.items) {
+                if (!line.medicineId) continue;
+                await localDb.medicines
+                    .where('id').equals(line.medicineId)
+                    .modify(m => {
+                        m.sellableQuantity = (m.sellableQuantity ?? m.quantity) + line.quantity; // Before quantity changes
+                        m.quantity += line.quantity;
+                    });
+            }
+            await localDb.pendingSales.delete(localId);
+        });
+        return { success: true };
+    } catch (error) {
+        console.error('Error discarding failed sale:', error);
+        return { success: false, error: error.message };
+    }
+}
@@ -0,0 +1,51 @@
+import { useEffect, useRef } from 'react';
+
+// Keyboard-wedge scanners "type" a whole code in a few milliseconds and press Enter.
+// Humans rarely type faster than ~80ms per key, so a fast burst is treated as a scan.
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_BARCODE_LENGTH = 4;
+
+/**
+ * Custom Hook for keyboard-wedge barcode scanners
+ * Calls onScan(code) when a fast burst of keys ends with Enter
+ */
+export function useBarcodeScanner(onScan, { enabled = true } = {}) {
+    const onScanRef = useRef(onScan);
+    const bufferRef = useRef('');
+    const lastKeyTimeRef = useRef(0);
+
+    useEffect(() => {
+        onScanRef.current = onScan;
+    }, [onScan]);
+
+    useEffect(() => {
+        if (!enabled) return;
+
+        const handleKeyDown = (e) => {
+            const now = Date.now();
+            const elapsed = now - lastKeyTimeRef.current;
+            lastKeyTimeRef.current = now;
+
+            if (elapsed > MAX_KEY_INTERVAL_MS) {
+                bufferRef.current = '';
+            }
+
+            if (e.key === 'Enter') {
+                const code = bufferRef.current;
+                bufferRef.current = '';
+                if (code.length >= MIN_BARCODE_LENGTH && elapsed <= MAX_KEY_INTERVAL_MS) {
+                    e.preventDefault();
+                    onScanRef.current(code);
+                }
+                return;
+            }
+
+            if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                bufferRef.current += e.key;
+            }
+        };
+
+        window.addEventListener('keydown', handleKeyDown, true);
+        return () => window.removeEventListener('keydown', handleKeyDown, true);
+    }, [enabled]);
+}
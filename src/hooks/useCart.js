@@ -0,0 +1,154 @@
+import { useState, useCallback, useMemo } from 'react';
+
+function inventoryLine(medicine, quantity, available) {
+    return {
+        key: `med-${medicine.id}`,
+        type: 'inventory',
+        medicineId: medicine.id,
+        name: medicine.name,
+        genericName: medicine.genericName || '',
+        category: medicine.category,
+        requiresPrescription: !!medicine.requiresPrescription,
+        unitPrice: parseFloat(medicine.sellingPrice),
+        quantity,
+        maxQuantity: available
+    };
+}
+
+/**
+ * Custom Hook for the POS cart
+ * Holds inventory and custom lines, any discounts, the customer, the
+ * loyalty points they redeem, the prescription and acknowledged interaction
+ * warnings until checkout
+ */
+export function useCart() {
+    const [items, setItems] = useState([]);
+    const [basketDiscount, setBasketDiscount] = useState(null); // null, { promotionId } or { type, value, reason }
+    const [customer, setCustomerState] = useState(null);
+    const [redeemPoints, setRedeemPoints] = useState('');
+    const [prescription, setPrescription] = useState(null); // Details from PrescriptionDialog, plus the scan as image
+    const [acknowledgedWarnings, setAcknowledgedWarnings] = useState([]); // Keys of interaction warnings overridden
+
+    // Points belong to the customer, so changing customer drops the redemption
+    const setCustomer = useCallback((next) => {
+        setCustomerState(next);
+        setRedeemPoints('');
+    }, []);
+
+    // Add an inventory medicine (merges with an existing line)
+    const addMedicine = useCallback((medicine, quantity = 1) => {
+        const existing = items.find(item => item.medicineId === medicine.id);
+        const newQuantity = (existing?.quantity || 0) + quantity;
+        const available = medicine.sellableQuantity ?? medicine.quantity; // Expired batches can't be sold
+
+        if (newQuantity > available) {
+            return { success: false, error: `Only ${available} ${medicine.name} in stock` };
+        }
+
+        if (existing) {
+            setItems(prev => prev.map(item =>
+                item.key === existing.key ? { ...item, quantity: newQuantity } : item
+            ));
+        } else {
+            setItems(prev => [...prev, inventoryLine(medicine, quantity, available)]);
+        }
+        return { success: true };
+    }, [items]);
+
+    // Replace a line with a substitute, keeping its quantity as far as stock allows.
+    // Merges into the substitute's own line if it is already in the cart; discounts on the old line are dropped.
+    const swapMedicine = useCallback((key, medicine) => {
+        const line = items.find(item => item.key === key);
+        if (!line) return { success: false, error: 'Line not in cart' };
+        const existing = items.find(item => item.medicineId === medicine.id && item.key !== key);
+        const available = medicine.sellableQuantity ?? medicine.quantity;
+        const wanted = line.quantity + (existing?.quantity || 0);
+        const quantity = Math.min(wanted, available);
+
+        if (quantity < 1) {
+            return { success: false, error: `${medicine.name} is out of stock` };
+        }
+
+        setItems(prev => prev
+            .filter(item => item.key !== existing?.key)
+            .map(item => (item.key === key ? inventoryLine(medicine, quantity, available) : item)));
+        return { success: true, quantity, short: wanted - quantity };
+    }, [items]);
+
+    // Add a custom (non-inventory) item
+    const addCustomItem = useCallback(({ name, price, quantity }) => {
+        setItems(prev => [...prev, {
+            key: `custom-${crypto.randomUUID()}`,
+            type: 'custom',
+            medicineId: null,
+            name: name.trim(),
+            unitPrice: parseFloat(price),
+            quantity: parseInt(quantity) || 1,
+            maxQuantity: null
+        }]);
+        return { success: true };
+    }, []);
+
+    // Change a line's quantity, clamped to 1..stock
+    const updateQuantity = useCallback((key, quantity) => {
+        setItems(prev => prev.map(item => {
+            if (item.key !== key) return item;
+            let next = Math.max(1, parseInt(quantity) || 1);
+            if (item.maxQuantity !== null) next = Math.min(next, item.maxQuantity);
+            return { ...item, quantity: next };
+        }));
+    }, []);
+
+    // Price override ({ overridePrice, overrideReason }) or line discount ({ discount: { type, value, reason } })
+    const updateDiscount = useCallback((key, changes) => {
+        setItems(prev => prev.map(item =>
+            item.key === key ? { ...item, ...changes } : item
+        ));
+    }, []);
+
+    const removeItem = useCallback((key) => {
+        setItems(prev => prev.filter(item => item.key !== key));
+    }, []);
+
+    const toggleWarning = useCallback((key) => {
+        setAcknowledgedWarnings(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+    }, []);
+
+    const clear = useCallback(() => {
+        setItems([]);
+        setBasketDiscount(null);
+        setCustomer(null);
+        setPrescription(null);
+        setAcknowledgedWarnings([]);
+    }, [setCustomer]);
+
+    const itemCount = useMemo(
+        () => items.reduce((sum, item) => sum + item.quantity, 0),
+        [items]
+    );
+
+    const needsPrescription = useMemo(() => items.some(item => item.requiresPrescription), [items]);
+
+    return {
+        items,
+        itemCount,
+        basketDiscount,
+        setBasketDiscount,
+        customer,
+        setCustomer,
+        redeemPoints,
+        setRedeemPoints,
+        prescription,
+        setPrescription,
+        needsPrescription,
+        acknowledgedWarnings,
+        toggleWarning,
+        addMedicine,
+        swapMedicine,
+        addCustomItem,
+        updateQuantity,
+        updateDiscount,
+        removeItem,
+        clear
+    };
+}
@@ -1,91 +1,79 @@
 import { useState, useEffect, useCallback } from 'react';
 import {
-    getSalesHistory,
-    getTodaysSales,
-    getSalesByDateRange,
+    getSalesPage,
+    getSalesSummary,
     createSale
 } from '../db/db';
 
 /**
  * Custom Hook for Sales Operations
- * Provides reactive access to sales data
+ * One page of sale lines plus database-computed totals for the selected range.
+ * start/end are Dates (end exclusive); null/null is all time.
  */
-export function useSales() {
-    const [sales, setSales] = useState([]);
-    const [todaysSales, setTodaysSales] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
+export function useSales({ pageSize = 25 } = {}) {
+    const [range, setRangeState] = useState({ start: null, end: null });
+    const [page, setPage] = useState(0);
+    const [reloadKey, setReloadKey] = useState(0);
+    const [pageResult, setPageResult] = useState(null); // { key, rows, total, error }
+    const [summaryResult, setSummaryResult] = useState(null); // { key, summary, error }
 
-    // Fetch all sales
-    const fetchSales = useCallback(async () => {
-        setLoading(true);
-        setError(null);
+    // Results are tagged with what they were loaded for; a mismatch means loading
+    const rangeKey = `${range.start?.getTime() ?? ''}_${range.end?.getTime() ?? ''}_${reloadKey}`;
+    const pageKey = `${rangeKey}_${page}_${pageSize}`;
 
-        const [historyResult, todayResult] = await Promise.all([
-            getSalesHistory(),
-            getTodaysSales()
-        ]);
-
-        if (historyResult.success) {
-            setSales(historyResult.data);
-        } else {
-            setError(historyResult.error);
-        }
+    useEffect(() => {
+        let cancelled = false;
+        getSalesPage({ start: range.start, end: range.end, page, pageSize }).then(result => {
+            if (cancelled) return;
+            setPageResult(result.success
+                ? { key: pageKey, ...result.data, error: null }
+                : { key: pageKey, rows: [], total: 0, error: result.error });
+        });
+        return () => { cancelled = true; };
+    }, [range, page, pageSize, pageKey]);
 
-        if (todayResult.success) {
-            setTodaysSales(todayResult.data);
-        }
+    useEffect(() => {
+        let cancelled = false;
+        getSalesSummary(range.start, range.end).then(result => {
+            if (cancelled) return;
+            setSummaryResult({ key: rangeKey, summary: result.success ? result.data : null, error: result.success ? null : result.error });
+        });
+        return () => { cancelled = true; };
+    }, [range, rangeKey]);
 
-        setLoading(false);
+    // Change the range and go back to the first page
+    const setRange = useCallback((start, end) => {
+        setRangeState({ start, end });
+        setPage(0);
     }, []);
 
-    // Initial fetch
-    useEffect(() => {
-        fetchSales();
-    }, [fetchSales]);
+    const refresh = useCallback(() => setReloadKey(prev => prev + 1), []);
 
     // Create a sale
     const sell = useCallback(async (medicineId, quantity) => {
         const result = await createSale(medicineId, quantity);
         if (result.success) {
-            await fetchSales();
+            refresh();
         }
         return result;
-    }, [fetchSales]);
-
-    // Get sales by date range
-    const getByDateRange = useCallback(async (startDate, endDate) => {
-        setLoading(true);
-        const result = await getSalesByDateRange(startDate, endDate);
-        if (result.success) {
-            setSales(result.data);
-        }
-        setLoading(false);
-        return result;
-    }, []);
-
-    // Calculate totals
-    const getTotals = useCallback(() => {
-        const totalRevenue = sales.reduce((sum, sale) => sum + sale.totalPrice, 0);
-        const totalItems = sales.reduce((sum, sale) => sum + sale.quantitySold, 0);
-        const todaysRevenue = todaysSales.reduce((sum, sale) => sum + sale.totalPrice, 0);
+    }, [refresh]);
 
-        return {
-            totalRevenue,
-            totalItems,
-            todaysRevenue,
-            todaysSalesCount: todaysSales.length
-        };
-    }, [sales, todaysSales]);
+    const total = pageResult?.total || 0;
 
     return {
-        sales,
-        todaysSales,
-        loading,
-        error,
-        refresh: fetchSales,
-        sell,
-        getByDateRange,
-        getTotals
+        sales: pageResult?.rows || [], // Previous page stays visible while the next one loads
+        total,
+        page,
+        pageCount: Math.max(1, Math.ceil(total / pageSize)),
+        pageSize,
+        setPage,
+        range,
+        setRange,
+        summary: summaryResult?.summary || null,
+        loading: pageResult?.key !== pageKey,
+        summaryLoading: summaryResult?.key !== rangeKey,
+        error: pageResult?.error || summaryResult?.error || null,
+        refresh,
+        sell
     };
 }
@@ -0,0 +1,83 @@
+// Spreadsheet export (CSV and XLSX)
+//
+// A column is { header, value: (row) => any, type?: 'text' | 'number' | 'currency' | 'date', width? }.
+// Currency stays numeric in both formats so spreadsheets can sum it:
+// CSV gets two fixed decimals, XLSX gets a currency number format.
+
+const CURRENCY_FORMAT = '[$$-409]#,##0.00';
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Local time as YYYY-MM-DD HH:mm, which Excel and Sheets both parse
+function formatCsvDate(value) {
+    if (!value) return '';
+    const d = new Date(value);
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+function formatCsvValue(value, type) {
+    if (value === null || value === undefined || value === '') return '';
+    if (type === 'currency') return Number(value).toFixed(2);
+    if (type === 'date') return formatCsvDate(value);
+    return String(value);
+}
+
+// Spreadsheets run cells starting with = + - @ as formulas; numbers like -5.00 are left alone
+function neutralizeFormula(text) {
+    return /^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text) ? `'${text}` : text;
+}
+
+function escapeCsv(value) {
+    const text = neutralizeFormula(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// XLSX dates have no timezone; write-excel-file stores the UTC time, so shift to local wall-clock time
+function toSheetDate(value) {
+    const d = new Date(value);
+    return new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+}
+
+function triggerDownload(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+export function downloadCsv(rows, columns, fileName) {
+    const lines = [
+        columns.map(c => escapeCsv(c.header)).join(','),
+        ...rows.map(row => columns.map(c => escapeCsv(formatCsvValue(c.value(row), c.type))).join(','))
+    ];
+    // BOM so Excel opens the file as UTF-8
+    const blob = new Blob(['\uFEFF' + lines.join('\r\n')], { type: 'text/csv;charset=utf-8' });
+    triggerDownload(blob, `${fileName}.csv`);
+}
+
+export async function downloadXlsx(rows, columns, fileName, sheetName = 'Sheet1') {
+    // Loaded on demand; only admins exporting reports need it
+    const { default: writeXlsxFile } = await import('write-excel-file/browser');
+
+    const xlsxColumns = columns.map(c => ({
+        header: { value: c.header, fontWeight: 'bold' },
+        width: c.width,
+        cell: (row) => {
+            const value = c.value(row);
+            if (value === null || value === undefined || value === '') return { value: null };
+            if (c.type === 'currency') return { value: Number(value), type: Number, format: CURRENCY_FORMAT };
+            if (c.type === 'number') return { value: Number(value), type: Number };
+            if (c.type === 'date') return { value: toSheetDate(value), type: Date, format: DATE_FORMAT };
+            return { value: String(value), type: String };
+        }
+    }));
+
+    await writeXlsxFile(rows, { columns: xlsxColumns, sheet: sheetName, stickyRowsCount: 1 }).toFile(`${fileName}.xlsx`);
+}
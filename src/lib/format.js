@@ -0,0 +1,40 @@
+// Shared display formatters
+
+export function formatCurrency(amount) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency: 'USD'
+    }).format(amount || 0);
+}
+
+export function formatDateTime(dateString) {
+    if (!dateString) return 'N/A';
+    return new Date(dateString).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Invoice numbers are sequential integers; receipts show them zero-padded
+export function formatReceiptNumber(invoiceNumber) {
+    if (invoiceNumber === null || invoiceNumber === undefined) return 'N/A';
+    return `R-${String(invoiceNumber).padStart(6, '0')}`;
+}
+
+export function formatPoNumber(poNumber) {
+    if (poNumber === null || poNumber === undefined) return 'N/A';
+    return `PO-${String(poNumber).padStart(5, '0')}`;
+}
+
+export function formatReturnNumber(returnNumber) {
+    if (returnNumber === null || returnNumber === undefined) return 'N/A';
+    return `RT-${String(returnNumber).padStart(6, '0')}`;
+}
+
+export function formatShiftNumber(shiftNumber) {
+    if (shiftNumber === null || shiftNumber === undefined) return 'N/A';
+    return `S-${String(shiftNumber).padStart(5, '0')}`;
+}
@@ -0,0 +1,206 @@
+// Drug interaction and duplicate-therapy checks against a local dataset
+// keyed by generic name, imported from JSON, CSV or XLSX
+
+import { readSpreadsheet } from './medicineImport';
+
+export const INTERACTION_SEVERITIES = {
+    minor: { label: 'Minor', rank: 1, badge: 'bg-slate-100 text-slate-700' },
+    moderate: { label: 'Moderate', rank: 2, badge: 'bg-amber-100 text-amber-800' },
+    major: { label: 'Major', rank: 3, badge: 'bg-red-100 text-red-700' },
+    contraindicated: { label: 'Contraindicated', rank: 4, badge: 'bg-red-600 text-white' }
+};
+
+// Duplicate therapy is flagged at this level
+export const DUPLICATE_SEVERITY = 'moderate';
+
+// Purchases this recent are checked against the basket
+export const HISTORY_DAYS = 90;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/**
+ * Key a generic name is stored and matched by: lower case, single spaces.
+ */
+export function normalizeGeneric(name) {
+    return String(name ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Combination products list their ingredients as "A + B" or "A/B"
+export function genericIngredients(genericName) {
+    return String(genericName ?? '')
+        .split(/\s*[+/]\s*/)
+        .map(normalizeGeneric)
+        .filter(Boolean);
+}
+
+// Same key for A–B and B–A
+export function pairKey(a, b) {
+    return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+function normalizeSeverity(value) {
+    const text = normalizeHeader(value);
+    if (INTERACTION_SEVERITIES[text]) return text;
+    if (/contra/.test(text)) return 'contraindicated';
+    if (/major|severe|high|serious/.test(text)) return 'major';
+    if (/minor|low|mild/.test(text)) return 'minor';
+    return 'moderate';
+}
+
+const INTERACTION_COLUMNS = {
+    a: ['drug a', 'drug 1', 'generic a', 'generic 1', 'drug', 'generic name a'],
+    b: ['drug b', 'drug 2', 'generic b', 'generic 2', 'interacts with', 'generic name b'],
+    severity: ['severity', 'level', 'risk'],
+    description: ['description', 'effect', 'interaction', 'note', 'notes', 'advice']
+};
+
+const CLASS_COLUMNS = {
+    generic: ['generic', 'generic name', 'drug', 'ingredient'],
+    therapeuticClass: ['class', 'therapeutic class', 'drug class', 'group']
+};
+
+function findColumns(headers, columns) {
+    const normalized = headers.map(normalizeHeader);
+    return Object.fromEntries(Object.entries(columns).map(([key, aliases]) => (
+        [key, normalized.findIndex(h => aliases.includes(h))]
+    )));
+}
+
+function cleanInteraction(row) {
+    const a = normalizeGeneric(row.a);
+    const b = normalizeGeneric(row.b);
+    if (!a || !b || a === b) return null;
+    return {
+        key: pairKey(a, b),
+        a: a < b ? a : b,
+        b: a < b ? b : a,
+        severity: normalizeSeverity(row.severity),
+        description: String(row.description ?? '').trim()
+    };
+}
+
+function cleanClass(row) {
+    const generic = normalizeGeneric(row.generic);
+    const therapeuticClass = String(row.therapeuticClass ?? '').trim();
+    if (!generic || !therapeuticClass) return null;
+    return { generic, therapeuticClass };
+}
+
+/**
+ * Read an interaction file into { interactions, classes, skipped }.
+ * JSON: { interactions: [{ a, b, severity, description }], classes: [{ generic, class }] }
+ * (or just the interactions array). CSV/XLSX: one sheet of either
+ * interactions (Drug A, Drug B, Severity, Description) or classes
+ * (Generic Name, Therapeutic Class).
+ */
+export async function readInteractionFile(file) {
+    let interactions = [];
+    let classes = [];
+    let total = 0;
+
+    if (/\.json$/i.test(file.name)) {
+        const data = JSON.parse(await file.text());
+        const rawInteractions = Array.isArray(data) ? data : data.interactions || [];
+        const rawClasses = Array.isArray(data) ? [] : data.classes || [];
+        total = rawInteractions.length + rawClasses.length;
+        interactions = rawInteractions.map(i => cleanInteraction({
+            a: i.a ?? i.drugA ?? i.drug1,
+            b: i.b ?? i.drugB ?? i.drug2,
+            severity: i.severity,
+            description: i.description ?? i.effect
+        }));
+        classes = rawClasses.map(c => cleanClass({
+            generic: c.generic ?? c.genericName,
+            therapeuticClass: c.class ?? c.therapeuticClass
+        }));
+    } else {
+        const [headers = [], ...rows] = await readSpreadsheet(file);
+        const filled = rows.filter(row => row.some(value => value !== null && String(value).trim() !== ''));
+        const interactionColumns = findColumns(headers, INTERACTION_COLUMNS);
+        const classColumns = findColumns(headers, CLASS_COLUMNS);
+        total = filled.length;
+
+        if (interactionColumns.a !== -1 && interactionColumns.b !== -1) {
+            interactions = filled.map(row => cleanInteraction({
+                a: row[interactionColumns.a],
+                b: row[interactionColumns.b],
+                severity: interactionColumns.severity === -1 ? '' : row[interactionColumns.severity],
+                description: interactionColumns.description === -1 ? '' : row[interactionColumns.description]
+            }));
+        } else if (classColumns.generic !== -1 && classColumns.therapeuticClass !== -1) {
+            classes = filled.map(row => cleanClass({
+                generic: row[classColumns.generic],
+                therapeuticClass: row[classColumns.therapeuticClass]
+            }));
+        } else {
+            throw new Error('Expected Drug A / Drug B columns, or Generic Name / Therapeutic Class columns');
+        }
+    }
+
+    interactions = interactions.filter(Boolean);
+    classes = classes.filter(Boolean);
+    return { interactions, classes, skipped: total - interactions.length - classes.length };
+}
+
+/**
+ * Interactions and duplicate therapy among the basket, and between the basket
+ * and recent purchases. Items are { name, genericName }; data is
+ * { interactions: Map(pairKey → interaction), classes: Map(generic → class) }.
+ * Returns [{ key, kind: 'interaction' | 'duplicate', severity, names, description, fromHistory }],
+ * most severe first.
+ */
+export function findWarnings(basket, history, data) {
+    const warnings = new Map();
+    const entries = (items, fromHistory) => items.flatMap(item => (
+        genericIngredients(item.genericName).map(generic => ({ generic, name: item.name, fromHistory }))
+    ));
+    const current = entries(basket, false);
+    const past = entries(history, true).filter(p => !current.some(c => c.generic === p.generic && c.name === p.name));
+
+    const check = (first, second) => {
+        if (first.name === second.name) return;
+        const names = [first.name, second.name];
+        const fromHistory = first.fromHistory || second.fromHistory;
+
+        const interaction = data.interactions.get(pairKey(first.generic, second.generic));
+        if (interaction) {
+            const key = `interaction:${interaction.key}`;
+            if (!warnings.has(key)) {
+                warnings.set(key, {
+                    key,
+                    kind: 'interaction',
+                    severity: interaction.severity,
+                    names,
+                    description: interaction.description,
+                    fromHistory
+                });
+            }
+        }
+
+        // Two products with the same ingredient are a duplicate even without class data
+        const sameGeneric = first.generic === second.generic;
+        const firstClass = data.classes.get(first.generic);
+        if (sameGeneric || (firstClass && firstClass === data.classes.get(second.generic))) {
+            const key = `duplicate:${[first.name, second.name].sort().join('|')}`;
+            if (!warnings.has(key)) {
+                warnings.set(key, {
+                    key,
+                    kind: 'duplicate',
+                    severity: DUPLICATE_SEVERITY,
+                    names,
+                    description: sameGeneric ? `Both contain ${first.generic}` : `Both are ${firstClass}`,
+                    fromHistory
+                });
+            }
+        }
+    };
+
+    current.forEach((item, index) => {
+        current.slice(index + 1).forEach(other => check(item, other));
+        past.forEach(other => check(item, other));
+    });
+
+    return [...warnings.values()].sort((x, y) =>
+        INTERACTION_SEVERITIES[y.severity].rank - INTERACTION_SEVERITIES[x.severity].rank
+    );
+}
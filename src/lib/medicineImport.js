@@ -0,0 +1,194 @@
+// Bulk medicine import: read CSV/XLSX, map columns to medicine fields, build preview rows
+
+import { validateMedicine, MEDICINE_CATEGORIES } from './medicineValidation';
+
+// Fields accepted by addMedicine, with header spellings recognised automatically
+export const IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'medicine', 'medicine name', 'item', 'item name', 'product'] },
+    { key: 'genericName', label: 'Generic Name', aliases: ['generic', 'generic name'] },
+    { key: 'brandName', label: 'Brand', aliases: ['brand', 'brand name', 'manufacturer'] },
+    { key: 'category', label: 'Category', aliases: ['category', 'type', 'form', 'dosage form'] },
+    { key: 'barcode', label: 'Barcode', aliases: ['barcode', 'ean', 'upc'] },
+    { key: 'batchNumber', label: 'Batch Number', aliases: ['batch', 'batch number', 'batch no', 'lot', 'lot number'] },
+    { key: 'purchasePrice', label: 'Purchase Price', aliases: ['purchase price', 'cost', 'cost price', 'buy price', 'unit cost'] },
+    { key: 'sellingPrice', label: 'Selling Price', required: true, aliases: ['selling price', 'price', 'sale price', 'retail price', 'sell price'] },
+    { key: 'quantity', label: 'Quantity', aliases: ['quantity', 'qty', 'stock', 'units'] },
+    { key: 'expiryDate', label: 'Expiry Date', aliases: ['expiry', 'expiry date', 'expiration', 'expiration date', 'exp', 'exp date'] },
+    { key: 'supplierName', label: 'Supplier', aliases: ['supplier', 'supplier name', 'vendor'] }
+];
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Splits CSV text into rows, honouring quoted fields. Uses ';' when the header has more of them than ','.
+function parseCsv(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (inQuotes) {
+            if (char === '"' && content[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Read the first sheet of a .csv or .xlsx file as an array of rows (first row = headers).
+ */
+export async function readSpreadsheet(file) {
+    if (/\.xlsx$/i.test(file.name)) {
+        // Loaded on demand; only needed while importing
+        const { readSheet } = await import('read-excel-file/browser');
+        return readSheet(file);
+    }
+    return parseCsv(await file.text());
+}
+
+// { fieldKey: columnIndex } for every field whose header is recognised
+export function guessMapping(headers) {
+    const normalized = headers.map(normalizeHeader);
+    const mapping = {};
+    IMPORT_FIELDS.forEach(field => {
+        const index = normalized.findIndex(h => field.aliases.includes(h));
+        mapping[field.key] = index === -1 ? '' : index;
+    });
+    return mapping;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Returns YYYY-MM-DD, or the original text when it can't be read (validation reports it)
+function normalizeDate(value) {
+    if (value === null || value === undefined || value === '') return '';
+    if (value instanceof Date) {
+        // Spreadsheet dates are read as UTC midnight
+        return `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    if (match) return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+
+    // Day first (DD/MM/YYYY), as written in the stock book
+    match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+    if (match) return `${match[3]}-${pad(match[2])}-${pad(match[1])}`;
+
+    // Packs often only print MM/YYYY: the medicine expires at the end of that month
+    match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+    if (match) {
+        const lastDay = new Date(Date.UTC(parseInt(match[2]), parseInt(match[1]), 0)).getUTCDate();
+        return `${match[2]}-${pad(match[1])}-${pad(lastDay)}`;
+    }
+
+    return text;
+}
+
+// Strips currency symbols and thousands separators
+function normalizeNumber(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+    return String(value).replace(/[^0-9.-]/g, '');
+}
+
+function normalizeCategory(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return 'Tablet';
+    return MEDICINE_CATEGORIES.find(c => c.toLowerCase() === text.toLowerCase()) || 'Other';
+}
+
+/**
+ * Turn sheet rows into preview rows:
+ * { rowNumber, data, existing, action: 'create' | 'update' | 'skip', errors }
+ * existingMode decides what happens to rows matching an existing medicine
+ * (by barcode, then by name): 'update', 'create' (add as a new item) or 'skip'.
+ */
+export function buildImportRows(rows, mapping, medicines, existingMode) {
+    const cell = (row, key) => (mapping[key] === '' || mapping[key] === undefined ? '' : row[mapping[key]]);
+    const text = (row, key) => String(cell(row, key) ?? '').trim();
+    const seenNames = {};
+    const seenBarcodes = {};
+
+    return rows.slice(1)
+        .map((row, index) => ({ row, rowNumber: index + 2 })) // Spreadsheet row numbers (1 = headers)
+        .filter(({ row }) => row.some(value => value !== null && String(value).trim() !== ''))
+        .map(({ row, rowNumber }) => {
+            const data = {
+                name: text(row, 'name'),
+                genericName: text(row, 'genericName'),
+                brandName: text(row, 'brandName'),
+                category: normalizeCategory(cell(row, 'category')),
+                barcode: text(row, 'barcode'),
+                batchNumber: text(row, 'batchNumber'),
+                purchasePrice: normalizeNumber(cell(row, 'purchasePrice')),
+                sellingPrice: normalizeNumber(cell(row, 'sellingPrice')),
+                quantity: normalizeNumber(cell(row, 'quantity')),
+                expiryDate: normalizeDate(cell(row, 'expiryDate')),
+                supplierName: text(row, 'supplierName')
+            };
+
+            const existing =
+                (data.barcode && medicines.find(m => m.barcode === data.barcode)) ||
+                medicines.find(m => m.name.toLowerCase() === data.name.toLowerCase()) ||
+                null;
+
+            let action = 'create';
+            if (existing) action = existingMode;
+
+            let errors = {};
+            if (action !== 'skip') {
+                errors = validateMedicine(data, { withStock: action === 'create' || parseInt(data.quantity) > 0 });
+
+                const key = data.name.toLowerCase();
+                if (key && seenNames[key]) {
+                    errors.name = `Same medicine as row ${seenNames[key]}`;
+                } else if (key) {
+                    seenNames[key] = rowNumber;
+                }
+
+                // Barcodes are unique: one already on another medicine, or earlier in the file, would abort the import
+                if (data.barcode) {
+                    const owner = medicines.find(m => m.barcode === data.barcode);
+                    if (owner && (action === 'create' || owner.id !== existing.id)) {
+                        errors.barcode = `Barcode already belongs to ${owner.name}`;
+                    } else if (seenBarcodes[data.barcode]) {
+                        errors.barcode = `Same barcode as row ${seenBarcodes[data.barcode]}`;
+                    } else {
+                        seenBarcodes[data.barcode] = rowNumber;
+                    }
+                }
+            }
+
+            return { rowNumber, data, existing, action, errors };
+        });
+}
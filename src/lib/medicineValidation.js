@@ -0,0 +1,58 @@
+// Validation rules shared by MedicineForm and the bulk import
+
+export const MEDICINE_CATEGORIES = [
+    'Tablet',
+    'Capsule',
+    'Syrup',
+    'Injection',
+    'Ointment',
+    'Drops',
+    'Inhaler',
+    'Cream',
+    'Liquid',
+    'Other'
+];
+
+// Legal class of a medicine; the last two always need a prescription
+export const MEDICINE_SCHEDULES = {
+    otc: 'Over the counter',
+    pharmacy: 'Pharmacy only',
+    prescription: 'Prescription only',
+    controlled: 'Controlled drug'
+};
+
+export function scheduleRequiresPrescription(schedule) {
+    return schedule === 'prescription' || schedule === 'controlled';
+}
+
+/**
+ * Returns { field: message } for every invalid field (empty when valid).
+ * Quantity and expiry are only checked when stock is being added (a new
+ * medicine, or an import row that brings a new batch).
+ */
+export function validateMedicine(medicine, { withStock = true } = {}) {
+    const errors = {};
+
+    if (!String(medicine.name ?? '').trim()) errors.name = 'Medicine name is required';
+    if (!medicine.sellingPrice || parseFloat(medicine.sellingPrice) <= 0) errors.sellingPrice = 'Valid selling price is required';
+    if (medicine.purchasePrice && !(parseFloat(medicine.purchasePrice) >= 0)) errors.purchasePrice = 'Valid purchase price is required';
+
+    if (withStock) {
+        if (medicine.quantity === '' || medicine.quantity === null || medicine.quantity === undefined || !(parseInt(medicine.quantity) >= 0)) {
+            errors.quantity = 'Valid quantity is required';
+        }
+
+        if (!medicine.expiryDate) {
+            errors.expiryDate = 'Expiry date is required';
+        } else {
+            const expiryDate = new Date(medicine.expiryDate);
+            if (isNaN(expiryDate)) {
+                errors.expiryDate = 'Invalid expiry date';
+            } else if (expiryDate < new Date()) {
+                errors.expiryDate = 'Expiry date must be in the future';
+            }
+        }
+    }
+
+    return errors;
+}
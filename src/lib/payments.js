@@ -0,0 +1,71 @@
+// Checkout payments for the POS. process_checkout checks them again against
+// the total it works out; this only lets the cashier see what is still owed
+// and the change to give.
+
+export const PAYMENT_METHODS = {
+    cash: 'Cash',
+    mobile_money: 'Mobile Money',
+    card: 'Card',
+    credit: 'On Account'
+};
+
+export const NEW_PAYMENT = { method: 'cash', amount: '', tendered: '', reference: '' };
+
+export const REFERENCE_LABELS = {
+    mobile_money: 'Transaction ID (optional)',
+    card: 'Approval code (optional)',
+    credit: 'Note (optional)'
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Work out a payment against the total.
+ * payments: [{ method, amount, tendered, reference }]. With one payment its
+ * amount is the whole total; split payments carry their own amounts.
+ * customer is the sale's customer, needed to sell on account.
+ * Returns { lines, paid, remaining, change, error } where lines are ready to
+ * send to checkout and error is the first thing stopping the sale.
+ */
+export function settlePayments(payments, total, customer = null) {
+    const single = payments.length === 1;
+    const lines = payments.map(p => {
+        const amount = single ? round2(total) : round2(parseFloat(p.amount) || 0);
+        const tendered = p.method === 'cash' && p.tendered !== '' && p.tendered !== undefined
+            ? parseFloat(p.tendered)
+            : null;
+        return {
+            method: p.method,
+            amount,
+            tendered: tendered !== null && !isNaN(tendered) ? tendered : null,
+            reference: p.reference?.trim() || null
+        };
+    });
+
+    const paid = round2(lines.reduce((sum, l) => sum + l.amount, 0));
+    const remaining = round2(total - paid);
+    const change = round2(lines.reduce((sum, l) => sum + (l.tendered !== null ? Math.max(l.tendered - l.amount, 0) : 0), 0));
+
+    let error = null;
+    const methods = lines.map(l => l.method);
+    if (new Set(methods).size !== methods.length) {
+        error = 'Use each payment method once';
+    } else if (!single && lines.some(l => l.amount <= 0)) {
+        error = 'Enter an amount for each payment';
+    } else if (Math.abs(remaining) >= 0.005) {
+        error = remaining > 0 ? `$${remaining.toFixed(2)} still to pay` : `Payments are $${(-remaining).toFixed(2)} over the total`;
+    } else if (lines.some(l => l.tendered !== null && l.tendered < l.amount)) {
+        error = 'Cash tendered is less than the cash due';
+    } else if (!customer && lines.some(l => l.method === 'credit')) {
+        error = 'Attach a customer to sell on account';
+    }
+
+    return {
+        // One payment goes without an amount so the server's total always wins
+        lines: single ? lines.map(l => ({ ...l, amount: undefined })) : lines,
+        paid,
+        remaining,
+        change,
+        error
+    };
+}
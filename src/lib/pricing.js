@@ -0,0 +1,163 @@
+// Checkout pricing preview for the POS cart. process_checkout applies the
+// same rules on the server and its result is what gets charged; this only
+// lets the cashier see discounts before confirming.
+
+export const PROMOTION_KINDS = {
+    percent: 'Percent off',
+    fixed: 'Amount off each',
+    buy_get: 'Buy X get Y free'
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Discount a promotion gives a line (0 if it doesn't apply)
+export function promotionLineDiscount(promotion, price, quantity) {
+    if (promotion.kind === 'percent') return round2(price * quantity * promotion.value / 100);
+    if (promotion.kind === 'fixed') return Math.min(promotion.value, price) * quantity;
+    const groups = Math.floor(quantity / (promotion.buyQuantity + promotion.getQuantity));
+    return groups * promotion.getQuantity * price;
+}
+
+function promotionMatches(promotion, item) {
+    if (!promotion.automatic || !item.medicineId) return false;
+    if (promotion.scope === 'category') return promotion.category === item.category;
+    if (promotion.scope === 'medicine') return promotion.medicineId === item.medicineId;
+    return true;
+}
+
+function manualAmount(discount, base) {
+    const value = parseFloat(discount?.value) || 0;
+    if (value <= 0) return 0;
+    if (discount.type === 'percent') return round2(base * Math.min(value, 100) / 100);
+    return Math.min(value, base);
+}
+
+// Share an amount over the lines by net value; the last line takes the rounding (as on the server)
+function shareOut(lines, amount, base, discount) {
+    let allocated = 0;
+    return lines.map((line, index) => {
+        if (amount <= 0) return line;
+        const share = index === lines.length - 1
+            ? round2(amount - allocated)
+            : base > 0 ? round2(amount * line.net / base) : 0;
+        allocated += share;
+        if (!share) return line;
+        return {
+            ...line,
+            net: line.net - share,
+            discounts: [...line.discounts, { ...discount, amount: share }]
+        };
+    });
+}
+
+/**
+ * Price the cart. promotions are the ones active right now.
+ * basketDiscount: null, { promotionId } or { type, value, reason }.
+ * loyalty: null or { points, pointValue } to redeem points.
+ * Returns { lines, subtotal, discountTotal, total, manualPercent, pointsRedeemed }
+ * where each line carries its discounts and net, and manualPercent is the
+ * largest share taken off by hand (checked against the staff limit).
+ */
+export function priceCart(items, promotions = [], basketDiscount = null, loyalty = null) {
+    let manualPercent = 0;
+
+    const lines = items.map(item => {
+        const gross = item.unitPrice * item.quantity;
+        const discounts = [];
+        let manual = 0;
+
+        const override = item.overridePrice === '' || item.overridePrice === null || item.overridePrice === undefined
+            ? null
+            : parseFloat(item.overridePrice);
+
+        if (item.medicineId && override !== null && !isNaN(override)) {
+            if (override < item.unitPrice) {
+                const amount = (item.unitPrice - Math.max(override, 0)) * item.quantity;
+                manual += amount;
+                discounts.push({ kind: 'override', amount, reason: item.overrideReason });
+            }
+        } else {
+            const best = promotions
+                .filter(p => promotionMatches(p, item))
+                .map(p => ({ promotion: p, amount: promotionLineDiscount(p, item.unitPrice, item.quantity) }))
+                .filter(p => p.amount > 0)
+                .sort((a, b) => b.amount - a.amount)[0];
+            if (best) {
+                discounts.push({ kind: 'promotion', amount: best.amount, reason: best.promotion.name, promotionId: best.promotion.id });
+            }
+        }
+
+        let net = gross - discounts.reduce((sum, d) => sum + d.amount, 0);
+
+        const lineAmount = manualAmount(item.discount, net);
+        if (lineAmount > 0) {
+            manual += lineAmount;
+            net -= lineAmount;
+            discounts.push({ kind: 'line', amount: lineAmount, reason: item.discount.reason });
+        }
+
+        if (gross > 0) manualPercent = Math.max(manualPercent, manual / gross * 100);
+
+        return { ...item, discounts, net };
+    });
+
+    const subtotal = lines.reduce((sum, l) => sum + l.net, 0);
+
+    let basketAmount = 0;
+    let basketReason = null;
+    if (basketDiscount?.promotionId) {
+        const promotion = promotions.find(p => p.id === basketDiscount.promotionId);
+        if (promotion) {
+            basketAmount = promotion.kind === 'percent'
+                ? round2(subtotal * promotion.value / 100)
+                : Math.min(promotion.value, subtotal);
+            basketReason = promotion.name;
+        }
+    } else if (basketDiscount) {
+        basketAmount = manualAmount(basketDiscount, subtotal);
+        basketReason = basketDiscount.reason;
+        if (subtotal > 0) manualPercent = Math.max(manualPercent, basketAmount / subtotal * 100);
+    }
+
+    const afterBasket = shareOut(lines, basketAmount, subtotal, { kind: 'basket', reason: basketReason });
+
+    // Points come off what is left; no more points are taken than that needs
+    let pointsRedeemed = Math.max(parseInt(loyalty?.points) || 0, 0);
+    let pointsAmount = 0;
+    if (pointsRedeemed > 0 && loyalty.pointValue > 0) {
+        const base = subtotal - basketAmount;
+        const worth = round2(pointsRedeemed * loyalty.pointValue);
+        pointsAmount = Math.min(worth, Math.max(base, 0));
+        if (pointsAmount < worth) pointsRedeemed = Math.ceil(pointsAmount / loyalty.pointValue);
+    } else {
+        pointsRedeemed = 0;
+    }
+    const priced = shareOut(afterBasket, pointsAmount, subtotal - basketAmount, {
+        kind: 'loyalty',
+        reason: `${pointsRedeemed} points redeemed`
+    });
+
+    const total = priced.reduce((sum, l) => sum + l.net, 0);
+    const gross = items.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0);
+
+    return {
+        lines: priced,
+        subtotal: gross,
+        discountTotal: gross - total,
+        total,
+        manualPercent,
+        pointsRedeemed
+    };
+}
+
+/**
+ * Points a priced cart earns: points per $1 paid on lines outside the
+ * excluded categories, rounded down (as process_checkout does).
+ */
+export function pointsToEarn(lines, loyalty) {
+    if (!loyalty?.enabled || !(loyalty.pointsPerDollar > 0)) return 0;
+    const eligible = lines
+        .filter(line => !loyalty.excludedCategories.includes(line.category || ''))
+        .reduce((sum, line) => sum + line.net, 0);
+    return Math.floor(Math.max(eligible, 0) * loyalty.pointsPerDollar);
+}
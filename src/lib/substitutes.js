@@ -0,0 +1,56 @@
+// Generic substitution: in-stock medicines with the same generic name, dosage form and strength
+
+import { genericIngredients } from './interactions';
+
+// "500 mg" and "500MG" are the same strength
+export function normalizeStrength(strength) {
+    return String(strength ?? '').toLowerCase().replace(/\s+/g, '');
+}
+
+// "Amoxicillin + Clavulanate" and "clavulanate/amoxicillin" are the same generic
+function genericKey(genericName) {
+    return genericIngredients(genericName).sort().join('+');
+}
+
+// Earliest expiry among batches that can still be sold
+function sellableExpiry(medicine, today) {
+    const batch = (medicine.batches || []).find(b => b.quantity > 0 && (!b.expiryDate || b.expiryDate >= today));
+    return batch ? batch.expiryDate : medicine.expiryDate;
+}
+
+/**
+ * In-stock alternatives to a medicine: same generic name and category
+ * (dosage form), and the same strength where both record one. Soonest expiry
+ * first so older stock sells first, then cheapest. Each result carries
+ * nextExpiry and strengthUnconfirmed (one side has no strength recorded).
+ */
+export function findSubstitutes(medicine, medicines) {
+    const key = genericKey(medicine.genericName);
+    if (!key) return [];
+
+    const today = new Date().toISOString().split('T')[0];
+    const strength = normalizeStrength(medicine.strength);
+
+    return medicines
+        .filter(m =>
+            m.id !== medicine.id
+            && (m.sellableQuantity ?? m.quantity) > 0
+            && m.category === medicine.category
+            && genericKey(m.genericName) === key
+            && (!strength || !m.strength || normalizeStrength(m.strength) === strength)
+        )
+        .map(m => ({
+            ...m,
+            nextExpiry: sellableExpiry(m, today) || null,
+            strengthUnconfirmed: !strength || !m.strength
+        }))
+        .sort((a, b) => {
+            if (a.strengthUnconfirmed !== b.strengthUnconfirmed) return a.strengthUnconfirmed ? 1 : -1;
+            if (a.nextExpiry !== b.nextExpiry) {
+                if (!a.nextExpiry) return 1;
+                if (!b.nextExpiry) return -1;
+                return a.nextExpiry.localeCompare(b.nextExpiry);
+            }
+            return parseFloat(a.sellingPrice) - parseFloat(b.sellingPrice);
+        });
+}
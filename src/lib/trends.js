@@ -0,0 +1,36 @@
+// Trend periods for the sales charts. Each period is compared with the
+// equally long period right before it, or for month buckets the same number
+// of calendar months (computed by the sales_trends RPC).
+
+export const TREND_PERIODS = {
+    week: { label: '7 days', days: 7, bucket: 'day' },
+    month: { label: '30 days', days: 30, bucket: 'day' },
+    quarter: { label: '12 weeks', days: 84, bucket: 'week' },
+    year: { label: '12 months', months: 12, bucket: 'month' }
+};
+
+/**
+ * { start, end } of a trend period, ending at the end of today (local time).
+ */
+export function trendRange(periodKey, now = new Date()) {
+    const period = TREND_PERIODS[periodKey];
+    const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    const start = period.months
+        ? new Date(now.getFullYear(), now.getMonth() - period.months + 1, 1)
+        : new Date(end.getFullYear(), end.getMonth(), end.getDate() - period.days);
+    return { start, end };
+}
+
+// Percentage change, or null when there is nothing to compare against
+export function percentChange(current, previous) {
+    if (!previous) return null;
+    return ((current - previous) / previous) * 100;
+}
+
+// Axis label for a bucket start date (YYYY-MM-DD)
+export function bucketLabel(bucket, type) {
+    const [year, month, day] = bucket.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    if (type === 'month') return date.toLocaleDateString('en-US', { month: 'short' });
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+}
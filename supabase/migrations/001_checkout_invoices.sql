@@ -0,0 +1,112 @@
+-- ==========================================
+-- 001: Multi-line checkout
+-- One invoice per basket, one `sales` row per line item.
+-- Run in the Supabase SQL Editor after supabase_schema.sql.
+-- ==========================================
+
+create table if not exists invoices (
+    id uuid primary key default gen_random_uuid(),
+    invoice_number bigint generated always as identity unique,
+    seller_id uuid references profiles(id),
+    total_amount numeric(12, 2) not null default 0,
+    item_count integer not null default 0,
+    created_at timestamptz not null default now()
+);
+
+alter table sales add column if not exists invoice_id uuid references invoices(id) on delete cascade;
+alter table sales add column if not exists medicine_id uuid references medicines(id) on delete set null;
+create index if not exists sales_invoice_id_idx on sales(invoice_id);
+
+alter table invoices enable row level security;
+
+drop policy if exists "Authenticated users can read invoices" on invoices;
+create policy "Authenticated users can read invoices"
+    on invoices for select to authenticated using (true);
+
+-- Writes only happen through process_checkout (security definer).
+
+-- p_items: [{ "medicineId": uuid | null, "name": text, "unitPrice": numeric, "quantity": int }]
+-- Inventory lines (medicineId set) are priced from the medicines table;
+-- custom lines use the unitPrice sent by the client.
+-- Any failing line raises, which rolls back the invoice and every stock change.
+create or replace function process_checkout(p_seller_id uuid, p_items jsonb)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_total numeric := 0;
+    v_count integer := 0;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    insert into invoices (seller_id) values (p_seller_id) returning * into v_invoice;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid
+            for update;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            if v_medicine.quantity < v_quantity then
+                raise exception 'Insufficient stock for %: only % left', v_medicine.name, v_medicine.quantity;
+            end if;
+
+            update medicines set quantity = quantity - v_quantity where id = v_medicine.id;
+
+            v_unit_price := v_medicine.selling_price;
+
+            insert into sales (invoice_id, medicine_id, medicine_name, quantity_sold, total_price, seller_id)
+            values (v_invoice.id, v_medicine.id, v_medicine.name, v_quantity, v_unit_price * v_quantity, p_seller_id);
+        else
+            v_unit_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_unit_price is null or v_unit_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+
+            insert into sales (invoice_id, medicine_name, quantity_sold, total_price, seller_id)
+            values (v_invoice.id, trim(v_item->>'name'), v_quantity, v_unit_price * v_quantity, p_seller_id);
+        end if;
+
+        v_total := v_total + v_unit_price * v_quantity;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function process_checkout(uuid, jsonb) to authenticated;
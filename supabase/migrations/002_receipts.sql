@@ -0,0 +1,15 @@
+-- ==========================================
+-- 002: Receipts
+-- Payment method shown on receipts (cash until checkout captures it).
+-- ==========================================
+
+alter table invoices add column if not exists payment_method text not null default 'cash';
+
+-- Receipts show the pharmacy profile and cashier name to every signed-in user.
+drop policy if exists "Authenticated users can read settings" on settings;
+create policy "Authenticated users can read settings"
+    on settings for select to authenticated using (true);
+
+drop policy if exists "Authenticated users can read profiles" on profiles;
+create policy "Authenticated users can read profiles"
+    on profiles for select to authenticated using (true);
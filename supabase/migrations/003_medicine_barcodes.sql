@@ -0,0 +1,9 @@
+-- ==========================================
+-- 003: Barcodes on medicines
+-- ==========================================
+
+alter table medicines add column if not exists barcode text;
+
+create unique index if not exists medicines_barcode_key
+    on medicines(barcode)
+    where barcode is not null;
@@ -0,0 +1,117 @@
+-- ==========================================
+-- 004: Offline sales replay
+-- Sales made offline carry a client-generated id so a replay that already
+-- reached the server is not recorded twice, and keep their original time.
+-- ==========================================
+
+alter table invoices add column if not exists client_id uuid unique;
+
+drop function if exists process_checkout(uuid, jsonb);
+
+-- p_options: { "clientId": uuid, "soldAt": timestamptz }
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_total numeric := 0;
+    v_count integer := 0;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid
+            for update;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            if v_medicine.quantity < v_quantity then
+                raise exception 'Insufficient stock for %: only % left', v_medicine.name, v_medicine.quantity;
+            end if;
+
+            update medicines set quantity = quantity - v_quantity where id = v_medicine.id;
+
+            v_unit_price := v_medicine.selling_price;
+
+            insert into sales (invoice_id, medicine_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, v_medicine.id, v_medicine.name, v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at);
+        else
+            v_unit_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_unit_price is null or v_unit_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+
+            insert into sales (invoice_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, trim(v_item->>'name'), v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at);
+        end if;
+
+        v_total := v_total + v_unit_price * v_quantity;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function process_checkout(uuid, jsonb, jsonb) to authenticated;
@@ -0,0 +1,310 @@
+-- ==========================================
+-- 005: Offline sale conflicts
+-- Queued offline sales that no longer fit current stock are parked in
+-- sale_conflicts for an admin to accept (negative stock), backorder or void.
+-- Every decision is written to audit_log.
+-- ==========================================
+
+create table if not exists audit_log (
+    id uuid primary key default gen_random_uuid(),
+    actor_id uuid references profiles(id),
+    action text not null,
+    entity_type text not null,
+    entity_id uuid,
+    details jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists audit_log_entity_idx on audit_log(entity_type, entity_id);
+
+create table if not exists sale_conflicts (
+    id uuid primary key default gen_random_uuid(),
+    client_id uuid not null unique,
+    seller_id uuid references profiles(id),
+    items jsonb not null,
+    sold_at timestamptz not null,
+    conflicts jsonb not null default '[]'::jsonb,
+    error text,
+    status text not null default 'pending'
+        check (status in ('pending', 'accepted', 'backordered', 'voided')),
+    invoice_id uuid references invoices(id),
+    resolution_note text,
+    resolved_by uuid references profiles(id),
+    resolved_at timestamptz,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists backorders (
+    id uuid primary key default gen_random_uuid(),
+    conflict_id uuid references sale_conflicts(id),
+    medicine_id uuid references medicines(id) on delete set null,
+    medicine_name text not null,
+    quantity integer not null check (quantity > 0),
+    status text not null default 'open' check (status in ('open', 'fulfilled', 'cancelled')),
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now()
+);
+
+alter table audit_log enable row level security;
+alter table sale_conflicts enable row level security;
+alter table backorders enable row level security;
+
+drop policy if exists "Admins can read audit log" on audit_log;
+create policy "Admins can read audit log"
+    on audit_log for select to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+drop policy if exists "Authenticated users can read sale conflicts" on sale_conflicts;
+create policy "Authenticated users can read sale conflicts"
+    on sale_conflicts for select to authenticated using (true);
+
+-- Any terminal's sync job may park its own conflicting sales
+drop policy if exists "Authenticated users can record sale conflicts" on sale_conflicts;
+create policy "Authenticated users can record sale conflicts"
+    on sale_conflicts for insert to authenticated with check (status = 'pending');
+
+drop policy if exists "Authenticated users can read backorders" on backorders;
+create policy "Authenticated users can read backorders"
+    on backorders for select to authenticated using (true);
+
+-- ------------------------------------------
+-- process_checkout: report every stock shortfall up front and let admins
+-- push stock negative (used when accepting a conflict).
+-- p_options: { "clientId": uuid, "soldAt": timestamptz, "allowNegativeStock": bool }
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_total numeric := 0;
+    v_count integer := 0;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false)
+        and exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', m.quantity
+            )),
+            string_agg(format('Only %s %s left but %s requested', m.quantity, m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where m.quantity < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            if not v_allow_negative and v_medicine.quantity < v_quantity then
+                raise exception 'Insufficient stock for %: only % left', v_medicine.name, v_medicine.quantity;
+            end if;
+
+            update medicines set quantity = quantity - v_quantity where id = v_medicine.id;
+
+            v_unit_price := v_medicine.selling_price;
+
+            insert into sales (invoice_id, medicine_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, v_medicine.id, v_medicine.name, v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at);
+        else
+            v_unit_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_unit_price is null or v_unit_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+
+            insert into sales (invoice_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, trim(v_item->>'name'), v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at);
+        end if;
+
+        v_total := v_total + v_unit_price * v_quantity;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- resolve_sale_conflict: admin decision on a parked offline sale
+-- p_resolution: 'accept' | 'backorder' | 'void'
+-- ------------------------------------------
+create or replace function resolve_sale_conflict(
+    p_conflict_id uuid,
+    p_resolution text,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_conflict sale_conflicts%rowtype;
+    v_result json;
+    v_invoice_id uuid;
+    v_status text;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can resolve sale conflicts');
+    end if;
+
+    select * into v_conflict from sale_conflicts where id = p_conflict_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Conflict not found');
+    end if;
+    if v_conflict.status <> 'pending' then
+        return json_build_object('success', false, 'error', 'Conflict already resolved');
+    end if;
+
+    if p_resolution = 'accept' then
+        v_result := process_checkout(
+            v_conflict.seller_id,
+            v_conflict.items,
+            jsonb_build_object(
+                'clientId', v_conflict.client_id,
+                'soldAt', v_conflict.sold_at,
+                'allowNegativeStock', true
+            )
+        );
+        if not (v_result->>'success')::boolean then
+            return v_result;
+        end if;
+        v_invoice_id := (v_result->'data'->>'invoiceId')::uuid;
+        v_status := 'accepted';
+    elsif p_resolution = 'backorder' then
+        insert into backorders (conflict_id, medicine_id, medicine_name, quantity, created_by)
+        select v_conflict.id, (e->>'medicineId')::uuid, e->>'name', (e->>'quantity')::integer, auth.uid()
+        from jsonb_array_elements(v_conflict.items) e
+        where e->>'medicineId' is not null;
+        v_status := 'backordered';
+    elsif p_resolution = 'void' then
+        v_status := 'voided';
+    else
+        return json_build_object('success', false, 'error', 'Unknown resolution');
+    end if;
+
+    update sale_conflicts
+    set status = v_status,
+        invoice_id = v_invoice_id,
+        resolution_note = p_note,
+        resolved_by = auth.uid(),
+        resolved_at = now()
+    where id = v_conflict.id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale_conflict.' || v_status,
+        'sale_conflict',
+        v_conflict.id,
+        jsonb_build_object(
+            'note', p_note,
+            'clientId', v_conflict.client_id,
+            'sellerId', v_conflict.seller_id,
+            'items', v_conflict.items,
+            'conflicts', v_conflict.conflicts,
+            'invoiceId', v_invoice_id
+        )
+    );
+
+    return json_build_object('success', true, 'data', json_build_object('status', v_status, 'invoiceId', v_invoice_id));
+end;
+$$;
+
+grant execute on function resolve_sale_conflict(uuid, text, text) to authenticated;
@@ -0,0 +1,90 @@
+-- ==========================================
+-- 006: Atomic stock adjustments
+-- The adjustment log row and the quantity change are written in one
+-- transaction by adjust_stock(); `quantity_change` is signed.
+-- ==========================================
+
+alter table stock_adjustments add column if not exists quantity_change integer;
+alter table stock_adjustments add column if not exists quantity_before integer;
+alter table stock_adjustments add column if not exists quantity_after integer;
+alter table stock_adjustments add column if not exists created_at timestamptz not null default now();
+
+alter table stock_adjustments drop constraint if exists stock_adjustments_adjustment_type_check;
+alter table stock_adjustments add constraint stock_adjustments_adjustment_type_check
+    check (adjustment_type in ('return', 'damage', 'expiry', 'theft', 'correction'));
+
+create index if not exists stock_adjustments_medicine_idx on stock_adjustments(medicine_id, created_at desc);
+
+-- p_type: return (+), damage / expiry / theft (-), correction (+ or -)
+create or replace function adjust_stock(
+    p_medicine_id uuid,
+    p_type text,
+    p_quantity_change integer,
+    p_reason text
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine medicines%rowtype;
+    v_after integer;
+    v_adjustment_id uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if coalesce(trim(p_reason), '') = '' then
+        return json_build_object('success', false, 'error', 'A reason is required');
+    end if;
+
+    if p_quantity_change is null or p_quantity_change = 0 then
+        return json_build_object('success', false, 'error', 'Quantity must not be zero');
+    end if;
+
+    if p_type = 'return' and p_quantity_change < 0 then
+        return json_build_object('success', false, 'error', 'Returns add stock');
+    end if;
+
+    if p_type in ('damage', 'expiry', 'theft') and p_quantity_change > 0 then
+        return json_build_object('success', false, 'error', 'Write-offs remove stock');
+    end if;
+
+    select * into v_medicine from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    v_after := v_medicine.quantity + p_quantity_change;
+    if v_after < 0 then
+        return json_build_object(
+            'success', false,
+            'error', format('Cannot remove %s: only %s in stock', -p_quantity_change, v_medicine.quantity)
+        );
+    end if;
+
+    insert into stock_adjustments (
+        medicine_id, adjustment_type, quantity, quantity_change,
+        quantity_before, quantity_after, reason, adjusted_by
+    )
+    values (
+        p_medicine_id, p_type, abs(p_quantity_change), p_quantity_change,
+        v_medicine.quantity, v_after, trim(p_reason), auth.uid()
+    )
+    returning id into v_adjustment_id;
+
+    update medicines set quantity = v_after where id = p_medicine_id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('adjustmentId', v_adjustment_id, 'quantity', v_after)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function adjust_stock(uuid, text, integer, text) to authenticated;
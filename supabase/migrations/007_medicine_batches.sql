@@ -0,0 +1,572 @@
+-- ==========================================
+-- 007: Multi-batch inventory, first-expiry-first-out
+-- medicine_batches is the source of truth for stock. medicines.quantity,
+-- expiry_date and batch_number are kept as a summary by triggers
+-- (total quantity, earliest expiring batch with stock).
+-- ==========================================
+
+create table if not exists medicine_batches (
+    id uuid primary key default gen_random_uuid(),
+    medicine_id uuid not null references medicines(id) on delete cascade,
+    batch_number text,
+    expiry_date date,
+    quantity integer not null default 0,
+    purchase_price numeric(12, 2) not null default 0,
+    received_at timestamptz not null default now()
+);
+
+create index if not exists medicine_batches_fefo_idx
+    on medicine_batches(medicine_id, expiry_date nulls last, received_at);
+
+create table if not exists sale_batch_allocations (
+    id uuid primary key default gen_random_uuid(),
+    sale_id uuid not null references sales(id) on delete cascade,
+    batch_id uuid not null references medicine_batches(id),
+    quantity integer not null
+);
+
+create index if not exists sale_batch_allocations_sale_idx on sale_batch_allocations(sale_id);
+
+alter table stock_adjustments add column if not exists batch_id uuid references medicine_batches(id);
+
+alter table medicine_batches enable row level security;
+alter table sale_batch_allocations enable row level security;
+
+drop policy if exists "Authenticated users can read batches" on medicine_batches;
+create policy "Authenticated users can read batches"
+    on medicine_batches for select to authenticated using (true);
+
+drop policy if exists "Authenticated users can read batch allocations" on sale_batch_allocations;
+create policy "Authenticated users can read batch allocations"
+    on sale_batch_allocations for select to authenticated using (true);
+
+-- Existing single-batch stock becomes each medicine's first batch
+insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+select m.id, m.batch_number, m.expiry_date, m.quantity, coalesce(m.purchase_price, 0)
+from medicines m
+where not exists (select 1 from medicine_batches b where b.medicine_id = m.id);
+
+-- ------------------------------------------
+-- Triggers
+-- ------------------------------------------
+
+-- Recompute the medicine summary from its batches
+create or replace function sync_medicine_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine_id uuid := coalesce(new.medicine_id, old.medicine_id);
+    v_next medicine_batches%rowtype;
+begin
+    select * into v_next
+    from medicine_batches
+    where medicine_id = v_medicine_id and quantity > 0
+    order by expiry_date nulls last, received_at
+    limit 1;
+
+    update medicines m
+    set quantity = coalesce((select sum(quantity) from medicine_batches where medicine_id = v_medicine_id), 0),
+        expiry_date = coalesce(v_next.expiry_date, m.expiry_date),
+        batch_number = coalesce(v_next.batch_number, m.batch_number)
+    where m.id = v_medicine_id;
+
+    return null;
+end;
+$$;
+
+drop trigger if exists medicine_batches_sync_stock on medicine_batches;
+create trigger medicine_batches_sync_stock
+    after insert or update or delete on medicine_batches
+    for each row execute function sync_medicine_stock();
+
+-- A new medicine's quantity / batch / expiry become its first batch
+create or replace function create_initial_batch()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+    values (new.id, new.batch_number, new.expiry_date, coalesce(new.quantity, 0), coalesce(new.purchase_price, 0));
+    return null;
+end;
+$$;
+
+drop trigger if exists medicines_initial_batch on medicines;
+create trigger medicines_initial_batch
+    after insert on medicines
+    for each row execute function create_initial_batch();
+
+-- Stock summary columns may only change through batches
+-- (direct updates run at trigger depth 1, batch-driven ones deeper)
+create or replace function guard_medicine_stock()
+returns trigger
+language plpgsql
+as $$
+begin
+    if pg_trigger_depth() <= 1 then
+        new.quantity := old.quantity;
+        new.expiry_date := old.expiry_date;
+        new.batch_number := old.batch_number;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists medicines_guard_stock on medicines;
+create trigger medicines_guard_stock
+    before update on medicines
+    for each row execute function guard_medicine_stock();
+
+-- ------------------------------------------
+-- consume_batches: take p_quantity from the earliest-expiring, non-expired
+-- batches and return the allocations as [{ batchId, quantity }].
+-- With p_allow_negative the remainder is taken from the newest batch.
+-- Callers must already hold a lock on the medicine row.
+-- ------------------------------------------
+create or replace function consume_batches(
+    p_medicine_id uuid,
+    p_quantity integer,
+    p_allow_negative boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_batch medicine_batches%rowtype;
+    v_remaining integer := p_quantity;
+    v_take integer;
+    v_allocations jsonb := '[]'::jsonb;
+begin
+    for v_batch in
+        select *
+        from medicine_batches
+        where medicine_id = p_medicine_id
+          and quantity > 0
+          and (expiry_date is null or expiry_date >= current_date)
+        order by expiry_date nulls last, received_at
+        for update
+    loop
+        exit when v_remaining = 0;
+        v_take := least(v_batch.quantity, v_remaining);
+        update medicine_batches set quantity = quantity - v_take where id = v_batch.id;
+        v_allocations := v_allocations || jsonb_build_object('batchId', v_batch.id, 'quantity', v_take);
+        v_remaining := v_remaining - v_take;
+    end loop;
+
+    if v_remaining > 0 then
+        if not p_allow_negative then
+            raise exception 'Insufficient stock: % more unit(s) needed', v_remaining;
+        end if;
+
+        select * into v_batch
+        from medicine_batches
+        where medicine_id = p_medicine_id
+        order by received_at desc
+        limit 1
+        for update;
+
+        if not found then
+            insert into medicine_batches (medicine_id, quantity)
+            values (p_medicine_id, 0)
+            returning * into v_batch;
+        end if;
+
+        update medicine_batches set quantity = quantity - v_remaining where id = v_batch.id;
+        v_allocations := v_allocations || jsonb_build_object('batchId', v_batch.id, 'quantity', v_remaining);
+    end if;
+
+    return v_allocations;
+end;
+$$;
+
+-- Units that can be sold today (non-expired batches)
+create or replace function sellable_quantity(p_medicine_id uuid)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+    select coalesce(sum(quantity), 0)::integer
+    from medicine_batches
+    where medicine_id = p_medicine_id
+      and quantity > 0
+      and (expiry_date is null or expiry_date >= current_date);
+$$;
+
+-- ------------------------------------------
+-- process_checkout: stock comes out of batches (FEFO) and each sale line
+-- records the batches it drew from.
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false)
+        and exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_unit_price := v_medicine.selling_price;
+
+            insert into sales (invoice_id, medicine_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, v_medicine.id, v_medicine.name, v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at)
+            returning id into v_sale_id;
+
+            v_allocations := consume_batches(v_medicine.id, v_quantity, v_allow_negative);
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            v_unit_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_unit_price is null or v_unit_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+
+            insert into sales (invoice_id, medicine_name, quantity_sold, total_price, seller_id, sale_date)
+            values (v_invoice.id, trim(v_item->>'name'), v_quantity, v_unit_price * v_quantity, p_seller_id, v_sold_at);
+        end if;
+
+        v_total := v_total + v_unit_price * v_quantity;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- Legacy single-item sale now goes through the same batch-aware path
+create or replace function process_sale(p_medicine_id uuid, p_quantity integer, p_seller_id uuid)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_name text;
+    v_result json;
+begin
+    select name into v_name from medicines where id = p_medicine_id;
+
+    v_result := process_checkout(
+        p_seller_id,
+        jsonb_build_array(jsonb_build_object('medicineId', p_medicine_id, 'name', v_name, 'quantity', p_quantity))
+    );
+
+    if not (v_result->>'success')::boolean then
+        return v_result;
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'medicineName', v_name,
+            'quantitySold', p_quantity,
+            'totalPrice', v_result->'data'->'totalAmount'
+        )
+    );
+end;
+$$;
+
+-- ------------------------------------------
+-- adjust_stock: now applied to a batch. Without p_batch_id, additions go to
+-- the earliest-expiring sellable batch and removals are taken earliest-expiry first.
+-- ------------------------------------------
+drop function if exists adjust_stock(uuid, text, integer, text);
+
+create or replace function adjust_stock(
+    p_medicine_id uuid,
+    p_type text,
+    p_quantity_change integer,
+    p_reason text,
+    p_batch_id uuid default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine medicines%rowtype;
+    v_batch medicine_batches%rowtype;
+    v_remaining integer;
+    v_take integer;
+    v_after integer;
+    v_adjustment_id uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if coalesce(trim(p_reason), '') = '' then
+        return json_build_object('success', false, 'error', 'A reason is required');
+    end if;
+
+    if p_quantity_change is null or p_quantity_change = 0 then
+        return json_build_object('success', false, 'error', 'Quantity must not be zero');
+    end if;
+
+    if p_type = 'return' and p_quantity_change < 0 then
+        return json_build_object('success', false, 'error', 'Returns add stock');
+    end if;
+
+    if p_type in ('damage', 'expiry', 'theft') and p_quantity_change > 0 then
+        return json_build_object('success', false, 'error', 'Write-offs remove stock');
+    end if;
+
+    select * into v_medicine from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    if v_medicine.quantity + p_quantity_change < 0 then
+        return json_build_object(
+            'success', false,
+            'error', format('Cannot remove %s: only %s in stock', -p_quantity_change, v_medicine.quantity)
+        );
+    end if;
+
+    if p_batch_id is not null then
+        select * into v_batch
+        from medicine_batches
+        where id = p_batch_id and medicine_id = p_medicine_id
+        for update;
+
+        if not found then
+            return json_build_object('success', false, 'error', 'Batch not found');
+        end if;
+        if v_batch.quantity + p_quantity_change < 0 then
+            return json_build_object(
+                'success', false,
+                'error', format('Cannot remove %s: only %s in batch %s', -p_quantity_change, v_batch.quantity, coalesce(v_batch.batch_number, '(unnumbered)'))
+            );
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    elsif p_quantity_change > 0 then
+        select * into v_batch
+        from medicine_batches
+        where medicine_id = p_medicine_id
+        order by (expiry_date is not null and expiry_date < current_date), expiry_date nulls last, received_at
+        limit 1
+        for update;
+
+        if not found then
+            insert into medicine_batches (medicine_id, quantity, purchase_price)
+            values (p_medicine_id, 0, coalesce(v_medicine.purchase_price, 0))
+            returning * into v_batch;
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    else
+        v_remaining := -p_quantity_change;
+        for v_batch in
+            select *
+            from medicine_batches
+            where medicine_id = p_medicine_id and quantity > 0
+            order by expiry_date nulls last, received_at
+            for update
+        loop
+            exit when v_remaining = 0;
+            v_take := least(v_batch.quantity, v_remaining);
+            update medicine_batches set quantity = quantity - v_take where id = v_batch.id;
+            v_remaining := v_remaining - v_take;
+        end loop;
+        v_batch.id := null; -- Spread over several batches
+    end if;
+
+    select quantity into v_after from medicines where id = p_medicine_id;
+
+    insert into stock_adjustments (
+        medicine_id, batch_id, adjustment_type, quantity, quantity_change,
+        quantity_before, quantity_after, reason, adjusted_by
+    )
+    values (
+        p_medicine_id, coalesce(p_batch_id, v_batch.id), p_type, abs(p_quantity_change), p_quantity_change,
+        v_medicine.quantity, v_after, trim(p_reason), auth.uid()
+    )
+    returning id into v_adjustment_id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('adjustmentId', v_adjustment_id, 'quantity', v_after)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function adjust_stock(uuid, text, integer, text, uuid) to authenticated;
+
+-- ------------------------------------------
+-- add_medicine_batch: receive a new lot without touching existing ones
+-- ------------------------------------------
+create or replace function add_medicine_batch(
+    p_medicine_id uuid,
+    p_batch_number text,
+    p_expiry_date date,
+    p_quantity integer,
+    p_purchase_price numeric
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_batch_id uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if p_quantity is null or p_quantity <= 0 then
+        return json_build_object('success', false, 'error', 'Quantity must be greater than zero');
+    end if;
+
+    if p_expiry_date is null or p_expiry_date < current_date then
+        return json_build_object('success', false, 'error', 'Expiry date must be in the future');
+    end if;
+
+    perform 1 from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+    values (p_medicine_id, nullif(trim(p_batch_number), ''), p_expiry_date, p_quantity, coalesce(p_purchase_price, 0))
+    returning id into v_batch_id;
+
+    if p_purchase_price is not null and p_purchase_price > 0 then
+        update medicines set purchase_price = p_purchase_price where id = p_medicine_id;
+    end if;
+
+    return json_build_object('success', true, 'data', json_build_object('batchId', v_batch_id));
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function add_medicine_batch(uuid, text, date, integer, numeric) to authenticated;
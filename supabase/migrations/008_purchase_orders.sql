@@ -0,0 +1,329 @@
+-- ==========================================
+-- 008: Purchase orders and goods received
+-- draft -> sent -> partially_received -> received, or cancelled before
+-- anything arrives. Receiving creates a batch per line, updates the
+-- medicine's purchase price and records ordered vs received quantities.
+-- ==========================================
+
+create table if not exists purchase_orders (
+    id uuid primary key default gen_random_uuid(),
+    po_number bigint generated always as identity unique,
+    supplier_id uuid not null references suppliers(id),
+    status text not null default 'draft'
+        check (status in ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    expected_date date,
+    notes text,
+    total_cost numeric(12, 2) not null default 0,
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists purchase_order_items (
+    id uuid primary key default gen_random_uuid(),
+    purchase_order_id uuid not null references purchase_orders(id) on delete cascade,
+    medicine_id uuid not null references medicines(id),
+    quantity_ordered integer not null check (quantity_ordered > 0),
+    unit_cost numeric(12, 2) not null check (unit_cost >= 0),
+    quantity_received integer not null default 0
+);
+
+create index if not exists purchase_order_items_order_idx on purchase_order_items(purchase_order_id);
+
+create table if not exists goods_receipts (
+    id uuid primary key default gen_random_uuid(),
+    purchase_order_id uuid not null references purchase_orders(id),
+    notes text,
+    received_by uuid references profiles(id),
+    received_at timestamptz not null default now()
+);
+
+-- quantity_outstanding is what was still expected when the goods arrived;
+-- discrepancy = received - outstanding (negative: short, positive: over-delivered)
+create table if not exists goods_receipt_items (
+    id uuid primary key default gen_random_uuid(),
+    goods_receipt_id uuid not null references goods_receipts(id) on delete cascade,
+    purchase_order_item_id uuid not null references purchase_order_items(id),
+    medicine_id uuid not null references medicines(id),
+    batch_id uuid references medicine_batches(id),
+    quantity_outstanding integer not null,
+    quantity_received integer not null check (quantity_received >= 0),
+    discrepancy integer generated always as (quantity_received - quantity_outstanding) stored,
+    unit_cost numeric(12, 2) not null,
+    batch_number text,
+    expiry_date date,
+    note text
+);
+
+create index if not exists goods_receipt_items_receipt_idx on goods_receipt_items(goods_receipt_id);
+
+alter table purchase_orders enable row level security;
+alter table purchase_order_items enable row level security;
+alter table goods_receipts enable row level security;
+alter table goods_receipt_items enable row level security;
+
+drop policy if exists "Admins can read purchase orders" on purchase_orders;
+create policy "Admins can read purchase orders"
+    on purchase_orders for select to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+drop policy if exists "Admins can read purchase order items" on purchase_order_items;
+create policy "Admins can read purchase order items"
+    on purchase_order_items for select to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+drop policy if exists "Admins can read goods receipts" on goods_receipts;
+create policy "Admins can read goods receipts"
+    on goods_receipts for select to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+drop policy if exists "Admins can read goods receipt items" on goods_receipt_items;
+create policy "Admins can read goods receipt items"
+    on goods_receipt_items for select to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+-- ------------------------------------------
+-- save_purchase_order: create (p_order_id null) or replace a draft's lines.
+-- p_items: [{ "medicineId": uuid, "quantity": int, "unitCost": numeric }]
+-- ------------------------------------------
+create or replace function save_purchase_order(
+    p_order_id uuid,
+    p_supplier_id uuid,
+    p_items jsonb,
+    p_expected_date date default null,
+    p_notes text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_order purchase_orders%rowtype;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can manage purchase orders');
+    end if;
+
+    if p_supplier_id is null then
+        return json_build_object('success', false, 'error', 'Select a supplier');
+    end if;
+
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Add at least one medicine');
+    end if;
+
+    if p_order_id is null then
+        insert into purchase_orders (supplier_id, expected_date, notes, created_by)
+        values (p_supplier_id, p_expected_date, nullif(trim(p_notes), ''), auth.uid())
+        returning * into v_order;
+    else
+        select * into v_order from purchase_orders where id = p_order_id for update;
+        if not found then
+            return json_build_object('success', false, 'error', 'Purchase order not found');
+        end if;
+        if v_order.status <> 'draft' then
+            return json_build_object('success', false, 'error', 'Only draft orders can be edited');
+        end if;
+
+        update purchase_orders
+        set supplier_id = p_supplier_id,
+            expected_date = p_expected_date,
+            notes = nullif(trim(p_notes), ''),
+            updated_at = now()
+        where id = v_order.id;
+
+        delete from purchase_order_items where purchase_order_id = v_order.id;
+    end if;
+
+    insert into purchase_order_items (purchase_order_id, medicine_id, quantity_ordered, unit_cost)
+    select v_order.id, (e->>'medicineId')::uuid, (e->>'quantity')::integer, (e->>'unitCost')::numeric
+    from jsonb_array_elements(p_items) e;
+
+    update purchase_orders
+    set total_cost = (
+        select coalesce(sum(quantity_ordered * unit_cost), 0)
+        from purchase_order_items
+        where purchase_order_id = v_order.id
+    )
+    where id = v_order.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('orderId', v_order.id, 'poNumber', v_order.po_number)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- set_purchase_order_status: draft -> sent, and draft/sent -> cancelled.
+-- Receiving statuses are only set by receive_goods.
+-- ------------------------------------------
+create or replace function set_purchase_order_status(p_order_id uuid, p_status text)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_order purchase_orders%rowtype;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can manage purchase orders');
+    end if;
+
+    select * into v_order from purchase_orders where id = p_order_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Purchase order not found');
+    end if;
+
+    if not (
+        (v_order.status = 'draft' and p_status in ('sent', 'cancelled'))
+        or (v_order.status = 'sent' and p_status = 'cancelled')
+    ) then
+        return json_build_object(
+            'success', false,
+            'error', format('Cannot change a %s order to %s', replace(v_order.status, '_', ' '), p_status)
+        );
+    end if;
+
+    update purchase_orders set status = p_status, updated_at = now() where id = v_order.id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'purchase_order_' || p_status, 'purchase_order', v_order.id,
+            jsonb_build_object('poNumber', v_order.po_number, 'from', v_order.status));
+
+    return json_build_object('success', true, 'data', json_build_object('status', p_status));
+end;
+$$;
+
+-- ------------------------------------------
+-- receive_goods: book a delivery against a sent / partially received order.
+-- p_items: [{ "orderItemId": uuid, "quantity": int, "unitCost": numeric,
+--             "batchNumber": text, "expiryDate": date, "note": text }]
+-- p_close: mark the order received even if lines are still short.
+-- ------------------------------------------
+create or replace function receive_goods(
+    p_order_id uuid,
+    p_items jsonb,
+    p_notes text default null,
+    p_close boolean default false
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_order purchase_orders%rowtype;
+    v_receipt_id uuid;
+    v_item jsonb;
+    v_line purchase_order_items%rowtype;
+    v_quantity integer;
+    v_unit_cost numeric;
+    v_expiry date;
+    v_batch_id uuid;
+    v_outstanding integer;
+    v_status text;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can receive goods');
+    end if;
+
+    select * into v_order from purchase_orders where id = p_order_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Purchase order not found');
+    end if;
+    if v_order.status not in ('sent', 'partially_received') then
+        return json_build_object('success', false, 'error', 'Only sent orders can be received');
+    end if;
+
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Nothing to receive');
+    end if;
+
+    insert into goods_receipts (purchase_order_id, notes, received_by)
+    values (v_order.id, nullif(trim(p_notes), ''), auth.uid())
+    returning id into v_receipt_id;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        select * into v_line
+        from purchase_order_items
+        where id = (v_item->>'orderItemId')::uuid and purchase_order_id = v_order.id
+        for update;
+
+        if not found then
+            raise exception 'Order line not found';
+        end if;
+
+        v_quantity := coalesce((v_item->>'quantity')::integer, 0);
+        v_unit_cost := coalesce((v_item->>'unitCost')::numeric, v_line.unit_cost);
+        v_expiry := (v_item->>'expiryDate')::date;
+        v_outstanding := greatest(v_line.quantity_ordered - v_line.quantity_received, 0);
+        v_batch_id := null;
+
+        if v_quantity < 0 then
+            raise exception 'Received quantity cannot be negative';
+        end if;
+
+        if v_quantity > 0 then
+            if v_expiry is null then
+                raise exception 'Expiry date is required for every received line';
+            end if;
+
+            insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+            values (v_line.medicine_id, nullif(trim(v_item->>'batchNumber'), ''), v_expiry, v_quantity, v_unit_cost)
+            returning id into v_batch_id;
+
+            update medicines set purchase_price = v_unit_cost where id = v_line.medicine_id;
+
+            update purchase_order_items
+            set quantity_received = quantity_received + v_quantity
+            where id = v_line.id;
+        end if;
+
+        -- Lines with nothing outstanding and nothing received carry no information
+        if v_quantity > 0 or v_outstanding > 0 then
+            insert into goods_receipt_items (
+                goods_receipt_id, purchase_order_item_id, medicine_id, batch_id,
+                quantity_outstanding, quantity_received, unit_cost, batch_number, expiry_date, note
+            )
+            values (
+                v_receipt_id, v_line.id, v_line.medicine_id, v_batch_id,
+                v_outstanding, v_quantity, v_unit_cost,
+                nullif(trim(v_item->>'batchNumber'), ''), v_expiry, nullif(trim(v_item->>'note'), '')
+            );
+        end if;
+    end loop;
+
+    if p_close or not exists (
+        select 1 from purchase_order_items
+        where purchase_order_id = v_order.id and quantity_received < quantity_ordered
+    ) then
+        v_status := 'received';
+    else
+        v_status := 'partially_received';
+    end if;
+
+    update purchase_orders set status = v_status, updated_at = now() where id = v_order.id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'goods_received', 'purchase_order', v_order.id,
+            jsonb_build_object('poNumber', v_order.po_number, 'receiptId', v_receipt_id, 'status', v_status));
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('receiptId', v_receipt_id, 'status', v_status)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function save_purchase_order(uuid, uuid, jsonb, date, text) to authenticated;
+grant execute on function set_purchase_order_status(uuid, text) to authenticated;
+grant execute on function receive_goods(uuid, jsonb, text, boolean) to authenticated;
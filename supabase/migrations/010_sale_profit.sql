@@ -0,0 +1,201 @@
+-- ==========================================
+-- 010: Profit and margin
+-- Each sale line records the unit price and unit cost at the moment of sale,
+-- so profit does not move when prices are edited later. Cost is the
+-- quantity-weighted purchase price of the batches the line drew from.
+-- Custom items have no cost and are flagged so reports can keep them apart.
+-- ==========================================
+
+alter table sales add column if not exists unit_price numeric(12, 2);
+alter table sales add column if not exists unit_cost numeric(12, 2);
+alter table sales add column if not exists is_custom boolean not null default false;
+
+-- Backfill existing lines. Lines sold before batches existed fall back to the
+-- medicine's current purchase price, the best cost still on record.
+update sales
+set unit_price = total_price / nullif(quantity_sold, 0)
+where unit_price is null;
+
+update sales s
+set unit_cost = coalesce(
+    (
+        select sum(a.quantity * b.purchase_price) / nullif(sum(a.quantity), 0)
+        from sale_batch_allocations a
+        join medicine_batches b on b.id = a.batch_id
+        where a.sale_id = s.id
+    ),
+    (select m.purchase_price from medicines m where m.id = s.medicine_id)
+)
+where s.unit_cost is null and s.medicine_id is not null;
+
+-- Lines without a medicine and without batch allocations were typed in at the till
+update sales s
+set is_custom = true
+where s.medicine_id is null
+  and not exists (select 1 from sale_batch_allocations a where a.sale_id = s.id);
+
+-- ------------------------------------------
+-- process_checkout: same flow as 007, batches are drawn before the sale line
+-- is written so the line can carry its cost.
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_quantity integer;
+    v_unit_price numeric;
+    v_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_unit_cost numeric;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false)
+        and exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_unit_price := v_medicine.selling_price;
+            v_allocations := consume_batches(v_medicine.id, v_quantity, v_allow_negative);
+
+            select sum((a->>'quantity')::integer * b.purchase_price) / v_quantity
+            into v_unit_cost
+            from jsonb_array_elements(v_allocations) a
+            join medicine_batches b on b.id = (a->>'batchId')::uuid;
+
+            insert into sales (
+                invoice_id, medicine_id, medicine_name, quantity_sold, total_price,
+                unit_price, unit_cost, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, v_medicine.id, v_medicine.name, v_quantity, v_unit_price * v_quantity,
+                v_unit_price, coalesce(v_unit_cost, v_medicine.purchase_price), p_seller_id, v_sold_at
+            )
+            returning id into v_sale_id;
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            v_unit_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_unit_price is null or v_unit_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+
+            insert into sales (invoice_id, medicine_name, quantity_sold, total_price, unit_price, is_custom, seller_id, sale_date)
+            values (v_invoice.id, trim(v_item->>'name'), v_quantity, v_unit_price * v_quantity, v_unit_price, true, p_seller_id, v_sold_at);
+        end if;
+
+        v_total := v_total + v_unit_price * v_quantity;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
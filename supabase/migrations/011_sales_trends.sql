@@ -0,0 +1,141 @@
+-- ==========================================
+-- 011: Sales trend aggregation
+-- Charts read pre-aggregated buckets instead of downloading every sale row.
+-- Each call returns the requested period and the period of equal length
+-- just before it, so the client can show "vs previous period".
+-- ==========================================
+
+create index if not exists sales_sale_date_idx on sales(sale_date);
+
+-- Revenue/transactions per bucket between p_start and p_end, empty buckets included.
+-- Buckets are cut in the caller's time zone so "a day" matches the shop's day.
+create or replace function sales_series(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text,
+    p_timezone text
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with buckets as (
+        select generate_series(
+            date_trunc(p_bucket, p_start at time zone p_timezone),
+            (p_end at time zone p_timezone) - interval '1 microsecond',
+            ('1 ' || p_bucket)::interval
+        ) as bucket
+    ),
+    totals as (
+        select
+            date_trunc(p_bucket, s.sale_date at time zone p_timezone) as bucket,
+            sum(s.total_price) as revenue,
+            count(distinct coalesce(s.invoice_id, s.id)) as transactions
+        from sales s
+        where s.sale_date >= p_start and s.sale_date < p_end
+        group by 1
+    )
+    select coalesce(jsonb_agg(jsonb_build_object(
+        'bucket', to_char(b.bucket, 'YYYY-MM-DD'),
+        'revenue', coalesce(t.revenue, 0),
+        'transactions', coalesce(t.transactions, 0)
+    ) order by b.bucket), '[]'::jsonb)
+    from buckets b
+    left join totals t on t.bucket = b.bucket;
+$$;
+
+-- ------------------------------------------
+-- sales_trends: series, hour-of-day and category mix for a period and the one before it
+-- ------------------------------------------
+create or replace function sales_trends(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text default 'day',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_prev_start timestamptz := p_start - (p_end - p_start);
+    v_totals json;
+    v_hourly json;
+    v_categories json;
+begin
+    if p_bucket not in ('day', 'week', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid bucket: ' || p_bucket);
+    end if;
+    if p_start >= p_end then
+        return json_build_object('success', false, 'error', 'Start must be before end');
+    end if;
+
+    select json_build_object(
+        'current', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date >= p_start), 0),
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date >= p_start), 0)
+        ),
+        'previous', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date < p_start), 0),
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date < p_start), 0)
+        )
+    )
+    into v_totals
+    from sales
+    where sale_date >= v_prev_start and sale_date < p_end;
+
+    select json_agg(json_build_object(
+        'hour', h.hour,
+        'transactions', coalesce(t.transactions, 0),
+        'previousTransactions', coalesce(t.previous_transactions, 0)
+    ) order by h.hour)
+    into v_hourly
+    from generate_series(0, 23) as h(hour)
+    left join (
+        select
+            extract(hour from sale_date at time zone p_timezone)::integer as hour,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start) as transactions,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start) as previous_transactions
+        from sales
+        where sale_date >= v_prev_start and sale_date < p_end
+        group by 1
+    ) t on t.hour = h.hour;
+
+    -- Lines without a medicine (custom items, deleted medicines) are grouped as 'Other'
+    select coalesce(json_agg(c order by c."revenue" desc), '[]'::json)
+    into v_categories
+    from (
+        select
+            coalesce(m.category, 'Other') as "category",
+            coalesce(sum(s.total_price) filter (where s.sale_date >= p_start), 0) as "revenue",
+            coalesce(sum(s.total_price) filter (where s.sale_date < p_start), 0) as "previousRevenue"
+        from sales s
+        left join medicines m on m.id = s.medicine_id
+        where s.sale_date >= v_prev_start and s.sale_date < p_end
+        group by 1
+    ) c;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totals', v_totals,
+            'series', sales_series(p_start, p_end, p_bucket, p_timezone),
+            'previousSeries', sales_series(v_prev_start, p_start, p_bucket, p_timezone),
+            'hourly', v_hourly,
+            'categories', v_categories
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+revoke execute on function sales_series(timestamptz, timestamptz, text, text) from public;
+grant execute on function sales_trends(timestamptz, timestamptz, text, text) to authenticated;
@@ -0,0 +1,136 @@
+-- ==========================================
+-- 012: Report summaries in the database
+-- Reports page the transaction list and ask for totals here instead of
+-- downloading every sale. A null start or end means "unbounded".
+-- ==========================================
+
+-- ------------------------------------------
+-- sales_summary: totals, top sellers and profit for a period
+-- ------------------------------------------
+create or replace function sales_summary(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_summary json;
+    v_top json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select json_build_object(
+        'revenue', coalesce(sum(total_price), 0),
+        'items', coalesce(sum(quantity_sold), 0),
+        'lines', count(*),
+        'transactions', count(distinct coalesce(invoice_id, id)),
+        'avgTransaction', coalesce(sum(total_price) / nullif(count(distinct coalesce(invoice_id, id)), 0), 0),
+        -- Profit only counts lines with a cost recorded at sale time
+        'grossProfit', coalesce(sum(total_price - unit_cost * quantity_sold) filter (where unit_cost is not null), 0),
+        'costedRevenue', coalesce(sum(total_price) filter (where unit_cost is not null), 0),
+        'customRevenue', coalesce(sum(total_price) filter (where is_custom), 0),
+        'customCount', count(*) filter (where is_custom),
+        'uncostedCount', count(*) filter (where unit_cost is null and not is_custom)
+    )
+    into v_summary
+    from sales
+    where (p_start is null or sale_date >= p_start)
+      and (p_end is null or sale_date < p_end);
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_top
+    from (
+        select medicine_name as "name", sum(quantity_sold) as "quantity", sum(total_price) as "revenue"
+        from sales
+        where (p_start is null or sale_date >= p_start)
+          and (p_end is null or sale_date < p_end)
+        group by medicine_name
+        order by sum(total_price) desc
+        limit 5
+    ) t;
+
+    return json_build_object(
+        'success', true,
+        'data', (v_summary::jsonb || jsonb_build_object('topSelling', v_top))::json
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- sales_profit_breakdown: profit per medicine, category, day or month.
+-- Periods sort newest first, the rest by profit.
+-- ------------------------------------------
+create or replace function sales_profit_breakdown(
+    p_start timestamptz default null,
+    p_end timestamptz default null,
+    p_group text default 'medicine',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_rows json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+    if p_group not in ('medicine', 'category', 'day', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid grouping: ' || p_group);
+    end if;
+
+    select coalesce(json_agg(g order by
+        case when p_group in ('day', 'month') then g."name" end desc,
+        g."profit" desc
+    ), '[]'::json)
+    into v_rows
+    from (
+        select
+            "name",
+            sum(quantity_sold) as "quantity",
+            sum(total_price) as "revenue",
+            sum(unit_cost * quantity_sold) as "cost",
+            sum(total_price - unit_cost * quantity_sold) as "profit",
+            case when sum(total_price) > 0
+                then round(sum(total_price - unit_cost * quantity_sold) / sum(total_price) * 100, 1)
+                else 0
+            end as "margin"
+        from (
+            select
+                s.*,
+                case p_group
+                    when 'medicine' then s.medicine_name
+                    when 'category' then coalesce(m.category, 'Uncategorized')
+                    when 'day' then to_char(s.sale_date at time zone p_timezone, 'YYYY-MM-DD')
+                    else to_char(s.sale_date at time zone p_timezone, 'YYYY-MM')
+                end as "name"
+            from sales s
+            left join medicines m on m.id = s.medicine_id
+            where s.unit_cost is not null
+              and (p_start is null or s.sale_date >= p_start)
+              and (p_end is null or s.sale_date < p_end)
+        ) lines
+        group by "name"
+    ) g;
+
+    return json_build_object('success', true, 'data', v_rows);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function sales_summary(timestamptz, timestamptz) to authenticated;
+grant execute on function sales_profit_breakdown(timestamptz, timestamptz, text, text) to authenticated;
@@ -0,0 +1,554 @@
+-- ==========================================
+-- 013: Returns and refunds
+-- A return is linked to the original invoice and lists the sale lines (and
+-- quantities) coming back. Restocked units go back into the batches they
+-- were sold from; written-off units (damaged) do not return to stock.
+-- Refunds above settings.refund_approval_limit wait for an admin unless
+-- an admin entered them. Report revenue is net of completed refunds.
+-- ==========================================
+
+alter table settings add column if not exists refund_approval_limit numeric(12, 2);
+
+create table if not exists sale_returns (
+    id uuid primary key default gen_random_uuid(),
+    return_number bigint generated always as identity unique,
+    invoice_id uuid not null references invoices(id) on delete cascade,
+    status text not null default 'pending'
+        check (status in ('pending', 'completed', 'rejected')),
+    refund_amount numeric(12, 2) not null check (refund_amount >= 0),
+    refund_method text not null default 'cash'
+        check (refund_method in ('cash', 'mobile_money', 'card')),
+    reason text,
+    requested_by uuid references profiles(id),
+    requested_at timestamptz not null default now(),
+    decided_by uuid references profiles(id),
+    decision_note text,
+    completed_at timestamptz
+);
+
+create table if not exists sale_return_items (
+    id uuid primary key default gen_random_uuid(),
+    return_id uuid not null references sale_returns(id) on delete cascade,
+    sale_id uuid not null references sales(id) on delete cascade,
+    quantity integer not null check (quantity > 0),
+    restock boolean not null,
+    refund_amount numeric(12, 2) not null -- This line's share of the refund
+);
+
+create index if not exists sale_returns_invoice_idx on sale_returns(invoice_id);
+create index if not exists sale_returns_completed_idx on sale_returns(completed_at) where status = 'completed';
+create index if not exists sale_return_items_sale_idx on sale_return_items(sale_id);
+
+alter table sale_returns enable row level security;
+alter table sale_return_items enable row level security;
+
+drop policy if exists "Authenticated users can read returns" on sale_returns;
+create policy "Authenticated users can read returns"
+    on sale_returns for select to authenticated using (true);
+
+drop policy if exists "Authenticated users can read return items" on sale_return_items;
+create policy "Authenticated users can read return items"
+    on sale_return_items for select to authenticated using (true);
+
+-- ------------------------------------------
+-- complete_sale_return (internal): restock, mark completed, audit
+-- ------------------------------------------
+create or replace function complete_sale_return(p_return_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_return sale_returns%rowtype;
+    v_item record;
+    v_alloc record;
+    v_batch medicine_batches%rowtype;
+    v_remaining integer;
+    v_take integer;
+    v_before integer;
+    v_after integer;
+    v_receipt text;
+begin
+    select * into v_return from sale_returns where id = p_return_id for update;
+    select 'R-' || lpad(invoice_number::text, 6, '0') into v_receipt from invoices where id = v_return.invoice_id;
+
+    for v_item in
+        select ri.*, s.medicine_id
+        from sale_return_items ri
+        join sales s on s.id = ri.sale_id
+        where ri.return_id = p_return_id and ri.restock and s.medicine_id is not null
+    loop
+        select quantity into v_before from medicines where id = v_item.medicine_id for update;
+        v_remaining := v_item.quantity;
+
+        -- Back into the batches the line was sold from, longest-dated first
+        for v_alloc in
+            select a.batch_id, a.quantity
+            from sale_batch_allocations a
+            join medicine_batches b on b.id = a.batch_id
+            where a.sale_id = v_item.sale_id
+            order by b.expiry_date desc nulls first
+        loop
+            exit when v_remaining = 0;
+            v_take := least(v_alloc.quantity, v_remaining);
+            update medicine_batches set quantity = quantity + v_take where id = v_alloc.batch_id;
+            v_remaining := v_remaining - v_take;
+        end loop;
+
+        -- Sales recorded before batch tracking: same rule as adjust_stock
+        if v_remaining > 0 then
+            select * into v_batch
+            from medicine_batches
+            where medicine_id = v_item.medicine_id
+            order by (expiry_date is not null and expiry_date < current_date), expiry_date nulls last, received_at
+            limit 1
+            for update;
+
+            if not found then
+                insert into medicine_batches (medicine_id, quantity, purchase_price)
+                select id, 0, coalesce(purchase_price, 0) from medicines where id = v_item.medicine_id
+                returning * into v_batch;
+            end if;
+
+            update medicine_batches set quantity = quantity + v_remaining where id = v_batch.id;
+        end if;
+
+        select quantity into v_after from medicines where id = v_item.medicine_id;
+
+        insert into stock_adjustments (
+            medicine_id, adjustment_type, quantity, quantity_change,
+            quantity_before, quantity_after, reason, adjusted_by
+        )
+        values (
+            v_item.medicine_id, 'return', v_item.quantity, v_item.quantity,
+            v_before, v_after,
+            format('Return RT-%s of receipt %s', lpad(v_return.return_number::text, 6, '0'), v_receipt),
+            coalesce(auth.uid(), v_return.requested_by)
+        );
+    end loop;
+
+    update sale_returns
+    set status = 'completed', completed_at = now()
+    where id = p_return_id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale_return.completed',
+        'sale_return',
+        p_return_id,
+        jsonb_build_object(
+            'returnNumber', v_return.return_number,
+            'invoiceId', v_return.invoice_id,
+            'refundAmount', v_return.refund_amount,
+            'refundMethod', v_return.refund_method,
+            'requestedBy', v_return.requested_by
+        )
+    );
+end;
+$$;
+
+revoke execute on function complete_sale_return(uuid) from public;
+
+-- ------------------------------------------
+-- create_sale_return
+-- p_items: [{ "saleId": uuid, "quantity": int, "restock": bool }]
+-- p_refund_amount defaults to the lines' value at the price paid and may not exceed it.
+-- ------------------------------------------
+create or replace function create_sale_return(
+    p_invoice_id uuid,
+    p_items jsonb,
+    p_refund_method text default 'cash',
+    p_refund_amount numeric default null,
+    p_reason text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_item jsonb;
+    v_sale sales%rowtype;
+    v_quantity integer;
+    v_returned integer;
+    v_value numeric := 0;
+    v_amount numeric;
+    v_limit numeric;
+    v_return sale_returns%rowtype;
+    v_status text;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Select at least one item to return');
+    end if;
+    if p_refund_method not in ('cash', 'mobile_money', 'card') then
+        return json_build_object('success', false, 'error', 'Invalid refund method');
+    end if;
+
+    -- Lock the invoice's lines so two returns can't both take the same units
+    perform 1 from sales where invoice_id = p_invoice_id order by id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Receipt not found');
+    end if;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        select * into v_sale from sales where id = (v_item->>'saleId')::uuid and invoice_id = p_invoice_id;
+        if not found then
+            raise exception 'Item is not on this receipt';
+        end if;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale.medicine_name;
+        end if;
+
+        select coalesce(sum(ri.quantity), 0) into v_returned
+        from sale_return_items ri
+        join sale_returns r on r.id = ri.return_id
+        where ri.sale_id = v_sale.id and r.status <> 'rejected';
+
+        if v_returned + v_quantity > v_sale.quantity_sold then
+            raise exception 'Only % of % can still be returned', v_sale.quantity_sold - v_returned, v_sale.medicine_name;
+        end if;
+
+        v_value := v_value + coalesce(v_sale.unit_price, v_sale.total_price / v_sale.quantity_sold) * v_quantity;
+    end loop;
+
+    v_amount := round(coalesce(p_refund_amount, v_value), 2);
+    if v_amount < 0 or v_amount > round(v_value, 2) then
+        return json_build_object('success', false, 'error', format('Refund must be between 0 and %s', round(v_value, 2)));
+    end if;
+
+    select refund_approval_limit into v_limit from settings limit 1;
+    v_status := case when not v_is_admin and v_limit is not null and v_amount > v_limit then 'pending' else 'completed' end;
+
+    insert into sale_returns (invoice_id, status, refund_amount, refund_method, reason, requested_by)
+    values (p_invoice_id, 'pending', v_amount, p_refund_method, nullif(trim(p_reason), ''), auth.uid())
+    returning * into v_return;
+
+    -- Each line's share of the refund, in proportion to its value
+    insert into sale_return_items (return_id, sale_id, quantity, restock, refund_amount)
+    select
+        v_return.id,
+        s.id,
+        (e->>'quantity')::integer,
+        coalesce((e->>'restock')::boolean, true),
+        case when v_value > 0
+            then round(coalesce(s.unit_price, s.total_price / s.quantity_sold) * (e->>'quantity')::integer * v_amount / v_value, 2)
+            else 0
+        end
+    from jsonb_array_elements(p_items) e
+    join sales s on s.id = (e->>'saleId')::uuid;
+
+    if v_status = 'completed' then
+        perform complete_sale_return(v_return.id);
+    else
+        insert into audit_log (actor_id, action, entity_type, entity_id, details)
+        values (auth.uid(), 'sale_return.requested', 'sale_return', v_return.id,
+                jsonb_build_object('returnNumber', v_return.return_number, 'refundAmount', v_amount, 'limit', v_limit));
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'returnId', v_return.id,
+            'returnNumber', v_return.return_number,
+            'status', v_status,
+            'refundAmount', v_amount
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- decide_sale_return: admin approves (completes) or rejects a pending return
+-- ------------------------------------------
+create or replace function decide_sale_return(
+    p_return_id uuid,
+    p_approve boolean,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_return sale_returns%rowtype;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can approve refunds');
+    end if;
+
+    select * into v_return from sale_returns where id = p_return_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Return not found');
+    end if;
+    if v_return.status <> 'pending' then
+        return json_build_object('success', false, 'error', 'Return already ' || v_return.status);
+    end if;
+
+    update sale_returns
+    set decided_by = auth.uid(), decision_note = nullif(trim(p_note), '')
+    where id = p_return_id;
+
+    if p_approve then
+        perform complete_sale_return(p_return_id);
+    else
+        update sale_returns set status = 'rejected' where id = p_return_id;
+
+        insert into audit_log (actor_id, action, entity_type, entity_id, details)
+        values (auth.uid(), 'sale_return.rejected', 'sale_return', p_return_id,
+                jsonb_build_object('returnNumber', v_return.return_number, 'note', p_note));
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('status', case when p_approve then 'completed' else 'rejected' end)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function create_sale_return(uuid, jsonb, text, numeric, text) to authenticated;
+grant execute on function decide_sale_return(uuid, boolean, text) to authenticated;
+
+-- ------------------------------------------
+-- Reports net out refunds, dated when the refund was paid (completed_at).
+-- Restocked units put their cost back into inventory, so profit only
+-- loses the refund minus that cost.
+-- ------------------------------------------
+create or replace function sales_summary(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_summary jsonb;
+    v_refunds jsonb;
+    v_top json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select jsonb_build_object(
+        'grossRevenue', coalesce(sum(total_price), 0),
+        'items', coalesce(sum(quantity_sold), 0),
+        'lines', count(*),
+        'transactions', count(distinct coalesce(invoice_id, id)),
+        'grossProfit', coalesce(sum(total_price - unit_cost * quantity_sold) filter (where unit_cost is not null), 0),
+        'costedRevenue', coalesce(sum(total_price) filter (where unit_cost is not null), 0),
+        'customRevenue', coalesce(sum(total_price) filter (where is_custom), 0),
+        'customCount', count(*) filter (where is_custom),
+        'uncostedCount', count(*) filter (where unit_cost is null and not is_custom)
+    )
+    into v_summary
+    from sales
+    where (p_start is null or sale_date >= p_start)
+      and (p_end is null or sale_date < p_end);
+
+    select jsonb_build_object(
+        'refunds', coalesce(sum(ri.refund_amount), 0),
+        'refundCount', count(distinct r.id),
+        'refundProfitImpact', coalesce(sum(
+            ri.refund_amount - case when ri.restock then ri.quantity * s.unit_cost else 0 end
+        ) filter (where s.unit_cost is not null), 0)
+    )
+    into v_refunds
+    from sale_returns r
+    join sale_return_items ri on ri.return_id = r.id
+    join sales s on s.id = ri.sale_id
+    where r.status = 'completed'
+      and (p_start is null or r.completed_at >= p_start)
+      and (p_end is null or r.completed_at < p_end);
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_top
+    from (
+        select medicine_name as "name", sum(quantity_sold) as "quantity", sum(total_price) as "revenue"
+        from sales
+        where (p_start is null or sale_date >= p_start)
+          and (p_end is null or sale_date < p_end)
+        group by medicine_name
+        order by sum(total_price) desc
+        limit 5
+    ) t;
+
+    v_summary := v_summary || v_refunds || jsonb_build_object(
+        'revenue', (v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric,
+        'grossProfit', (v_summary->>'grossProfit')::numeric - (v_refunds->>'refundProfitImpact')::numeric,
+        'avgTransaction', coalesce(
+            ((v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric)
+                / nullif((v_summary->>'transactions')::numeric, 0),
+            0
+        ),
+        'topSelling', v_top
+    );
+
+    return json_build_object('success', true, 'data', v_summary);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- Trend buckets: refunds count against the bucket they were paid in
+create or replace function sales_series(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text,
+    p_timezone text
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with buckets as (
+        select generate_series(
+            date_trunc(p_bucket, p_start at time zone p_timezone),
+            (p_end at time zone p_timezone) - interval '1 microsecond',
+            ('1 ' || p_bucket)::interval
+        ) as bucket
+    ),
+    movements as (
+        select s.sale_date as at, s.total_price as amount, coalesce(s.invoice_id, s.id) as transaction_id
+        from sales s
+        where s.sale_date >= p_start and s.sale_date < p_end
+        union all
+        select r.completed_at, -r.refund_amount, null
+        from sale_returns r
+        where r.status = 'completed' and r.completed_at >= p_start and r.completed_at < p_end
+    ),
+    totals as (
+        select
+            date_trunc(p_bucket, at at time zone p_timezone) as bucket,
+            sum(amount) as revenue,
+            count(distinct transaction_id) as transactions
+        from movements
+        group by 1
+    )
+    select coalesce(jsonb_agg(jsonb_build_object(
+        'bucket', to_char(b.bucket, 'YYYY-MM-DD'),
+        'revenue', coalesce(t.revenue, 0),
+        'transactions', coalesce(t.transactions, 0)
+    ) order by b.bucket), '[]'::jsonb)
+    from buckets b
+    left join totals t on t.bucket = b.bucket;
+$$;
+
+revoke execute on function sales_series(timestamptz, timestamptz, text, text) from public;
+
+-- Period totals net of refunds, matching the series
+create or replace function sales_trends(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text default 'day',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_prev_start timestamptz := p_start - (p_end - p_start);
+    v_totals json;
+    v_hourly json;
+    v_categories json;
+    v_refunds numeric;
+    v_prev_refunds numeric;
+begin
+    if p_bucket not in ('day', 'week', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid bucket: ' || p_bucket);
+    end if;
+    if p_start >= p_end then
+        return json_build_object('success', false, 'error', 'Start must be before end');
+    end if;
+
+    select
+        coalesce(sum(refund_amount) filter (where completed_at >= p_start), 0),
+        coalesce(sum(refund_amount) filter (where completed_at < p_start), 0)
+    into v_refunds, v_prev_refunds
+    from sale_returns
+    where status = 'completed' and completed_at >= v_prev_start and completed_at < p_end;
+
+    select json_build_object(
+        'current', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date >= p_start), 0) - v_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date >= p_start), 0)
+        ),
+        'previous', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date < p_start), 0) - v_prev_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date < p_start), 0)
+        )
+    )
+    into v_totals
+    from sales
+    where sale_date >= v_prev_start and sale_date < p_end;
+
+    select json_agg(json_build_object(
+        'hour', h.hour,
+        'transactions', coalesce(t.transactions, 0),
+        'previousTransactions', coalesce(t.previous_transactions, 0)
+    ) order by h.hour)
+    into v_hourly
+    from generate_series(0, 23) as h(hour)
+    left join (
+        select
+            extract(hour from sale_date at time zone p_timezone)::integer as hour,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start) as transactions,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start) as previous_transactions
+        from sales
+        where sale_date >= v_prev_start and sale_date < p_end
+        group by 1
+    ) t on t.hour = h.hour;
+
+    -- Lines without a medicine (custom items, deleted medicines) are grouped as 'Other'
+    select coalesce(json_agg(c order by c."revenue" desc), '[]'::json)
+    into v_categories
+    from (
+        select
+            coalesce(m.category, 'Other') as "category",
+            coalesce(sum(s.total_price) filter (where s.sale_date >= p_start), 0) as "revenue",
+            coalesce(sum(s.total_price) filter (where s.sale_date < p_start), 0) as "previousRevenue"
+        from sales s
+        left join medicines m on m.id = s.medicine_id
+        where s.sale_date >= v_prev_start and s.sale_date < p_end
+        group by 1
+    ) c;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totals', v_totals,
+            'series', sales_series(p_start, p_end, p_bucket, p_timezone),
+            'previousSeries', sales_series(v_prev_start, p_start, p_bucket, p_timezone),
+            'hourly', v_hourly,
+            'categories', v_categories
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
@@ -0,0 +1,625 @@
+-- ==========================================
+-- 014: Voiding sales
+-- A void cancels a whole receipt: every line goes back into the batches it
+-- was sold from and the invoice and its sales rows are marked voided, never
+-- deleted. The cashier who made the sale can void it within
+-- settings.void_window_minutes; after that (or for someone else's sale) an
+-- admin must approve, either signed in or by entering their approval PIN.
+-- Voided sales are left out of every report total.
+-- ==========================================
+
+create extension if not exists pgcrypto with schema extensions;
+
+alter table settings add column if not exists void_window_minutes integer not null default 10
+    check (void_window_minutes >= 0);
+
+alter table invoices add column if not exists voided_at timestamptz;
+alter table invoices add column if not exists voided_by uuid references profiles(id);
+alter table invoices add column if not exists void_approved_by uuid references profiles(id);
+alter table invoices add column if not exists void_reason text;
+
+-- Copied onto the lines so report queries filter without a join
+alter table sales add column if not exists voided_at timestamptz;
+
+create index if not exists invoices_voided_idx on invoices(voided_at desc) where voided_at is not null;
+
+alter table stock_adjustments drop constraint if exists stock_adjustments_adjustment_type_check;
+alter table stock_adjustments add constraint stock_adjustments_adjustment_type_check
+    check (adjustment_type in ('return', 'damage', 'expiry', 'theft', 'correction', 'void'));
+
+-- Admin approval PINs live apart from profiles (which every user can read).
+-- No policies: only the functions below touch this table.
+create table if not exists approval_pins (
+    profile_id uuid primary key references profiles(id) on delete cascade,
+    pin_hash text not null,
+    updated_at timestamptz not null default now()
+);
+
+alter table approval_pins enable row level security;
+
+-- ------------------------------------------
+-- restock_sale_line (internal): put units of a sale line back into the
+-- batches it was sold from, longest-dated first, and log the adjustment.
+-- Shared by returns and voids.
+-- ------------------------------------------
+create or replace function restock_sale_line(
+    p_sale_id uuid,
+    p_quantity integer,
+    p_type text,
+    p_reason text,
+    p_actor uuid
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine_id uuid;
+    v_alloc record;
+    v_batch medicine_batches%rowtype;
+    v_remaining integer := p_quantity;
+    v_take integer;
+    v_before integer;
+    v_after integer;
+begin
+    select medicine_id into v_medicine_id from sales where id = p_sale_id;
+    if v_medicine_id is null then
+        return; -- Custom item, nothing to restock
+    end if;
+
+    select quantity into v_before from medicines where id = v_medicine_id for update;
+
+    for v_alloc in
+        select a.batch_id, a.quantity
+        from sale_batch_allocations a
+        join medicine_batches b on b.id = a.batch_id
+        where a.sale_id = p_sale_id
+        order by b.expiry_date desc nulls first
+    loop
+        exit when v_remaining = 0;
+        v_take := least(v_alloc.quantity, v_remaining);
+        update medicine_batches set quantity = quantity + v_take where id = v_alloc.batch_id;
+        v_remaining := v_remaining - v_take;
+    end loop;
+
+    -- Sales recorded before batch tracking: same rule as adjust_stock
+    if v_remaining > 0 then
+        select * into v_batch
+        from medicine_batches
+        where medicine_id = v_medicine_id
+        order by (expiry_date is not null and expiry_date < current_date), expiry_date nulls last, received_at
+        limit 1
+        for update;
+
+        if not found then
+            insert into medicine_batches (medicine_id, quantity, purchase_price)
+            select id, 0, coalesce(purchase_price, 0) from medicines where id = v_medicine_id
+            returning * into v_batch;
+        end if;
+
+        update medicine_batches set quantity = quantity + v_remaining where id = v_batch.id;
+    end if;
+
+    select quantity into v_after from medicines where id = v_medicine_id;
+
+    insert into stock_adjustments (
+        medicine_id, adjustment_type, quantity, quantity_change,
+        quantity_before, quantity_after, reason, adjusted_by
+    )
+    values (v_medicine_id, p_type, p_quantity, p_quantity, v_before, v_after, p_reason, p_actor);
+end;
+$$;
+
+revoke execute on function restock_sale_line(uuid, integer, text, text, uuid) from public;
+
+-- Returns now restock through the shared helper
+create or replace function complete_sale_return(p_return_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_return sale_returns%rowtype;
+    v_item record;
+    v_receipt text;
+begin
+    select * into v_return from sale_returns where id = p_return_id for update;
+    select 'R-' || lpad(invoice_number::text, 6, '0') into v_receipt from invoices where id = v_return.invoice_id;
+
+    for v_item in
+        select * from sale_return_items where return_id = p_return_id and restock
+    loop
+        perform restock_sale_line(
+            v_item.sale_id,
+            v_item.quantity,
+            'return',
+            format('Return RT-%s of receipt %s', lpad(v_return.return_number::text, 6, '0'), v_receipt),
+            coalesce(auth.uid(), v_return.requested_by)
+        );
+    end loop;
+
+    update sale_returns
+    set status = 'completed', completed_at = now()
+    where id = p_return_id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale_return.completed',
+        'sale_return',
+        p_return_id,
+        jsonb_build_object(
+            'returnNumber', v_return.return_number,
+            'invoiceId', v_return.invoice_id,
+            'refundAmount', v_return.refund_amount,
+            'refundMethod', v_return.refund_method,
+            'requestedBy', v_return.requested_by
+        )
+    );
+end;
+$$;
+
+revoke execute on function complete_sale_return(uuid) from public;
+
+-- A voided receipt can't also be returned
+create or replace function check_return_not_voided()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if exists (select 1 from sales where id = new.sale_id and voided_at is not null) then
+        raise exception 'This receipt has been voided';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists sale_return_items_not_voided on sale_return_items;
+create trigger sale_return_items_not_voided
+    before insert on sale_return_items
+    for each row execute function check_return_not_voided();
+
+-- ------------------------------------------
+-- set_approval_pin: an admin sets their own 4–8 digit PIN
+-- ------------------------------------------
+create or replace function set_approval_pin(p_pin text)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can set an approval PIN');
+    end if;
+    if p_pin !~ '^[0-9]{4,8}$' then
+        return json_build_object('success', false, 'error', 'PIN must be 4 to 8 digits');
+    end if;
+
+    insert into approval_pins (profile_id, pin_hash)
+    values (auth.uid(), extensions.crypt(p_pin, extensions.gen_salt('bf')))
+    on conflict (profile_id) do update
+    set pin_hash = excluded.pin_hash, updated_at = now();
+
+    insert into audit_log (actor_id, action, entity_type, entity_id)
+    values (auth.uid(), 'approval_pin.set', 'profile', auth.uid());
+
+    return json_build_object('success', true);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- void_sale
+-- Without admin approval the result is { success: false, needsApproval: true }
+-- so the client can ask for a PIN. Five wrong PINs in 15 minutes lock the
+-- cashier out of PIN approval for the rest of that window.
+-- ------------------------------------------
+create or replace function void_sale(
+    p_invoice_id uuid,
+    p_reason text,
+    p_admin_pin text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_window integer;
+    v_approver uuid;
+    v_line record;
+    v_receipt text;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if coalesce(trim(p_reason), '') = '' then
+        return json_build_object('success', false, 'error', 'A reason is required');
+    end if;
+
+    select * into v_invoice from invoices where id = p_invoice_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Receipt not found');
+    end if;
+    if v_invoice.voided_at is not null then
+        return json_build_object('success', false, 'error', 'This receipt is already voided');
+    end if;
+    if exists (select 1 from sale_returns where invoice_id = p_invoice_id and status <> 'rejected') then
+        return json_build_object('success', false, 'error', 'This receipt has returns against it; refund the rest as a return instead');
+    end if;
+
+    select coalesce(void_window_minutes, 10) into v_window from settings where id = 1;
+
+    if exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        v_approver := auth.uid();
+    elsif v_invoice.seller_id = auth.uid()
+      and v_invoice.created_at > now() - make_interval(mins => coalesce(v_window, 10)) then
+        v_approver := null; -- Own sale, inside the window
+    else
+        if coalesce(p_admin_pin, '') = '' then
+            return json_build_object('success', false, 'needsApproval', true,
+                'error', 'An admin must approve voiding this sale');
+        end if;
+
+        if (select count(*) from audit_log
+            where actor_id = auth.uid() and action = 'sale.void_pin_failed'
+              and created_at > now() - interval '15 minutes') >= 5 then
+            return json_build_object('success', false, 'needsApproval', true,
+                'error', 'Too many wrong PINs. Ask an admin to sign in, or try again later');
+        end if;
+
+        select p.id into v_approver
+        from approval_pins ap
+        join profiles p on p.id = ap.profile_id
+        where p.role = 'admin' and ap.pin_hash = extensions.crypt(p_admin_pin, ap.pin_hash)
+        limit 1;
+
+        if v_approver is null then
+            insert into audit_log (actor_id, action, entity_type, entity_id)
+            values (auth.uid(), 'sale.void_pin_failed', 'invoice', p_invoice_id);
+            return json_build_object('success', false, 'needsApproval', true, 'error', 'Incorrect admin PIN');
+        end if;
+    end if;
+
+    v_receipt := 'R-' || lpad(v_invoice.invoice_number::text, 6, '0');
+
+    for v_line in select id, quantity_sold from sales where invoice_id = p_invoice_id loop
+        perform restock_sale_line(v_line.id, v_line.quantity_sold, 'void', 'Void of receipt ' || v_receipt, auth.uid());
+    end loop;
+
+    update sales set voided_at = now() where invoice_id = p_invoice_id;
+
+    update invoices
+    set voided_at = now(),
+        voided_by = auth.uid(),
+        void_approved_by = v_approver,
+        void_reason = trim(p_reason)
+    where id = p_invoice_id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale.voided',
+        'invoice',
+        p_invoice_id,
+        jsonb_build_object(
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_invoice.total_amount,
+            'sellerId', v_invoice.seller_id,
+            'approvedBy', v_approver,
+            'reason', trim(p_reason)
+        )
+    );
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('invoiceNumber', v_invoice.invoice_number, 'approvedBy', v_approver)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function set_approval_pin(text) to authenticated;
+grant execute on function void_sale(uuid, text, text) to authenticated;
+
+-- ------------------------------------------
+-- Reports: same as 012/013 with voided lines left out
+-- ------------------------------------------
+create or replace function sales_summary(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_summary jsonb;
+    v_refunds jsonb;
+    v_top json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select jsonb_build_object(
+        'grossRevenue', coalesce(sum(total_price), 0),
+        'items', coalesce(sum(quantity_sold), 0),
+        'lines', count(*),
+        'transactions', count(distinct coalesce(invoice_id, id)),
+        'grossProfit', coalesce(sum(total_price - unit_cost * quantity_sold) filter (where unit_cost is not null), 0),
+        'costedRevenue', coalesce(sum(total_price) filter (where unit_cost is not null), 0),
+        'customRevenue', coalesce(sum(total_price) filter (where is_custom), 0),
+        'customCount', count(*) filter (where is_custom),
+        'uncostedCount', count(*) filter (where unit_cost is null and not is_custom)
+    )
+    into v_summary
+    from sales
+    where voided_at is null
+      and (p_start is null or sale_date >= p_start)
+      and (p_end is null or sale_date < p_end);
+
+    select jsonb_build_object(
+        'refunds', coalesce(sum(ri.refund_amount), 0),
+        'refundCount', count(distinct r.id),
+        'refundProfitImpact', coalesce(sum(
+            ri.refund_amount - case when ri.restock then ri.quantity * s.unit_cost else 0 end
+        ) filter (where s.unit_cost is not null), 0)
+    )
+    into v_refunds
+    from sale_returns r
+    join sale_return_items ri on ri.return_id = r.id
+    join sales s on s.id = ri.sale_id
+    where r.status = 'completed'
+      and (p_start is null or r.completed_at >= p_start)
+      and (p_end is null or r.completed_at < p_end);
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_top
+    from (
+        select medicine_name as "name", sum(quantity_sold) as "quantity", sum(total_price) as "revenue"
+        from sales
+        where voided_at is null
+          and (p_start is null or sale_date >= p_start)
+          and (p_end is null or sale_date < p_end)
+        group by medicine_name
+        order by sum(total_price) desc
+        limit 5
+    ) t;
+
+    v_summary := v_summary || v_refunds || jsonb_build_object(
+        'revenue', (v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric,
+        'grossProfit', (v_summary->>'grossProfit')::numeric - (v_refunds->>'refundProfitImpact')::numeric,
+        'avgTransaction', coalesce(
+            ((v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric)
+                / nullif((v_summary->>'transactions')::numeric, 0),
+            0
+        ),
+        'topSelling', v_top
+    );
+
+    return json_build_object('success', true, 'data', v_summary);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+create or replace function sales_profit_breakdown(
+    p_start timestamptz default null,
+    p_end timestamptz default null,
+    p_group text default 'medicine',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_rows json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+    if p_group not in ('medicine', 'category', 'day', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid grouping: ' || p_group);
+    end if;
+
+    select coalesce(json_agg(g order by
+        case when p_group in ('day', 'month') then g."name" end desc,
+        g."profit" desc
+    ), '[]'::json)
+    into v_rows
+    from (
+        select
+            "name",
+            sum(quantity_sold) as "quantity",
+            sum(total_price) as "revenue",
+            sum(unit_cost * quantity_sold) as "cost",
+            sum(total_price - unit_cost * quantity_sold) as "profit",
+            case when sum(total_price) > 0
+                then round(sum(total_price - unit_cost * quantity_sold) / sum(total_price) * 100, 1)
+                else 0
+            end as "margin"
+        from (
+            select
+                s.*,
+                case p_group
+                    when 'medicine' then s.medicine_name
+                    when 'category' then coalesce(m.category, 'Uncategorized')
+                    when 'day' then to_char(s.sale_date at time zone p_timezone, 'YYYY-MM-DD')
+                    else to_char(s.sale_date at time zone p_timezone, 'YYYY-MM')
+                end as "name"
+            from sales s
+            left join medicines m on m.id = s.medicine_id
+            where s.unit_cost is not null
+              and s.voided_at is null
+              and (p_start is null or s.sale_date >= p_start)
+              and (p_end is null or s.sale_date < p_end)
+        ) lines
+        group by "name"
+    ) g;
+
+    return json_build_object('success', true, 'data', v_rows);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+create or replace function sales_series(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text,
+    p_timezone text
+)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    with buckets as (
+        select generate_series(
+            date_trunc(p_bucket, p_start at time zone p_timezone),
+            (p_end at time zone p_timezone) - interval '1 microsecond',
+            ('1 ' || p_bucket)::interval
+        ) as bucket
+    ),
+    movements as (
+        select s.sale_date as at, s.total_price as amount, coalesce(s.invoice_id, s.id) as transaction_id
+        from sales s
+        where s.voided_at is null and s.sale_date >= p_start and s.sale_date < p_end
+        union all
+        select r.completed_at, -r.refund_amount, null
+        from sale_returns r
+        where r.status = 'completed' and r.completed_at >= p_start and r.completed_at < p_end
+    ),
+    totals as (
+        select
+            date_trunc(p_bucket, at at time zone p_timezone) as bucket,
+            sum(amount) as revenue,
+            count(distinct transaction_id) as transactions
+        from movements
+        group by 1
+    )
+    select coalesce(jsonb_agg(jsonb_build_object(
+        'bucket', to_char(b.bucket, 'YYYY-MM-DD'),
+        'revenue', coalesce(t.revenue, 0),
+        'transactions', coalesce(t.transactions, 0)
+    ) order by b.bucket), '[]'::jsonb)
+    from buckets b
+    left join totals t on t.bucket = b.bucket;
+$$;
+
+revoke execute on function sales_series(timestamptz, timestamptz, text, text) from public;
+
+create or replace function sales_trends(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text default 'day',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_prev_start timestamptz := p_start - (p_end - p_start);
+    v_totals json;
+    v_hourly json;
+    v_categories json;
+    v_refunds numeric;
+    v_prev_refunds numeric;
+begin
+    if p_bucket not in ('day', 'week', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid bucket: ' || p_bucket);
+    end if;
+    if p_start >= p_end then
+        return json_build_object('success', false, 'error', 'Start must be before end');
+    end if;
+
+    select
+        coalesce(sum(refund_amount) filter (where completed_at >= p_start), 0),
+        coalesce(sum(refund_amount) filter (where completed_at < p_start), 0)
+    into v_refunds, v_prev_refunds
+    from sale_returns
+    where status = 'completed' and completed_at >= v_prev_start and completed_at < p_end;
+
+    select json_build_object(
+        'current', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date >= p_start), 0) - v_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date >= p_start), 0)
+        ),
+        'previous', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date < p_start), 0) - v_prev_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date < p_start), 0)
+        )
+    )
+    into v_totals
+    from sales
+    where voided_at is null and sale_date >= v_prev_start and sale_date < p_end;
+
+    select json_agg(json_build_object(
+        'hour', h.hour,
+        'transactions', coalesce(t.transactions, 0),
+        'previousTransactions', coalesce(t.previous_transactions, 0)
+    ) order by h.hour)
+    into v_hourly
+    from generate_series(0, 23) as h(hour)
+    left join (
+        select
+            extract(hour from sale_date at time zone p_timezone)::integer as hour,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start) as transactions,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start) as previous_transactions
+        from sales
+        where voided_at is null and sale_date >= v_prev_start and sale_date < p_end
+        group by 1
+    ) t on t.hour = h.hour;
+
+    -- Lines without a medicine (custom items, deleted medicines) are grouped as 'Other'
+    select coalesce(json_agg(c order by c."revenue" desc), '[]'::json)
+    into v_categories
+    from (
+        select
+            coalesce(m.category, 'Other') as "category",
+            coalesce(sum(s.total_price) filter (where s.sale_date >= p_start), 0) as "revenue",
+            coalesce(sum(s.total_price) filter (where s.sale_date < p_start), 0) as "previousRevenue"
+        from sales s
+        left join medicines m on m.id = s.medicine_id
+        where s.voided_at is null and s.sale_date >= v_prev_start and s.sale_date < p_end
+        group by 1
+    ) c;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totals', v_totals,
+            'series', sales_series(p_start, p_end, p_bucket, p_timezone),
+            'previousSeries', sales_series(v_prev_start, p_start, p_bucket, p_timezone),
+            'hourly', v_hourly,
+            'categories', v_categories
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
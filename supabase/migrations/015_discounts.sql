@@ -0,0 +1,521 @@
+-- ==========================================
+-- 015: Discounts, price overrides and promotions
+-- Each sale line keeps its list price, the net price actually charged
+-- (unit_price / total_price, as before) and the discounts that made up the
+-- difference, each with its reason and who applied it.
+--
+-- Discounts are worked out here, not trusted from the client:
+--   1. price override (inventory lines, never above the list price)
+--   2. otherwise the best automatic promotion for the line
+--   3. a manual line discount on what is left
+--   4. one basket discount (a manual promotion such as "Senior 5%", or a
+--      custom percent/amount), shared across lines by value
+-- Staff may not take more than settings.max_staff_discount_percent off a
+-- line or the basket by hand; admins have no limit. Promotions an admin set
+-- up don't count toward that limit.
+-- ==========================================
+
+alter table settings add column if not exists max_staff_discount_percent numeric(5, 2) not null default 10
+    check (max_staff_discount_percent between 0 and 100);
+
+alter table sales add column if not exists list_price numeric(12, 2);
+alter table sales add column if not exists discount_amount numeric(12, 2) not null default 0;
+-- [{ kind: override | promotion | line | basket, amount, reason, promotionId?, appliedBy }]
+alter table sales add column if not exists discounts jsonb not null default '[]'::jsonb;
+
+alter table invoices add column if not exists discount_amount numeric(12, 2) not null default 0;
+
+update sales set list_price = unit_price where list_price is null;
+
+-- automatic: applied at checkout whenever it matches a line
+-- manual: offered as a basket discount the cashier picks (staff, senior, ...)
+create table if not exists promotions (
+    id uuid primary key default gen_random_uuid(),
+    name text not null,
+    kind text not null check (kind in ('percent', 'fixed', 'buy_get')),
+    value numeric(12, 2) not null default 0 check (value >= 0),
+    buy_quantity integer check (buy_quantity > 0),
+    get_quantity integer check (get_quantity > 0),
+    scope text not null default 'all' check (scope in ('all', 'category', 'medicine')),
+    category text,
+    medicine_id uuid references medicines(id) on delete cascade,
+    automatic boolean not null default true,
+    starts_at timestamptz,
+    ends_at timestamptz,
+    active boolean not null default true,
+    created_by uuid references profiles(id) default auth.uid(),
+    created_at timestamptz not null default now(),
+    check (kind <> 'percent' or value <= 100),
+    check (kind <> 'buy_get' or (buy_quantity is not null and get_quantity is not null and automatic)),
+    check (scope <> 'category' or category is not null),
+    check (scope <> 'medicine' or medicine_id is not null),
+    check (starts_at is null or ends_at is null or starts_at < ends_at)
+);
+
+alter table promotions enable row level security;
+
+drop policy if exists "Authenticated users can read promotions" on promotions;
+create policy "Authenticated users can read promotions"
+    on promotions for select to authenticated using (true);
+
+drop policy if exists "Admins can manage promotions" on promotions;
+create policy "Admins can manage promotions"
+    on promotions for all to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'))
+    with check (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+-- Discount a promotion gives a line of p_quantity at p_price (0 if it doesn't apply)
+create or replace function promotion_line_discount(
+    p_promotion promotions,
+    p_price numeric,
+    p_quantity integer
+)
+returns numeric
+language sql
+immutable
+as $$
+    select case p_promotion.kind
+        when 'percent' then round(p_price * p_quantity * p_promotion.value / 100, 2)
+        when 'fixed' then least(p_promotion.value, p_price) * p_quantity
+        else floor(p_quantity / (p_promotion.buy_quantity + p_promotion.get_quantity))
+            * p_promotion.get_quantity * p_price
+    end;
+$$;
+
+-- ------------------------------------------
+-- process_checkout: as in 010, with discounts.
+-- Extra item fields: overridePrice, overrideReason,
+--   discount { type: percent | fixed, value, reason }
+-- Extra option: basketDiscount { promotionId } or { type, value, reason }
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_promotion promotions%rowtype;
+    v_quantity integer;
+    v_list_price numeric;
+    v_price numeric;
+    v_gross numeric;
+    v_amount numeric;
+    v_manual numeric;
+    v_net numeric;
+    v_discounts jsonb;
+    v_lines jsonb := '[]'::jsonb;
+    v_line jsonb;
+    v_subtotal numeric := 0;
+    v_basket jsonb := p_options->'basketDiscount';
+    v_basket_amount numeric := 0;
+    v_basket_reason text;
+    v_basket_promotion uuid;
+    v_allocated numeric := 0;
+    v_share numeric;
+    v_index integer := 0;
+    v_line_count integer;
+    v_total numeric := 0;
+    v_discount_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_unit_cost numeric;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false) and v_is_admin;
+    v_staff_limit numeric;
+    v_applied_by uuid := coalesce(auth.uid(), p_seller_id);
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    select coalesce(max_staff_discount_percent, 10) into v_staff_limit from settings where id = 1;
+    v_staff_limit := coalesce(v_staff_limit, 10);
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    -- Pass 1: price every line
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        v_discounts := '[]'::jsonb;
+        v_medicine := null;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_list_price := v_medicine.selling_price;
+        else
+            v_list_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_list_price is null or v_list_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+        end if;
+
+        v_gross := v_list_price * v_quantity;
+        v_price := v_list_price;
+        v_manual := 0;
+
+        if v_medicine.id is not null and v_item->>'overridePrice' is not null then
+            v_price := (v_item->>'overridePrice')::numeric;
+            if v_price < 0 or v_price > v_list_price then
+                raise exception 'Price for % must be between 0 and the list price %', v_medicine.name, v_list_price;
+            end if;
+            if coalesce(trim(v_item->>'overrideReason'), '') = '' then
+                raise exception 'A reason is required to change the price of %', v_medicine.name;
+            end if;
+            if v_price < v_list_price then
+                v_amount := (v_list_price - v_price) * v_quantity;
+                v_manual := v_manual + v_amount;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'override', 'amount', v_amount,
+                    'reason', trim(v_item->>'overrideReason'), 'appliedBy', v_applied_by
+                );
+            end if;
+        elsif v_medicine.id is not null then
+            -- Best single automatic promotion for this line
+            select p.* into v_promotion
+            from promotions p
+            where p.active and p.automatic
+              and (p.starts_at is null or p.starts_at <= v_sold_at)
+              and (p.ends_at is null or p.ends_at > v_sold_at)
+              and (p.scope = 'all'
+                   or (p.scope = 'category' and p.category = v_medicine.category)
+                   or (p.scope = 'medicine' and p.medicine_id = v_medicine.id))
+              and promotion_line_discount(p, v_price, v_quantity) > 0
+            order by promotion_line_discount(p, v_price, v_quantity) desc
+            limit 1;
+
+            if found then
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'promotion', 'amount', promotion_line_discount(v_promotion, v_price, v_quantity),
+                    'reason', v_promotion.name, 'promotionId', v_promotion.id, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_net := v_gross - coalesce((select sum((d->>'amount')::numeric) from jsonb_array_elements(v_discounts) d), 0);
+
+        if v_item->'discount' is not null and jsonb_typeof(v_item->'discount') = 'object'
+           and coalesce((v_item->'discount'->>'value')::numeric, 0) > 0 then
+            if coalesce(trim(v_item->'discount'->>'reason'), '') = '' then
+                raise exception 'A reason is required for the discount on %', coalesce(v_medicine.name, v_item->>'name');
+            end if;
+            v_amount := case v_item->'discount'->>'type'
+                when 'percent' then round(v_net * least((v_item->'discount'->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_item->'discount'->>'value')::numeric, v_net)
+            end;
+            if v_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            v_manual := v_manual + v_amount;
+            v_net := v_net - v_amount;
+            v_discounts := v_discounts || jsonb_build_object(
+                'kind', 'line', 'amount', v_amount,
+                'reason', trim(v_item->'discount'->>'reason'), 'appliedBy', v_applied_by
+            );
+        end if;
+
+        if not v_is_admin and v_gross > 0 and v_manual / v_gross * 100 > v_staff_limit + 0.001 then
+            raise exception 'Discount on % is over the % %% staff limit; ask an admin', coalesce(v_medicine.name, v_item->>'name'), v_staff_limit;
+        end if;
+
+        v_lines := v_lines || jsonb_build_object(
+            'medicineId', v_medicine.id,
+            'name', coalesce(v_medicine.name, trim(v_item->>'name')),
+            'purchasePrice', v_medicine.purchase_price,
+            'quantity', v_quantity,
+            'listPrice', v_list_price,
+            'net', v_net,
+            'discounts', v_discounts
+        );
+        v_subtotal := v_subtotal + v_net;
+    end loop;
+
+    -- Basket discount
+    if v_basket is not null and jsonb_typeof(v_basket) = 'object' then
+        if v_basket->>'promotionId' is not null then
+            select * into v_promotion
+            from promotions
+            where id = (v_basket->>'promotionId')::uuid
+              and active and not automatic
+              and (starts_at is null or starts_at <= v_sold_at)
+              and (ends_at is null or ends_at > v_sold_at);
+            if not found then
+                raise exception 'That discount is no longer available';
+            end if;
+            v_basket_amount := case v_promotion.kind
+                when 'percent' then round(v_subtotal * v_promotion.value / 100, 2)
+                else least(v_promotion.value, v_subtotal)
+            end;
+            v_basket_reason := v_promotion.name;
+            v_basket_promotion := v_promotion.id;
+        elsif coalesce((v_basket->>'value')::numeric, 0) > 0 then
+            v_basket_reason := trim(v_basket->>'reason');
+            if coalesce(v_basket_reason, '') = '' then
+                raise exception 'A reason is required for the basket discount';
+            end if;
+            v_basket_amount := case v_basket->>'type'
+                when 'percent' then round(v_subtotal * least((v_basket->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_basket->>'value')::numeric, v_subtotal)
+            end;
+            if v_basket_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            if not v_is_admin and v_subtotal > 0 and v_basket_amount / v_subtotal * 100 > v_staff_limit + 0.001 then
+                raise exception 'Basket discount is over the % %% staff limit; ask an admin', v_staff_limit;
+            end if;
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    -- Pass 2: share the basket discount by line value (the last line takes the rounding) and write
+    v_line_count := jsonb_array_length(v_lines);
+    for v_line in select * from jsonb_array_elements(v_lines) loop
+        v_index := v_index + 1;
+        v_quantity := (v_line->>'quantity')::integer;
+        v_net := (v_line->>'net')::numeric;
+        v_discounts := v_line->'discounts';
+
+        if v_basket_amount > 0 then
+            v_share := case
+                when v_index = v_line_count then v_basket_amount - v_allocated
+                when v_subtotal > 0 then round(v_basket_amount * v_net / v_subtotal, 2)
+                else 0
+            end;
+            v_allocated := v_allocated + v_share;
+            if v_share <> 0 then
+                v_net := v_net - v_share;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'basket', 'amount', v_share, 'reason', v_basket_reason,
+                    'promotionId', v_basket_promotion, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_amount := (v_line->>'listPrice')::numeric * v_quantity - v_net;
+
+        if v_line->>'medicineId' is not null then
+            v_allocations := consume_batches((v_line->>'medicineId')::uuid, v_quantity, v_allow_negative);
+
+            select sum((a->>'quantity')::integer * b.purchase_price) / v_quantity
+            into v_unit_cost
+            from jsonb_array_elements(v_allocations) a
+            join medicine_batches b on b.id = (a->>'batchId')::uuid;
+
+            insert into sales (
+                invoice_id, medicine_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, unit_cost, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, (v_line->>'medicineId')::uuid, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                coalesce(v_unit_cost, (v_line->>'purchasePrice')::numeric), p_seller_id, v_sold_at
+            )
+            returning id into v_sale_id;
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            insert into sales (
+                invoice_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, is_custom, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                true, p_seller_id, v_sold_at
+            );
+        end if;
+
+        v_total := v_total + v_net;
+        v_discount_total := v_discount_total + v_amount;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count, discount_amount = v_discount_total
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'discountAmount', v_discount_total,
+            'itemCount', v_count
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- sales_summary: as in 014, plus discounts given
+-- ------------------------------------------
+create or replace function sales_summary(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_summary jsonb;
+    v_refunds jsonb;
+    v_top json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select jsonb_build_object(
+        'grossRevenue', coalesce(sum(total_price), 0),
+        'items', coalesce(sum(quantity_sold), 0),
+        'lines', count(*),
+        'transactions', count(distinct coalesce(invoice_id, id)),
+        'grossProfit', coalesce(sum(total_price - unit_cost * quantity_sold) filter (where unit_cost is not null), 0),
+        'costedRevenue', coalesce(sum(total_price) filter (where unit_cost is not null), 0),
+        'customRevenue', coalesce(sum(total_price) filter (where is_custom), 0),
+        'customCount', count(*) filter (where is_custom),
+        'uncostedCount', count(*) filter (where unit_cost is null and not is_custom),
+        'discounts', coalesce(sum(discount_amount), 0),
+        'discountedLines', count(*) filter (where discount_amount > 0)
+    )
+    into v_summary
+    from sales
+    where voided_at is null
+      and (p_start is null or sale_date >= p_start)
+      and (p_end is null or sale_date < p_end);
+
+    select jsonb_build_object(
+        'refunds', coalesce(sum(ri.refund_amount), 0),
+        'refundCount', count(distinct r.id),
+        'refundProfitImpact', coalesce(sum(
+            ri.refund_amount - case when ri.restock then ri.quantity * s.unit_cost else 0 end
+        ) filter (where s.unit_cost is not null), 0)
+    )
+    into v_refunds
+    from sale_returns r
+    join sale_return_items ri on ri.return_id = r.id
+    join sales s on s.id = ri.sale_id
+    where r.status = 'completed'
+      and (p_start is null or r.completed_at >= p_start)
+      and (p_end is null or r.completed_at < p_end);
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_top
+    from (
+        select medicine_name as "name", sum(quantity_sold) as "quantity", sum(total_price) as "revenue"
+        from sales
+        where voided_at is null
+          and (p_start is null or sale_date >= p_start)
+          and (p_end is null or sale_date < p_end)
+        group by medicine_name
+        order by sum(total_price) desc
+        limit 5
+    ) t;
+
+    v_summary := v_summary || v_refunds || jsonb_build_object(
+        'revenue', (v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric,
+        'grossProfit', (v_summary->>'grossProfit')::numeric - (v_refunds->>'refundProfitImpact')::numeric,
+        'avgTransaction', coalesce(
+            ((v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric)
+                / nullif((v_summary->>'transactions')::numeric, 0),
+            0
+        ),
+        'topSelling', v_top
+    );
+
+    return json_build_object('success', true, 'data', v_summary);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
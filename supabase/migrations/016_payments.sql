@@ -0,0 +1,648 @@
+-- ==========================================
+-- 016: Payments
+-- How each sale was paid: one row per method in sale_payments (split
+-- payments have several). Cash rows keep the amount tendered and the change
+-- given. invoices.payment_method is the single method, or 'split'.
+--
+-- Payments must add up to the sale total worked out by process_checkout.
+-- A payment sent without an amount takes the whole total, so a one-method
+-- sale (and offline sales queued before this migration) can't be off by a
+-- few cents after discounts are recalculated.
+-- ==========================================
+
+create table if not exists sale_payments (
+    id uuid primary key default gen_random_uuid(),
+    invoice_id uuid not null references invoices(id) on delete cascade,
+    method text not null check (method in ('cash', 'mobile_money', 'card', 'credit')),
+    amount numeric(12, 2) not null check (amount > 0),
+    tendered numeric(12, 2),      -- Cash handed over
+    change_given numeric(12, 2) not null default 0,
+    reference text,               -- Mobile money transaction id, card approval code, who owes the credit
+    created_at timestamptz not null default now()
+);
+
+create index if not exists sale_payments_invoice_idx on sale_payments (invoice_id);
+
+alter table sale_payments enable row level security;
+
+drop policy if exists "Authenticated users can read sale payments" on sale_payments;
+create policy "Authenticated users can read sale payments"
+    on sale_payments for select to authenticated using (true);
+
+-- Earlier sales were all recorded as cash
+insert into sale_payments (invoice_id, method, amount, created_at)
+select i.id, i.payment_method, i.total_amount, i.created_at
+from invoices i
+where i.total_amount > 0
+  and i.payment_method in ('cash', 'mobile_money', 'card', 'credit')
+  and not exists (select 1 from sale_payments p where p.invoice_id = i.id);
+
+-- Checkout options (payments, basket discount) of offline sales parked for review
+alter table sale_conflicts add column if not exists options jsonb not null default '{}'::jsonb;
+
+-- ------------------------------------------
+-- record_sale_payments (internal): validate and store an invoice's payments.
+-- p_payments: [{ method, amount?, tendered?, reference? }]; empty means cash.
+-- p_adjust lets the last payment absorb a difference from the total (an
+-- admin accepting an offline sale whose prices changed).
+-- Returns the invoice's payment_method. Raises on invalid payments.
+-- ------------------------------------------
+create or replace function record_sale_payments(
+    p_invoice_id uuid,
+    p_total numeric,
+    p_payments jsonb,
+    p_adjust boolean default false
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_payments jsonb := coalesce(p_payments, '[]'::jsonb);
+    v_payment jsonb;
+    v_count integer;
+    v_index integer := 0;
+    v_method text;
+    v_amount numeric;
+    v_tendered numeric;
+    v_paid numeric := 0;
+    v_methods text[] := '{}';
+begin
+    if jsonb_typeof(v_payments) <> 'array' or jsonb_array_length(v_payments) = 0 then
+        v_payments := '[{"method": "cash"}]'::jsonb;
+    end if;
+    v_count := jsonb_array_length(v_payments);
+
+    -- A one-method payment takes the whole total unless an amount was given
+    if v_count = 1 and v_payments->0->>'amount' is null then
+        v_payments := jsonb_set(v_payments, '{0,amount}', to_jsonb(p_total));
+    end if;
+
+    if p_total <= 0 then
+        return coalesce(v_payments->0->>'method', 'cash');
+    end if;
+
+    select coalesce(sum((e->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(v_payments) e;
+
+    if abs(v_paid - p_total) >= 0.005 then
+        if not p_adjust then
+            raise exception 'Payments add up to % but the total is %', round(v_paid, 2), round(p_total, 2);
+        end if;
+        v_payments := jsonb_set(
+            v_payments,
+            array[(v_count - 1)::text, 'amount'],
+            to_jsonb((v_payments->(v_count - 1)->>'amount')::numeric + p_total - v_paid)
+        );
+    end if;
+
+    for v_payment in select * from jsonb_array_elements(v_payments) loop
+        v_index := v_index + 1;
+        v_method := v_payment->>'method';
+        v_amount := round((v_payment->>'amount')::numeric, 2);
+        v_tendered := (v_payment->>'tendered')::numeric;
+
+        if v_method is null or v_method not in ('cash', 'mobile_money', 'card', 'credit') then
+            raise exception 'Unknown payment method %', coalesce(v_method, '(none)');
+        end if;
+        if v_method = any(v_methods) then
+            raise exception 'Each payment method can only be used once per sale';
+        end if;
+        v_methods := v_methods || v_method;
+
+        if v_amount is null or v_amount <= 0 then
+            raise exception 'Payment amounts must be more than zero';
+        end if;
+        if v_method = 'credit' and coalesce(trim(v_payment->>'reference'), '') = '' then
+            raise exception 'Enter who the sale on credit is for';
+        end if;
+        if v_method <> 'cash' then
+            v_tendered := null;
+        elsif v_tendered is not null and v_tendered < v_amount and not p_adjust then
+            raise exception 'Cash tendered % is less than the % due', v_tendered, v_amount;
+        end if;
+
+        insert into sale_payments (invoice_id, method, amount, tendered, change_given, reference)
+        values (
+            p_invoice_id, v_method, v_amount, v_tendered,
+            greatest(coalesce(v_tendered - v_amount, 0), 0),
+            nullif(trim(v_payment->>'reference'), '')
+        );
+    end loop;
+
+    return case when v_count = 1 then v_method else 'split' end;
+end;
+$$;
+
+revoke execute on function record_sale_payments(uuid, numeric, jsonb, boolean) from public;
+
+-- ------------------------------------------
+-- process_checkout: as in 015, plus payments.
+-- Extra options: payments (see record_sale_payments), adjustPayments (admins)
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_promotion promotions%rowtype;
+    v_quantity integer;
+    v_list_price numeric;
+    v_price numeric;
+    v_gross numeric;
+    v_amount numeric;
+    v_manual numeric;
+    v_net numeric;
+    v_discounts jsonb;
+    v_lines jsonb := '[]'::jsonb;
+    v_line jsonb;
+    v_subtotal numeric := 0;
+    v_basket jsonb := p_options->'basketDiscount';
+    v_basket_amount numeric := 0;
+    v_basket_reason text;
+    v_basket_promotion uuid;
+    v_allocated numeric := 0;
+    v_share numeric;
+    v_index integer := 0;
+    v_line_count integer;
+    v_total numeric := 0;
+    v_discount_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_unit_cost numeric;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false) and v_is_admin;
+    v_staff_limit numeric;
+    v_applied_by uuid := coalesce(auth.uid(), p_seller_id);
+    v_payment_method text;
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    select coalesce(max_staff_discount_percent, 10) into v_staff_limit from settings where id = 1;
+    v_staff_limit := coalesce(v_staff_limit, 10);
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    -- Pass 1: price every line
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        v_discounts := '[]'::jsonb;
+        v_medicine := null;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_list_price := v_medicine.selling_price;
+        else
+            v_list_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_list_price is null or v_list_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+        end if;
+
+        v_gross := v_list_price * v_quantity;
+        v_price := v_list_price;
+        v_manual := 0;
+
+        if v_medicine.id is not null and v_item->>'overridePrice' is not null then
+            v_price := (v_item->>'overridePrice')::numeric;
+            if v_price < 0 or v_price > v_list_price then
+                raise exception 'Price for % must be between 0 and the list price %', v_medicine.name, v_list_price;
+            end if;
+            if coalesce(trim(v_item->>'overrideReason'), '') = '' then
+                raise exception 'A reason is required to change the price of %', v_medicine.name;
+            end if;
+            if v_price < v_list_price then
+                v_amount := (v_list_price - v_price) * v_quantity;
+                v_manual := v_manual + v_amount;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'override', 'amount', v_amount,
+                    'reason', trim(v_item->>'overrideReason'), 'appliedBy', v_applied_by
+                );
+            end if;
+        elsif v_medicine.id is not null then
+            -- Best single automatic promotion for this line
+            select p.* into v_promotion
+            from promotions p
+            where p.active and p.automatic
+              and (p.starts_at is null or p.starts_at <= v_sold_at)
+              and (p.ends_at is null or p.ends_at > v_sold_at)
+              and (p.scope = 'all'
+                   or (p.scope = 'category' and p.category = v_medicine.category)
+                   or (p.scope = 'medicine' and p.medicine_id = v_medicine.id))
+              and promotion_line_discount(p, v_price, v_quantity) > 0
+            order by promotion_line_discount(p, v_price, v_quantity) desc
+            limit 1;
+
+            if found then
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'promotion', 'amount', promotion_line_discount(v_promotion, v_price, v_quantity),
+                    'reason', v_promotion.name, 'promotionId', v_promotion.id, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_net := v_gross - coalesce((select sum((d->>'amount')::numeric) from jsonb_array_elements(v_discounts) d), 0);
+
+        if v_item->'discount' is not null and jsonb_typeof(v_item->'discount') = 'object'
+           and coalesce((v_item->'discount'->>'value')::numeric, 0) > 0 then
+            if coalesce(trim(v_item->'discount'->>'reason'), '') = '' then
+                raise exception 'A reason is required for the discount on %', coalesce(v_medicine.name, v_item->>'name');
+            end if;
+            v_amount := case v_item->'discount'->>'type'
+                when 'percent' then round(v_net * least((v_item->'discount'->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_item->'discount'->>'value')::numeric, v_net)
+            end;
+            if v_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            v_manual := v_manual + v_amount;
+            v_net := v_net - v_amount;
+            v_discounts := v_discounts || jsonb_build_object(
+                'kind', 'line', 'amount', v_amount,
+                'reason', trim(v_item->'discount'->>'reason'), 'appliedBy', v_applied_by
+            );
+        end if;
+
+        if not v_is_admin and v_gross > 0 and v_manual / v_gross * 100 > v_staff_limit + 0.001 then
+            raise exception 'Discount on % is over the % %% staff limit; ask an admin', coalesce(v_medicine.name, v_item->>'name'), v_staff_limit;
+        end if;
+
+        v_lines := v_lines || jsonb_build_object(
+            'medicineId', v_medicine.id,
+            'name', coalesce(v_medicine.name, trim(v_item->>'name')),
+            'purchasePrice', v_medicine.purchase_price,
+            'quantity', v_quantity,
+            'listPrice', v_list_price,
+            'net', v_net,
+            'discounts', v_discounts
+        );
+        v_subtotal := v_subtotal + v_net;
+    end loop;
+
+    -- Basket discount
+    if v_basket is not null and jsonb_typeof(v_basket) = 'object' then
+        if v_basket->>'promotionId' is not null then
+            select * into v_promotion
+            from promotions
+            where id = (v_basket->>'promotionId')::uuid
+              and active and not automatic
+              and (starts_at is null or starts_at <= v_sold_at)
+              and (ends_at is null or ends_at > v_sold_at);
+            if not found then
+                raise exception 'That discount is no longer available';
+            end if;
+            v_basket_amount := case v_promotion.kind
+                when 'percent' then round(v_subtotal * v_promotion.value / 100, 2)
+                else least(v_promotion.value, v_subtotal)
+            end;
+            v_basket_reason := v_promotion.name;
+            v_basket_promotion := v_promotion.id;
+        elsif coalesce((v_basket->>'value')::numeric, 0) > 0 then
+            v_basket_reason := trim(v_basket->>'reason');
+            if coalesce(v_basket_reason, '') = '' then
+                raise exception 'A reason is required for the basket discount';
+            end if;
+            v_basket_amount := case v_basket->>'type'
+                when 'percent' then round(v_subtotal * least((v_basket->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_basket->>'value')::numeric, v_subtotal)
+            end;
+            if v_basket_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            if not v_is_admin and v_subtotal > 0 and v_basket_amount / v_subtotal * 100 > v_staff_limit + 0.001 then
+                raise exception 'Basket discount is over the % %% staff limit; ask an admin', v_staff_limit;
+            end if;
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at)
+    values (p_seller_id, v_client_id, v_sold_at)
+    returning * into v_invoice;
+
+    -- Pass 2: share the basket discount by line value (the last line takes the rounding) and write
+    v_line_count := jsonb_array_length(v_lines);
+    for v_line in select * from jsonb_array_elements(v_lines) loop
+        v_index := v_index + 1;
+        v_quantity := (v_line->>'quantity')::integer;
+        v_net := (v_line->>'net')::numeric;
+        v_discounts := v_line->'discounts';
+
+        if v_basket_amount > 0 then
+            v_share := case
+                when v_index = v_line_count then v_basket_amount - v_allocated
+                when v_subtotal > 0 then round(v_basket_amount * v_net / v_subtotal, 2)
+                else 0
+            end;
+            v_allocated := v_allocated + v_share;
+            if v_share <> 0 then
+                v_net := v_net - v_share;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'basket', 'amount', v_share, 'reason', v_basket_reason,
+                    'promotionId', v_basket_promotion, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_amount := (v_line->>'listPrice')::numeric * v_quantity - v_net;
+
+        if v_line->>'medicineId' is not null then
+            v_allocations := consume_batches((v_line->>'medicineId')::uuid, v_quantity, v_allow_negative);
+
+            select sum((a->>'quantity')::integer * b.purchase_price) / v_quantity
+            into v_unit_cost
+            from jsonb_array_elements(v_allocations) a
+            join medicine_batches b on b.id = (a->>'batchId')::uuid;
+
+            insert into sales (
+                invoice_id, medicine_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, unit_cost, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, (v_line->>'medicineId')::uuid, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                coalesce(v_unit_cost, (v_line->>'purchasePrice')::numeric), p_seller_id, v_sold_at
+            )
+            returning id into v_sale_id;
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            insert into sales (
+                invoice_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, is_custom, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                true, p_seller_id, v_sold_at
+            );
+        end if;
+
+        v_total := v_total + v_net;
+        v_discount_total := v_discount_total + v_amount;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    v_payment_method := record_sale_payments(
+        v_invoice.id,
+        v_total,
+        p_options->'payments',
+        v_is_admin and coalesce((p_options->>'adjustPayments')::boolean, false)
+    );
+
+    update invoices
+    set total_amount = v_total, item_count = v_count, discount_amount = v_discount_total,
+        payment_method = v_payment_method
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'discountAmount', v_discount_total,
+            'itemCount', v_count,
+            'paymentMethod', v_payment_method,
+            'change', (select coalesce(sum(change_given), 0) from sale_payments where invoice_id = v_invoice.id)
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- resolve_sale_conflict: as in 005, replaying the sale's own checkout
+-- options so an accepted sale keeps its payments and discounts
+-- ------------------------------------------
+create or replace function resolve_sale_conflict(
+    p_conflict_id uuid,
+    p_resolution text,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_conflict sale_conflicts%rowtype;
+    v_result json;
+    v_invoice_id uuid;
+    v_status text;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can resolve sale conflicts');
+    end if;
+
+    select * into v_conflict from sale_conflicts where id = p_conflict_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Conflict not found');
+    end if;
+    if v_conflict.status <> 'pending' then
+        return json_build_object('success', false, 'error', 'Conflict already resolved');
+    end if;
+
+    if p_resolution = 'accept' then
+        v_result := process_checkout(
+            v_conflict.seller_id,
+            v_conflict.items,
+            v_conflict.options || jsonb_build_object(
+                'clientId', v_conflict.client_id,
+                'soldAt', v_conflict.sold_at,
+                'allowNegativeStock', true,
+                'adjustPayments', true
+            )
+        );
+        if not (v_result->>'success')::boolean then
+            return v_result;
+        end if;
+        v_invoice_id := (v_result->'data'->>'invoiceId')::uuid;
+        v_status := 'accepted';
+    elsif p_resolution = 'backorder' then
+        insert into backorders (conflict_id, medicine_id, medicine_name, quantity, created_by)
+        select v_conflict.id, (e->>'medicineId')::uuid, e->>'name', (e->>'quantity')::integer, auth.uid()
+        from jsonb_array_elements(v_conflict.items) e
+        where e->>'medicineId' is not null;
+        v_status := 'backordered';
+    elsif p_resolution = 'void' then
+        v_status := 'voided';
+    else
+        return json_build_object('success', false, 'error', 'Unknown resolution');
+    end if;
+
+    update sale_conflicts
+    set status = v_status,
+        invoice_id = v_invoice_id,
+        resolution_note = p_note,
+        resolved_by = auth.uid(),
+        resolved_at = now()
+    where id = v_conflict.id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale_conflict.' || v_status,
+        'sale_conflict',
+        v_conflict.id,
+        jsonb_build_object(
+            'note', p_note,
+            'clientId', v_conflict.client_id,
+            'sellerId', v_conflict.seller_id,
+            'items', v_conflict.items,
+            'conflicts', v_conflict.conflicts,
+            'invoiceId', v_invoice_id
+        )
+    );
+
+    return json_build_object('success', true, 'data', json_build_object('status', v_status, 'invoiceId', v_invoice_id));
+end;
+$$;
+
+-- ------------------------------------------
+-- sales_payment_totals: money taken per payment method in a range, less
+-- refunds paid out the same way (voided sales left out)
+-- ------------------------------------------
+create or replace function sales_payment_totals(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_rows json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select coalesce(json_agg(t order by t."received" desc), '[]'::json)
+    into v_rows
+    from (
+        select
+            m.method as "method",
+            coalesce(p.received, 0) as "received",
+            coalesce(p.sales, 0) as "sales",
+            coalesce(p.change, 0) as "change",
+            coalesce(r.refunds, 0) as "refunds",
+            coalesce(p.received, 0) - coalesce(r.refunds, 0) as "net"
+        from (values ('cash'), ('mobile_money'), ('card'), ('credit')) m(method)
+        left join (
+            select sp.method, sum(sp.amount) as received, count(distinct sp.invoice_id) as sales,
+                   sum(sp.change_given) as change
+            from sale_payments sp
+            join invoices i on i.id = sp.invoice_id
+            where i.voided_at is null
+              and (p_start is null or i.created_at >= p_start)
+              and (p_end is null or i.created_at < p_end)
+            group by sp.method
+        ) p on p.method = m.method
+        left join (
+            select refund_method as method, sum(refund_amount) as refunds
+            from sale_returns
+            where status = 'completed'
+              and (p_start is null or completed_at >= p_start)
+              and (p_end is null or completed_at < p_end)
+            group by refund_method
+        ) r on r.method = m.method
+        where p.method is not null or r.method is not null
+    ) t;
+
+    return json_build_object('success', true, 'data', v_rows);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function sales_payment_totals(timestamptz, timestamptz) to authenticated;
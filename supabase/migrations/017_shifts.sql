@@ -0,0 +1,323 @@
+-- ==========================================
+-- 017: Cashier shifts and cash-drawer reconciliation
+-- A cashier opens a shift with an opening float; sales and refunds attach to
+-- the shift that was open for that cashier when they happened (offline sales
+-- that sync later included). Closing asks for the counted cash, works out the
+-- cash that should be in the drawer and records the over/short.
+--
+-- expected cash = opening float
+--               + cash taken on the shift's sales (after change, voids left out)
+--               - cash refunds completed on the shift's returns
+-- The figure is stored at closing; shift_report also recomputes it, so a
+-- sale that synced or was voided after closing shows up as a difference.
+-- ==========================================
+
+create table if not exists shifts (
+    id uuid primary key default gen_random_uuid(),
+    shift_number bigint generated always as identity unique,
+    cashier_id uuid not null references profiles(id) default auth.uid(),
+    opened_at timestamptz not null default now(),
+    opening_float numeric(12, 2) not null check (opening_float >= 0),
+    closed_at timestamptz,
+    closed_by uuid references profiles(id),
+    counted_cash numeric(12, 2),
+    expected_cash numeric(12, 2),
+    variance numeric(12, 2),      -- counted - expected: over is positive, short negative
+    closing_note text
+);
+
+-- One open shift per cashier
+create unique index if not exists shifts_one_open_idx on shifts (cashier_id) where closed_at is null;
+create index if not exists shifts_opened_idx on shifts (opened_at desc);
+
+alter table shifts enable row level security;
+
+drop policy if exists "Cashiers read their shifts, admins read all" on shifts;
+create policy "Cashiers read their shifts, admins read all"
+    on shifts for select to authenticated
+    using (
+        cashier_id = auth.uid()
+        or exists (select 1 from profiles where id = auth.uid() and role = 'admin')
+    );
+
+alter table invoices add column if not exists shift_id uuid references shifts(id);
+alter table sale_returns add column if not exists shift_id uuid references shifts(id);
+
+create index if not exists invoices_shift_idx on invoices (shift_id);
+create index if not exists sale_returns_shift_idx on sale_returns (shift_id);
+
+-- Shift of a cashier at a point in time
+create or replace function shift_at(p_cashier_id uuid, p_at timestamptz)
+returns uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select id
+    from shifts
+    where cashier_id = p_cashier_id
+      and opened_at <= p_at
+      and (closed_at is null or closed_at > p_at)
+    order by opened_at desc
+    limit 1;
+$$;
+
+revoke execute on function shift_at(uuid, timestamptz) from public;
+
+-- A live sale (created now, not a replayed offline sale) needs an open shift
+create or replace function attach_invoice_shift()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.shift_id is null then
+        new.shift_id := shift_at(new.seller_id, new.created_at);
+        if new.shift_id is null and new.created_at >= now() then
+            raise exception 'Open a shift before making sales';
+        end if;
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists invoices_attach_shift on invoices;
+create trigger invoices_attach_shift
+    before insert on invoices
+    for each row execute function attach_invoice_shift();
+
+-- Refunds go to the requesting cashier's shift, if one is open
+create or replace function attach_return_shift()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    if new.shift_id is null and new.requested_by is not null then
+        new.shift_id := shift_at(new.requested_by, new.requested_at);
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists sale_returns_attach_shift on sale_returns;
+create trigger sale_returns_attach_shift
+    before insert on sale_returns
+    for each row execute function attach_return_shift();
+
+-- ------------------------------------------
+-- shift_expected_cash (internal): cash that should be in the drawer now
+-- ------------------------------------------
+create or replace function shift_expected_cash(p_shift_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select s.opening_float
+        + coalesce((
+            select sum(p.amount)
+            from sale_payments p
+            join invoices i on i.id = p.invoice_id
+            where i.shift_id = s.id and i.voided_at is null and p.method = 'cash'
+        ), 0)
+        - coalesce((
+            select sum(r.refund_amount)
+            from sale_returns r
+            where r.shift_id = s.id and r.status = 'completed' and r.refund_method = 'cash'
+        ), 0)
+    from shifts s
+    where s.id = p_shift_id;
+$$;
+
+revoke execute on function shift_expected_cash(uuid) from public;
+
+-- ------------------------------------------
+-- open_shift: start a shift for the signed-in user
+-- ------------------------------------------
+create or replace function open_shift(p_opening_float numeric)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_shift shifts%rowtype;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_opening_float is null or p_opening_float < 0 then
+        return json_build_object('success', false, 'error', 'Enter the opening float');
+    end if;
+    if exists (select 1 from shifts where cashier_id = auth.uid() and closed_at is null) then
+        return json_build_object('success', false, 'error', 'You already have an open shift');
+    end if;
+
+    insert into shifts (cashier_id, opening_float)
+    values (auth.uid(), round(p_opening_float, 2))
+    returning * into v_shift;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'shift.opened', 'shift', v_shift.id,
+            jsonb_build_object('shiftNumber', v_shift.shift_number, 'openingFloat', v_shift.opening_float));
+
+    return json_build_object('success', true, 'data', row_to_json(v_shift));
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- close_shift: count the drawer and record the over/short.
+-- The cashier closes their own shift; admins can close anyone's.
+-- ------------------------------------------
+create or replace function close_shift(
+    p_shift_id uuid,
+    p_counted_cash numeric,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_shift shifts%rowtype;
+    v_expected numeric;
+begin
+    select * into v_shift from shifts where id = p_shift_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Shift not found');
+    end if;
+    if v_shift.cashier_id <> auth.uid()
+       and not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only the cashier or an admin can close this shift');
+    end if;
+    if v_shift.closed_at is not null then
+        return json_build_object('success', false, 'error', 'Shift already closed');
+    end if;
+    if p_counted_cash is null or p_counted_cash < 0 then
+        return json_build_object('success', false, 'error', 'Enter the cash counted in the drawer');
+    end if;
+
+    v_expected := shift_expected_cash(v_shift.id);
+
+    update shifts
+    set closed_at = now(),
+        closed_by = auth.uid(),
+        counted_cash = round(p_counted_cash, 2),
+        expected_cash = v_expected,
+        variance = round(p_counted_cash, 2) - v_expected,
+        closing_note = nullif(trim(p_note), '')
+    where id = v_shift.id
+    returning * into v_shift;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'shift.closed', 'shift', v_shift.id,
+            jsonb_build_object(
+                'shiftNumber', v_shift.shift_number,
+                'cashierId', v_shift.cashier_id,
+                'expectedCash', v_shift.expected_cash,
+                'countedCash', v_shift.counted_cash,
+                'variance', v_shift.variance
+            ));
+
+    return json_build_object('success', true, 'data', row_to_json(v_shift));
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- shift_report: everything on a Z report (or an X report for an open shift)
+-- ------------------------------------------
+create or replace function shift_report(p_shift_id uuid)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_shift shifts%rowtype;
+    v_sales json;
+    v_payments json;
+    v_refunds json;
+    v_voids json;
+begin
+    select * into v_shift from shifts where id = p_shift_id;
+    if not found then
+        return json_build_object('success', false, 'error', 'Shift not found');
+    end if;
+    if v_shift.cashier_id <> auth.uid()
+       and not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'You can only view your own shifts');
+    end if;
+
+    select json_build_object(
+        'count', count(*),
+        'total', coalesce(sum(total_amount), 0),
+        'items', coalesce(sum(item_count), 0),
+        'discounts', coalesce(sum(discount_amount), 0),
+        'firstAt', min(created_at),
+        'lastAt', max(created_at)
+    )
+    into v_sales
+    from invoices
+    where shift_id = v_shift.id and voided_at is null;
+
+    select coalesce(json_agg(t order by t."amount" desc), '[]'::json)
+    into v_payments
+    from (
+        select p.method as "method", sum(p.amount) as "amount", count(*) as "count",
+               sum(p.tendered) as "tendered", sum(p.change_given) as "change"
+        from sale_payments p
+        join invoices i on i.id = p.invoice_id
+        where i.shift_id = v_shift.id and i.voided_at is null
+        group by p.method
+    ) t;
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_refunds
+    from (
+        select refund_method as "method", status as "status",
+               sum(refund_amount) as "amount", count(*) as "count"
+        from sale_returns
+        where shift_id = v_shift.id and status in ('completed', 'pending')
+        group by refund_method, status
+    ) t;
+
+    select json_build_object('count', count(*), 'total', coalesce(sum(total_amount), 0))
+    into v_voids
+    from invoices
+    where shift_id = v_shift.id and voided_at is not null;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'shift', row_to_json(v_shift),
+            'cashierName', (select full_name from profiles where id = v_shift.cashier_id),
+            'closedByName', (select full_name from profiles where id = v_shift.closed_by),
+            'sales', v_sales,
+            'payments', v_payments,
+            'refunds', v_refunds,
+            'voids', v_voids,
+            'expectedCash', shift_expected_cash(v_shift.id)
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function open_shift(numeric) to authenticated;
+grant execute on function close_shift(uuid, numeric, text) to authenticated;
+grant execute on function shift_report(uuid) to authenticated;
@@ -0,0 +1,429 @@
+-- ==========================================
+-- 018: Customers
+-- A registry of customers/patients (name, phone, optional date of birth,
+-- allergies and notes). A sale can be attached to one at checkout, so their
+-- purchase history is a query on invoices.customer_id.
+-- Every signed-in user can look customers up and register them at the POS;
+-- only admins delete.
+-- ==========================================
+
+create table if not exists customers (
+    id uuid primary key default gen_random_uuid(),
+    name text not null check (length(trim(name)) > 0),
+    phone text,
+    -- Digits only, for searching however the number was typed
+    phone_digits text generated always as (nullif(regexp_replace(coalesce(phone, ''), '[^0-9]', '', 'g'), '')) stored,
+    date_of_birth date,
+    allergies text,
+    notes text,
+    created_by uuid references profiles(id) default auth.uid(),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists customers_phone_digits_idx on customers (phone_digits);
+create index if not exists customers_name_idx on customers (lower(name));
+
+alter table customers enable row level security;
+
+drop policy if exists "Authenticated users can read customers" on customers;
+create policy "Authenticated users can read customers"
+    on customers for select to authenticated using (true);
+
+drop policy if exists "Authenticated users can add customers" on customers;
+create policy "Authenticated users can add customers"
+    on customers for insert to authenticated with check (true);
+
+drop policy if exists "Authenticated users can update customers" on customers;
+create policy "Authenticated users can update customers"
+    on customers for update to authenticated using (true) with check (true);
+
+drop policy if exists "Admins can delete customers" on customers;
+create policy "Admins can delete customers"
+    on customers for delete to authenticated
+    using (exists (select 1 from profiles where id = auth.uid() and role = 'admin'));
+
+create or replace function touch_customer()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at := now();
+    return new;
+end;
+$$;
+
+drop trigger if exists customers_touch on customers;
+create trigger customers_touch
+    before update on customers
+    for each row execute function touch_customer();
+
+-- Deleting a customer keeps their sales, just unattached
+alter table invoices add column if not exists customer_id uuid references customers(id) on delete set null;
+
+create index if not exists invoices_customer_idx on invoices (customer_id, created_at desc);
+
+-- ------------------------------------------
+-- process_checkout: as in 016, plus the customer.
+-- Extra option: customerId
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_promotion promotions%rowtype;
+    v_quantity integer;
+    v_list_price numeric;
+    v_price numeric;
+    v_gross numeric;
+    v_amount numeric;
+    v_manual numeric;
+    v_net numeric;
+    v_discounts jsonb;
+    v_lines jsonb := '[]'::jsonb;
+    v_line jsonb;
+    v_subtotal numeric := 0;
+    v_basket jsonb := p_options->'basketDiscount';
+    v_basket_amount numeric := 0;
+    v_basket_reason text;
+    v_basket_promotion uuid;
+    v_allocated numeric := 0;
+    v_share numeric;
+    v_index integer := 0;
+    v_line_count integer;
+    v_total numeric := 0;
+    v_discount_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_unit_cost numeric;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_customer_id uuid := (p_options->>'customerId')::uuid;
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false) and v_is_admin;
+    v_staff_limit numeric;
+    v_applied_by uuid := coalesce(auth.uid(), p_seller_id);
+    v_payment_method text;
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    if v_customer_id is not null and not exists (select 1 from customers where id = v_customer_id) then
+        return json_build_object('success', false, 'error', 'Customer not found');
+    end if;
+
+    select coalesce(max_staff_discount_percent, 10) into v_staff_limit from settings where id = 1;
+    v_staff_limit := coalesce(v_staff_limit, 10);
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    -- Pass 1: price every line
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        v_discounts := '[]'::jsonb;
+        v_medicine := null;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_list_price := v_medicine.selling_price;
+        else
+            v_list_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_list_price is null or v_list_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+        end if;
+
+        v_gross := v_list_price * v_quantity;
+        v_price := v_list_price;
+        v_manual := 0;
+
+        if v_medicine.id is not null and v_item->>'overridePrice' is not null then
+            v_price := (v_item->>'overridePrice')::numeric;
+            if v_price < 0 or v_price > v_list_price then
+                raise exception 'Price for % must be between 0 and the list price %', v_medicine.name, v_list_price;
+            end if;
+            if coalesce(trim(v_item->>'overrideReason'), '') = '' then
+                raise exception 'A reason is required to change the price of %', v_medicine.name;
+            end if;
+            if v_price < v_list_price then
+                v_amount := (v_list_price - v_price) * v_quantity;
+                v_manual := v_manual + v_amount;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'override', 'amount', v_amount,
+                    'reason', trim(v_item->>'overrideReason'), 'appliedBy', v_applied_by
+                );
+            end if;
+        elsif v_medicine.id is not null then
+            -- Best single automatic promotion for this line
+            select p.* into v_promotion
+            from promotions p
+            where p.active and p.automatic
+              and (p.starts_at is null or p.starts_at <= v_sold_at)
+              and (p.ends_at is null or p.ends_at > v_sold_at)
+              and (p.scope = 'all'
+                   or (p.scope = 'category' and p.category = v_medicine.category)
+                   or (p.scope = 'medicine' and p.medicine_id = v_medicine.id))
+              and promotion_line_discount(p, v_price, v_quantity) > 0
+            order by promotion_line_discount(p, v_price, v_quantity) desc
+            limit 1;
+
+            if found then
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'promotion', 'amount', promotion_line_discount(v_promotion, v_price, v_quantity),
+                    'reason', v_promotion.name, 'promotionId', v_promotion.id, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_net := v_gross - coalesce((select sum((d->>'amount')::numeric) from jsonb_array_elements(v_discounts) d), 0);
+
+        if v_item->'discount' is not null and jsonb_typeof(v_item->'discount') = 'object'
+           and coalesce((v_item->'discount'->>'value')::numeric, 0) > 0 then
+            if coalesce(trim(v_item->'discount'->>'reason'), '') = '' then
+                raise exception 'A reason is required for the discount on %', coalesce(v_medicine.name, v_item->>'name');
+            end if;
+            v_amount := case v_item->'discount'->>'type'
+                when 'percent' then round(v_net * least((v_item->'discount'->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_item->'discount'->>'value')::numeric, v_net)
+            end;
+            if v_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            v_manual := v_manual + v_amount;
+            v_net := v_net - v_amount;
+            v_discounts := v_discounts || jsonb_build_object(
+                'kind', 'line', 'amount', v_amount,
+                'reason', trim(v_item->'discount'->>'reason'), 'appliedBy', v_applied_by
+            );
+        end if;
+
+        if not v_is_admin and v_gross > 0 and v_manual / v_gross * 100 > v_staff_limit + 0.001 then
+            raise exception 'Discount on % is over the % %% staff limit; ask an admin', coalesce(v_medicine.name, v_item->>'name'), v_staff_limit;
+        end if;
+
+        v_lines := v_lines || jsonb_build_object(
+            'medicineId', v_medicine.id,
+            'name', coalesce(v_medicine.name, trim(v_item->>'name')),
+            'purchasePrice', v_medicine.purchase_price,
+            'quantity', v_quantity,
+            'listPrice', v_list_price,
+            'net', v_net,
+            'discounts', v_discounts
+        );
+        v_subtotal := v_subtotal + v_net;
+    end loop;
+
+    -- Basket discount
+    if v_basket is not null and jsonb_typeof(v_basket) = 'object' then
+        if v_basket->>'promotionId' is not null then
+            select * into v_promotion
+            from promotions
+            where id = (v_basket->>'promotionId')::uuid
+              and active and not automatic
+              and (starts_at is null or starts_at <= v_sold_at)
+              and (ends_at is null or ends_at > v_sold_at);
+            if not found then
+                raise exception 'That discount is no longer available';
+            end if;
+            v_basket_amount := case v_promotion.kind
+                when 'percent' then round(v_subtotal * v_promotion.value / 100, 2)
+                else least(v_promotion.value, v_subtotal)
+            end;
+            v_basket_reason := v_promotion.name;
+            v_basket_promotion := v_promotion.id;
+        elsif coalesce((v_basket->>'value')::numeric, 0) > 0 then
+            v_basket_reason := trim(v_basket->>'reason');
+            if coalesce(v_basket_reason, '') = '' then
+                raise exception 'A reason is required for the basket discount';
+            end if;
+            v_basket_amount := case v_basket->>'type'
+                when 'percent' then round(v_subtotal * least((v_basket->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_basket->>'value')::numeric, v_subtotal)
+            end;
+            if v_basket_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            if not v_is_admin and v_subtotal > 0 and v_basket_amount / v_subtotal * 100 > v_staff_limit + 0.001 then
+                raise exception 'Basket discount is over the % %% staff limit; ask an admin', v_staff_limit;
+            end if;
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at, customer_id)
+    values (p_seller_id, v_client_id, v_sold_at, v_customer_id)
+    returning * into v_invoice;
+
+    -- Pass 2: share the basket discount by line value (the last line takes the rounding) and write
+    v_line_count := jsonb_array_length(v_lines);
+    for v_line in select * from jsonb_array_elements(v_lines) loop
+        v_index := v_index + 1;
+        v_quantity := (v_line->>'quantity')::integer;
+        v_net := (v_line->>'net')::numeric;
+        v_discounts := v_line->'discounts';
+
+        if v_basket_amount > 0 then
+            v_share := case
+                when v_index = v_line_count then v_basket_amount - v_allocated
+                when v_subtotal > 0 then round(v_basket_amount * v_net / v_subtotal, 2)
+                else 0
+            end;
+            v_allocated := v_allocated + v_share;
+            if v_share <> 0 then
+                v_net := v_net - v_share;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'basket', 'amount', v_share, 'reason', v_basket_reason,
+                    'promotionId', v_basket_promotion, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_amount := (v_line->>'listPrice')::numeric * v_quantity - v_net;
+
+        if v_line->>'medicineId' is not null then
+            v_allocations := consume_batches((v_line->>'medicineId')::uuid, v_quantity, v_allow_negative);
+
+            select sum((a->>'quantity')::integer * b.purchase_price) / v_quantity
+            into v_unit_cost
+            from jsonb_array_elements(v_allocations) a
+            join medicine_batches b on b.id = (a->>'batchId')::uuid;
+
+            insert into sales (
+                invoice_id, medicine_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, unit_cost, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, (v_line->>'medicineId')::uuid, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                coalesce(v_unit_cost, (v_line->>'purchasePrice')::numeric), p_seller_id, v_sold_at
+            )
+            returning id into v_sale_id;
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            insert into sales (
+                invoice_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, is_custom, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                true, p_seller_id, v_sold_at
+            );
+        end if;
+
+        v_total := v_total + v_net;
+        v_discount_total := v_discount_total + v_amount;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    v_payment_method := record_sale_payments(
+        v_invoice.id,
+        v_total,
+        p_options->'payments',
+        v_is_admin and coalesce((p_options->>'adjustPayments')::boolean, false)
+    );
+
+    update invoices
+    set total_amount = v_total, item_count = v_count, discount_amount = v_discount_total,
+        payment_method = v_payment_method
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'discountAmount', v_discount_total,
+            'itemCount', v_count,
+            'paymentMethod', v_payment_method,
+            'change', (select coalesce(sum(change_given), 0) from sale_payments where invoice_id = v_invoice.id)
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
@@ -0,0 +1,705 @@
+-- ==========================================
+-- 019: Credit accounts
+-- Customers can buy "on account" (the credit payment method) up to a credit
+-- limit an admin sets; a limit of 0 means no account. customer_ledger holds
+-- every movement with a signed amount (positive adds to what they owe):
+--   charge     a sale on account
+--   payment    money received against the balance (partial is fine)
+--   reversal   a voided sale on account, or a return credited to the account
+--   adjustment admin correction, e.g. an opening balance from the notebook
+-- A customer's balance is the sum of their entries. Aging applies payments
+-- and credits to the oldest charges first.
+-- Cash taken for account payments goes in the shift's drawer count.
+-- ==========================================
+
+alter table customers add column if not exists credit_limit numeric(12, 2) not null default 0
+    check (credit_limit >= 0);
+
+-- Only admins give or change credit
+create or replace function protect_credit_limit()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+    if new.credit_limit is distinct from (case when tg_op = 'UPDATE' then old.credit_limit else 0 end)
+       and not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        raise exception 'Only an admin can change a credit limit';
+    end if;
+    return new;
+end;
+$$;
+
+drop trigger if exists customers_protect_credit_limit on customers;
+create trigger customers_protect_credit_limit
+    before insert or update on customers
+    for each row execute function protect_credit_limit();
+
+create table if not exists customer_ledger (
+    id uuid primary key default gen_random_uuid(),
+    -- Restrict: a customer with account history can't be deleted
+    customer_id uuid not null references customers(id) on delete restrict,
+    entry_type text not null check (entry_type in ('charge', 'payment', 'reversal', 'adjustment')),
+    amount numeric(12, 2) not null check (amount <> 0),
+    invoice_id uuid references invoices(id) on delete set null,
+    return_id uuid references sale_returns(id) on delete set null,
+    method text check (method in ('cash', 'mobile_money', 'card')), -- How a payment was made
+    reference text,
+    note text,
+    shift_id uuid references shifts(id),
+    created_by uuid references profiles(id),
+    created_at timestamptz not null default now(),
+    check (
+        (entry_type = 'charge' and amount > 0)
+        or (entry_type in ('payment', 'reversal') and amount < 0)
+        or entry_type = 'adjustment'
+    ),
+    check ((entry_type = 'payment') = (method is not null))
+);
+
+create index if not exists customer_ledger_customer_idx on customer_ledger (customer_id, created_at);
+create index if not exists customer_ledger_invoice_idx on customer_ledger (invoice_id);
+create index if not exists customer_ledger_shift_idx on customer_ledger (shift_id) where method = 'cash';
+
+alter table customer_ledger enable row level security;
+
+drop policy if exists "Authenticated users can read the customer ledger" on customer_ledger;
+create policy "Authenticated users can read the customer ledger"
+    on customer_ledger for select to authenticated using (true);
+
+-- Returns can be credited back to the customer's account
+alter table sale_returns drop constraint if exists sale_returns_refund_method_check;
+alter table sale_returns add constraint sale_returns_refund_method_check
+    check (refund_method in ('cash', 'mobile_money', 'card', 'credit'));
+
+-- ------------------------------------------
+-- customer_balance (internal): what a customer owes now
+-- ------------------------------------------
+create or replace function customer_balance(p_customer_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select coalesce(sum(amount), 0) from customer_ledger where customer_id = p_customer_id;
+$$;
+
+revoke execute on function customer_balance(uuid) from public;
+
+-- ------------------------------------------
+-- record_sale_payments: as in 016, but a sale on credit is charged to the
+-- invoice's customer within their credit limit (p_adjust, an admin accepting
+-- an offline sale, may go over it). The reference is now optional.
+-- ------------------------------------------
+create or replace function record_sale_payments(
+    p_invoice_id uuid,
+    p_total numeric,
+    p_payments jsonb,
+    p_adjust boolean default false
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_payments jsonb := coalesce(p_payments, '[]'::jsonb);
+    v_payment jsonb;
+    v_count integer;
+    v_index integer := 0;
+    v_method text;
+    v_amount numeric;
+    v_tendered numeric;
+    v_paid numeric := 0;
+    v_methods text[] := '{}';
+    v_customer customers%rowtype;
+    v_balance numeric;
+begin
+    if jsonb_typeof(v_payments) <> 'array' or jsonb_array_length(v_payments) = 0 then
+        v_payments := '[{"method": "cash"}]'::jsonb;
+    end if;
+    v_count := jsonb_array_length(v_payments);
+
+    -- A one-method payment takes the whole total unless an amount was given
+    if v_count = 1 and v_payments->0->>'amount' is null then
+        v_payments := jsonb_set(v_payments, '{0,amount}', to_jsonb(p_total));
+    end if;
+
+    if p_total <= 0 then
+        return coalesce(v_payments->0->>'method', 'cash');
+    end if;
+
+    select coalesce(sum((e->>'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(v_payments) e;
+
+    if abs(v_paid - p_total) >= 0.005 then
+        if not p_adjust then
+            raise exception 'Payments add up to % but the total is %', round(v_paid, 2), round(p_total, 2);
+        end if;
+        v_payments := jsonb_set(
+            v_payments,
+            array[(v_count - 1)::text, 'amount'],
+            to_jsonb((v_payments->(v_count - 1)->>'amount')::numeric + p_total - v_paid)
+        );
+    end if;
+
+    for v_payment in select * from jsonb_array_elements(v_payments) loop
+        v_index := v_index + 1;
+        v_method := v_payment->>'method';
+        v_amount := round((v_payment->>'amount')::numeric, 2);
+        v_tendered := (v_payment->>'tendered')::numeric;
+
+        if v_method is null or v_method not in ('cash', 'mobile_money', 'card', 'credit') then
+            raise exception 'Unknown payment method %', coalesce(v_method, '(none)');
+        end if;
+        if v_method = any(v_methods) then
+            raise exception 'Each payment method can only be used once per sale';
+        end if;
+        v_methods := v_methods || v_method;
+
+        if v_amount is null or v_amount <= 0 then
+            raise exception 'Payment amounts must be more than zero';
+        end if;
+        if v_method = 'credit' then
+            select * into v_customer from customers
+            where id = (select customer_id from invoices where id = p_invoice_id)
+            for update;
+            if not found then
+                raise exception 'Attach a customer to sell on account';
+            end if;
+            if v_customer.credit_limit <= 0 and not p_adjust then
+                raise exception '% has no credit account', v_customer.name;
+            end if;
+            v_balance := customer_balance(v_customer.id);
+            if v_balance + v_amount > v_customer.credit_limit + 0.005 and not p_adjust then
+                raise exception '% owes % and this sale would take them over their % credit limit',
+                    v_customer.name, round(v_balance, 2), v_customer.credit_limit;
+            end if;
+        end if;
+        if v_method <> 'cash' then
+            v_tendered := null;
+        elsif v_tendered is not null and v_tendered < v_amount and not p_adjust then
+            raise exception 'Cash tendered % is less than the % due', v_tendered, v_amount;
+        end if;
+
+        insert into sale_payments (invoice_id, method, amount, tendered, change_given, reference)
+        values (
+            p_invoice_id, v_method, v_amount, v_tendered,
+            greatest(coalesce(v_tendered - v_amount, 0), 0),
+            nullif(trim(v_payment->>'reference'), '')
+        );
+
+        if v_method = 'credit' then
+            insert into customer_ledger (customer_id, entry_type, amount, invoice_id, reference, created_by, created_at)
+            select v_customer.id, 'charge', v_amount, i.id, nullif(trim(v_payment->>'reference'), ''), i.seller_id, i.created_at
+            from invoices i
+            where i.id = p_invoice_id;
+        end if;
+    end loop;
+
+    return case when v_count = 1 then v_method else 'split' end;
+end;
+$$;
+
+revoke execute on function record_sale_payments(uuid, numeric, jsonb, boolean) from public;
+
+-- ------------------------------------------
+-- create_sale_return: as in 013, plus refunds credited to the account
+-- of the sale's customer
+-- ------------------------------------------
+create or replace function create_sale_return(
+    p_invoice_id uuid,
+    p_items jsonb,
+    p_refund_method text default 'cash',
+    p_refund_amount numeric default null,
+    p_reason text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_item jsonb;
+    v_sale sales%rowtype;
+    v_quantity integer;
+    v_returned integer;
+    v_value numeric := 0;
+    v_amount numeric;
+    v_limit numeric;
+    v_return sale_returns%rowtype;
+    v_status text;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Select at least one item to return');
+    end if;
+    if p_refund_method not in ('cash', 'mobile_money', 'card', 'credit') then
+        return json_build_object('success', false, 'error', 'Invalid refund method');
+    end if;
+    if p_refund_method = 'credit'
+       and not exists (select 1 from invoices where id = p_invoice_id and customer_id is not null) then
+        return json_build_object('success', false, 'error', 'Only a sale with a customer can be credited to an account');
+    end if;
+
+    -- Lock the invoice's lines so two returns can't both take the same units
+    perform 1 from sales where invoice_id = p_invoice_id order by id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Receipt not found');
+    end if;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        select * into v_sale from sales where id = (v_item->>'saleId')::uuid and invoice_id = p_invoice_id;
+        if not found then
+            raise exception 'Item is not on this receipt';
+        end if;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale.medicine_name;
+        end if;
+
+        select coalesce(sum(ri.quantity), 0) into v_returned
+        from sale_return_items ri
+        join sale_returns r on r.id = ri.return_id
+        where ri.sale_id = v_sale.id and r.status <> 'rejected';
+
+        if v_returned + v_quantity > v_sale.quantity_sold then
+            raise exception 'Only % of % can still be returned', v_sale.quantity_sold - v_returned, v_sale.medicine_name;
+        end if;
+
+        v_value := v_value + coalesce(v_sale.unit_price, v_sale.total_price / v_sale.quantity_sold) * v_quantity;
+    end loop;
+
+    v_amount := round(coalesce(p_refund_amount, v_value), 2);
+    if v_amount < 0 or v_amount > round(v_value, 2) then
+        return json_build_object('success', false, 'error', format('Refund must be between 0 and %s', round(v_value, 2)));
+    end if;
+
+    select refund_approval_limit into v_limit from settings limit 1;
+    v_status := case when not v_is_admin and v_limit is not null and v_amount > v_limit then 'pending' else 'completed' end;
+
+    insert into sale_returns (invoice_id, status, refund_amount, refund_method, reason, requested_by)
+    values (p_invoice_id, 'pending', v_amount, p_refund_method, nullif(trim(p_reason), ''), auth.uid())
+    returning * into v_return;
+
+    -- Each line's share of the refund, in proportion to its value
+    insert into sale_return_items (return_id, sale_id, quantity, restock, refund_amount)
+    select
+        v_return.id,
+        s.id,
+        (e->>'quantity')::integer,
+        coalesce((e->>'restock')::boolean, true),
+        case when v_value > 0
+            then round(coalesce(s.unit_price, s.total_price / s.quantity_sold) * (e->>'quantity')::integer * v_amount / v_value, 2)
+            else 0
+        end
+    from jsonb_array_elements(p_items) e
+    join sales s on s.id = (e->>'saleId')::uuid;
+
+    if v_status = 'completed' then
+        perform complete_sale_return(v_return.id);
+    else
+        insert into audit_log (actor_id, action, entity_type, entity_id, details)
+        values (auth.uid(), 'sale_return.requested', 'sale_return', v_return.id,
+                jsonb_build_object('returnNumber', v_return.return_number, 'refundAmount', v_amount, 'limit', v_limit));
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'returnId', v_return.id,
+            'returnNumber', v_return.return_number,
+            'status', v_status,
+            'refundAmount', v_amount
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- Voiding a sale on account takes the charge back off the balance
+-- ------------------------------------------
+create or replace function reverse_voided_charge()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into customer_ledger (customer_id, entry_type, amount, invoice_id, note, created_by)
+    select l.customer_id, 'reversal', -sum(l.amount), new.id,
+           'Void of receipt R-' || lpad(new.invoice_number::text, 6, '0'), new.voided_by
+    from customer_ledger l
+    where l.invoice_id = new.id and l.entry_type = 'charge'
+    group by l.customer_id;
+    return new;
+end;
+$$;
+
+drop trigger if exists invoices_reverse_voided_charge on invoices;
+create trigger invoices_reverse_voided_charge
+    after update of voided_at on invoices
+    for each row
+    when (old.voided_at is null and new.voided_at is not null)
+    execute function reverse_voided_charge();
+
+-- ------------------------------------------
+-- A completed return refunded to the account reduces the balance
+-- ------------------------------------------
+create or replace function credit_return_to_account()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    insert into customer_ledger (customer_id, entry_type, amount, invoice_id, return_id, note, created_by)
+    select i.customer_id, 'reversal', -new.refund_amount, i.id, new.id,
+           'Return RT-' || lpad(new.return_number::text, 6, '0'), coalesce(auth.uid(), new.requested_by)
+    from invoices i
+    where i.id = new.invoice_id and i.customer_id is not null;
+    return new;
+end;
+$$;
+
+drop trigger if exists sale_returns_credit_account on sale_returns;
+create trigger sale_returns_credit_account
+    after update of status on sale_returns
+    for each row
+    when (new.status = 'completed' and old.status <> 'completed'
+          and new.refund_method = 'credit' and new.refund_amount > 0)
+    execute function credit_return_to_account();
+
+-- ------------------------------------------
+-- shift_expected_cash: as in 017, plus cash taken for account payments
+-- ------------------------------------------
+create or replace function shift_expected_cash(p_shift_id uuid)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+    select s.opening_float
+        + coalesce((
+            select sum(p.amount)
+            from sale_payments p
+            join invoices i on i.id = p.invoice_id
+            where i.shift_id = s.id and i.voided_at is null and p.method = 'cash'
+        ), 0)
+        - coalesce((
+            select sum(r.refund_amount)
+            from sale_returns r
+            where r.shift_id = s.id and r.status = 'completed' and r.refund_method = 'cash'
+        ), 0)
+        - coalesce((
+            select sum(l.amount) -- Payments are negative
+            from customer_ledger l
+            where l.shift_id = s.id and l.method = 'cash'
+        ), 0)
+    from shifts s
+    where s.id = p_shift_id;
+$$;
+
+revoke execute on function shift_expected_cash(uuid) from public;
+
+-- ------------------------------------------
+-- shift_report: as in 017, plus account payments taken during the shift
+-- ------------------------------------------
+create or replace function shift_report(p_shift_id uuid)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_shift shifts%rowtype;
+    v_sales json;
+    v_payments json;
+    v_refunds json;
+    v_voids json;
+    v_account_payments json;
+begin
+    select * into v_shift from shifts where id = p_shift_id;
+    if not found then
+        return json_build_object('success', false, 'error', 'Shift not found');
+    end if;
+    if v_shift.cashier_id <> auth.uid()
+       and not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'You can only view your own shifts');
+    end if;
+
+    select json_build_object(
+        'count', count(*),
+        'total', coalesce(sum(total_amount), 0),
+        'items', coalesce(sum(item_count), 0),
+        'discounts', coalesce(sum(discount_amount), 0),
+        'firstAt', min(created_at),
+        'lastAt', max(created_at)
+    )
+    into v_sales
+    from invoices
+    where shift_id = v_shift.id and voided_at is null;
+
+    select coalesce(json_agg(t order by t."amount" desc), '[]'::json)
+    into v_payments
+    from (
+        select p.method as "method", sum(p.amount) as "amount", count(*) as "count",
+               sum(p.tendered) as "tendered", sum(p.change_given) as "change"
+        from sale_payments p
+        join invoices i on i.id = p.invoice_id
+        where i.shift_id = v_shift.id and i.voided_at is null
+        group by p.method
+    ) t;
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_refunds
+    from (
+        select refund_method as "method", status as "status",
+               sum(refund_amount) as "amount", count(*) as "count"
+        from sale_returns
+        where shift_id = v_shift.id and status in ('completed', 'pending')
+        group by refund_method, status
+    ) t;
+
+    select json_build_object('count', count(*), 'total', coalesce(sum(total_amount), 0))
+    into v_voids
+    from invoices
+    where shift_id = v_shift.id and voided_at is not null;
+
+    select coalesce(json_agg(t order by t."amount" desc), '[]'::json)
+    into v_account_payments
+    from (
+        select method as "method", -sum(amount) as "amount", count(*) as "count"
+        from customer_ledger
+        where shift_id = v_shift.id and entry_type = 'payment'
+        group by method
+    ) t;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'shift', row_to_json(v_shift),
+            'cashierName', (select full_name from profiles where id = v_shift.cashier_id),
+            'closedByName', (select full_name from profiles where id = v_shift.closed_by),
+            'sales', v_sales,
+            'payments', v_payments,
+            'refunds', v_refunds,
+            'voids', v_voids,
+            'accountPayments', v_account_payments,
+            'expectedCash', shift_expected_cash(v_shift.id)
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- record_account_payment: money received against a customer's balance.
+-- Cash needs an open shift so it is counted in the drawer.
+-- ------------------------------------------
+create or replace function record_account_payment(
+    p_customer_id uuid,
+    p_amount numeric,
+    p_method text default 'cash',
+    p_reference text default null,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_customer customers%rowtype;
+    v_balance numeric;
+    v_shift_id uuid;
+    v_entry customer_ledger%rowtype;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_amount is null or round(p_amount, 2) <= 0 then
+        return json_build_object('success', false, 'error', 'Enter the amount received');
+    end if;
+    if p_method is null or p_method not in ('cash', 'mobile_money', 'card') then
+        return json_build_object('success', false, 'error', 'Invalid payment method');
+    end if;
+
+    select * into v_customer from customers where id = p_customer_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Customer not found');
+    end if;
+
+    v_balance := customer_balance(v_customer.id);
+    if round(p_amount, 2) > v_balance then
+        return json_build_object('success', false, 'error',
+            format('%s only owes %s', v_customer.name, round(greatest(v_balance, 0), 2)));
+    end if;
+
+    v_shift_id := shift_at(auth.uid(), now());
+    if p_method = 'cash' and v_shift_id is null then
+        return json_build_object('success', false, 'error', 'Open a shift before taking cash');
+    end if;
+
+    insert into customer_ledger (customer_id, entry_type, amount, method, reference, note, shift_id, created_by)
+    values (v_customer.id, 'payment', -round(p_amount, 2), p_method,
+            nullif(trim(p_reference), ''), nullif(trim(p_note), ''), v_shift_id, auth.uid())
+    returning * into v_entry;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'account.payment', 'customer', v_customer.id,
+            jsonb_build_object('entryId', v_entry.id, 'amount', -v_entry.amount, 'method', p_method));
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('entry', row_to_json(v_entry), 'balance', v_balance + v_entry.amount)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- adjust_customer_account: admin correction or opening balance.
+-- A positive amount adds to what the customer owes.
+-- ------------------------------------------
+create or replace function adjust_customer_account(
+    p_customer_id uuid,
+    p_amount numeric,
+    p_note text
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_entry customer_ledger%rowtype;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can adjust an account');
+    end if;
+    if p_amount is null or round(p_amount, 2) = 0 then
+        return json_build_object('success', false, 'error', 'Enter the adjustment amount');
+    end if;
+    if coalesce(trim(p_note), '') = '' then
+        return json_build_object('success', false, 'error', 'A note is required');
+    end if;
+    if not exists (select 1 from customers where id = p_customer_id) then
+        return json_build_object('success', false, 'error', 'Customer not found');
+    end if;
+
+    insert into customer_ledger (customer_id, entry_type, amount, note, created_by)
+    values (p_customer_id, 'adjustment', round(p_amount, 2), trim(p_note), auth.uid())
+    returning * into v_entry;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (auth.uid(), 'account.adjusted', 'customer', p_customer_id,
+            jsonb_build_object('entryId', v_entry.id, 'amount', v_entry.amount, 'note', v_entry.note));
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('entry', row_to_json(v_entry), 'balance', customer_balance(p_customer_id))
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- receivables_aging: balances owed as of a date, split by the age of the
+-- charges still unpaid (0-30, 31-60, over 60 days). Payments and credits
+-- settle the oldest charges first.
+-- All customers (admins only), or one customer for their statement.
+-- ------------------------------------------
+create or replace function receivables_aging(
+    p_customer_id uuid default null,
+    p_as_of timestamptz default now()
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_rows json;
+begin
+    if p_customer_id is null
+       and not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view receivables');
+    end if;
+
+    with entries as (
+        select * from customer_ledger
+        where created_at <= p_as_of
+          and (p_customer_id is null or customer_id = p_customer_id)
+    ),
+    credits as (
+        select customer_id, -sum(amount) as total
+        from entries
+        where amount < 0
+        group by customer_id
+    ),
+    charges as (
+        select customer_id, amount, created_at,
+               sum(amount) over (partition by customer_id order by created_at, id) as running
+        from entries
+        where amount > 0
+    ),
+    unpaid as (
+        select c.customer_id, c.created_at,
+               (p_as_of::date - c.created_at::date) as days,
+               least(c.amount, c.running - coalesce(cr.total, 0)) as outstanding
+        from charges c
+        left join credits cr on cr.customer_id = c.customer_id
+        where c.running - coalesce(cr.total, 0) > 0
+    ),
+    balances as (
+        select customer_id, sum(amount) as balance
+        from entries
+        group by customer_id
+        having sum(amount) <> 0
+    )
+    select coalesce(json_agg(t order by t."balance" desc), '[]'::json)
+    into v_rows
+    from (
+        select
+            cu.id as "customerId",
+            cu.name as "name",
+            cu.phone as "phone",
+            cu.credit_limit as "creditLimit",
+            b.balance as "balance",
+            coalesce(sum(u.outstanding) filter (where u.days <= 30), 0) as "current",
+            coalesce(sum(u.outstanding) filter (where u.days between 31 and 60), 0) as "days31To60",
+            coalesce(sum(u.outstanding) filter (where u.days > 60), 0) as "over60",
+            min(u.created_at) as "oldestUnpaidAt"
+        from balances b
+        join customers cu on cu.id = b.customer_id
+        left join unpaid u on u.customer_id = b.customer_id
+        group by cu.id, b.balance
+    ) t;
+
+    return json_build_object('success', true, 'data', v_rows);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function record_account_payment(uuid, numeric, text, text, text) to authenticated;
+grant execute on function adjust_customer_account(uuid, numeric, text) to authenticated;
+grant execute on function receivables_aging(uuid, timestamptz) to authenticated;
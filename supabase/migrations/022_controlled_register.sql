@@ -0,0 +1,567 @@
+-- ==========================================
+-- 022: Controlled substances register
+-- Every stock movement of a controlled medicine (schedule 'controlled')
+-- gets a line in controlled_register with the running balance after it:
+--   opening     stock on hand when the medicine became controlled
+--   receipt     goods received against a purchase order, or a batch added
+--   sale        a sale line (with the prescription it was dispensed against)
+--   return      stock back from a customer return
+--   void        stock back from a voided sale
+--   write_off   damage, expiry or theft; needs a witness
+--   adjustment  a manual correction
+--   count       a physical count (no movement; counted_quantity is what was
+--               found, and any difference from balance is a discrepancy)
+-- Lines are posted by triggers on sales, stock_adjustments and
+-- goods_receipt_items, so checkout, returns and voids need no changes.
+-- Removing controlled stock outside a sale has to be witnessed by a second
+-- admin entering their approval PIN.
+-- ==========================================
+
+alter table stock_adjustments add column if not exists witnessed_by uuid references profiles(id);
+
+create table if not exists controlled_register (
+    id bigint generated always as identity primary key, -- Posting order
+    medicine_id uuid not null references medicines(id) on delete cascade,
+    entry_type text not null
+        check (entry_type in ('opening', 'receipt', 'sale', 'return', 'void', 'write_off', 'adjustment', 'count')),
+    quantity integer not null, -- Signed: in positive, out negative, 0 for counts
+    balance integer not null,
+    counted_quantity integer check (counted_quantity >= 0),
+    reference text,
+    invoice_id uuid references invoices(id) on delete set null,
+    goods_receipt_id uuid references goods_receipts(id) on delete set null,
+    stock_adjustment_id uuid references stock_adjustments(id) on delete set null,
+    witnessed_by uuid references profiles(id),
+    recorded_by uuid references profiles(id),
+    created_at timestamptz not null default now(),
+    check ((entry_type = 'count') = (counted_quantity is not null))
+);
+
+create index if not exists controlled_register_medicine_idx on controlled_register (medicine_id, id desc);
+create index if not exists controlled_register_created_idx on controlled_register (created_at);
+
+alter table controlled_register enable row level security;
+
+-- Written only by the functions below
+drop policy if exists "Authenticated users can read the controlled register" on controlled_register;
+create policy "Authenticated users can read the controlled register"
+    on controlled_register for select to authenticated using (true);
+
+-- ------------------------------------------
+-- post_controlled_entry (internal): add a register line for a controlled
+-- medicine, carrying the balance forward. Does nothing for other medicines.
+-- ------------------------------------------
+create or replace function post_controlled_entry(
+    p_medicine_id uuid,
+    p_entry_type text,
+    p_quantity integer,
+    p_reference text,
+    p_actor uuid,
+    p_invoice_id uuid default null,
+    p_goods_receipt_id uuid default null,
+    p_stock_adjustment_id uuid default null,
+    p_witnessed_by uuid default null
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    if p_quantity = 0 or not exists (select 1 from medicines where id = p_medicine_id and schedule = 'controlled') then
+        return;
+    end if;
+
+    -- One poster at a time per medicine, so balances chain
+    perform pg_advisory_xact_lock(hashtext('controlled_register:' || p_medicine_id::text));
+
+    select balance into v_balance
+    from controlled_register
+    where medicine_id = p_medicine_id
+    order by id desc
+    limit 1;
+
+    insert into controlled_register (
+        medicine_id, entry_type, quantity, balance, reference,
+        invoice_id, goods_receipt_id, stock_adjustment_id, witnessed_by, recorded_by
+    )
+    values (
+        p_medicine_id, p_entry_type, p_quantity, coalesce(v_balance, 0) + p_quantity, p_reference,
+        p_invoice_id, p_goods_receipt_id, p_stock_adjustment_id, p_witnessed_by, p_actor
+    );
+end;
+$$;
+
+revoke execute on function post_controlled_entry(uuid, text, integer, text, uuid, uuid, uuid, uuid, uuid) from public;
+
+-- ------------------------------------------
+-- Triggers
+-- ------------------------------------------
+
+-- Becoming controlled opens the register at the stock on hand
+create or replace function open_controlled_register()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    select balance into v_balance
+    from controlled_register
+    where medicine_id = new.id
+    order by id desc
+    limit 1;
+
+    perform post_controlled_entry(
+        new.id, 'opening', coalesce(new.quantity, 0) - coalesce(v_balance, 0),
+        'Opening balance', auth.uid()
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists medicines_open_controlled_register on medicines;
+create trigger medicines_open_controlled_register
+    after insert on medicines
+    for each row
+    when (new.schedule = 'controlled')
+    execute function open_controlled_register();
+
+drop trigger if exists medicines_reopen_controlled_register on medicines;
+create trigger medicines_reopen_controlled_register
+    after update of schedule on medicines
+    for each row
+    when (new.schedule = 'controlled' and old.schedule <> 'controlled')
+    execute function open_controlled_register();
+
+create or replace function register_controlled_sale()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice_number bigint;
+    v_prescription prescriptions%rowtype;
+begin
+    select invoice_number into v_invoice_number from invoices where id = new.invoice_id;
+    select * into v_prescription from prescriptions where invoice_id = new.invoice_id;
+
+    perform post_controlled_entry(
+        new.medicine_id, 'sale', -new.quantity_sold,
+        concat_ws(' · ',
+            'R-' || lpad(v_invoice_number::text, 6, '0'),
+            'Rx ' || v_prescription.prescription_number,
+            v_prescription.patient_name,
+            v_prescription.prescriber_name
+        ),
+        new.seller_id, new.invoice_id
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists sales_register_controlled on sales;
+create trigger sales_register_controlled
+    after insert on sales
+    for each row
+    when (new.medicine_id is not null)
+    execute function register_controlled_sale();
+
+create or replace function register_controlled_adjustment()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+    perform post_controlled_entry(
+        new.medicine_id,
+        case
+            when new.adjustment_type in ('damage', 'expiry', 'theft') then 'write_off'
+            when new.adjustment_type in ('return', 'void') then new.adjustment_type
+            else 'adjustment'
+        end,
+        coalesce(new.quantity_change, new.quantity),
+        concat_ws(' · ', initcap(new.adjustment_type), new.reason),
+        new.adjusted_by, null, null, new.id, new.witnessed_by
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists stock_adjustments_register_controlled on stock_adjustments;
+create trigger stock_adjustments_register_controlled
+    after insert on stock_adjustments
+    for each row execute function register_controlled_adjustment();
+
+create or replace function register_controlled_receipt()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_receipt goods_receipts%rowtype;
+    v_reference text;
+begin
+    select * into v_receipt from goods_receipts where id = new.goods_receipt_id;
+
+    select concat_ws(' · ', 'PO-' || lpad(po.po_number::text, 5, '0'), s.name, 'Batch ' || new.batch_number)
+    into v_reference
+    from purchase_orders po
+    left join suppliers s on s.id = po.supplier_id
+    where po.id = v_receipt.purchase_order_id;
+
+    perform post_controlled_entry(
+        new.medicine_id, 'receipt', new.quantity_received, v_reference,
+        v_receipt.received_by, null, new.goods_receipt_id
+    );
+    return null;
+end;
+$$;
+
+drop trigger if exists goods_receipt_items_register_controlled on goods_receipt_items;
+create trigger goods_receipt_items_register_controlled
+    after insert on goods_receipt_items
+    for each row
+    when (new.quantity_received > 0)
+    execute function register_controlled_receipt();
+
+-- ------------------------------------------
+-- add_medicine_batch: as in 007, plus the register line
+-- ------------------------------------------
+create or replace function add_medicine_batch(
+    p_medicine_id uuid,
+    p_batch_number text,
+    p_expiry_date date,
+    p_quantity integer,
+    p_purchase_price numeric
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_batch_id uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if p_quantity is null or p_quantity <= 0 then
+        return json_build_object('success', false, 'error', 'Quantity must be greater than zero');
+    end if;
+
+    if p_expiry_date is null or p_expiry_date < current_date then
+        return json_build_object('success', false, 'error', 'Expiry date must be in the future');
+    end if;
+
+    perform 1 from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+    values (p_medicine_id, nullif(trim(p_batch_number), ''), p_expiry_date, p_quantity, coalesce(p_purchase_price, 0))
+    returning id into v_batch_id;
+
+    if p_purchase_price is not null and p_purchase_price > 0 then
+        update medicines set purchase_price = p_purchase_price where id = p_medicine_id;
+    end if;
+
+    perform post_controlled_entry(
+        p_medicine_id, 'receipt', p_quantity,
+        concat_ws(' · ', 'Batch added', 'Batch ' || nullif(trim(p_batch_number), '')),
+        auth.uid()
+    );
+
+    return json_build_object('success', true, 'data', json_build_object('batchId', v_batch_id));
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- adjust_stock: as in 007, plus p_witness_pin.
+-- Taking controlled stock out needs a second admin's approval PIN; without
+-- it the result is { success: false, needsWitness: true }.
+-- ------------------------------------------
+drop function if exists adjust_stock(uuid, text, integer, text, uuid);
+
+create or replace function adjust_stock(
+    p_medicine_id uuid,
+    p_type text,
+    p_quantity_change integer,
+    p_reason text,
+    p_batch_id uuid default null,
+    p_witness_pin text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine medicines%rowtype;
+    v_batch medicine_batches%rowtype;
+    v_remaining integer;
+    v_take integer;
+    v_after integer;
+    v_adjustment_id uuid;
+    v_witness uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if coalesce(trim(p_reason), '') = '' then
+        return json_build_object('success', false, 'error', 'A reason is required');
+    end if;
+
+    if p_quantity_change is null or p_quantity_change = 0 then
+        return json_build_object('success', false, 'error', 'Quantity must not be zero');
+    end if;
+
+    if p_type = 'return' and p_quantity_change < 0 then
+        return json_build_object('success', false, 'error', 'Returns add stock');
+    end if;
+
+    if p_type in ('damage', 'expiry', 'theft') and p_quantity_change > 0 then
+        return json_build_object('success', false, 'error', 'Write-offs remove stock');
+    end if;
+
+    select * into v_medicine from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    if v_medicine.quantity + p_quantity_change < 0 then
+        return json_build_object(
+            'success', false,
+            'error', format('Cannot remove %s: only %s in stock', -p_quantity_change, v_medicine.quantity)
+        );
+    end if;
+
+    if v_medicine.schedule = 'controlled' and p_quantity_change < 0 then
+        if coalesce(p_witness_pin, '') = '' then
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'A second admin must witness removing a controlled drug');
+        end if;
+
+        if (select count(*) from audit_log
+            where actor_id = auth.uid() and action = 'stock.witness_pin_failed'
+              and created_at > now() - interval '15 minutes') >= 5 then
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'Too many wrong PINs. Try again later');
+        end if;
+
+        select p.id into v_witness
+        from approval_pins ap
+        join profiles p on p.id = ap.profile_id
+        where p.role = 'admin' and p.id <> auth.uid()
+          and ap.pin_hash = extensions.crypt(p_witness_pin, ap.pin_hash)
+        limit 1;
+
+        if v_witness is null then
+            insert into audit_log (actor_id, action, entity_type, entity_id)
+            values (auth.uid(), 'stock.witness_pin_failed', 'medicine', p_medicine_id);
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'Incorrect PIN. The witness must be another admin');
+        end if;
+    end if;
+
+    if p_batch_id is not null then
+        select * into v_batch
+        from medicine_batches
+        where id = p_batch_id and medicine_id = p_medicine_id
+        for update;
+
+        if not found then
+            return json_build_object('success', false, 'error', 'Batch not found');
+        end if;
+        if v_batch.quantity + p_quantity_change < 0 then
+            return json_build_object(
+                'success', false,
+                'error', format('Cannot remove %s: only %s in batch %s', -p_quantity_change, v_batch.quantity, coalesce(v_batch.batch_number, '(unnumbered)'))
+            );
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    elsif p_quantity_change > 0 then
+        select * into v_batch
+        from medicine_batches
+        where medicine_id = p_medicine_id
+        order by (expiry_date is not null and expiry_date < current_date), expiry_date nulls last, received_at
+        limit 1
+        for update;
+
+        if not found then
+            insert into medicine_batches (medicine_id, quantity, purchase_price)
+            values (p_medicine_id, 0, coalesce(v_medicine.purchase_price, 0))
+            returning * into v_batch;
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    else
+        v_remaining := -p_quantity_change;
+        for v_batch in
+            select *
+            from medicine_batches
+            where medicine_id = p_medicine_id and quantity > 0
+            order by expiry_date nulls last, received_at
+            for update
+        loop
+            exit when v_remaining = 0;
+            v_take := least(v_batch.quantity, v_remaining);
+            update medicine_batches set quantity = quantity - v_take where id = v_batch.id;
+            v_remaining := v_remaining - v_take;
+        end loop;
+        v_batch.id := null; -- Spread over several batches
+    end if;
+
+    select quantity into v_after from medicines where id = p_medicine_id;
+
+    insert into stock_adjustments (
+        medicine_id, batch_id, adjustment_type, quantity, quantity_change,
+        quantity_before, quantity_after, reason, adjusted_by, witnessed_by
+    )
+    values (
+        p_medicine_id, coalesce(p_batch_id, v_batch.id), p_type, abs(p_quantity_change), p_quantity_change,
+        v_medicine.quantity, v_after, trim(p_reason), auth.uid(), v_witness
+    )
+    returning id into v_adjustment_id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('adjustmentId', v_adjustment_id, 'quantity', v_after)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function adjust_stock(uuid, text, integer, text, uuid, text) to authenticated;
+
+-- ------------------------------------------
+-- record_controlled_count: a physical count of a controlled medicine.
+-- Returns the running balance it was checked against and the difference.
+-- ------------------------------------------
+create or replace function record_controlled_count(
+    p_medicine_id uuid,
+    p_counted integer,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_balance integer;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_counted is null or p_counted < 0 then
+        return json_build_object('success', false, 'error', 'Enter the quantity counted');
+    end if;
+    if not exists (select 1 from medicines where id = p_medicine_id and schedule = 'controlled') then
+        return json_build_object('success', false, 'error', 'Only controlled medicines are counted into the register');
+    end if;
+
+    perform pg_advisory_xact_lock(hashtext('controlled_register:' || p_medicine_id::text));
+
+    select balance into v_balance
+    from controlled_register
+    where medicine_id = p_medicine_id
+    order by id desc
+    limit 1;
+    v_balance := coalesce(v_balance, 0);
+
+    insert into controlled_register (medicine_id, entry_type, quantity, balance, counted_quantity, reference, recorded_by)
+    values (
+        p_medicine_id, 'count', 0, v_balance, p_counted,
+        concat_ws(' · ', 'Physical count', nullif(trim(p_note), '')), auth.uid()
+    );
+
+    if p_counted <> v_balance then
+        insert into audit_log (actor_id, action, entity_type, entity_id, details)
+        values (auth.uid(), 'controlled.count_discrepancy', 'medicine', p_medicine_id,
+            jsonb_build_object('balance', v_balance, 'counted', p_counted));
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('balance', v_balance, 'counted', p_counted, 'difference', p_counted - v_balance)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function record_controlled_count(uuid, integer, text) to authenticated;
+
+-- ------------------------------------------
+-- controlled_discrepancies: controlled medicines whose latest count did not
+-- match the register, or whose stock on hand no longer matches it
+-- (e.g. stock brought in by a spreadsheet import).
+-- ------------------------------------------
+create or replace function controlled_discrepancies()
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_rows json;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    select coalesce(json_agg(row_to_json(d) order by d.name), '[]'::json)
+    into v_rows
+    from (
+        select
+            m.id as "medicineId",
+            m.name,
+            m.quantity as stock,
+            coalesce(last_entry.balance, 0) as balance,
+            last_count.counted_quantity as counted,
+            last_count.balance as "countedAgainst",
+            last_count.created_at as "countedAt"
+        from medicines m
+        left join lateral (
+            select balance from controlled_register r
+            where r.medicine_id = m.id
+            order by r.id desc
+            limit 1
+        ) last_entry on true
+        left join lateral (
+            select counted_quantity, balance, created_at from controlled_register r
+            where r.medicine_id = m.id and r.entry_type = 'count'
+            order by r.id desc
+            limit 1
+        ) last_count on true
+        where m.schedule = 'controlled'
+          and (last_count.counted_quantity <> last_count.balance
+               or m.quantity <> coalesce(last_entry.balance, 0))
+    ) d;
+
+    return json_build_object('success', true, 'data', v_rows);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function controlled_discrepancies() to authenticated;
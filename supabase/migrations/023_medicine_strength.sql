@@ -0,0 +1,11 @@
+-- ==========================================
+-- 023: Medicine Strength
+-- Strength / dosage per unit (e.g. "500 mg", "250 mg/5 ml"), so generic
+-- substitutes are only suggested when generic name, dosage form (category)
+-- and strength all match. Free text; the app compares it ignoring case and
+-- spaces.
+-- ==========================================
+
+alter table medicines add column if not exists strength text;
+
+create index if not exists medicines_generic_name_idx on medicines (lower(generic_name));
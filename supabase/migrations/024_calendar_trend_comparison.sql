@@ -0,0 +1,121 @@
+-- ==========================================
+-- 024: Calendar-aligned trend comparison
+-- sales_trends compared a period with the equally long span before it. For
+-- month buckets that span starts mid-month, so the previous series began with
+-- a partial month and didn't line up with the current one. Month buckets now
+-- compare with the same number of whole calendar months before p_start.
+-- Otherwise as in 014.
+-- ==========================================
+
+create or replace function sales_trends(
+    p_start timestamptz,
+    p_end timestamptz,
+    p_bucket text default 'day',
+    p_timezone text default 'UTC'
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_prev_start timestamptz := p_start - (p_end - p_start);
+    v_months integer;
+    v_totals json;
+    v_hourly json;
+    v_categories json;
+    v_refunds numeric;
+    v_prev_refunds numeric;
+begin
+    if p_bucket not in ('day', 'week', 'month') then
+        return json_build_object('success', false, 'error', 'Invalid bucket: ' || p_bucket);
+    end if;
+    if p_start >= p_end then
+        return json_build_object('success', false, 'error', 'Start must be before end');
+    end if;
+
+    -- Month buckets: the same number of calendar months before p_start, cut on
+    -- the shop's month boundaries, so previousSeries lines up bucket for bucket
+    if p_bucket = 'month' then
+        select count(*)::integer into v_months
+        from generate_series(
+            date_trunc('month', p_start at time zone p_timezone),
+            (p_end at time zone p_timezone) - interval '1 microsecond',
+            interval '1 month'
+        );
+        v_prev_start := (date_trunc('month', p_start at time zone p_timezone) - make_interval(months => v_months))
+            at time zone p_timezone;
+    end if;
+
+    select
+        coalesce(sum(refund_amount) filter (where completed_at >= p_start), 0),
+        coalesce(sum(refund_amount) filter (where completed_at < p_start), 0)
+    into v_refunds, v_prev_refunds
+    from sale_returns
+    where status = 'completed' and completed_at >= v_prev_start and completed_at < p_end;
+
+    select json_build_object(
+        'current', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date >= p_start), 0) - v_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date >= p_start), 0)
+        ),
+        'previous', json_build_object(
+            'revenue', coalesce(sum(total_price) filter (where sale_date < p_start), 0) - v_prev_refunds,
+            'transactions', count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start),
+            'items', coalesce(sum(quantity_sold) filter (where sale_date < p_start), 0)
+        )
+    )
+    into v_totals
+    from sales
+    where voided_at is null and sale_date >= v_prev_start and sale_date < p_end;
+
+    select json_agg(json_build_object(
+        'hour', h.hour,
+        'transactions', coalesce(t.transactions, 0),
+        'previousTransactions', coalesce(t.previous_transactions, 0)
+    ) order by h.hour)
+    into v_hourly
+    from generate_series(0, 23) as h(hour)
+    left join (
+        select
+            extract(hour from sale_date at time zone p_timezone)::integer as hour,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date >= p_start) as transactions,
+            count(distinct coalesce(invoice_id, id)) filter (where sale_date < p_start) as previous_transactions
+        from sales
+        where voided_at is null and sale_date >= v_prev_start and sale_date < p_end
+        group by 1
+    ) t on t.hour = h.hour;
+
+    -- Lines without a medicine (custom items, deleted medicines) are grouped as 'Other'
+    select coalesce(json_agg(c order by c."revenue" desc), '[]'::json)
+    into v_categories
+    from (
+        select
+            coalesce(m.category, 'Other') as "category",
+            coalesce(sum(s.total_price) filter (where s.sale_date >= p_start), 0) as "revenue",
+            coalesce(sum(s.total_price) filter (where s.sale_date < p_start), 0) as "previousRevenue"
+        from sales s
+        left join medicines m on m.id = s.medicine_id
+        where s.voided_at is null and s.sale_date >= v_prev_start and s.sale_date < p_end
+        group by 1
+    ) c;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'totals', v_totals,
+            'series', sales_series(p_start, p_end, p_bucket, p_timezone),
+            'previousSeries', sales_series(v_prev_start, p_start, p_bucket, p_timezone),
+            'hourly', v_hourly,
+            'categories', v_categories
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function sales_trends(timestamptz, timestamptz, text, text) to authenticated;
@@ -0,0 +1,594 @@
+-- ==========================================
+-- 025: Every rejected offline sale goes to review
+-- Offline sales the server rejects for any reason (stock, a payment total
+-- that no longer adds up, points or credit limit, a prescription now
+-- required, a deleted customer) are parked in sale_conflicts with the
+-- rejection's code, instead of staying failed on the till that queued them.
+-- Accepting replays the sale as an admin: stock may go negative, payments,
+-- points and credit are adjusted (adjustPayments), and a prescription
+-- requirement that didn't apply when the sale was made is waived.
+-- Backorders only make sense for stock shortfalls.
+-- ==========================================
+
+alter table sale_conflicts add column if not exists code text;
+update sale_conflicts set code = 'insufficient_stock' where code is null;
+alter table sale_conflicts alter column code set default 'rejected';
+alter table sale_conflicts alter column code set not null;
+
+-- ------------------------------------------
+-- process_checkout: as in 021, but an admin accepting a parked sale
+-- (adjustPayments) isn't refused for a prescription it was sold without
+-- ------------------------------------------
+create or replace function process_checkout(
+    p_seller_id uuid,
+    p_items jsonb,
+    p_options jsonb default '{}'::jsonb
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_invoice invoices%rowtype;
+    v_item jsonb;
+    v_medicine medicines%rowtype;
+    v_promotion promotions%rowtype;
+    v_quantity integer;
+    v_list_price numeric;
+    v_price numeric;
+    v_gross numeric;
+    v_amount numeric;
+    v_manual numeric;
+    v_net numeric;
+    v_discounts jsonb;
+    v_lines jsonb := '[]'::jsonb;
+    v_line jsonb;
+    v_subtotal numeric := 0;
+    v_basket jsonb := p_options->'basketDiscount';
+    v_basket_amount numeric := 0;
+    v_basket_reason text;
+    v_basket_promotion uuid;
+    v_allocated numeric := 0;
+    v_share numeric;
+    v_index integer := 0;
+    v_line_count integer;
+    v_total numeric := 0;
+    v_discount_total numeric := 0;
+    v_count integer := 0;
+    v_sale_id uuid;
+    v_allocations jsonb;
+    v_unit_cost numeric;
+    v_client_id uuid := (p_options->>'clientId')::uuid;
+    v_sold_at timestamptz := coalesce((p_options->>'soldAt')::timestamptz, now());
+    v_customer_id uuid := (p_options->>'customerId')::uuid;
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_allow_negative boolean := coalesce((p_options->>'allowNegativeStock')::boolean, false) and v_is_admin;
+    v_accepting boolean := v_is_admin and coalesce((p_options->>'adjustPayments')::boolean, false);
+    v_loyalty settings%rowtype;
+    v_redeem_points integer := coalesce((p_options->>'redeemPoints')::integer, 0);
+    v_points_balance integer;
+    v_points_amount numeric := 0;
+    v_points_base numeric;
+    v_points_allocated numeric := 0;
+    v_eligible numeric := 0;
+    v_points_earned integer := 0;
+    v_staff_limit numeric;
+    v_applied_by uuid := coalesce(auth.uid(), p_seller_id);
+    v_payment_method text;
+    v_prescription jsonb := nullif(p_options->'prescription', 'null'::jsonb);
+    v_prescription_id uuid;
+    v_rx_required text;
+    v_conflicts json;
+    v_message text;
+begin
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Cart is empty');
+    end if;
+
+    -- Replayed offline sale that was already recorded
+    if v_client_id is not null then
+        select * into v_invoice from invoices where client_id = v_client_id;
+        if found then
+            return json_build_object(
+                'success', true,
+                'data', json_build_object(
+                    'invoiceId', v_invoice.id,
+                    'invoiceNumber', v_invoice.invoice_number,
+                    'totalAmount', v_invoice.total_amount,
+                    'itemCount', v_invoice.item_count,
+                    'duplicate', true
+                )
+            );
+        end if;
+    end if;
+
+    if v_customer_id is not null and not exists (select 1 from customers where id = v_customer_id) then
+        return json_build_object('success', false, 'error', 'Customer not found');
+    end if;
+
+    -- Prescription-only medicines need the prescription they were dispensed against
+    select string_agg(m.name, ', ' order by m.name)
+    into v_rx_required
+    from medicines m
+    where m.requires_prescription
+      and m.id in (
+          select (e->>'medicineId')::uuid
+          from jsonb_array_elements(p_items) e
+          where e->>'medicineId' is not null
+      );
+
+    if v_prescription is not null then
+        v_message := prescription_error(v_prescription, v_sold_at);
+        if v_message is not null then
+            return json_build_object('success', false, 'code', 'prescription_required', 'error', v_message);
+        end if;
+    elsif v_rx_required is not null and not v_accepting then
+        return json_build_object(
+            'success', false,
+            'code', 'prescription_required',
+            'error', format('A prescription is required for %s', v_rx_required)
+        );
+    end if;
+
+    select coalesce(max_staff_discount_percent, 10) into v_staff_limit from settings where id = 1;
+    v_staff_limit := coalesce(v_staff_limit, 10);
+    select * into v_loyalty from settings where id = 1;
+
+    -- Lock every medicine in the basket (in id order, to avoid deadlocks)
+    perform 1
+    from medicines
+    where id in (
+        select (e->>'medicineId')::uuid
+        from jsonb_array_elements(p_items) e
+        where e->>'medicineId' is not null
+    )
+    order by id
+    for update;
+
+    if not v_allow_negative then
+        select
+            json_agg(json_build_object(
+                'medicineId', m.id,
+                'name', m.name,
+                'requested', r.requested,
+                'available', sellable_quantity(m.id)
+            )),
+            string_agg(format('Only %s %s left but %s requested', sellable_quantity(m.id), m.name, r.requested), '; ')
+        into v_conflicts, v_message
+        from (
+            select (e->>'medicineId')::uuid as medicine_id, sum((e->>'quantity')::integer) as requested
+            from jsonb_array_elements(p_items) e
+            where e->>'medicineId' is not null
+            group by 1
+        ) r
+        join medicines m on m.id = r.medicine_id
+        where sellable_quantity(m.id) < r.requested;
+
+        if v_conflicts is not null then
+            return json_build_object(
+                'success', false,
+                'code', 'insufficient_stock',
+                'error', v_message,
+                'conflicts', v_conflicts
+            );
+        end if;
+    end if;
+
+    -- Pass 1: price every line
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid quantity for %', coalesce(v_item->>'name', 'item');
+        end if;
+
+        v_discounts := '[]'::jsonb;
+        v_medicine := null;
+
+        if v_item->>'medicineId' is not null then
+            select * into v_medicine
+            from medicines
+            where id = (v_item->>'medicineId')::uuid;
+
+            if not found then
+                raise exception 'Medicine not found: %', coalesce(v_item->>'name', v_item->>'medicineId');
+            end if;
+
+            v_list_price := v_medicine.selling_price;
+        else
+            v_list_price := (v_item->>'unitPrice')::numeric;
+            if coalesce(trim(v_item->>'name'), '') = '' or v_list_price is null or v_list_price < 0 then
+                raise exception 'Invalid custom item';
+            end if;
+        end if;
+
+        v_gross := v_list_price * v_quantity;
+        v_price := v_list_price;
+        v_manual := 0;
+
+        if v_medicine.id is not null and v_item->>'overridePrice' is not null then
+            v_price := (v_item->>'overridePrice')::numeric;
+            if v_price < 0 or v_price > v_list_price then
+                raise exception 'Price for % must be between 0 and the list price %', v_medicine.name, v_list_price;
+            end if;
+            if coalesce(trim(v_item->>'overrideReason'), '') = '' then
+                raise exception 'A reason is required to change the price of %', v_medicine.name;
+            end if;
+            if v_price < v_list_price then
+                v_amount := (v_list_price - v_price) * v_quantity;
+                v_manual := v_manual + v_amount;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'override', 'amount', v_amount,
+                    'reason', trim(v_item->>'overrideReason'), 'appliedBy', v_applied_by
+                );
+            end if;
+        elsif v_medicine.id is not null then
+            -- Best single automatic promotion for this line
+            select p.* into v_promotion
+            from promotions p
+            where p.active and p.automatic
+              and (p.starts_at is null or p.starts_at <= v_sold_at)
+              and (p.ends_at is null or p.ends_at > v_sold_at)
+              and (p.scope = 'all'
+                   or (p.scope = 'category' and p.category = v_medicine.category)
+                   or (p.scope = 'medicine' and p.medicine_id = v_medicine.id))
+              and promotion_line_discount(p, v_price, v_quantity) > 0
+            order by promotion_line_discount(p, v_price, v_quantity) desc
+            limit 1;
+
+            if found then
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'promotion', 'amount', promotion_line_discount(v_promotion, v_price, v_quantity),
+                    'reason', v_promotion.name, 'promotionId', v_promotion.id, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        v_net := v_gross - coalesce((select sum((d->>'amount')::numeric) from jsonb_array_elements(v_discounts) d), 0);
+
+        if v_item->'discount' is not null and jsonb_typeof(v_item->'discount') = 'object'
+           and coalesce((v_item->'discount'->>'value')::numeric, 0) > 0 then
+            if coalesce(trim(v_item->'discount'->>'reason'), '') = '' then
+                raise exception 'A reason is required for the discount on %', coalesce(v_medicine.name, v_item->>'name');
+            end if;
+            v_amount := case v_item->'discount'->>'type'
+                when 'percent' then round(v_net * least((v_item->'discount'->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_item->'discount'->>'value')::numeric, v_net)
+            end;
+            if v_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            v_manual := v_manual + v_amount;
+            v_net := v_net - v_amount;
+            v_discounts := v_discounts || jsonb_build_object(
+                'kind', 'line', 'amount', v_amount,
+                'reason', trim(v_item->'discount'->>'reason'), 'appliedBy', v_applied_by
+            );
+        end if;
+
+        if not v_is_admin and v_gross > 0 and v_manual / v_gross * 100 > v_staff_limit + 0.001 then
+            raise exception 'Discount on % is over the % %% staff limit; ask an admin', coalesce(v_medicine.name, v_item->>'name'), v_staff_limit;
+        end if;
+
+        v_lines := v_lines || jsonb_build_object(
+            'medicineId', v_medicine.id,
+            'name', coalesce(v_medicine.name, trim(v_item->>'name')),
+            'category', v_medicine.category,
+            'purchasePrice', v_medicine.purchase_price,
+            'quantity', v_quantity,
+            'listPrice', v_list_price,
+            'net', v_net,
+            'discounts', v_discounts
+        );
+        v_subtotal := v_subtotal + v_net;
+    end loop;
+
+    -- Basket discount
+    if v_basket is not null and jsonb_typeof(v_basket) = 'object' then
+        if v_basket->>'promotionId' is not null then
+            select * into v_promotion
+            from promotions
+            where id = (v_basket->>'promotionId')::uuid
+              and active and not automatic
+              and (starts_at is null or starts_at <= v_sold_at)
+              and (ends_at is null or ends_at > v_sold_at);
+            if not found then
+                raise exception 'That discount is no longer available';
+            end if;
+            v_basket_amount := case v_promotion.kind
+                when 'percent' then round(v_subtotal * v_promotion.value / 100, 2)
+                else least(v_promotion.value, v_subtotal)
+            end;
+            v_basket_reason := v_promotion.name;
+            v_basket_promotion := v_promotion.id;
+        elsif coalesce((v_basket->>'value')::numeric, 0) > 0 then
+            v_basket_reason := trim(v_basket->>'reason');
+            if coalesce(v_basket_reason, '') = '' then
+                raise exception 'A reason is required for the basket discount';
+            end if;
+            v_basket_amount := case v_basket->>'type'
+                when 'percent' then round(v_subtotal * least((v_basket->>'value')::numeric, 100) / 100, 2)
+                when 'fixed' then least((v_basket->>'value')::numeric, v_subtotal)
+            end;
+            if v_basket_amount is null then
+                raise exception 'Invalid discount type';
+            end if;
+            if not v_is_admin and v_subtotal > 0 and v_basket_amount / v_subtotal * 100 > v_staff_limit + 0.001 then
+                raise exception 'Basket discount is over the % %% staff limit; ask an admin', v_staff_limit;
+            end if;
+        end if;
+    end if;
+
+    -- Loyalty points, redeemed as a discount on what is left after the basket discount
+    if v_redeem_points < 0 then
+        raise exception 'Invalid number of points to redeem';
+    elsif v_redeem_points > 0 then
+        if not coalesce(v_loyalty.loyalty_enabled, false) or coalesce(v_loyalty.loyalty_point_value, 0) <= 0 then
+            raise exception 'Loyalty points can''t be redeemed right now';
+        end if;
+        if v_customer_id is null then
+            raise exception 'Attach a customer to redeem points';
+        end if;
+        perform 1 from customers where id = v_customer_id for update;
+        v_points_balance := loyalty_balance(v_customer_id);
+        if v_redeem_points > v_points_balance then
+            -- An admin accepting an offline sale redeems whatever is left
+            if not v_accepting then
+                raise exception 'Only % points available', greatest(v_points_balance, 0);
+            end if;
+            v_redeem_points := greatest(v_points_balance, 0);
+        end if;
+        v_points_base := v_subtotal - v_basket_amount;
+        v_points_amount := least(round(v_redeem_points * v_loyalty.loyalty_point_value, 2), greatest(v_points_base, 0));
+        -- Don't take more points than the discount needs
+        if v_points_amount < round(v_redeem_points * v_loyalty.loyalty_point_value, 2) then
+            v_redeem_points := ceil(v_points_amount / v_loyalty.loyalty_point_value);
+        end if;
+    end if;
+
+    insert into invoices (seller_id, client_id, created_at, customer_id)
+    values (p_seller_id, v_client_id, v_sold_at, v_customer_id)
+    returning * into v_invoice;
+
+    if v_prescription is not null then
+        insert into prescriptions (
+            invoice_id, customer_id, prescription_number, prescriber_name, prescriber_license,
+            patient_name, prescribed_on, image_path, notes, recorded_by, created_at
+        )
+        values (
+            v_invoice.id, v_customer_id, trim(v_prescription->>'prescriptionNumber'),
+            trim(v_prescription->>'prescriberName'), nullif(trim(v_prescription->>'prescriberLicense'), ''),
+            trim(v_prescription->>'patientName'), (v_prescription->>'prescribedOn')::date,
+            nullif(v_prescription->>'imagePath', ''), nullif(trim(v_prescription->>'notes'), ''),
+            v_applied_by, v_sold_at
+        )
+        returning id into v_prescription_id;
+    end if;
+
+    -- Pass 2: share the basket discount, then the points discount, by line value
+    -- (the last line takes the rounding) and write
+    v_line_count := jsonb_array_length(v_lines);
+    for v_line in select * from jsonb_array_elements(v_lines) loop
+        v_index := v_index + 1;
+        v_quantity := (v_line->>'quantity')::integer;
+        v_net := (v_line->>'net')::numeric;
+        v_discounts := v_line->'discounts';
+
+        if v_basket_amount > 0 then
+            v_share := case
+                when v_index = v_line_count then v_basket_amount - v_allocated
+                when v_subtotal > 0 then round(v_basket_amount * v_net / v_subtotal, 2)
+                else 0
+            end;
+            v_allocated := v_allocated + v_share;
+            if v_share <> 0 then
+                v_net := v_net - v_share;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'basket', 'amount', v_share, 'reason', v_basket_reason,
+                    'promotionId', v_basket_promotion, 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        if v_points_amount > 0 then
+            v_share := case
+                when v_index = v_line_count then v_points_amount - v_points_allocated
+                when v_points_base > 0 then round(v_points_amount * v_net / v_points_base, 2)
+                else 0
+            end;
+            v_points_allocated := v_points_allocated + v_share;
+            if v_share <> 0 then
+                v_net := v_net - v_share;
+                v_discounts := v_discounts || jsonb_build_object(
+                    'kind', 'loyalty', 'amount', v_share,
+                    'reason', format('%s points redeemed', v_redeem_points), 'appliedBy', v_applied_by
+                );
+            end if;
+        end if;
+
+        if not (coalesce(v_line->>'category', '') = any(coalesce(v_loyalty.loyalty_excluded_categories, '{}'))) then
+            v_eligible := v_eligible + v_net;
+        end if;
+
+        v_amount := (v_line->>'listPrice')::numeric * v_quantity - v_net;
+
+        if v_line->>'medicineId' is not null then
+            v_allocations := consume_batches((v_line->>'medicineId')::uuid, v_quantity, v_allow_negative);
+
+            select sum((a->>'quantity')::integer * b.purchase_price) / v_quantity
+            into v_unit_cost
+            from jsonb_array_elements(v_allocations) a
+            join medicine_batches b on b.id = (a->>'batchId')::uuid;
+
+            insert into sales (
+                invoice_id, medicine_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, unit_cost, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, (v_line->>'medicineId')::uuid, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                coalesce(v_unit_cost, (v_line->>'purchasePrice')::numeric), p_seller_id, v_sold_at
+            )
+            returning id into v_sale_id;
+
+            insert into sale_batch_allocations (sale_id, batch_id, quantity)
+            select v_sale_id, (a->>'batchId')::uuid, (a->>'quantity')::integer
+            from jsonb_array_elements(v_allocations) a;
+        else
+            insert into sales (
+                invoice_id, medicine_name, quantity_sold, total_price,
+                unit_price, list_price, discount_amount, discounts, is_custom, seller_id, sale_date
+            )
+            values (
+                v_invoice.id, v_line->>'name', v_quantity, v_net,
+                round(v_net / v_quantity, 2), (v_line->>'listPrice')::numeric, v_amount, v_discounts,
+                true, p_seller_id, v_sold_at
+            );
+        end if;
+
+        v_total := v_total + v_net;
+        v_discount_total := v_discount_total + v_amount;
+        v_count := v_count + v_quantity;
+    end loop;
+
+    v_payment_method := record_sale_payments(
+        v_invoice.id,
+        v_total,
+        p_options->'payments',
+        v_is_admin and coalesce((p_options->>'adjustPayments')::boolean, false)
+    );
+
+    if v_redeem_points > 0 then
+        insert into loyalty_points (customer_id, entry_type, points, value, invoice_id, created_by, created_at)
+        values (v_customer_id, 'redeem', -v_redeem_points, v_points_amount, v_invoice.id, v_applied_by, v_sold_at);
+    end if;
+
+    if v_customer_id is not null and coalesce(v_loyalty.loyalty_enabled, false) then
+        v_points_earned := floor(greatest(v_eligible, 0) * coalesce(v_loyalty.loyalty_points_per_dollar, 0));
+        if v_points_earned > 0 then
+            insert into loyalty_points (customer_id, entry_type, points, invoice_id, expires_at, created_by, created_at)
+            values (
+                v_customer_id, 'earn', v_points_earned, v_invoice.id,
+                v_sold_at + make_interval(months => v_loyalty.loyalty_expiry_months), v_applied_by, v_sold_at
+            );
+        end if;
+    end if;
+
+    update invoices
+    set total_amount = v_total, item_count = v_count, discount_amount = v_discount_total,
+        payment_method = v_payment_method, points_earned = v_points_earned, points_redeemed = v_redeem_points
+    where id = v_invoice.id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'invoiceId', v_invoice.id,
+            'invoiceNumber', v_invoice.invoice_number,
+            'totalAmount', v_total,
+            'discountAmount', v_discount_total,
+            'itemCount', v_count,
+            'paymentMethod', v_payment_method,
+            'pointsEarned', v_points_earned,
+            'pointsRedeemed', v_redeem_points,
+            'prescriptionId', v_prescription_id,
+            'change', (select coalesce(sum(change_given), 0) from sale_payments where invoice_id = v_invoice.id)
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+-- ------------------------------------------
+-- resolve_sale_conflict: as in 016, logging the rejection and refusing
+-- backorders for anything but a stock shortfall
+-- ------------------------------------------
+create or replace function resolve_sale_conflict(
+    p_conflict_id uuid,
+    p_resolution text,
+    p_note text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_conflict sale_conflicts%rowtype;
+    v_result json;
+    v_invoice_id uuid;
+    v_status text;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can resolve sale conflicts');
+    end if;
+
+    select * into v_conflict from sale_conflicts where id = p_conflict_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Conflict not found');
+    end if;
+    if v_conflict.status <> 'pending' then
+        return json_build_object('success', false, 'error', 'Conflict already resolved');
+    end if;
+
+    if p_resolution = 'accept' then
+        v_result := process_checkout(
+            v_conflict.seller_id,
+            v_conflict.items,
+            v_conflict.options || jsonb_build_object(
+                'clientId', v_conflict.client_id,
+                'soldAt', v_conflict.sold_at,
+                'allowNegativeStock', true,
+                'adjustPayments', true
+            )
+        );
+        if not (v_result->>'success')::boolean then
+            return v_result;
+        end if;
+        v_invoice_id := (v_result->'data'->>'invoiceId')::uuid;
+        v_status := 'accepted';
+    elsif p_resolution = 'backorder' then
+        if v_conflict.code <> 'insufficient_stock' then
+            return json_build_object('success', false, 'error', 'Only stock shortfalls can be backordered');
+        end if;
+        insert into backorders (conflict_id, medicine_id, medicine_name, quantity, created_by)
+        select v_conflict.id, (e->>'medicineId')::uuid, e->>'name', (e->>'quantity')::integer, auth.uid()
+        from jsonb_array_elements(v_conflict.items) e
+        where e->>'medicineId' is not null;
+        v_status := 'backordered';
+    elsif p_resolution = 'void' then
+        v_status := 'voided';
+    else
+        return json_build_object('success', false, 'error', 'Unknown resolution');
+    end if;
+
+    update sale_conflicts
+    set status = v_status,
+        invoice_id = v_invoice_id,
+        resolution_note = p_note,
+        resolved_by = auth.uid(),
+        resolved_at = now()
+    where id = v_conflict.id;
+
+    insert into audit_log (actor_id, action, entity_type, entity_id, details)
+    values (
+        auth.uid(),
+        'sale_conflict.' || v_status,
+        'sale_conflict',
+        v_conflict.id,
+        jsonb_build_object(
+            'note', p_note,
+            'code', v_conflict.code,
+            'error', v_conflict.error,
+            'clientId', v_conflict.client_id,
+            'sellerId', v_conflict.seller_id,
+            'items', v_conflict.items,
+            'conflicts', v_conflict.conflicts,
+            'invoiceId', v_invoice_id
+        )
+    );
+
+    return json_build_object('success', true, 'data', json_build_object('status', v_status, 'invoiceId', v_invoice_id));
+end;
+$$;
@@ -0,0 +1,122 @@
+-- ==========================================
+-- 026: Imported stock in the controlled register
+-- import_medicines adds a batch for every row with a quantity, but unlike
+-- add_medicine_batch it posted no register line, so a controlled medicine's
+-- register balance fell behind its stock. It now posts a receipt for each
+-- imported batch (post_controlled_entry ignores other medicines).
+-- ==========================================
+
+create or replace function import_medicines(p_rows jsonb)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_row jsonb;
+    v_supplier_id uuid;
+    v_supplier_name text;
+    v_quantity integer;
+    v_created integer := 0;
+    v_updated integer := 0;
+    v_suppliers integer := 0;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can import medicines');
+    end if;
+
+    if p_rows is null or jsonb_array_length(p_rows) = 0 then
+        return json_build_object('success', false, 'error', 'Nothing to import');
+    end if;
+
+    for v_row in select * from jsonb_array_elements(p_rows) loop
+        begin
+            v_supplier_id := null;
+            v_supplier_name := nullif(trim(v_row->>'supplierName'), '');
+            v_quantity := coalesce(nullif(v_row->>'quantity', '')::integer, 0);
+
+            if v_supplier_name is not null then
+                select id into v_supplier_id
+                from suppliers
+                where lower(name) = lower(v_supplier_name)
+                limit 1;
+
+                if v_supplier_id is null then
+                    insert into suppliers (name) values (v_supplier_name) returning id into v_supplier_id;
+                    v_suppliers := v_suppliers + 1;
+                end if;
+            end if;
+
+            if v_row->>'id' is not null then
+                update medicines
+                set name = trim(v_row->>'name'),
+                    brand_name = coalesce(nullif(trim(v_row->>'brandName'), ''), brand_name),
+                    generic_name = coalesce(nullif(trim(v_row->>'genericName'), ''), generic_name),
+                    category = coalesce(nullif(v_row->>'category', ''), category),
+                    barcode = coalesce(nullif(trim(v_row->>'barcode'), ''), barcode),
+                    purchase_price = coalesce(nullif(v_row->>'purchasePrice', '')::numeric, purchase_price),
+                    selling_price = (v_row->>'sellingPrice')::numeric,
+                    supplier_id = coalesce(v_supplier_id, supplier_id)
+                where id = (v_row->>'id')::uuid;
+
+                if not found then
+                    raise exception 'medicine no longer exists';
+                end if;
+
+                -- Imported stock arrives as a new batch
+                if v_quantity > 0 then
+                    insert into medicine_batches (medicine_id, batch_number, expiry_date, quantity, purchase_price)
+                    select m.id, nullif(trim(v_row->>'batchNumber'), ''), (v_row->>'expiryDate')::date, v_quantity, coalesce(m.purchase_price, 0)
+                    from medicines m
+                    where m.id = (v_row->>'id')::uuid;
+
+                    perform post_controlled_entry(
+                        (v_row->>'id')::uuid, 'receipt', v_quantity,
+                        concat_ws(' · ', 'Imported', 'Batch ' || nullif(trim(v_row->>'batchNumber'), '')),
+                        auth.uid()
+                    );
+                end if;
+
+                v_updated := v_updated + 1;
+            else
+                insert into medicines (
+                    name, brand_name, generic_name, category, barcode, batch_number,
+                    purchase_price, selling_price, quantity, expiry_date, supplier_id
+                )
+                values (
+                    trim(v_row->>'name'),
+                    nullif(trim(v_row->>'brandName'), ''),
+                    nullif(trim(v_row->>'genericName'), ''),
+                    coalesce(nullif(v_row->>'category', ''), 'Tablet'),
+                    nullif(trim(v_row->>'barcode'), ''),
+                    nullif(trim(v_row->>'batchNumber'), ''),
+                    coalesce(nullif(v_row->>'purchasePrice', '')::numeric, 0),
+                    (v_row->>'sellingPrice')::numeric,
+                    v_quantity,
+                    (v_row->>'expiryDate')::date,
+                    v_supplier_id
+                );
+
+                v_created := v_created + 1;
+            end if;
+        exception
+            when others then
+                raise exception 'Row %: %', coalesce(v_row->>'rowNumber', '?'), SQLERRM;
+        end;
+    end loop;
+
+    insert into audit_log (actor_id, action, entity_type, details)
+    values (auth.uid(), 'medicines_imported', 'medicine',
+            jsonb_build_object('created', v_created, 'updated', v_updated, 'suppliersCreated', v_suppliers));
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('created', v_created, 'updated', v_updated, 'suppliersCreated', v_suppliers)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function import_medicines(jsonb) to authenticated;
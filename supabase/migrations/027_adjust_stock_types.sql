@@ -0,0 +1,166 @@
+-- ==========================================
+-- 027: Manual adjustment types
+-- adjust_stock took any type the table allows, including 'void', so anyone
+-- could post stock back as if a sale had been voided (and into the
+-- controlled register as a void line). It now only takes the manual types.
+-- ==========================================
+
+create or replace function adjust_stock(
+    p_medicine_id uuid,
+    p_type text,
+    p_quantity_change integer,
+    p_reason text,
+    p_batch_id uuid default null,
+    p_witness_pin text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_medicine medicines%rowtype;
+    v_batch medicine_batches%rowtype;
+    v_remaining integer;
+    v_take integer;
+    v_after integer;
+    v_adjustment_id uuid;
+    v_witness uuid;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+
+    if coalesce(trim(p_reason), '') = '' then
+        return json_build_object('success', false, 'error', 'A reason is required');
+    end if;
+
+    if p_quantity_change is null or p_quantity_change = 0 then
+        return json_build_object('success', false, 'error', 'Quantity must not be zero');
+    end if;
+
+    -- 'void' rows come from void_sale only
+    if p_type is null or p_type not in ('return', 'damage', 'expiry', 'theft', 'correction') then
+        return json_build_object('success', false, 'error', 'Unknown adjustment type');
+    end if;
+
+    if p_type = 'return' and p_quantity_change < 0 then
+        return json_build_object('success', false, 'error', 'Returns add stock');
+    end if;
+
+    if p_type in ('damage', 'expiry', 'theft') and p_quantity_change > 0 then
+        return json_build_object('success', false, 'error', 'Write-offs remove stock');
+    end if;
+
+    select * into v_medicine from medicines where id = p_medicine_id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Medicine not found');
+    end if;
+
+    if v_medicine.quantity + p_quantity_change < 0 then
+        return json_build_object(
+            'success', false,
+            'error', format('Cannot remove %s: only %s in stock', -p_quantity_change, v_medicine.quantity)
+        );
+    end if;
+
+    if v_medicine.schedule = 'controlled' and p_quantity_change < 0 then
+        if coalesce(p_witness_pin, '') = '' then
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'A second admin must witness removing a controlled drug');
+        end if;
+
+        if (select count(*) from audit_log
+            where actor_id = auth.uid() and action = 'stock.witness_pin_failed'
+              and created_at > now() - interval '15 minutes') >= 5 then
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'Too many wrong PINs. Try again later');
+        end if;
+
+        select p.id into v_witness
+        from approval_pins ap
+        join profiles p on p.id = ap.profile_id
+        where p.role = 'admin' and p.id <> auth.uid()
+          and ap.pin_hash = extensions.crypt(p_witness_pin, ap.pin_hash)
+        limit 1;
+
+        if v_witness is null then
+            insert into audit_log (actor_id, action, entity_type, entity_id)
+            values (auth.uid(), 'stock.witness_pin_failed', 'medicine', p_medicine_id);
+            return json_build_object('success', false, 'needsWitness', true,
+                'error', 'Incorrect PIN. The witness must be another admin');
+        end if;
+    end if;
+
+    if p_batch_id is not null then
+        select * into v_batch
+        from medicine_batches
+        where id = p_batch_id and medicine_id = p_medicine_id
+        for update;
+
+        if not found then
+            return json_build_object('success', false, 'error', 'Batch not found');
+        end if;
+        if v_batch.quantity + p_quantity_change < 0 then
+            return json_build_object(
+                'success', false,
+                'error', format('Cannot remove %s: only %s in batch %s', -p_quantity_change, v_batch.quantity, coalesce(v_batch.batch_number, '(unnumbered)'))
+            );
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    elsif p_quantity_change > 0 then
+        select * into v_batch
+        from medicine_batches
+        where medicine_id = p_medicine_id
+        order by (expiry_date is not null and expiry_date < current_date), expiry_date nulls last, received_at
+        limit 1
+        for update;
+
+        if not found then
+            insert into medicine_batches (medicine_id, quantity, purchase_price)
+            values (p_medicine_id, 0, coalesce(v_medicine.purchase_price, 0))
+            returning * into v_batch;
+        end if;
+
+        update medicine_batches set quantity = quantity + p_quantity_change where id = v_batch.id;
+    else
+        v_remaining := -p_quantity_change;
+        for v_batch in
+            select *
+            from medicine_batches
+            where medicine_id = p_medicine_id and quantity > 0
+            order by expiry_date nulls last, received_at
+            for update
+        loop
+            exit when v_remaining = 0;
+            v_take := least(v_batch.quantity, v_remaining);
+            update medicine_batches set quantity = quantity - v_take where id = v_batch.id;
+            v_remaining := v_remaining - v_take;
+        end loop;
+        v_batch.id := null; -- Spread over several batches
+    end if;
+
+    select quantity into v_after from medicines where id = p_medicine_id;
+
+    insert into stock_adjustments (
+        medicine_id, batch_id, adjustment_type, quantity, quantity_change,
+        quantity_before, quantity_after, reason, adjusted_by, witnessed_by
+    )
+    values (
+        p_medicine_id, coalesce(p_batch_id, v_batch.id), p_type, abs(p_quantity_change), p_quantity_change,
+        v_medicine.quantity, v_after, trim(p_reason), auth.uid(), v_witness
+    )
+    returning id into v_adjustment_id;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object('adjustmentId', v_adjustment_id, 'quantity', v_after)
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function adjust_stock(uuid, text, integer, text, uuid, text) to authenticated;
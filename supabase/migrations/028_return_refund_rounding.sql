@@ -0,0 +1,136 @@
+-- ==========================================
+-- 028: Return lines add up to the refund
+-- create_sale_return rounded each line's share of the refund on its own, so
+-- the lines could miss sale_returns.refund_amount by a cent or two. The last
+-- line now takes the rounding, as checkout does with basket discount shares.
+-- ==========================================
+
+create or replace function create_sale_return(
+    p_invoice_id uuid,
+    p_items jsonb,
+    p_refund_method text default 'cash',
+    p_refund_amount numeric default null,
+    p_reason text default null
+)
+returns json
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+    v_is_admin boolean := exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+    v_item jsonb;
+    v_sale sales%rowtype;
+    v_quantity integer;
+    v_returned integer;
+    v_value numeric := 0;
+    v_amount numeric;
+    v_limit numeric;
+    v_return sale_returns%rowtype;
+    v_status text;
+begin
+    if auth.uid() is null then
+        return json_build_object('success', false, 'error', 'User not authenticated');
+    end if;
+    if p_items is null or jsonb_array_length(p_items) = 0 then
+        return json_build_object('success', false, 'error', 'Select at least one item to return');
+    end if;
+    if p_refund_method not in ('cash', 'mobile_money', 'card', 'credit') then
+        return json_build_object('success', false, 'error', 'Invalid refund method');
+    end if;
+    if p_refund_method = 'credit'
+       and not exists (select 1 from invoices where id = p_invoice_id and customer_id is not null) then
+        return json_build_object('success', false, 'error', 'Only a sale with a customer can be credited to an account');
+    end if;
+
+    -- Lock the invoice's lines so two returns can't both take the same units
+    perform 1 from sales where invoice_id = p_invoice_id order by id for update;
+    if not found then
+        return json_build_object('success', false, 'error', 'Receipt not found');
+    end if;
+
+    for v_item in select * from jsonb_array_elements(p_items) loop
+        v_quantity := (v_item->>'quantity')::integer;
+        select * into v_sale from sales where id = (v_item->>'saleId')::uuid and invoice_id = p_invoice_id;
+        if not found then
+            raise exception 'Item is not on this receipt';
+        end if;
+        if v_quantity is null or v_quantity <= 0 then
+            raise exception 'Invalid return quantity for %', v_sale.medicine_name;
+        end if;
+
+        select coalesce(sum(ri.quantity), 0) into v_returned
+        from sale_return_items ri
+        join sale_returns r on r.id = ri.return_id
+        where ri.sale_id = v_sale.id and r.status <> 'rejected';
+
+        if v_returned + v_quantity > v_sale.quantity_sold then
+            raise exception 'Only % of % can still be returned', v_sale.quantity_sold - v_returned, v_sale.medicine_name;
+        end if;
+
+        v_value := v_value + coalesce(v_sale.unit_price, v_sale.total_price / v_sale.quantity_sold) * v_quantity;
+    end loop;
+
+    v_amount := round(coalesce(p_refund_amount, v_value), 2);
+    if v_amount < 0 or v_amount > round(v_value, 2) then
+        return json_build_object('success', false, 'error', format('Refund must be between 0 and %s', round(v_value, 2)));
+    end if;
+
+    select refund_approval_limit into v_limit from settings limit 1;
+    v_status := case when not v_is_admin and v_limit is not null and v_amount > v_limit then 'pending' else 'completed' end;
+
+    insert into sale_returns (invoice_id, status, refund_amount, refund_method, reason, requested_by)
+    values (p_invoice_id, 'pending', v_amount, p_refund_method, nullif(trim(p_reason), ''), auth.uid())
+    returning * into v_return;
+
+    -- Each line's share of the refund, in proportion to its value; the last
+    -- line takes the rounding so the lines add up to the refund
+    insert into sale_return_items (return_id, sale_id, quantity, restock, refund_amount)
+    select
+        v_return.id,
+        sale_id,
+        quantity,
+        restock,
+        case when line_number = line_count
+            then v_amount - coalesce(sum(share) over (order by line_number rows between unbounded preceding and 1 preceding), 0)
+            else share
+        end
+    from (
+        select
+            s.id as sale_id,
+            (e.item->>'quantity')::integer as quantity,
+            coalesce((e.item->>'restock')::boolean, true) as restock,
+            case when v_value > 0
+                then round(coalesce(s.unit_price, s.total_price / s.quantity_sold) * (e.item->>'quantity')::integer * v_amount / v_value, 2)
+                else 0
+            end as share,
+            row_number() over (order by e.line) as line_number,
+            count(*) over () as line_count
+        from jsonb_array_elements(p_items) with ordinality e(item, line)
+        join sales s on s.id = (e.item->>'saleId')::uuid
+    ) lines;
+
+    if v_status = 'completed' then
+        perform complete_sale_return(v_return.id);
+    else
+        insert into audit_log (actor_id, action, entity_type, entity_id, details)
+        values (auth.uid(), 'sale_return.requested', 'sale_return', v_return.id,
+                jsonb_build_object('returnNumber', v_return.return_number, 'refundAmount', v_amount, 'limit', v_limit));
+    end if;
+
+    return json_build_object(
+        'success', true,
+        'data', json_build_object(
+            'returnId', v_return.id,
+            'returnNumber', v_return.return_number,
+            'status', v_status,
+            'refundAmount', v_amount
+        )
+    );
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function create_sale_return(uuid, jsonb, text, numeric, text) to authenticated;
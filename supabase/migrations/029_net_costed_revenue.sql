@@ -0,0 +1,97 @@
+-- ==========================================
+-- 029: Margin on net costed revenue
+-- grossProfit is net of refunds but costedRevenue isn't, so the margin
+-- built from them came out low in any range with refunds. sales_summary now
+-- also returns netCostedRevenue: costed revenue less refunds of costed lines.
+-- ==========================================
+
+-- ------------------------------------------
+-- sales_summary: as in 015, plus costedRefunds and netCostedRevenue
+-- ------------------------------------------
+create or replace function sales_summary(
+    p_start timestamptz default null,
+    p_end timestamptz default null
+)
+returns json
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+    v_summary jsonb;
+    v_refunds jsonb;
+    v_top json;
+begin
+    if not exists (select 1 from profiles where id = auth.uid() and role = 'admin') then
+        return json_build_object('success', false, 'error', 'Only admins can view reports');
+    end if;
+
+    select jsonb_build_object(
+        'grossRevenue', coalesce(sum(total_price), 0),
+        'items', coalesce(sum(quantity_sold), 0),
+        'lines', count(*),
+        'transactions', count(distinct coalesce(invoice_id, id)),
+        'grossProfit', coalesce(sum(total_price - unit_cost * quantity_sold) filter (where unit_cost is not null), 0),
+        'costedRevenue', coalesce(sum(total_price) filter (where unit_cost is not null), 0),
+        'customRevenue', coalesce(sum(total_price) filter (where is_custom), 0),
+        'customCount', count(*) filter (where is_custom),
+        'uncostedCount', count(*) filter (where unit_cost is null and not is_custom),
+        'discounts', coalesce(sum(discount_amount), 0),
+        'discountedLines', count(*) filter (where discount_amount > 0)
+    )
+    into v_summary
+    from sales
+    where voided_at is null
+      and (p_start is null or sale_date >= p_start)
+      and (p_end is null or sale_date < p_end);
+
+    select jsonb_build_object(
+        'refunds', coalesce(sum(ri.refund_amount), 0),
+        'refundCount', count(distinct r.id),
+        'costedRefunds', coalesce(sum(ri.refund_amount) filter (where s.unit_cost is not null), 0),
+        'refundProfitImpact', coalesce(sum(
+            ri.refund_amount - case when ri.restock then ri.quantity * s.unit_cost else 0 end
+        ) filter (where s.unit_cost is not null), 0)
+    )
+    into v_refunds
+    from sale_returns r
+    join sale_return_items ri on ri.return_id = r.id
+    join sales s on s.id = ri.sale_id
+    where r.status = 'completed'
+      and (p_start is null or r.completed_at >= p_start)
+      and (p_end is null or r.completed_at < p_end);
+
+    select coalesce(json_agg(t), '[]'::json)
+    into v_top
+    from (
+        select medicine_name as "name", sum(quantity_sold) as "quantity", sum(total_price) as "revenue"
+        from sales
+        where voided_at is null
+          and (p_start is null or sale_date >= p_start)
+          and (p_end is null or sale_date < p_end)
+        group by medicine_name
+        order by sum(total_price) desc
+        limit 5
+    ) t;
+
+    v_summary := v_summary || v_refunds || jsonb_build_object(
+        'revenue', (v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric,
+        'grossProfit', (v_summary->>'grossProfit')::numeric - (v_refunds->>'refundProfitImpact')::numeric,
+        'netCostedRevenue', (v_summary->>'costedRevenue')::numeric - (v_refunds->>'costedRefunds')::numeric,
+        'avgTransaction', coalesce(
+            ((v_summary->>'grossRevenue')::numeric - (v_refunds->>'refunds')::numeric)
+                / nullif((v_summary->>'transactions')::numeric, 0),
+            0
+        ),
+        'topSelling', v_top
+    );
+
+    return json_build_object('success', true, 'data', v_summary);
+exception
+    when others then
+        return json_build_object('success', false, 'error', SQLERRM);
+end;
+$$;
+
+grant execute on function sales_summary(timestamptz, timestamptz) to authenticated;